@@ -28,9 +28,19 @@ const bookingRoutes = require('./routes/bookings');
 const settingsRoutes = require('./routes/settings');
 const paymentRoutes = require('./routes/payments');
 const searchRoutes = require('./routes/search');
+const couponRoutes = require('./routes/coupons');
+const notificationRoutes = require('./routes/notifications');
+const hostRoutes = require('./routes/host');
+const calendarRoutes = require('./routes/calendars');
+const reviewRoutes = require('./routes/reviews');
+const conversationRoutes = require('./routes/conversations');
+const eventRoutes = require('./routes/events');
 
 // Middleware
 app.use(cors());
+// El webhook de Stripe necesita el cuerpo sin procesar para verificar la firma,
+// así que se registra antes de express.json()
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // Inicialización de Supabase con opciones específicas
@@ -51,6 +61,13 @@ app.use('/api/collections', collectionRoutes);
 app.use('/api/bookings', bookingRoutes);
 app.use('/api/settings', settingsRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/host', hostRoutes);
+app.use('/api/calendars', calendarRoutes);
+app.use('/api/reviews', reviewRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/events', eventRoutes);
 app.use('/api', searchRoutes);
 
 // Ruta de health check
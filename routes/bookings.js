@@ -1,6 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { checkAvailability } = require('../utils/availability');
+const { getHoldExpiration, insertBooking } = require('../utils/reservations');
+const {
+  getAllowedTransitions,
+  recordTransition,
+  transitionBooking
+} = require('../utils/bookingLifecycle');
+const { calculateBookingPrice, applyCoupon, getQuoteCoupon } = require('../utils/pricing');
+const { roundMoney } = require('../utils/money');
+const { applyCouponCode } = require('../utils/coupons');
+const { summarizeLedger, formatLedgerEntry } = require('../utils/ledger');
+const { getPaymentSchedule, formatPaymentSchedule, getAmendedSchedule } = require('../utils/deposits');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const { issueBookingInvoice, formatInvoice } = require('../utils/invoices');
+const { renderInvoicePdf } = require('../utils/invoicePdf');
+const {
+  loadBookingDocumentData,
+  renderReceiptPdf,
+  buildBookingCalendar
+} = require('../utils/bookingDocuments');
+
+const paymentProvider = getPaymentProvider();
+const { calculateRefund, issueCancellationRefund } = require('../utils/cancellation');
+const {
+  createAmendment,
+  applyAmendment,
+  updateAmendment,
+  issueAmendmentRefund,
+  formatAmendment
+} = require('../utils/amendments');
+const { getReviewBlocker, validateReview, toReviewRow, formatReview } = require('../utils/reviews');
+const { notifyUser } = require('../utils/notifications');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
@@ -43,6 +76,48 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
+// Columnas de la habitación necesarias para validar y cotizar una reserva
+const ROOM_BOOKING_FIELDS = 'id, price, cleaning_fee, location, status, capacity, min_nights, max_nights, check_in_days, check_out_days, room_pricing_rules(*)';
+
+// Función para validar el número de huéspedes contra la capacidad de la habitación
+const validateGuests = (room, guests) => {
+  if (!Number.isInteger(guests) || guests < 1) {
+    return 'El número de huéspedes debe ser un entero mayor a 0';
+  }
+  if (room.capacity && guests > room.capacity) {
+    return `La habitación admite como máximo ${room.capacity} huéspedes`;
+  }
+  return null;
+};
+
+// Función para obtener una reserva y el rol del usuario sobre ella (huésped o anfitrión)
+const loadBookingForActor = async (req, bookingId) => {
+  const { data: booking, error } = await req.supabase
+    .from('bookings')
+    .select(`
+      *,
+      room:rooms (
+        id,
+        title,
+        host_id
+      )
+    `)
+    .eq('id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!booking) return { booking: null, actorRole: null };
+
+  let actorRole = null;
+  if (booking.user_id === req.user.id) {
+    actorRole = 'guest';
+  } else if (booking.room && booking.room.host_id === req.user.id) {
+    actorRole = 'host';
+  }
+
+  return { booking: actorRole ? booking : null, actorRole };
+};
+
 // GET /api/bookings
 router.get('/', authenticateUser, async (req, res) => {
   try {
@@ -106,42 +181,105 @@ router.get('/', authenticateUser, async (req, res) => {
   }
 });
 
+// POST /api/bookings/quote
+router.post('/quote', authenticateUser, async (req, res) => {
+  try {
+    const { roomId, startDate, endDate, couponCode } = req.body;
+    const guests = req.body.guests === undefined ? 1 : Number(req.body.guests);
+
+    const { data: room, error: roomError } = await req.supabase
+      .from('rooms')
+      .select(ROOM_BOOKING_FIELDS)
+      .eq('id', roomId)
+      .single();
+
+    if (roomError || !room || room.status !== 'published') {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    const guestsError = validateGuests(room, guests);
+    if (guestsError) {
+      return res.status(400).json({ error: guestsError });
+    }
+
+    const availability = await checkAvailability(req.supabase, room, startDate, endDate);
+
+    // Las fechas con formato inválido o reglas incumplidas no se pueden cotizar
+    if (!availability.available && availability.status === 400) {
+      return res.status(400).json({ error: availability.reason });
+    }
+
+    // Un cupón que no aplica devuelve el error con el motivo
+    const quote = await applyCouponCode(supabaseAdmin, calculateBookingPrice(room, { startDate, endDate, guests }), {
+      couponCode,
+      userSupabase: req.supabase,
+      room
+    });
+
+    res.json({
+      roomId: room.id,
+      startDate,
+      endDate,
+      available: availability.available,
+      unavailableReason: availability.available ? null : availability.reason,
+      quote,
+      // Cómo se cobraría al pagar: total o anticipo más saldo programado
+      paymentSchedule: getPaymentSchedule(quote, { startDate, payInFull: Boolean(req.body.payInFull) })
+    });
+  } catch (error) {
+    console.error('Error al cotizar la reserva:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
 // POST /api/bookings
 router.post('/', authenticateUser, async (req, res) => {
   try {
-    const { roomId, startDate, endDate } = req.body;
+    const { roomId, startDate, endDate, couponCode } = req.body;
+    const guests = req.body.guests === undefined ? 1 : Number(req.body.guests);
 
     // Verificar que la habitación existe
     const { data: room, error: roomError } = await req.supabase
       .from('rooms')
-      .select('price')
+      .select(ROOM_BOOKING_FIELDS)
       .eq('id', roomId)
       .single();
 
-    if (roomError || !room) {
+    if (roomError || !room || room.status !== 'published') {
       return res.status(404).json({ error: 'Habitación no encontrada' });
     }
 
-    // Calcular el precio total
-    const start = new Date(startDate);
-    const end = new Date(endDate);
-    const days = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-    const totalPrice = room.price * days;
+    const guestsError = validateGuests(room, guests);
+    if (guestsError) {
+      return res.status(400).json({ error: guestsError });
+    }
+
+    // Verificar que las fechas están disponibles
+    const availability = await checkAvailability(req.supabase, room, startDate, endDate);
+    if (!availability.available) {
+      return res.status(availability.status).json({ error: availability.reason });
+    }
 
-    // Crear la reserva
-    const { data: booking, error: bookingError } = await req.supabase
-      .from('bookings')
-      .insert([
-        {
-          user_id: req.user.id,
-          room_id: roomId,
-          start_date: startDate,
-          end_date: endDate,
-          price: totalPrice,
-          status: 'active'
-        }
-      ])
-      .select(`
+    // Calcular el precio total con cargos, impuestos y el cupón, si lo hay
+    const quote = await applyCouponCode(supabaseAdmin, calculateBookingPrice(room, { startDate, endDate, guests }), {
+      couponCode,
+      userSupabase: req.supabase,
+      room
+    });
+
+    // Crear la reserva; la base de datos rechaza solapamientos concurrentes. Si no se paga
+    // antes de payment_expires_at, la tarea de seguimiento la cancela y libera las fechas.
+    const { booking, conflict } = await insertBooking(req.supabase, {
+      user_id: req.user.id,
+      room_id: roomId,
+      start_date: startDate,
+      end_date: endDate,
+      guests,
+      price: quote.total,
+      price_breakdown: quote,
+      status: 'pending_payment',
+      payment_expires_at: getHoldExpiration().toISOString()
+    }, `
         *,
         room:rooms (
           id,
@@ -151,10 +289,19 @@ router.post('/', authenticateUser, async (req, res) => {
             is_primary
           )
         )
-      `)
-      .single();
+      `);
 
-    if (bookingError) throw bookingError;
+    if (conflict) {
+      return res.status(409).json({ error: 'La habitación ya está reservada en esas fechas' });
+    }
+
+    await recordTransition(supabaseAdmin, {
+      bookingId: booking.id,
+      from: null,
+      to: booking.status,
+      actorId: req.user.id,
+      actorRole: 'guest'
+    });
 
     // Actualizar contador de reservas en user_stats
     const { error: statsError } = await req.supabase
@@ -173,12 +320,14 @@ router.post('/', authenticateUser, async (req, res) => {
       startDate: booking.start_date,
       endDate: booking.end_date,
       price: booking.price,
+      priceBreakdown: booking.price_breakdown,
       status: booking.status,
+      paymentExpiresAt: booking.payment_expires_at,
       createdAt: booking.created_at
     });
   } catch (error) {
     console.error('Error al crear reserva:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
@@ -219,8 +368,8 @@ router.get('/:id', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'Reserva no encontrada' });
     }
 
-    // Calcular promedio de reseñas
-    const reviews = booking.room.reviews || [];
+    // Calcular promedio de reseñas (sin las ocultas por moderación)
+    const reviews = (booking.room.reviews || []).filter(review => review.status !== 'hidden');
     const averageRating = reviews.length > 0
       ? reviews.reduce((acc, review) => acc + review.rating, 0) / reviews.length
       : 0;
@@ -234,7 +383,10 @@ router.get('/:id', authenticateUser, async (req, res) => {
       startDate: booking.start_date,
       endDate: booking.end_date,
       price: booking.price,
+      priceBreakdown: booking.price_breakdown || null,
+      paymentSchedule: formatPaymentSchedule(booking),
       status: booking.status,
+      allowedTransitions: getAllowedTransitions(booking, 'guest'),
       createdAt: booking.created_at,
       room: {
         ...booking.room,
@@ -252,6 +404,9 @@ router.get('/:id', authenticateUser, async (req, res) => {
             },
             rating: review.rating,
             comment: review.comment,
+            hostReply: review.host_reply
+              ? { comment: review.host_reply, date: review.host_reply_at }
+              : null,
             date: review.created_at
           }))
         }
@@ -263,38 +418,524 @@ router.get('/:id', authenticateUser, async (req, res) => {
   }
 });
 
+// PATCH /api/bookings/:id
+router.patch('/:id', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { successUrl, cancelUrl } = req.body;
+
+    const { booking, actorRole } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    if (actorRole !== 'guest') {
+      return res.status(403).json({ error: 'Solo el huésped puede modificar su reserva' });
+    }
+
+    if (!['pending_payment', 'confirmed'].includes(booking.status)) {
+      return res.status(409).json({ error: 'Solo se pueden modificar reservas pendientes o confirmadas' });
+    }
+
+    if (booking.start_date <= new Date().toISOString().slice(0, 10)) {
+      return res.status(409).json({ error: 'No se puede modificar una estancia que ya comenzó' });
+    }
+
+    if (booking.balance_status === 'processing') {
+      return res.status(409).json({ error: 'El saldo de la reserva se está cobrando; intenta de nuevo en unos minutos' });
+    }
+
+    const startDate = req.body.startDate || booking.start_date;
+    const endDate = req.body.endDate || booking.end_date;
+    const guests = req.body.guests === undefined ? (booking.guests || 1) : Number(req.body.guests);
+
+    if (startDate === booking.start_date && endDate === booking.end_date && guests === (booking.guests || 1)) {
+      return res.status(400).json({ error: 'No se proporcionaron cambios para la reserva' });
+    }
+
+    const { data: room, error: roomError } = await req.supabase
+      .from('rooms')
+      .select(ROOM_BOOKING_FIELDS)
+      .eq('id', booking.room_id)
+      .single();
+
+    if (roomError || !room) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    const guestsError = validateGuests(room, guests);
+    if (guestsError) {
+      return res.status(400).json({ error: guestsError });
+    }
+
+    // Verificar disponibilidad ignorando la propia reserva
+    const availability = await checkAvailability(req.supabase, room, startDate, endDate, {
+      excludeBookingId: booking.id
+    });
+    if (!availability.available) {
+      return res.status(availability.status).json({ error: availability.reason });
+    }
+
+    // Recalcular el precio con la misma lógica que al crear la reserva,
+    // conservando el cupón que se usó al reservar
+    const quote = applyCoupon(
+      calculateBookingPrice(room, { startDate, endDate, guests }),
+      getQuoteCoupon(booking.price_breakdown)
+    );
+    const newPrice = quote.total;
+    const difference = roundMoney(newPrice - Number(booking.price));
+    const isPaid = booking.payment_status === 'paid';
+    // En reservas con anticipo la diferencia se ajusta primero en el saldo pendiente
+    const { chargeAmount } = getAmendedSchedule(booking, difference);
+
+    // Si hay que cobrar una diferencia, el cambio se aplica al confirmarse el pago
+    if (isPaid && chargeAmount > 0) {
+      const amendment = await createAmendment(supabaseAdmin, booking, {
+        startDate,
+        endDate,
+        guests,
+        price: newPrice,
+        priceBreakdown: quote
+      }, { requestedBy: req.user.id, status: 'pending_payment' });
+
+      const returnUrl = process.env.FRONTEND_URL
+        ? `${process.env.FRONTEND_URL}/bookings/${booking.id}`
+        : null;
+
+      const session = await paymentProvider.createCheckoutSession({
+        lineItems: [
+          {
+            price_data: {
+              currency: 'mxn',
+              product_data: {
+                name: `Modificación de reserva: ${booking.room.title}`,
+                description: `Check-in: ${startDate}\nCheck-out: ${endDate}\nHuéspedes: ${guests}`
+              },
+              unit_amount: Math.round(chargeAmount * 100)
+            },
+            quantity: 1
+          }
+        ],
+        successUrl: successUrl || returnUrl,
+        cancelUrl: cancelUrl || returnUrl,
+        customerEmail: req.user.email,
+        metadata: {
+          type: 'booking_amendment',
+          amendment_id: amendment.id,
+          booking_id: booking.id
+        }
+      });
+
+      await updateAmendment(supabaseAdmin, amendment.id, { payment_session_id: session.id });
+
+      return res.status(202).json({
+        amendment: formatAmendment({ ...amendment, payment_session_id: session.id }),
+        paymentUrl: session.url
+      });
+    }
+
+    const amendment = await createAmendment(supabaseAdmin, booking, {
+      startDate,
+      endDate,
+      guests,
+      price: newPrice,
+      priceBreakdown: quote
+    }, { requestedBy: req.user.id, status: 'pending' });
+
+    const { booking: updated, refundAmount, conflict } = await applyAmendment(supabaseAdmin, amendment);
+
+    if (conflict) {
+      return res.status(409).json({ error: 'La habitación ya está reservada en esas fechas' });
+    }
+
+    // Reembolsar la parte de la reducción que no cubre el saldo pendiente. Si falla, la
+    // modificación queda con el reembolso fallido y la tarea de seguimiento lo reintenta.
+    let applied = { ...amendment, status: 'applied' };
+    if (refundAmount > 0) {
+      applied = await issueAmendmentRefund(supabaseAdmin, paymentProvider, amendment.id) || {
+        ...applied,
+        refund_amount: refundAmount,
+        refund_status: 'pending'
+      };
+    }
+
+    res.json({
+      id: updated.id,
+      startDate: updated.start_date,
+      endDate: updated.end_date,
+      guests: updated.guests,
+      price: updated.price,
+      status: updated.status,
+      paymentSchedule: formatPaymentSchedule(updated),
+      amendment: formatAmendment(applied)
+    });
+  } catch (error) {
+    console.error('Error al modificar la reserva:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/bookings/:id/amendments
+router.get('/:id/amendments', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { booking } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const { data: amendments, error } = await req.supabase
+      .from('booking_amendments')
+      .select('*')
+      .eq('booking_id', id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ data: amendments.map(formatAmendment) });
+  } catch (error) {
+    console.error('Error al obtener las modificaciones de la reserva:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Función para obtener la política de cancelación de la habitación de una reserva
+const getBookingRoomPolicy = async (supabase, booking) => {
+  const { data: room, error } = await supabase
+    .from('rooms')
+    .select('id, cancellation_policy, cancellation_windows')
+    .eq('id', booking.room_id)
+    .single();
+
+  if (error) throw error;
+  return room;
+};
+
+// GET /api/bookings/:id/cancellation
+router.get('/:id/cancellation', authenticateUser, async (req, res) => {
+  try {
+    const { booking, actorRole } = await loadBookingForActor(req, req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const room = await getBookingRoomPolicy(req.supabase, booking);
+
+    res.json({
+      bookingId: booking.id,
+      canCancel: getAllowedTransitions(booking, actorRole).includes('cancelled'),
+      refund: calculateRefund(booking, room, { actorRole })
+    });
+  } catch (error) {
+    console.error('Error al calcular la cancelación de la reserva:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // PUT /api/bookings/:id/cancel
 router.put('/:id/cancel', authenticateUser, async (req, res) => {
   try {
     const { id } = req.params;
+    const { reason } = req.body || {};
 
-    // Verificar que la reserva existe y pertenece al usuario
-    const { data: booking, error: checkError } = await req.supabase
-      .from('bookings')
-      .select('id, status')
-      .eq('id', id)
-      .eq('user_id', req.user.id)
+    // Verificar que la reserva existe y pertenece al usuario o a su anfitrión
+    const { booking, actorRole } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    // Calcular el reembolso según la política de la habitación
+    const room = await getBookingRoomPolicy(req.supabase, booking);
+    const refund = calculateRefund(booking, room, { actorRole });
+
+    // Cancelar la reserva; un saldo pendiente de cobro ya no se cobra
+    const balanceChanges = booking.payment_schedule === 'deposit' && booking.balance_status !== 'paid'
+      ? { balance_status: 'cancelled' }
+      : {};
+
+    const cancelled = await transitionBooking(supabaseAdmin, booking, 'cancelled', {
+      actorId: req.user.id,
+      actorRole,
+      reason,
+      metadata: { refund_amount: refund.refundAmount },
+      changes: {
+        ...balanceChanges,
+        refund_amount: refund.refundAmount,
+        refund_breakdown: { ...refund, status: refund.refundAmount > 0 ? 'pending' : 'not_applicable' }
+      }
+    });
+
+    // Emitir el reembolso con el proveedor de pagos
+    const updated = await issueCancellationRefund(supabaseAdmin, paymentProvider, cancelled, refund);
+
+    res.json({ success: true, status: updated.status, refund });
+  } catch (error) {
+    console.error('Error al cancelar la reserva:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/bookings/:id/transitions
+router.post('/:id/transitions', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, reason } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Se requiere el nuevo estado' });
+    }
+
+    const { booking, actorRole } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const updated = await transitionBooking(supabaseAdmin, booking, status, {
+      actorId: req.user.id,
+      actorRole,
+      reason
+    });
+
+    res.json({
+      id: updated.id,
+      status: updated.status,
+      allowedTransitions: getAllowedTransitions(updated, actorRole)
+    });
+  } catch (error) {
+    console.error('Error al cambiar el estado de la reserva:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/bookings/:id/payments
+router.get('/:id/payments', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { booking } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const { data: entries, error } = await req.supabase
+      .from('payment_ledger')
+      .select('*')
+      .eq('booking_id', id)
+      .order('occurred_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      bookingId: booking.id,
+      price: booking.price,
+      paymentStatus: booking.payment_status,
+      paymentSchedule: formatPaymentSchedule(booking),
+      summary: summarizeLedger(entries),
+      data: entries.map(formatLedgerEntry)
+    });
+  } catch (error) {
+    console.error('Error al obtener los pagos de la reserva:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Descargar el recibo de la reserva en PDF (habitación, fechas, anfitrión, desglose y pagos)
+// GET /api/bookings/:id/receipt
+router.get('/:id/receipt', authenticateUser, async (req, res) => {
+  try {
+    const { booking, actorRole } = await loadBookingForActor(req, req.params.id);
+
+    if (!booking || actorRole !== 'guest') {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const pdf = await renderReceiptPdf(await loadBookingDocumentData(req.supabase, booking.id));
+
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="recibo-${booking.id}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error al generar el recibo:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Descargar la estancia como evento de calendario (.ics) con la llegada y la salida
+// GET /api/bookings/:id/calendar.ics
+router.get('/:id/calendar.ics', authenticateUser, async (req, res) => {
+  try {
+    const { booking, actorRole } = await loadBookingForActor(req, req.params.id);
+
+    if (!booking || actorRole !== 'guest') {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const calendar = buildBookingCalendar(await loadBookingDocumentData(req.supabase, booking.id));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="reserva-${booking.id}.ics"`);
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error al generar el evento de calendario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reseñar una estancia completada (una reseña por reserva, solo el huésped)
+// POST /api/bookings/:id/review
+router.post('/:id/review', authenticateUser, async (req, res) => {
+  try {
+    const { booking, actorRole } = await loadBookingForActor(req, req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const blocker = getReviewBlocker(booking, req.user.id);
+    if (blocker) {
+      return res.status(actorRole === 'guest' ? 409 : 403).json({ error: blocker });
+    }
+
+    const validationError = validateReview(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: review, error } = await req.supabase
+      .from('reviews')
+      .insert([
+        {
+          room_id: booking.room_id,
+          user_id: req.user.id,
+          booking_id: booking.id,
+          ...toReviewRow(req.body)
+        }
+      ])
+      .select(`
+        *,
+        user:users (
+          id,
+          name,
+          profileImage
+        )
+      `)
       .single();
 
-    if (checkError || !booking) {
+    if (error) {
+      // El índice único de booking_id evita reseñas duplicadas
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Ya reseñaste esta estancia' });
+      }
+      throw error;
+    }
+
+    await notifyUser(supabaseAdmin, {
+      userId: booking.room.host_id,
+      type: 'review_received',
+      title: 'Nueva reseña',
+      message: `Recibiste una reseña de ${review.rating} estrellas en ${booking.room.title}.`,
+      bookingId: booking.id,
+      data: { reviewId: review.id, roomId: booking.room_id, rating: review.rating }
+    });
+
+    res.status(201).json(formatReview(review));
+  } catch (error) {
+    console.error('Error al crear la reseña:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Descargar la factura (CFDI) de una reserva pagada. Si aún no se ha emitido se emite y
+// timbra en ese momento con los datos fiscales del huésped.
+// GET /api/bookings/:id/invoice?format=pdf|xml|json
+router.get('/:id/invoice', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'pdf' } = req.query;
+
+    if (!['pdf', 'xml', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'Formato no válido. Use pdf, xml o json' });
+    }
+
+    const { booking, actorRole } = await loadBookingForActor(req, id);
+
+    if (!booking || actorRole !== 'guest') {
       return res.status(404).json({ error: 'Reserva no encontrada' });
     }
 
-    if (booking.status !== 'active') {
-      return res.status(400).json({ error: 'Solo se pueden cancelar reservas activas' });
+    const invoice = await issueBookingInvoice(supabaseAdmin, booking.id);
+
+    if (invoice.status !== 'stamped') {
+      return res.status(409).json({
+        error: 'La factura se está timbrando, inténtalo de nuevo en unos momentos',
+        invoice: formatInvoice(invoice)
+      });
     }
 
-    // Cancelar la reserva
-    const { error: updateError } = await req.supabase
-      .from('bookings')
-      .update({ status: 'cancelled' })
-      .eq('id', id);
+    if (format === 'json') {
+      return res.json({ invoice: formatInvoice(invoice) });
+    }
+
+    const filename = `factura-${invoice.series}-${invoice.folio}`;
 
-    if (updateError) throw updateError;
+    if (format === 'xml') {
+      res.set('Content-Type', 'application/xml; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}.xml"`);
+      return res.send(invoice.xml);
+    }
 
-    res.json({ success: true });
+    const pdf = await renderInvoicePdf(invoice);
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.send(pdf);
   } catch (error) {
-    console.error('Error al cancelar la reserva:', error);
+    console.error('Error al obtener la factura:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/bookings/:id/transitions
+router.get('/:id/transitions', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { booking } = await loadBookingForActor(req, id);
+
+    if (!booking) {
+      return res.status(404).json({ error: 'Reserva no encontrada' });
+    }
+
+    const { data: transitions, error } = await req.supabase
+      .from('booking_transitions')
+      .select('*')
+      .eq('booking_id', id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      bookingId: booking.id,
+      status: booking.status,
+      data: transitions.map(transition => ({
+        id: transition.id,
+        from: transition.from_status,
+        to: transition.to_status,
+        actorId: transition.actor_id,
+        actorRole: transition.actor_role,
+        reason: transition.reason,
+        metadata: transition.metadata,
+        createdAt: transition.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener el historial de la reserva:', error);
     res.status(500).json({ error: error.message });
   }
 });
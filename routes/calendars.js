@@ -0,0 +1,50 @@
+const express = require('express');
+const router = express.Router();
+const { buildRoomExportCalendar, runCalendarSync } = require('../utils/calendarSync');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
+const { authenticateCron } = require('../utils/auth');
+
+// Estas rutas no usan la sesión del usuario: el feed se protege con el token secreto de
+// la URL y el cron con CRON_SECRET, y ambos leen con el cliente de servicio
+const supabase = supabaseAdmin;
+
+// GET /api/calendars/cron/sync
+// Descarga los calendarios externos registrados y actualiza los bloqueos de las habitaciones
+router.get('/cron/sync', authenticateCron, async (req, res) => {
+  try {
+    const summary = await runCalendarSync(supabase);
+    res.json(summary);
+  } catch (error) {
+    console.error('Error al sincronizar los calendarios externos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Feed iCal de una habitación para importarlo en otras plataformas
+// GET /api/calendars/:token.ics
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { data: room, error } = await supabase
+      .from('rooms')
+      .select('id, title')
+      .eq('ical_export_token', req.params.token)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!room) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
+
+    const calendar = await buildRoomExportCalendar(supabase, room);
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Cache-Control', 'no-cache');
+    res.send(calendar);
+  } catch (error) {
+    console.error('Error al generar el feed del calendario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,432 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const { authenticateUser } = require('../utils/auth');
+const {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_TYPES,
+  canShareContact,
+  filterContactDetails,
+  getParticipantRole,
+  validateMessage,
+  uploadAttachments,
+  removeAttachments,
+  signAttachmentUrls,
+  formatConversation,
+  formatMessage
+} = require('../utils/messages');
+const { publish } = require('../utils/realtime');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
+
+// Campos de una conversación con su habitación, reserva y participantes
+const CONVERSATION_FIELDS = `
+  *,
+  room:rooms (
+    id,
+    title,
+    host_id
+  ),
+  booking:bookings (
+    id,
+    status,
+    start_date,
+    end_date
+  ),
+  guest:users!conversations_guest_id_fkey (
+    id,
+    name,
+    profileImage
+  ),
+  host:users!conversations_host_id_fkey (
+    id,
+    name,
+    profileImage
+  )
+`;
+
+// Configuración de multer para los adjuntos de los mensajes
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_ATTACHMENT_BYTES,
+    files: MAX_ATTACHMENTS
+  },
+  fileFilter: (req, file, cb) => {
+    if (ATTACHMENT_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten imágenes (JPEG, PNG, WebP, GIF) y archivos PDF'));
+    }
+  }
+});
+
+// Middleware para procesar los adjuntos devolviendo errores de multer como 400
+const uploadMessageAttachments = (req, res, next) => {
+  attachmentUpload.array('attachments', MAX_ATTACHMENTS)(req, res, (err) => {
+    if (err) {
+      let message = err.message;
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        message = `Cada archivo debe pesar como máximo ${MAX_ATTACHMENT_BYTES / (1024 * 1024)}MB`;
+      } else if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        message = `Se permiten como máximo ${MAX_ATTACHMENTS} archivos por mensaje`;
+      }
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// Middleware para cargar la conversación de la ruta en req.conversation. Solo los dos
+// participantes pueden verla; para cualquier otro usuario no existe.
+const loadConversation = async (req, res, next) => {
+  try {
+    const { data: conversation, error } = await req.supabase
+      .from('conversations')
+      .select(CONVERSATION_FIELDS)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!conversation || !getParticipantRole(conversation, req.user.id)) {
+      return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    console.error('Error al obtener la conversación:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Función para guardar un mensaje en la conversación. El texto se filtra si aún no se
+// pueden compartir datos de contacto.
+const createMessage = async (supabase, conversation, senderId, body, files = []) => {
+  const { text, filtered } = body && body.trim()
+    ? (canShareContact(conversation) ? { text: body.trim(), filtered: false } : filterContactDetails(body.trim()))
+    : { text: null, filtered: false };
+
+  const attachments = await uploadAttachments(supabase, conversation.id, files);
+
+  // El mensaje se guarda con el cliente de servicio para que nadie pueda saltarse el filtro
+  // de datos de contacto escribiendo directamente en la tabla
+  const { data: message, error } = await supabaseAdmin
+    .from('messages')
+    .insert([
+      {
+        conversation_id: conversation.id,
+        sender_id: senderId,
+        body: text,
+        attachments,
+        contact_filtered: filtered
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) {
+    await removeAttachments(supabase, attachments);
+    throw error;
+  }
+
+  await publishMessage(supabase, conversation, message);
+  return message;
+};
+
+// Función para enviar un mensaje nuevo a los dos participantes por el canal en tiempo
+// real (el remitente puede tener la conversación abierta en otro dispositivo)
+const publishMessage = async (supabase, conversation, message) => {
+  try {
+    const attachmentUrls = await signAttachmentUrls(supabase, [message]);
+    for (const userId of [conversation.guest_id, conversation.host_id]) {
+      await publish(userId, 'message.created', formatMessage(message, userId, attachmentUrls));
+    }
+  } catch (error) {
+    console.error('Error al publicar el mensaje:', error);
+  }
+};
+
+// Función para buscar o crear la conversación de una reserva o la consulta de un huésped
+// sobre una habitación. Devuelve { conversation, created } o { error, status }.
+const findOrCreateConversation = async (req, { roomId, bookingId }) => {
+  let match;
+  let row;
+
+  if (bookingId) {
+    const { data: booking, error } = await req.supabase
+      .from('bookings')
+      .select(`
+        id,
+        user_id,
+        room_id,
+        room:rooms (
+          id,
+          host_id
+        )
+      `)
+      .eq('id', bookingId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!booking || (booking.user_id !== req.user.id && booking.room.host_id !== req.user.id)) {
+      return { status: 404, error: 'Reserva no encontrada' };
+    }
+
+    match = (query) => query.eq('booking_id', booking.id);
+    row = { room_id: booking.room_id, booking_id: booking.id, guest_id: booking.user_id, host_id: booking.room.host_id };
+  } else {
+    const { data: room, error } = await req.supabase
+      .from('rooms')
+      .select('id, host_id, status')
+      .eq('id', roomId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!room || room.status !== 'published') {
+      return { status: 404, error: 'Habitación no encontrada' };
+    }
+
+    if (room.host_id === req.user.id) {
+      return { status: 400, error: 'No puedes enviar una consulta sobre tu propia habitación' };
+    }
+
+    match = (query) => query.eq('room_id', room.id).eq('guest_id', req.user.id).is('booking_id', null);
+    row = { room_id: room.id, booking_id: null, guest_id: req.user.id, host_id: room.host_id };
+  }
+
+  const findExisting = async () => {
+    const { data, error } = await match(req.supabase.from('conversations').select(CONVERSATION_FIELDS)).maybeSingle();
+    if (error) throw error;
+    return data;
+  };
+
+  const existing = await findExisting();
+  if (existing) return { conversation: existing, created: false };
+
+  const { data: inserted, error: insertError } = await supabaseAdmin
+    .from('conversations')
+    .insert([row])
+    .select(CONVERSATION_FIELDS)
+    .single();
+
+  // Otra solicitud creó la conversación al mismo tiempo
+  if (insertError && insertError.code === '23505') {
+    return { conversation: await findExisting(), created: false };
+  }
+  if (insertError) throw insertError;
+
+  return { conversation: inserted, created: true };
+};
+
+// GET /api/conversations?role=guest|host&page=1&limit=20
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const { role, page = 1, limit = 20 } = req.query;
+
+    let query = req.supabase
+      .from('conversations')
+      .select(CONVERSATION_FIELDS, { count: 'exact' })
+      .order('last_message_at', { ascending: false, nullsFirst: false });
+
+    if (role === 'guest') {
+      query = query.eq('guest_id', req.user.id);
+    } else if (role === 'host') {
+      query = query.eq('host_id', req.user.id);
+    } else {
+      query = query.or(`guest_id.eq.${req.user.id},host_id.eq.${req.user.id}`);
+    }
+
+    // Aplicar paginación
+    const from = (page - 1) * limit;
+    const to = from + Number(limit) - 1;
+    query = query.range(from, to);
+
+    const { data: conversations, error, count } = await query;
+
+    if (error) throw error;
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      data: conversations.map(conversation => formatConversation(conversation, req.user.id)),
+      pagination: {
+        total: count,
+        currentPage: parseInt(page),
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener las conversaciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Total de mensajes sin leer del usuario en todas sus conversaciones
+// GET /api/conversations/unread-count
+router.get('/unread-count', authenticateUser, async (req, res) => {
+  try {
+    const { data: conversations, error } = await req.supabase
+      .from('conversations')
+      .select('guest_id, host_id, guest_unread_count, host_unread_count')
+      .or(`guest_id.eq.${req.user.id},host_id.eq.${req.user.id}`)
+      .or('guest_unread_count.gt.0,host_unread_count.gt.0');
+
+    if (error) throw error;
+
+    const counts = conversations
+      .map(conversation => (conversation.guest_id === req.user.id
+        ? conversation.guest_unread_count
+        : conversation.host_unread_count))
+      .filter(count => count > 0);
+
+    res.json({
+      unreadCount: counts.reduce((acc, count) => acc + count, 0),
+      conversations: counts.length
+    });
+  } catch (error) {
+    console.error('Error al obtener los mensajes sin leer:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Iniciar (o retomar) una conversación: consulta sobre una habitación (roomId) o sobre
+// una reserva (bookingId), con un primer mensaje opcional
+// POST /api/conversations
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const { roomId, bookingId, message } = req.body;
+
+    if (!roomId && !bookingId) {
+      return res.status(400).json({ error: 'Se requiere roomId o bookingId' });
+    }
+
+    if (message !== undefined) {
+      const validationError = validateMessage(message);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+    }
+
+    const result = await findOrCreateConversation(req, { roomId, bookingId });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { conversation, created } = result;
+    const firstMessage = message
+      ? await createMessage(req.supabase, conversation, req.user.id, message)
+      : null;
+
+    res.status(created ? 201 : 200).json({
+      ...formatConversation(conversation, req.user.id),
+      message: firstMessage ? formatMessage(firstMessage, req.user.id) : null
+    });
+  } catch (error) {
+    console.error('Error al iniciar la conversación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Conversación con sus mensajes, del más reciente al más antiguo. Para cargar mensajes
+// anteriores se pasa en before la fecha del mensaje más antiguo recibido.
+// GET /api/conversations/:id?before=&limit=50
+router.get('/:id', authenticateUser, loadConversation, async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+    let query = req.supabase
+      .from('messages')
+      .select('*')
+      .eq('conversation_id', req.conversation.id)
+      .order('created_at', { ascending: false })
+      .limit(limit + 1);
+
+    if (before) {
+      if (Number.isNaN(Date.parse(before))) {
+        return res.status(400).json({ error: 'before debe ser una fecha válida' });
+      }
+      query = query.lt('created_at', before);
+    }
+
+    const { data: messages, error } = await query;
+
+    if (error) throw error;
+
+    const page = messages.slice(0, limit);
+    const attachmentUrls = await signAttachmentUrls(req.supabase, page);
+
+    res.json({
+      ...formatConversation(req.conversation, req.user.id),
+      messages: page.map(message => formatMessage(message, req.user.id, attachmentUrls)),
+      hasMore: messages.length > limit
+    });
+  } catch (error) {
+    console.error('Error al obtener los mensajes:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Enviar un mensaje (JSON con message, o multipart con message y hasta 5 adjuntos)
+// POST /api/conversations/:id/messages
+router.post('/:id/messages', authenticateUser, loadConversation, uploadMessageAttachments, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const files = req.files || [];
+
+    const validationError = validateMessage(message, files);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const created = await createMessage(req.supabase, req.conversation, req.user.id, message, files);
+    const attachmentUrls = await signAttachmentUrls(req.supabase, [created]);
+
+    res.status(201).json(formatMessage(created, req.user.id, attachmentUrls));
+  } catch (error) {
+    console.error('Error al enviar el mensaje:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Marcar como leídos los mensajes recibidos en la conversación
+// POST /api/conversations/:id/read
+router.post('/:id/read', authenticateUser, loadConversation, async (req, res) => {
+  try {
+    const readAt = new Date().toISOString();
+
+    const { data: updated, error } = await supabaseAdmin
+      .from('messages')
+      .update({ read_at: readAt })
+      .eq('conversation_id', req.conversation.id)
+      .neq('sender_id', req.user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    // Confirmación de lectura para el otro participante
+    if (updated.length > 0) {
+      const role = getParticipantRole(req.conversation, req.user.id);
+      const otherId = role === 'guest' ? req.conversation.host_id : req.conversation.guest_id;
+      await publish(otherId, 'message.read', {
+        conversationId: req.conversation.id,
+        messageIds: updated.map(message => message.id),
+        readBy: req.user.id,
+        readAt
+      });
+    }
+
+    res.json({ success: true, updated: updated.length, readAt });
+  } catch (error) {
+    console.error('Error al marcar los mensajes como leídos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
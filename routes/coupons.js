@@ -0,0 +1,193 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser } = require('../utils/auth');
+const { requireAdmin } = require('../utils/roles');
+const {
+  toCouponRow,
+  validateCouponData,
+  getCouponUsage,
+  formatCoupon
+} = require('../utils/coupons');
+
+// Todas las rutas de cupones son de administración
+router.use(authenticateUser, requireAdmin);
+
+// Middleware para cargar el cupón de la ruta en req.coupon
+const loadCoupon = async (req, res, next) => {
+  try {
+    const { data: coupon, error } = await req.supabase
+      .from('coupons')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!coupon) {
+      return res.status(404).json({ error: 'Cupón no encontrado' });
+    }
+
+    req.coupon = coupon;
+    next();
+  } catch (error) {
+    console.error('Error al obtener el cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// GET /api/coupons
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    let query = req.supabase
+      .from('coupons')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (active !== undefined) {
+      query = query.eq('active', active === 'true');
+    }
+
+    const { data: coupons, error } = await query;
+
+    if (error) throw error;
+
+    res.json({ data: coupons.map(formatCoupon) });
+  } catch (error) {
+    console.error('Error al obtener cupones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/coupons
+router.post('/', async (req, res) => {
+  try {
+    const values = {
+      max_redemptions_per_user: 1,
+      active: true,
+      ...toCouponRow(req.body)
+    };
+    const errors = validateCouponData(values);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Datos del cupón no válidos', details: errors });
+    }
+
+    const { data: coupon, error } = await req.supabase
+      .from('coupons')
+      .insert([{ ...values, created_by: req.user.id }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Ya existe un cupón con ese código' });
+      }
+      throw error;
+    }
+
+    res.status(201).json(formatCoupon(coupon));
+  } catch (error) {
+    console.error('Error al crear el cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/coupons/:id
+router.get('/:id', loadCoupon, async (req, res) => {
+  try {
+    const usage = await getCouponUsage(req.supabase, req.coupon.id);
+
+    res.json({
+      ...formatCoupon(req.coupon),
+      redemptions: usage.total
+    });
+  } catch (error) {
+    console.error('Error al obtener el cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/coupons/:id
+router.patch('/:id', loadCoupon, async (req, res) => {
+  try {
+    // El código identifica los usos ya registrados, así que no se cambia
+    const { code, ...changes } = toCouponRow(req.body);
+    if (code !== undefined && code !== req.coupon.code) {
+      return res.status(400).json({ error: 'El código de un cupón no se puede modificar' });
+    }
+
+    const errors = validateCouponData({ ...req.coupon, ...changes });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Datos del cupón no válidos', details: errors });
+    }
+
+    const { data: coupon, error } = await req.supabase
+      .from('coupons')
+      .update({ ...changes, updated_at: new Date().toISOString() })
+      .eq('id', req.coupon.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(formatCoupon(coupon));
+  } catch (error) {
+    console.error('Error al actualizar el cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/coupons/:id
+router.delete('/:id', loadCoupon, async (req, res) => {
+  try {
+    // Un cupón usado se conserva para el historial; se puede desactivar con PATCH
+    const usage = await getCouponUsage(req.supabase, req.coupon.id);
+    if (usage.total > 0) {
+      return res.status(409).json({ error: 'El cupón ya fue usado; desactívalo en lugar de eliminarlo' });
+    }
+
+    const { error } = await req.supabase
+      .from('coupons')
+      .delete()
+      .eq('id', req.coupon.id);
+
+    if (error) throw error;
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar el cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/coupons/:id/redemptions
+router.get('/:id/redemptions', loadCoupon, async (req, res) => {
+  try {
+    const { data: redemptions, error } = await req.supabase
+      .from('coupon_redemptions')
+      .select('*')
+      .eq('coupon_id', req.coupon.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({
+      data: redemptions.map(redemption => ({
+        id: redemption.id,
+        userId: redemption.user_id,
+        bookingId: redemption.booking_id,
+        sessionId: redemption.session_id,
+        discountAmount: Number(redemption.discount_amount),
+        createdAt: redemption.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener los usos del cupón:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
\ No newline at end of file
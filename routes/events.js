@@ -0,0 +1,125 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, authenticateCron } = require('../utils/auth');
+const {
+  EVENT_TYPES,
+  writeEvent,
+  subscribe,
+  createTicket,
+  redeemTicket,
+  pruneEvents
+} = require('../utils/realtime');
+
+// Intervalo del comentario que mantiene viva la conexión a través de proxies
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Función para obtener la fecha de expiración (exp) del token de acceso
+const getTokenExpiration = (token) => {
+  try {
+    const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Middleware para autenticar el canal. EventSource no permite enviar encabezados, así que
+// el navegador abre la conexión con un ticket de un solo uso (POST /api/events/ticket); los
+// demás clientes pueden usar el encabezado Authorization.
+const authenticateStream = async (req, res, next) => {
+  if (!req.query.ticket) {
+    return authenticateUser(req, res, () => {
+      req.sessionExpiresAt = getTokenExpiration(req.token);
+      next();
+    });
+  }
+
+  try {
+    const ticket = await redeemTicket(String(req.query.ticket));
+    if (!ticket) {
+      return res.status(401).json({ error: 'Ticket inválido, usado o expirado' });
+    }
+
+    req.user = { id: ticket.userId };
+    req.sessionExpiresAt = ticket.sessionExpiresAt ? new Date(ticket.sessionExpiresAt).getTime() : null;
+    next();
+  } catch (error) {
+    console.error('Error al canjear el ticket de eventos:', error);
+    res.status(500).json({ error: 'Error de autenticación' });
+  }
+};
+
+// Emitir un ticket para abrir el canal de eventos; vence en un minuto y se usa una vez
+// POST /api/events/ticket
+router.post('/ticket', authenticateUser, async (req, res) => {
+  try {
+    const ticket = await createTicket(req.user.id, { sessionExpiresAt: getTokenExpiration(req.token) });
+    res.status(201).json(ticket);
+  } catch (error) {
+    console.error('Error al emitir el ticket de eventos:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Canal de eventos del usuario (Server-Sent Events): payment.confirmed,
+// booking.status_changed, message.created, message.read y notification.created.
+// types limita los eventos recibidos. Al reconectarse, EventSource envía Last-Event-ID y se
+// reenvían los eventos posteriores (también se acepta el parámetro lastEventId); cada
+// reconexión necesita un ticket nuevo. La conexión se cierra al expirar la sesión del
+// usuario para que el cliente se reconecte con una renovada.
+// GET /api/events?ticket=...&types=payment,booking,message,notification
+router.get('/', authenticateStream, (req, res) => {
+  const types = req.query.types
+    ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+    : EVENT_TYPES;
+
+  const invalid = types.filter(type => !EVENT_TYPES.includes(type));
+  if (invalid.length > 0 || types.length === 0) {
+    return res.status(400).json({ error: `types debe contener: ${EVENT_TYPES.join(', ')}` });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Tiempo de espera sugerido al cliente antes de reconectarse
+  res.write('retry: 5000\n\n');
+  writeEvent(res, { event: 'ready', data: { userId: req.user.id, types } });
+
+  const lastEventId = req.headers['last-event-id'] || req.query.lastEventId || null;
+  const unsubscribe = subscribe(req.user.id, res, types, { lastEventId });
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL);
+
+  const expiresAt = req.sessionExpiresAt;
+  const expiration = expiresAt
+    ? setTimeout(() => {
+        writeEvent(res, { event: 'token_expired', data: { expiresAt: new Date(expiresAt).toISOString() } });
+        res.end();
+      }, Math.min(Math.max(expiresAt - Date.now(), 0), 2147483647))
+    : null;
+
+  // La respuesta también se cierra si falla el canal de Supabase Realtime
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    if (expiration) clearTimeout(expiration);
+    unsubscribe();
+  });
+});
+
+// GET /api/events/cron/prune
+// Borra los eventos en tiempo real que ya pasaron el periodo de retención
+router.get('/cron/prune', authenticateCron, async (req, res) => {
+  try {
+    const summary = await pruneEvents();
+    res.json(summary);
+  } catch (error) {
+    console.error('Error al limpiar los eventos en tiempo real:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
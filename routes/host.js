@@ -0,0 +1,192 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser } = require('../utils/auth');
+const {
+  HOST_COMMISSION_RATE,
+  EARNINGS_GROUPS,
+  summarizeEarnings,
+  getHostEarnings,
+  formatPayout
+} = require('../utils/payouts');
+const { getPayoutProvider } = require('../utils/payoutProviders');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
+
+const payoutProvider = getPayoutProvider();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Función para obtener la cuenta de pagos del usuario autenticado
+const getPayoutUser = async (req) => {
+  const { data: user, error } = await req.supabase
+    .from('users')
+    .select('id, email, payout_account_id, payouts_enabled')
+    .eq('id', req.user.id)
+    .single();
+
+  if (error) throw error;
+  return user;
+};
+
+// GET /api/host/earnings
+// Ganancias de las reservas completadas agrupadas por día, semana, mes o año de salida
+router.get('/earnings', authenticateUser, async (req, res) => {
+  try {
+    const { groupBy = 'month' } = req.query;
+
+    if (!EARNINGS_GROUPS.includes(groupBy)) {
+      return res.status(400).json({ error: `groupBy no válido. Use uno de: ${EARNINGS_GROUPS.join(', ')}` });
+    }
+
+    // Por defecto, los últimos doce meses
+    const today = new Date().toISOString().slice(0, 10);
+    const defaultFrom = new Date();
+    defaultFrom.setUTCFullYear(defaultFrom.getUTCFullYear() - 1);
+
+    const from = req.query.from || defaultFrom.toISOString().slice(0, 10);
+    const to = req.query.to || today;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+      return res.status(400).json({ error: 'from y to deben ser fechas YYYY-MM-DD y from no puede ser posterior a to' });
+    }
+
+    const earnings = await getHostEarnings(req.supabase, req.user.id, { from, to });
+    const { totals, periods } = summarizeEarnings(earnings, { groupBy });
+
+    res.json({
+      currency: 'MXN',
+      commissionRate: HOST_COMMISSION_RATE,
+      groupBy,
+      from,
+      to,
+      totals,
+      periods,
+      bookings: earnings
+    });
+  } catch (error) {
+    console.error('Error al obtener las ganancias del anfitrión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/host/payouts
+router.get('/payouts', authenticateUser, async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    let query = req.supabase
+      .from('host_payouts')
+      .select(`
+        *,
+        host_payout_items (
+          booking_id,
+          amount
+        )
+      `, { count: 'exact' })
+      .eq('host_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    // Aplicar paginación
+    const from = (page - 1) * limit;
+    const to = from + Number(limit) - 1;
+    query = query.range(from, to);
+
+    const { data: payouts, error, count } = await query;
+
+    if (error) throw error;
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      data: payouts.map(formatPayout),
+      pagination: {
+        total: count,
+        currentPage: parseInt(page),
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener los pagos del anfitrión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/host/payout-account
+router.get('/payout-account', authenticateUser, async (req, res) => {
+  try {
+    const user = await getPayoutUser(req);
+
+    if (!user.payout_account_id) {
+      return res.json({ connected: false, payoutsEnabled: false });
+    }
+
+    // Actualizar el estado con el del proveedor (el alta se completa fuera de la aplicación)
+    const account = await payoutProvider.retrieveAccount(user.payout_account_id);
+
+    // La cuenta de pagos solo se escribe desde el servidor (ver protect_user_payout_columns)
+    if (account.payoutsEnabled !== user.payouts_enabled) {
+      const { error } = await supabaseAdmin
+        .from('users')
+        .update({ payouts_enabled: account.payoutsEnabled })
+        .eq('id', user.id);
+
+      if (error) throw error;
+    }
+
+    res.json({
+      connected: true,
+      accountId: account.id,
+      payoutsEnabled: account.payoutsEnabled,
+      detailsSubmitted: account.detailsSubmitted,
+      requirements: account.requirements
+    });
+  } catch (error) {
+    console.error('Error al obtener la cuenta de pagos:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/host/payout-account
+// Crea la cuenta conectada (si no existe) y devuelve el enlace para completar el alta
+router.post('/payout-account', authenticateUser, async (req, res) => {
+  try {
+    const { refreshUrl, returnUrl } = req.body;
+    const user = await getPayoutUser(req);
+
+    let accountId = user.payout_account_id;
+
+    if (!accountId) {
+      const account = await payoutProvider.createAccount({ email: user.email, hostId: user.id });
+      accountId = account.id;
+
+      const { error } = await supabaseAdmin
+        .from('users')
+        .update({ payout_account_id: accountId, payouts_enabled: account.payoutsEnabled })
+        .eq('id', user.id);
+
+      if (error) throw error;
+    }
+
+    const defaultUrl = process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/host/payouts` : null;
+    const link = await payoutProvider.createOnboardingLink({
+      accountId,
+      refreshUrl: refreshUrl || defaultUrl,
+      returnUrl: returnUrl || defaultUrl
+    });
+
+    res.status(user.payout_account_id ? 200 : 201).json({
+      accountId,
+      onboardingUrl: link.url,
+      expiresAt: link.expiresAt
+    });
+  } catch (error) {
+    console.error('Error al crear la cuenta de pagos:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
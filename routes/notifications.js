@@ -0,0 +1,99 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser } = require('../utils/auth');
+const { formatNotification } = require('../utils/notifications');
+
+// GET /api/notifications
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    let query = req.supabase
+      .from('notifications')
+      .select('*', { count: 'exact' })
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (unread === 'true') {
+      query = query.is('read_at', null);
+    }
+
+    // Aplicar paginación
+    const from = (page - 1) * limit;
+    const to = from + Number(limit) - 1;
+    query = query.range(from, to);
+
+    const { data: notifications, error, count } = await query;
+
+    if (error) throw error;
+
+    const { count: unreadCount, error: unreadError } = await req.supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .is('read_at', null);
+
+    if (unreadError) throw unreadError;
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      data: notifications.map(formatNotification),
+      unreadCount,
+      pagination: {
+        total: count,
+        currentPage: parseInt(page),
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener notificaciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/notifications/read-all
+router.post('/read-all', authenticateUser, async (req, res) => {
+  try {
+    const { data: updated, error } = await req.supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw error;
+
+    res.json({ success: true, updated: updated.length });
+  } catch (error) {
+    console.error('Error al marcar las notificaciones como leídas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/notifications/:id/read
+router.patch('/:id/read', authenticateUser, async (req, res) => {
+  try {
+    const { data: notification, error } = await req.supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+
+    res.json(formatNotification(notification));
+  } catch (error) {
+    console.error('Error al marcar la notificación como leída:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
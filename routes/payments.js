@@ -1,7 +1,63 @@
 const express = require('express');
 const router = express.Router();
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { createClient } = require('@supabase/supabase-js');
+const { checkAvailability } = require('../utils/availability');
+const {
+    placeHold,
+    attachHoldSession,
+    getHoldBySession,
+    releaseHold,
+    insertBooking,
+    getHoldExpiration,
+    expirePendingBookings
+} = require('../utils/reservations');
+const { recordTransition, transitionBooking } = require('../utils/bookingLifecycle');
+const { applyAmendment, updateAmendment, retryAmendmentRefunds } = require('../utils/amendments');
+const { calculateBookingPrice, applyCoupon, toStripeLineItems } = require('../utils/pricing');
+const { roundMoney } = require('../utils/money');
+const {
+    applyCouponCode,
+    reserveRedemption,
+    attachRedemptionSession,
+    releaseRedemption,
+    recordRedemption
+} = require('../utils/coupons');
+const { requireAdmin } = require('../utils/roles');
+const { authenticateCron } = require('../utils/auth');
+const { getPaymentProvider } = require('../utils/paymentProviders');
+const {
+    getPaymentSchedule,
+    toScheduleMetadata,
+    getScheduleColumns,
+    toDepositLineItems,
+    recordBalancePayment,
+    processDueBalances
+} = require('../utils/deposits');
+const { retryCancellationRefunds } = require('../utils/cancellation');
+const { notifyUser } = require('../utils/notifications');
+const { queueInvoiceWhenPaid, issueDueInvoices } = require('../utils/invoices');
+const { sendPendingConfirmations } = require('../utils/bookingEmails');
+const { publish } = require('../utils/realtime');
+const { runHostPayouts } = require('../utils/payouts');
+const { getPayoutProvider } = require('../utils/payoutProviders');
+const {
+    recordLedgerEntry,
+    recordBookingCharge,
+    recordRefundEntry,
+    getChargeEntry,
+    summarizeLedger,
+    formatLedgerEntry
+} = require('../utils/ledger');
+const {
+    recordWebhookEvent,
+    claimWebhookEvent,
+    markWebhookEventProcessed,
+    markWebhookEventFailed,
+    getWebhookEvent,
+    listWebhookEvents,
+    formatWebhookEvent
+} = require('../utils/webhookEvents');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
 
 // Configuración de Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -15,42 +71,182 @@ if (!supabaseUrl || !supabaseKey) {
 }
 
 // Inicialización de Supabase con opciones específicas
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    persistSession: false,
-    autoRefreshToken: false,
-    detectSessionInUrl: false
-  }
-});
+const paymentProvider = getPaymentProvider();
+const payoutProvider = getPayoutProvider();
+
+// El webhook y las tareas programadas no tienen sesión de usuario: usan el cliente de
+// servicio para escribir reservas, movimientos y eventos
+const supabase = supabaseAdmin;
+
+// Middleware para verificar autenticación
+const authenticateUser = async (req, res, next) => {
+    try {
+        const authHeader = req.headers.authorization;
+        if (!authHeader) {
+            return res.status(401).json({ error: 'No se proporcionó token de autenticación' });
+        }
+
+        const token = authHeader.split(' ')[1];
+
+        const userSupabase = createClient(supabaseUrl, supabaseKey, {
+            auth: {
+                persistSession: false,
+                autoRefreshToken: false,
+                detectSessionInUrl: false
+            },
+            global: {
+                headers: {
+                    Authorization: `Bearer ${token}`
+                }
+            }
+        });
+
+        const { data: { user }, error } = await userSupabase.auth.getUser();
+
+        if (error || !user) {
+            return res.status(401).json({ error: 'Token inválido o expirado' });
+        }
+
+        req.user = user;
+        req.supabase = userSupabase;
+        next();
+    } catch (error) {
+        console.error('Error de autenticación:', error);
+        res.status(500).json({ error: 'Error de autenticación' });
+    }
+};
 
 // URLs por defecto
 const DEFAULT_FRONTEND_URL = 'https://app-rooms-git-main-alejandromgos-projects.vercel.app/';  // URL de producción sin git-main
 const DEFAULT_API_URL = 'https://api-rooms-node.vercel.app/api';   // URL de producción sin git-main
 
-// Crear una sesión de Checkout
-router.post('/create-checkout-session', async (req, res) => {
+// Crear una sesión de Checkout. El monto se calcula en el servidor a partir de la
+// habitación, las fechas y los huéspedes; el cliente no envía precios.
+router.post('/create-checkout-session', authenticateUser, async (req, res) => {
+    let hold = null;
+    let redemptionId = null;
+
     try {
-        const { 
-            amount, 
-            currency = 'mxn', 
-            successUrl, 
-            cancelUrl,
-            roomDetails = {
-                name: 'Habitación Estándar',
-                checkIn: '2024-04-10',
-                checkOut: '2024-04-12',
-                guests: 2
+        const { bookingId, successUrl, cancelUrl, couponCode, payInFull } = req.body;
+        let { roomId, checkIn, checkOut } = req.body;
+        let guests = req.body.guests === undefined ? 1 : Number(req.body.guests);
+        let booking = null;
+
+        // Pagar una reserva pendiente creada con POST /api/bookings
+        if (bookingId) {
+            const { data: pendingBooking, error: bookingError } = await req.supabase
+                .from('bookings')
+                .select('*')
+                .eq('id', bookingId)
+                .eq('user_id', req.user.id)
+                .maybeSingle();
+
+            if (bookingError) throw bookingError;
+
+            if (!pendingBooking) {
+                return res.status(404).json({ error: 'Reserva no encontrada' });
             }
-        } = req.body;
 
-        // Validar que amount sea un número válido
-        if (!amount || isNaN(amount) || amount <= 0) {
+            if (pendingBooking.status !== 'pending_payment') {
+                return res.status(409).json({ error: 'La reserva no está pendiente de pago' });
+            }
+
+            if (pendingBooking.payment_expires_at && new Date(pendingBooking.payment_expires_at) <= new Date()) {
+                return res.status(409).json({ error: 'El plazo para pagar la reserva venció' });
+            }
+
+            booking = pendingBooking;
+            roomId = booking.room_id;
+            checkIn = booking.start_date;
+            checkOut = booking.end_date;
+            guests = booking.guests || 1;
+        }
+
+        if (!roomId || !checkIn || !checkOut) {
             return res.status(400).json({ 
-                error: 'El monto debe ser un número válido mayor a 0',
-                receivedAmount: amount
+                error: 'Se requieren roomId, checkIn y checkOut'
+            });
+        }
+
+        if (!Number.isInteger(guests) || guests < 1) {
+            return res.status(400).json({ error: 'El número de huéspedes debe ser un entero mayor a 0' });
+        }
+
+        const { data: room, error: roomError } = await supabase
+            .from('rooms')
+            .select(`
+                id,
+                title,
+                price,
+                cleaning_fee,
+                location,
+                status,
+                capacity,
+                min_nights,
+                max_nights,
+                check_in_days,
+                check_out_days,
+                room_pricing_rules (*),
+                room_images (
+                    url,
+                    is_primary
+                )
+            `)
+            .eq('id', roomId)
+            .single();
+
+        if (roomError || !room || room.status !== 'published') {
+            return res.status(404).json({ error: 'Habitación no encontrada' });
+        }
+
+        if (room.capacity && guests > room.capacity) {
+            return res.status(400).json({ error: `La habitación admite como máximo ${room.capacity} huéspedes` });
+        }
+
+        // Calcular el monto en el servidor; una reserva pendiente conserva el desglose con el
+        // que se creó. El cupón (nuevo o el guardado en la reserva) se vuelve a validar.
+        const storedQuote = booking && booking.price_breakdown;
+        const code = couponCode || (storedQuote && storedQuote.discount ? storedQuote.discount.code : null);
+        const quote = await applyCouponCode(
+            supabase,
+            storedQuote
+                ? applyCoupon(storedQuote, null)
+                : calculateBookingPrice(room, { startDate: checkIn, endDate: checkOut, guests }),
+            { couponCode: code, userSupabase: req.supabase, bookingId: booking ? booking.id : null, room }
+        );
+        const { nights, total } = quote;
+
+        // Las estancias largas o costosas se pagan con anticipo y el saldo se cobra después
+        const schedule = getPaymentSchedule(quote, { startDate: checkIn, payInFull: Boolean(payInFull) });
+
+        // Las reservas pendientes ya ocupan sus fechas y su plazo se extiende con la nueva
+        // sesión; las nuevas se retienen
+        const paymentExpiresAt = booking ? getHoldExpiration().toISOString() : undefined;
+        if (!booking) {
+            const availability = await checkAvailability(supabase, room, checkIn, checkOut);
+            if (!availability.available) {
+                return res.status(availability.status).json({ error: availability.reason });
+            }
+
+            hold = await placeHold(supabase, {
+                roomId: room.id,
+                userId: req.user.id,
+                startDate: checkIn,
+                endDate: checkOut
             });
+
+            if (!hold) {
+                return res.status(409).json({ error: 'La habitación ya no está disponible en esas fechas' });
+            }
         }
 
+        // El uso del cupón queda apartado mientras la sesión está vigente
+        redemptionId = await reserveRedemption(req.supabase, {
+            quote,
+            bookingId: booking ? booking.id : null,
+            expiresAt: hold ? hold.expires_at : paymentExpiresAt
+        });
+
         // URLs por defecto si no se proporcionan
         const defaultSuccessUrl = process.env.APP_TYPE === 'tauri' 
             ? `api-rooms://payment-handler/{CHECKOUT_SESSION_ID}`
@@ -59,7 +255,7 @@ router.post('/create-checkout-session', async (req, res) => {
               `${DEFAULT_FRONTEND_URL}/payment-handler/{CHECKOUT_SESSION_ID}`);
             
         const defaultCancelUrl = process.env.APP_TYPE === 'tauri'
-            ? `api-rooms://confirm-booking-view/${roomDetails.roomId}`
+            ? `api-rooms://confirm-booking-view/${room.id}`
             : cancelUrl || 
               (process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/payment-handler/cancel` : 
               `${DEFAULT_FRONTEND_URL}/payment-handler/cancel`);
@@ -68,46 +264,99 @@ router.post('/create-checkout-session', async (req, res) => {
         const cleanSuccessUrl = defaultSuccessUrl.split('?')[0];
         const cleanCancelUrl = defaultCancelUrl.split('?')[0];
 
-        console.log('URL de éxito configurada:', cleanSuccessUrl);
+        const primaryImage = room.room_images.find(img => img.is_primary) || room.room_images[0];
 
-        const session = await stripe.checkout.sessions.create({
-            payment_method_types: ['card'],
-            line_items: [
-                {
-                    price_data: {
-                        currency: currency,
-                        product_data: {
-                            name: roomDetails.name,
-                            description: `Check-in: ${roomDetails.checkIn}\nCheck-out: ${roomDetails.checkOut}\nHuéspedes: ${roomDetails.guests}`,
-                            images: ['https://images.unsplash.com/photo-1566665797739-1674de7a421a?ixlib=rb-4.0.3'],
-                        },
-                        unit_amount: Math.round(amount * 100),
-                    },
-                    quantity: 1,
-                },
-            ],
-            mode: 'payment',
+        const metadata = {
+            room_id: room.id,
+            user_id: req.user.id,
+            check_in: checkIn,
+            check_out: checkOut,
+            guests: guests,
+            nights: nights,
             success_url: cleanSuccessUrl,
-            cancel_url: cleanCancelUrl,
-            locale: 'es',
-            customer_email: req.body.email,
-            metadata: {
-                room_id: roomDetails.roomId,
-                check_in: roomDetails.checkIn,
-                check_out: roomDetails.checkOut,
-                guests: roomDetails.guests,
-                success_url: cleanSuccessUrl
-            }
+            ...toScheduleMetadata(schedule)
+        };
+        if (booking) metadata.booking_id = booking.id;
+        if (hold) metadata.hold_id = hold.id;
+        if (quote.discount) metadata.coupon_code = quote.discount.code;
+
+        const product = {
+            name: room.title,
+            description: `Check-in: ${checkIn}\nCheck-out: ${checkOut}\nHuéspedes: ${guests}`,
+            images: primaryImage ? [primaryImage.url] : []
+        };
+
+        const session = await paymentProvider.createCheckoutSession({
+            lineItems: schedule.type === 'deposit'
+                ? toDepositLineItems(quote, schedule, product)
+                : toStripeLineItems(quote, product),
+            successUrl: cleanSuccessUrl,
+            cancelUrl: cleanCancelUrl,
+            customerEmail: req.user.email,
+            metadata,
+            // Los eventos del PaymentIntent (cobros rechazados) llevan los mismos metadatos
+            paymentIntentMetadata: metadata,
+            // Con anticipo la tarjeta se guarda para cobrar el saldo
+            savePaymentMethod: schedule.type === 'deposit',
+            // La sesión expira junto con la retención (o el plazo de la reserva pendiente)
+            // para liberar las fechas
+            expiresAt: hold ? hold.expires_at : paymentExpiresAt
         });
 
+        if (redemptionId) {
+            await attachRedemptionSession(supabase, redemptionId, session.id);
+        }
+
+        if (hold) {
+            await attachHoldSession(supabase, hold.id, session.id, { priceBreakdown: quote });
+        } else {
+            // El cupón puede haber cambiado el monto de la reserva pendiente
+            const { error: sessionError } = await req.supabase
+                .from('bookings')
+                .update({
+                    payment_session_id: session.id,
+                    payment_expires_at: paymentExpiresAt,
+                    price: total,
+                    price_breakdown: quote
+                })
+                .eq('id', booking.id);
+
+            if (sessionError) throw sessionError;
+        }
+
         console.log('URL de éxito configurada:', cleanSuccessUrl);
-        console.log('URL de éxito en la sesión:', session.success_url);
         console.log('URL de cancelación configurada:', cleanCancelUrl);
-        console.log('URL de cancelación en la sesión:', session.cancel_url);
 
-        res.json({ url: session.url });
+        res.json({
+            url: session.url,
+            sessionId: session.id,
+            amount: total,
+            amountDueNow: schedule.dueNow,
+            currency: 'mxn',
+            nights,
+            breakdown: quote,
+            paymentSchedule: schedule
+        });
     } catch (error) {
         console.error('Error al crear la sesión de checkout:', error);
+
+        if (hold) {
+            await releaseHold(supabase, { holdId: hold.id }).catch(releaseError => {
+                console.error('Error al liberar la retención:', releaseError);
+            });
+        }
+
+        if (redemptionId) {
+            await releaseRedemption(supabase, { redemptionId }).catch(releaseError => {
+                console.error('Error al liberar el uso del cupón:', releaseError);
+            });
+        }
+
+        // Los errores de validación (por ejemplo, un cupón que no aplica) llevan su código HTTP
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+
         res.status(500).json({ 
             error: 'Error al procesar el pago',
             details: error.message
@@ -115,10 +364,78 @@ router.post('/create-checkout-session', async (req, res) => {
     }
 });
 
+// GET /api/payments/history
+router.get('/history', authenticateUser, async (req, res) => {
+    try {
+        const { type, page = 1, limit = 20 } = req.query;
+        const from = (Number(page) - 1) * Number(limit);
+
+        let query = req.supabase
+            .from('payment_ledger')
+            .select(`
+                *,
+                booking:bookings (
+                    id,
+                    start_date,
+                    end_date,
+                    status,
+                    room:rooms (
+                        id,
+                        title
+                    )
+                )
+            `, { count: 'exact' })
+            .eq('user_id', req.user.id)
+            .order('occurred_at', { ascending: false })
+            .range(from, from + Number(limit) - 1);
+
+        if (type) {
+            query = query.eq('entry_type', type);
+        }
+
+        const { data: entries, error, count } = await query;
+
+        if (error) throw error;
+
+        // Totales de todo el historial, no solo de la página
+        const { data: allEntries, error: totalsError } = await req.supabase
+            .from('payment_ledger')
+            .select('entry_type, amount, status, reference, metadata, created_at')
+            .eq('user_id', req.user.id);
+
+        if (totalsError) throw totalsError;
+
+        res.json({
+            summary: summarizeLedger(allEntries),
+            data: entries.map(entry => ({
+                ...formatLedgerEntry(entry),
+                booking: entry.booking
+                    ? {
+                        id: entry.booking.id,
+                        startDate: entry.booking.start_date,
+                        endDate: entry.booking.end_date,
+                        status: entry.booking.status,
+                        roomId: entry.booking.room ? entry.booking.room.id : null,
+                        roomName: entry.booking.room ? entry.booking.room.title : null
+                    }
+                    : null
+            })),
+            pagination: {
+                total: count || 0,
+                currentPage: Number(page),
+                totalPages: Math.ceil((count || 0) / Number(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error al obtener el historial de pagos:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
 // Ruta para verificar el estado del pago
 router.get('/check-session/:sessionId', async (req, res) => {
     try {
-        const session = await stripe.checkout.sessions.retrieve(req.params.sessionId);
+        const session = await paymentProvider.retrieveCheckoutSession(req.params.sessionId);
         res.json({
             status: session.payment_status,
             customer: session.customer,
@@ -134,126 +451,915 @@ router.get('/check-session/:sessionId', async (req, res) => {
     }
 });
 
-// Webhook para manejar eventos de Stripe
+// Función para obtener la modificación pagada con una sesión de Checkout
+const getSessionAmendment = async (session) => {
+    const { data: amendment, error } = await supabase
+        .from('booking_amendments')
+        .select('*')
+        .eq('id', session.metadata.amendment_id)
+        .maybeSingle();
+
+    if (error) throw error;
+
+    if (!amendment) {
+        throw new Error(`Modificación no encontrada: ${session.metadata.amendment_id}`);
+    }
+    return amendment;
+};
+
+// Función para obtener la reserva asociada a una sesión de Checkout: la reserva
+// pendiente indicada en los metadatos o la que ya se creó con esta sesión
+const getSessionBooking = async (session) => {
+    let query = supabase.from('bookings').select('*');
+
+    query = session.metadata && session.metadata.booking_id
+        ? query.eq('id', session.metadata.booking_id)
+        : query.eq('payment_session_id', session.id);
+
+    const { data: booking, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    return booking;
+};
+
+// Función para obtener la reserva cobrada con un PaymentIntent
+const getPaymentIntentBooking = async (paymentIntentId, metadata = {}) => {
+    let query = supabase.from('bookings').select('*');
+
+    query = metadata.booking_id
+        ? query.eq('id', metadata.booking_id)
+        : query.eq('payment_intent_id', paymentIntentId);
+
+    const { data: booking, error } = await query.maybeSingle();
+
+    if (error) throw error;
+    return booking;
+};
+
+// Función para obtener el total de la reserva pagada (o con anticipo) en una sesión
+const getSessionBookingTotal = (session) => {
+    const paid = session.amount_total / 100;
+    return session.metadata.payment_schedule === 'deposit'
+        ? roundMoney(paid + Number(session.metadata.balance_amount))
+        : paid;
+};
+
+// Función para guardar la tarjeta con la que se pagó el anticipo y avisar al huésped
+// cuándo se cobrará el saldo. Sin tarjeta guardada el cobro automático fallará y el
+// huésped podrá pagar el saldo desde la aplicación.
+const saveDepositPaymentMethod = async (session, booking) => {
+    if (session.metadata.payment_schedule !== 'deposit') {
+        return;
+    }
+
+    try {
+        const { customerId, paymentMethodId } = await paymentProvider.getSavedPaymentMethod(session.payment_intent);
+
+        const { error } = await supabase
+            .from('bookings')
+            .update({
+                payment_customer_id: customerId,
+                payment_method_id: paymentMethodId
+            })
+            .eq('id', booking.id);
+
+        if (error) throw error;
+    } catch (error) {
+        console.error('Error al guardar el método de pago del anticipo:', error);
+    }
+
+    await notifyUser(supabase, {
+        userId: booking.user_id,
+        type: 'balance_scheduled',
+        title: 'Anticipo recibido',
+        message: `Recibimos tu anticipo. El saldo de $${Number(session.metadata.balance_amount).toFixed(2)} MXN ` +
+            `se cobrará el ${session.metadata.balance_due_date} con la misma tarjeta.`,
+        bookingId: booking.id,
+        data: {
+            balanceAmount: Number(session.metadata.balance_amount),
+            balanceDueDate: session.metadata.balance_due_date
+        }
+    });
+};
+
+// Función para registrar el pago del saldo hecho por el huésped con Checkout
+const confirmBalanceSession = async (session) => {
+    const booking = await getSessionBooking(session);
+    if (!booking) {
+        throw new Error(`Reserva no encontrada: ${session.metadata.booking_id}`);
+    }
+
+    // Evento reprocesado: el saldo ya se registró con este mismo cobro
+    if (booking.balance_payment_intent_id === session.payment_intent) {
+        return;
+    }
+
+    // El cobro automático se adelantó o la reserva se canceló mientras se pagaba
+    if (booking.balance_status === 'paid' || booking.status !== 'confirmed') {
+        console.error('El saldo ya no está pendiente, reembolsando:', booking.id);
+        await paymentProvider.createRefund({
+            paymentIntent: session.payment_intent,
+            reason: 'duplicate',
+            metadata: { booking_id: booking.id }
+        });
+        return;
+    }
+
+    const updated = await recordBalancePayment(supabase, booking, {
+        paymentIntentId: session.payment_intent,
+        amount: session.amount_total / 100
+    });
+
+    await publishPaymentConfirmed(session, updated);
+};
+
+// Función para crear la reserva de una sesión pagada (o en espera de un pago asíncrono).
+// Devuelve la reserva creada o null si las fechas se ocuparon mientras se pagaba.
+const createSessionBooking = async (session, { paid }) => {
+    const { room_id, check_in, check_out, guests, user_id } = session.metadata;
+
+    // Las sesiones nuevas incluyen el usuario; las anteriores se buscan por email
+    let userData = user_id ? { id: user_id } : null;
+
+    if (!userData) {
+        const { data: userByEmail, error: userError } = await supabase
+            .from('users')
+            .select('id')
+            .eq('email', session.customer_email)
+            .single();
+
+        if (userError) {
+            console.error('Error al obtener usuario:', userError);
+            throw userError;
+        }
+
+        userData = userByEmail;
+    }
+
+    // Desglose calculado al crear la sesión
+    const hold = await getHoldBySession(supabase, session.id);
+
+    // Crear la reservación en la base de datos; la restricción de
+    // solapamiento garantiza que no se guarden reservas cruzadas
+    const { booking, conflict } = await insertBooking(supabase, {
+        user_id: userData.id,
+        room_id: room_id,
+        start_date: check_in,
+        end_date: check_out,
+        guests: parseInt(guests),
+        // Convertir de centavos a la unidad monetaria; con anticipo el precio incluye el saldo
+        price: getSessionBookingTotal(session),
+        price_breakdown: hold ? hold.price_breakdown : null,
+        ...getScheduleColumns(session.metadata),
+        status: paid ? 'confirmed' : 'pending_payment',
+        confirmed_at: paid ? new Date().toISOString() : null,
+        payment_session_id: session.id,
+        payment_intent_id: session.payment_intent,
+        payment_status: paid ? 'paid' : 'processing'
+    }, `
+            *,
+            room:rooms (
+                id,
+                title,
+                room_images (
+                    url,
+                    is_primary
+                )
+            )
+        `);
+
+    // La retención ya cumplió su función
+    await releaseHold(supabase, { sessionId: session.id });
+
+    if (conflict) {
+        return null;
+    }
+
+    await recordTransition(supabase, {
+        bookingId: booking.id,
+        from: null,
+        to: booking.status,
+        actorRole: 'system',
+        reason: paid ? 'Pago confirmado por Stripe' : 'Pago en proceso en Stripe',
+        metadata: { session_id: session.id }
+    });
+
+    // Actualizar contador de reservas en user_stats
+    const { error: statsError } = await supabase
+        .from('user_stats')
+        .update({ bookings: supabase.raw('bookings + 1') })
+        .eq('user_id', userData.id);
+
+    if (statsError) {
+        console.error('Error al actualizar estadísticas:', statsError);
+    }
+
+    console.log('Reservación creada exitosamente:', {
+        id: booking.id,
+        roomId: booking.room_id,
+        roomName: booking.room.title,
+        roomImage: booking.room.room_images.find(img => img.is_primary)?.url || 
+                  (booking.room.room_images[0]?.url || null),
+        startDate: booking.start_date,
+        endDate: booking.end_date,
+        price: booking.price,
+        status: booking.status,
+        createdAt: booking.created_at
+    });
+
+    return booking;
+};
+
+// Función para avisar al huésped por el canal en tiempo real que se acreditó el pago de
+// una sesión (los clientes ya no necesitan consultar /verify-payment/:sessionId)
+const publishPaymentConfirmed = async (session, booking) => {
+    await publish(booking.user_id, 'payment.confirmed', {
+        sessionId: session.id,
+        type: session.metadata.type || 'booking',
+        bookingId: booking.id,
+        bookingStatus: booking.status,
+        paymentStatus: booking.payment_status,
+        amount: session.amount_total / 100,
+        currency: session.currency,
+        success: true
+    });
+};
+
+// Función para confirmar el pago de una sesión de Checkout. Se usa cuando la sesión
+// se completa pagada y cuando un pago asíncrono (OXXO, transferencia) se acredita.
+const confirmCheckoutSession = async (session) => {
+    console.log('Pago exitoso:', session.id);
+
+    // Pago del saldo de una reserva con anticipo
+    if (session.metadata.type === 'booking_balance') {
+        return confirmBalanceSession(session);
+    }
+
+    // Pago de la diferencia de una modificación de reserva
+    if (session.metadata.type === 'booking_amendment') {
+        const amendment = await getSessionAmendment(session);
+
+        // Evento reprocesado: la modificación ya se aplicó o se reembolsó
+        if (amendment.status !== 'pending_payment') {
+            return;
+        }
+
+        const { booking: amended, conflict } = await applyAmendment(supabase, amendment);
+
+        // El cobro se registra aunque haya conflicto; el reembolso llega con charge.refunded
+        await recordBookingCharge(supabase, amended || { id: amendment.booking_id, user_id: amendment.requested_by }, {
+            amount: session.amount_total / 100,
+            reference: session.payment_intent,
+            description: 'Pago de la modificación de la reserva',
+            metadata: { amendment_id: amendment.id }
+        });
+
+        if (conflict) {
+            // Las nuevas fechas se ocuparon mientras se pagaba: devolver la diferencia
+            console.error('Conflicto al aplicar la modificación, reembolsando:', amendment.id);
+            const refund = await paymentProvider.createRefund({
+                paymentIntent: session.payment_intent,
+                metadata: { amendment_id: amendment.id }
+            });
+            await updateAmendment(supabase, amendment.id, { refund_id: refund.id });
+            return;
+        }
+
+        await publishPaymentConfirmed(session, amended);
+        return;
+    }
+
+    const chargeDescription = session.metadata.payment_schedule === 'deposit'
+        ? 'Anticipo de la reserva'
+        : 'Pago de la reserva';
+    const existing = await getSessionBooking(session);
+
+    if (!existing) {
+        const booking = await createSessionBooking(session, { paid: true });
+
+        if (!booking) {
+            // Las fechas se ocuparon a pesar de la retención: devolver el pago
+            console.error('Conflicto de fechas al confirmar la sesión, reembolsando:', session.id);
+            await paymentProvider.createRefund({
+                paymentIntent: session.payment_intent,
+                reason: 'duplicate'
+            });
+            return;
+        }
+
+        await recordBookingCharge(supabase, booking, {
+            amount: session.amount_total / 100,
+            reference: session.payment_intent,
+            description: chargeDescription
+        });
+
+        await saveDepositPaymentMethod(session, booking);
+
+        await recordRedemption(supabase, {
+            quote: booking.price_breakdown,
+            userId: booking.user_id,
+            bookingId: booking.id,
+            sessionId: session.id
+        }).catch(redemptionError => {
+            console.error('Error al registrar el uso del cupón:', redemptionError);
+        });
+
+        await publishPaymentConfirmed(session, booking);
+
+        // El correo de confirmación y la factura los envía la tarea de seguimiento
+        await queueInvoiceWhenPaid(supabase, booking);
+        return;
+    }
+
+    // Evento reprocesado: la reserva ya se confirmó con esta misma sesión; solo se
+    // completa lo que la ejecución anterior no alcanzó a guardar (cobro y factura)
+    if (existing.payment_session_id === session.id && existing.payment_status === 'paid') {
+        await recordBookingCharge(supabase, existing, {
+            amount: session.amount_total / 100,
+            reference: session.payment_intent,
+            description: chargeDescription
+        });
+        await queueInvoiceWhenPaid(supabase, existing);
+        return;
+    }
+
+    if (existing.status !== 'pending_payment') {
+        // La reserva se canceló antes de completar el pago: devolverlo
+        console.error('La reserva ya no está pendiente, reembolsando:', existing.id);
+        await paymentProvider.createRefund({ paymentIntent: session.payment_intent });
+        return;
+    }
+
+    const confirmed = await transitionBooking(supabase, existing, 'confirmed', {
+        actorRole: 'system',
+        reason: 'Pago confirmado por Stripe',
+        metadata: { session_id: session.id },
+        changes: {
+            ...getScheduleColumns(session.metadata),
+            payment_session_id: session.id,
+            payment_intent_id: session.payment_intent,
+            payment_status: 'paid'
+        }
+    });
+
+    await recordBookingCharge(supabase, confirmed, {
+        amount: session.amount_total / 100,
+        reference: session.payment_intent,
+        description: chargeDescription
+    });
+
+    await saveDepositPaymentMethod(session, confirmed);
+
+    // El pago ya se confirmó: un error al registrar el cupón no debe reintentar el evento
+    await recordRedemption(supabase, {
+        quote: existing.price_breakdown,
+        userId: existing.user_id,
+        bookingId: existing.id,
+        sessionId: session.id
+    }).catch(redemptionError => {
+        console.error('Error al registrar el uso del cupón:', redemptionError);
+    });
+
+    await publishPaymentConfirmed(session, confirmed);
+    await queueInvoiceWhenPaid(supabase, confirmed);
+};
+
+// checkout.session.completed: la sesión puede completarse sin el pago acreditado
+// (métodos asíncronos); en ese caso la reserva queda pendiente hasta el evento final
+const handleCheckoutSessionCompleted = async (session) => {
+    if (session.payment_status === 'paid' || session.payment_status === 'no_payment_required') {
+        return confirmCheckoutSession(session);
+    }
+
+    if (session.metadata.type === 'booking_amendment' || session.metadata.type === 'booking_balance') {
+        return;
+    }
+
+    const existing = await getSessionBooking(session);
+
+    if (!existing) {
+        const booking = await createSessionBooking(session, { paid: false });
+        if (!booking) {
+            // No hay cobro todavía; si el pago se acredita se reembolsará al confirmar
+            console.error('Conflicto de fechas con un pago en proceso:', session.id);
+        }
+        return;
+    }
+
+    if (existing.status === 'pending_payment') {
+        const { error } = await supabase
+            .from('bookings')
+            .update({
+                payment_session_id: session.id,
+                payment_intent_id: session.payment_intent,
+                payment_status: 'processing',
+                // El pago asíncrono se resuelve por el webhook; la reserva ya no vence
+                payment_expires_at: null
+            })
+            .eq('id', existing.id);
+
+        if (error) throw error;
+    }
+};
+
+// checkout.session.async_payment_failed: el pago asíncrono no se acreditó
+const handleAsyncPaymentFailed = async (session) => {
+    // El saldo sigue pendiente y se cobrará o reintentará en la fecha programada
+    if (session.metadata.type === 'booking_balance') {
+        return;
+    }
+
+    if (session.metadata.type === 'booking_amendment') {
+        const amendment = await getSessionAmendment(session);
+        if (amendment.status === 'pending_payment') {
+            await updateAmendment(supabase, amendment.id, { status: 'failed' });
+        }
+        return;
+    }
+
+    await releaseHold(supabase, { sessionId: session.id });
+
+    const booking = await getSessionBooking(session);
+    if (!booking || booking.status !== 'pending_payment') {
+        return;
+    }
+
+    await transitionBooking(supabase, booking, 'cancelled', {
+        actorRole: 'system',
+        reason: 'El pago no se acreditó',
+        metadata: { session_id: session.id },
+        changes: { payment_status: 'failed' }
+    });
+};
+
+// checkout.session.expired: libera las fechas retenidas y cancela la reserva
+// pendiente que se estaba pagando con esta sesión
+const handleCheckoutSessionExpired = async (session) => {
+    console.log('Sesión expirada:', session.id);
+
+    if (session.metadata && session.metadata.type === 'booking_balance') {
+        return;
+    }
+
+    if (session.metadata && session.metadata.type === 'booking_amendment') {
+        const amendment = await getSessionAmendment(session);
+        if (amendment.status === 'pending_payment') {
+            await updateAmendment(supabase, amendment.id, { status: 'expired' });
+        }
+        return;
+    }
+
+    await releaseHold(supabase, { sessionId: session.id });
+    await releaseRedemption(supabase, { sessionId: session.id });
+
+    const booking = await getSessionBooking(session);
+
+    // Si el huésped generó otra sesión para la misma reserva, esa sigue vigente
+    if (!booking || booking.status !== 'pending_payment' || booking.payment_session_id !== session.id) {
+        return;
+    }
+
+    await transitionBooking(supabase, booking, 'cancelled', {
+        actorRole: 'system',
+        reason: 'La sesión de pago expiró',
+        metadata: { session_id: session.id },
+        changes: { payment_status: 'expired' }
+    });
+};
+
+// payment_intent.payment_failed: un intento de cobro fue rechazado. En Checkout el
+// huésped puede reintentar con la misma sesión, así que la reserva sigue pendiente
+// hasta que la sesión expire; solo se registra el fallo.
+const handlePaymentIntentFailed = async (paymentIntent) => {
+    // Los rechazos del cobro del saldo los registra el propio cobro programado
+    if (paymentIntent.metadata && paymentIntent.metadata.payment_type === 'booking_balance') {
+        return;
+    }
+
+    const booking = await getPaymentIntentBooking(paymentIntent.id, paymentIntent.metadata);
+    if (!booking || booking.status !== 'pending_payment') {
+        return;
+    }
+
+    const lastError = paymentIntent.last_payment_error;
+    const { error } = await supabase
+        .from('bookings')
+        .update({
+            payment_intent_id: paymentIntent.id,
+            payment_status: 'failed',
+            payment_error: lastError ? lastError.message : null
+        })
+        .eq('id', booking.id);
+
+    if (error) throw error;
+};
+
+// charge.refunded: reembolsos emitidos desde la API o desde el panel de Stripe
+const handleChargeRefunded = async (charge) => {
+    const booking = await getPaymentIntentBooking(charge.payment_intent);
+
+    // Registrar cada reembolso del cobro; los de modificaciones se ligan a la reserva
+    // a través del cobro registrado en el libro
+    const chargeEntry = booking
+        ? { booking_id: booking.id, user_id: booking.user_id }
+        : await getChargeEntry(supabase, charge.payment_intent);
+
+    if (chargeEntry) {
+        const refunds = await paymentProvider.listRefunds(charge.payment_intent);
+        for (const refund of refunds) {
+            await recordRefundEntry(supabase, {
+                bookingId: chargeEntry.booking_id,
+                userId: chargeEntry.user_id,
+                refund,
+                metadata: { charge_id: charge.id, reason: refund.reason }
+            });
+        }
+    }
+
+    if (!booking) {
+        // Reembolsos de modificaciones o de sesiones sin reserva
+        return;
+    }
+
+    const refundedAmount = charge.amount_refunded / 100;
+    const fullyRefunded = charge.amount_refunded >= charge.amount;
+    const changes = { refunded_amount: refundedAmount };
+
+    // La cancelación desde la API (o su reintento) hace su propia transición a refunded al
+    // emitir el reembolso
+    const refundInProgress = booking.status === 'cancelled' &&
+        booking.refund_breakdown && ['pending', 'failed'].includes(booking.refund_breakdown.status);
+
+    if (['cancelled', 'no_show'].includes(booking.status) && !refundInProgress) {
+        await transitionBooking(supabase, booking, 'refunded', {
+            actorRole: 'system',
+            reason: 'Reembolso registrado en Stripe',
+            metadata: { charge_id: charge.id, amount_refunded: refundedAmount },
+            changes: { ...changes, payment_status: fullyRefunded ? 'refunded' : 'partially_refunded' }
+        });
+        return;
+    }
+
+    // Un reembolso total de una reserva activa (por ejemplo, desde el panel) la cancela
+    if (fullyRefunded && ['pending_payment', 'confirmed'].includes(booking.status)) {
+        const cancelled = await transitionBooking(supabase, booking, 'cancelled', {
+            actorRole: 'system',
+            reason: 'Pago reembolsado en su totalidad desde Stripe',
+            metadata: { charge_id: charge.id }
+        });
+        await transitionBooking(supabase, cancelled, 'refunded', {
+            actorRole: 'system',
+            reason: 'Reembolso registrado en Stripe',
+            metadata: { charge_id: charge.id, amount_refunded: refundedAmount },
+            changes: { ...changes, payment_status: 'refunded' }
+        });
+        return;
+    }
+
+    // Reembolsos parciales de reservas activas (modificaciones a la baja) no cambian el estado;
+    // payment_status sigue en 'paid' para que la política de cancelación aplique sobre el pago
+    if (!refundInProgress && booking.status !== 'refunded') {
+        const { error } = await supabase
+            .from('bookings')
+            .update(changes)
+            .eq('id', booking.id);
+
+        if (error) throw error;
+        return;
+    }
+
+    const { error } = await supabase
+        .from('bookings')
+        .update({ ...changes, payment_status: fullyRefunded ? 'refunded' : 'partially_refunded' })
+        .eq('id', booking.id);
+
+    if (error) throw error;
+};
+
+// charge.refund.updated / refund.updated / refund.failed: un reembolso pendiente se completó
+// o falló. El libro es de solo inserción, así que el nuevo estado se agrega como renglón.
+const handleRefundUpdated = async (refund) => {
+    const chargeEntry = await getChargeEntry(supabase, refund.payment_intent);
+    if (!chargeEntry) {
+        return;
+    }
+
+    await recordRefundEntry(supabase, {
+        bookingId: chargeEntry.booking_id,
+        userId: chargeEntry.user_id,
+        refund,
+        metadata: { charge_id: refund.charge, reason: refund.reason }
+    });
+};
+
+// charge.dispute.created: el huésped abrió un contracargo. La reserva conserva su estado
+// (la estancia puede seguir en curso) y queda marcada para revisión.
+const handleDisputeCreated = async (dispute) => {
+    const booking = await getPaymentIntentBooking(dispute.payment_intent);
+    if (!booking) {
+        return;
+    }
+
+    const { error } = await supabase
+        .from('bookings')
+        .update({
+            payment_status: 'disputed',
+            dispute_id: dispute.id,
+            dispute_reason: dispute.reason,
+            disputed_at: new Date(dispute.created * 1000).toISOString()
+        })
+        .eq('id', booking.id);
+
+    if (error) throw error;
+
+    await recordLedgerEntry(supabase, {
+        bookingId: booking.id,
+        userId: booking.user_id,
+        type: 'dispute',
+        amount: dispute.amount / 100,
+        currency: dispute.currency,
+        reference: dispute.id,
+        description: 'Contracargo',
+        metadata: { reason: dispute.reason, charge_id: dispute.charge },
+        occurredAt: dispute.created * 1000
+    });
+
+    await recordTransition(supabase, {
+        bookingId: booking.id,
+        from: booking.status,
+        to: booking.status,
+        actorRole: 'system',
+        reason: 'Contracargo abierto en Stripe',
+        metadata: { dispute_id: dispute.id, reason: dispute.reason, amount: dispute.amount / 100 }
+    });
+};
+
+// Eventos de Stripe que procesa el webhook; los demás solo se registran
+const WEBHOOK_HANDLERS = {
+    'checkout.session.completed': handleCheckoutSessionCompleted,
+    'checkout.session.async_payment_succeeded': confirmCheckoutSession,
+    'checkout.session.async_payment_failed': handleAsyncPaymentFailed,
+    'checkout.session.expired': handleCheckoutSessionExpired,
+    'payment_intent.payment_failed': handlePaymentIntentFailed,
+    'charge.refunded': handleChargeRefunded,
+    'charge.refund.updated': handleRefundUpdated,
+    'refund.updated': handleRefundUpdated,
+    'refund.failed': handleRefundUpdated,
+    'charge.dispute.created': handleDisputeCreated
+};
+
+// Función para procesar un evento registrado exactamente una vez.
+// Devuelve false si otro proceso ya lo procesó o lo está procesando.
+const processWebhookEvent = async (event) => {
+    const claimed = await claimWebhookEvent(supabase, event.id);
+    if (!claimed) {
+        return false;
+    }
+
+    try {
+        const handler = WEBHOOK_HANDLERS[event.type];
+        if (handler) {
+            await handler(event.data.object);
+        }
+        await markWebhookEventProcessed(supabase, event.id);
+        return true;
+    } catch (error) {
+        await markWebhookEventFailed(supabase, event.id, error).catch(markError => {
+            console.error('Error al registrar la falla del evento:', markError);
+        });
+        throw error;
+    }
+};
+
+// Webhook para manejar eventos del proveedor de pagos. Cada evento se guarda en
+// webhook_events con su ID y se procesa una sola vez aunque se entregue varias veces.
 router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
-    const sig = req.headers['stripe-signature'];
     let event;
 
     try {
-        event = stripe.webhooks.constructEvent(
-            req.body,
-            sig,
-            process.env.STRIPE_WEBHOOK_SECRET
-        );
+        event = paymentProvider.constructWebhookEvent(req.body, req.headers);
     } catch (err) {
         console.error('Error en webhook:', err.message);
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Manejar eventos específicos
-    switch (event.type) {
-        case 'checkout.session.completed':
-            const session = event.data.object;
-            console.log('Pago exitoso:', session.id);
-            
-            try {
-                // Obtener los metadatos de la sesión
-                const { room_id, check_in, check_out, guests } = session.metadata;
-                
-                // Obtener el usuario por el email del cliente
-                const { data: userData, error: userError } = await supabase
-                    .from('users')
-                    .select('id')
-                    .eq('email', session.customer_email)
-                    .single();
-
-                if (userError) {
-                    console.error('Error al obtener usuario:', userError);
-                    return res.status(500).json({ error: 'Error al procesar la reservación' });
-                }
+    try {
+        await recordWebhookEvent(supabase, event);
+        const processed = await processWebhookEvent(event);
+        res.json({ received: true, duplicate: !processed });
+    } catch (error) {
+        // El proveedor reintenta el evento; la falla queda registrada para reprocesarla
+        console.error(`Error al procesar el evento ${event.type}:`, error);
+        res.status(500).json({ error: 'Error al procesar el evento' });
+    }
+});
 
-                // Verificar que la habitación existe y obtener su precio
-                const { data: room, error: roomError } = await supabase
-                    .from('rooms')
-                    .select('price')
-                    .eq('id', room_id)
-                    .single();
+// GET /api/payments/webhook-events
+router.get('/webhook-events', authenticateUser, requireAdmin, async (req, res) => {
+    try {
+        const { status = 'failed', type, page = 1, limit = 20 } = req.query;
+        const { events, total } = await listWebhookEvents(supabase, {
+            status,
+            type,
+            page: Number(page),
+            limit: Number(limit)
+        });
 
-                if (roomError || !room) {
-                    console.error('Error al obtener habitación:', roomError);
-                    return res.status(404).json({ error: 'Habitación no encontrada' });
-                }
+        res.json({
+            data: events.map(formatWebhookEvent),
+            pagination: {
+                total,
+                currentPage: Number(page),
+                totalPages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        console.error('Error al obtener eventos del webhook:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
 
-                // Crear la reservación en la base de datos
-                const { data: booking, error: bookingError } = await supabase
-                    .from('bookings')
-                    .insert([
-                        {
-                            user_id: userData.id,
-                            room_id: room_id,
-                            start_date: check_in,
-                            end_date: check_out,
-                            guests: parseInt(guests),
-                            price: session.amount_total / 100, // Convertir de centavos a la unidad monetaria
-                            status: 'active',
-                            payment_session_id: session.id,
-                            payment_status: 'paid'
-                        }
-                    ])
-                    .select(`
-                        *,
-                        room:rooms (
-                            id,
-                            title,
-                            room_images (
-                                url,
-                                is_primary
-                            )
-                        )
-                    `)
-                    .single();
-
-                if (bookingError) {
-                    console.error('Error al crear reservación:', bookingError);
-                    return res.status(500).json({ error: 'Error al crear la reservación' });
-                }
+// POST /api/payments/webhook-events/:eventId/replay
+router.post('/webhook-events/:eventId/replay', authenticateUser, requireAdmin, async (req, res) => {
+    try {
+        const stored = await getWebhookEvent(supabase, req.params.eventId);
 
-                // Actualizar contador de reservas en user_stats
-                const { error: statsError } = await supabase
-                    .from('user_stats')
-                    .update({ bookings: supabase.raw('bookings + 1') })
-                    .eq('user_id', userData.id);
+        if (!stored) {
+            return res.status(404).json({ error: 'Evento no encontrado' });
+        }
 
-                if (statsError) {
-                    console.error('Error al actualizar estadísticas:', statsError);
-                }
+        if (stored.status !== 'failed') {
+            return res.status(409).json({ error: `Solo se pueden reprocesar eventos fallidos (estado: ${stored.status})` });
+        }
+
+        try {
+            await processWebhookEvent(stored.payload);
+        } catch (error) {
+            const failed = await getWebhookEvent(supabase, stored.id);
+            return res.status(502).json({
+                error: 'El evento volvió a fallar',
+                event: formatWebhookEvent(failed)
+            });
+        }
+
+        res.json(formatWebhookEvent(await getWebhookEvent(supabase, stored.id)));
+    } catch (error) {
+        console.error('Error al reprocesar el evento:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// POST /api/payments/bookings/:id/balance
+// Pagar ahora el saldo de una reserva con anticipo (por ejemplo, después de un cobro rechazado)
+router.post('/bookings/:id/balance', authenticateUser, async (req, res) => {
+    try {
+        const { successUrl, cancelUrl } = req.body;
+
+        const { data: booking, error: bookingError } = await req.supabase
+            .from('bookings')
+            .select(`
+                *,
+                room:rooms (
+                    id,
+                    title
+                )
+            `)
+            .eq('id', req.params.id)
+            .eq('user_id', req.user.id)
+            .maybeSingle();
 
-                console.log('Reservación creada exitosamente:', {
-                    id: booking.id,
-                    roomId: booking.room_id,
-                    roomName: booking.room.title,
-                    roomImage: booking.room.room_images.find(img => img.is_primary)?.url || 
-                              (booking.room.room_images[0]?.url || null),
-                    startDate: booking.start_date,
-                    endDate: booking.end_date,
-                    price: booking.price,
-                    status: booking.status,
-                    createdAt: booking.created_at
-                });
-            } catch (error) {
-                console.error('Error al procesar el pago exitoso:', error);
-                return res.status(500).json({ error: 'Error al procesar el pago' });
+        if (bookingError) throw bookingError;
+
+        if (!booking) {
+            return res.status(404).json({ error: 'Reserva no encontrada' });
+        }
+
+        if (booking.status !== 'confirmed' || booking.payment_schedule !== 'deposit' ||
+            !['scheduled', 'failed'].includes(booking.balance_status)) {
+            return res.status(409).json({ error: 'La reserva no tiene un saldo pendiente de pago' });
+        }
+
+        const returnUrl = process.env.FRONTEND_URL
+            ? `${process.env.FRONTEND_URL}/bookings/${booking.id}`
+            : `${DEFAULT_FRONTEND_URL}bookings/${booking.id}`;
+
+        const session = await paymentProvider.createCheckoutSession({
+            lineItems: [
+                {
+                    price_data: {
+                        currency: 'mxn',
+                        product_data: {
+                            name: `Saldo de la reserva: ${booking.room.title}`,
+                            description: `Check-in: ${booking.start_date}\nCheck-out: ${booking.end_date}`
+                        },
+                        unit_amount: Math.round(Number(booking.balance_amount) * 100)
+                    },
+                    quantity: 1
+                }
+            ],
+            successUrl: successUrl || returnUrl,
+            cancelUrl: cancelUrl || returnUrl,
+            customerEmail: req.user.email,
+            metadata: {
+                type: 'booking_balance',
+                booking_id: booking.id
             }
-            break;
-        case 'checkout.session.expired':
-            const expiredSession = event.data.object;
-            console.log('Sesión expirada:', expiredSession.id);
-            break;
+        });
+
+        res.json({
+            url: session.url,
+            sessionId: session.id,
+            amount: Number(booking.balance_amount),
+            currency: 'mxn'
+        });
+    } catch (error) {
+        console.error('Error al crear la sesión de pago del saldo:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// GET /api/payments/cron/balance-charges
+// Cobra los saldos de las reservas con anticipo que vencen; lo ejecuta Vercel Cron a diario
+router.get('/cron/balance-charges', authenticateCron, async (req, res) => {
+    try {
+        const summary = await processDueBalances(supabase, paymentProvider);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error al cobrar los saldos programados:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// GET /api/payments/cron/host-payouts
+// Programa y transfiere los pagos a anfitriones por sus reservas completadas
+router.get('/cron/host-payouts', authenticateCron, async (req, res) => {
+    try {
+        const summary = await runHostPayouts(supabase, payoutProvider);
+        res.json(summary);
+    } catch (error) {
+        console.error('Error al procesar los pagos a anfitriones:', error);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    res.json({ received: true });
+// GET /api/payments/cron/booking-follow-ups
+// Envía los correos de confirmación y emite las facturas de las reservas pagadas; el webhook
+// solo confirma la reserva para responder a Stripe sin esperar al correo ni al PAC.
+// También cancela las reservas pendientes cuyo plazo de pago venció y reintenta los
+// reembolsos de cancelaciones y modificaciones que fallaron.
+router.get('/cron/booking-follow-ups', authenticateCron, async (req, res) => {
+    try {
+        const confirmations = await sendPendingConfirmations(supabase);
+        const invoices = await issueDueInvoices(supabase);
+        const expiredBookings = await expirePendingBookings(supabase);
+        const cancellationRefunds = await retryCancellationRefunds(supabase, paymentProvider);
+        const amendmentRefunds = await retryAmendmentRefunds(supabase, paymentProvider);
+        const summary = { confirmations, invoices, expiredBookings, cancellationRefunds, amendmentRefunds };
+        res.json(summary);
+    } catch (error) {
+        console.error('Error en el seguimiento de reservas pagadas:', error);
+        res.status(500).json({ error: error.message });
+    }
 });
 
+// Proveedor simulado: los eventos que genera pasan por el mismo flujo que el webhook
+// y la página de pago se sustituye por rutas que completan, rechazan o expiran la sesión
+if (paymentProvider.simulateCheckout) {
+    paymentProvider.onEvent(async (payload, headers) => {
+        const event = paymentProvider.constructWebhookEvent(payload, headers);
+        await recordWebhookEvent(supabase, event);
+        await processWebhookEvent(event);
+    });
+
+    // GET /api/payments/fake/checkout/:sessionId
+    router.get('/fake/checkout/:sessionId', async (req, res) => {
+        try {
+            const { outcome = 'paid' } = req.query;
+            const session = await paymentProvider.simulateCheckout(req.params.sessionId, outcome);
+            const redirectUrl = session.payment_status === 'paid' || outcome === 'processing'
+                ? session.success_url.replace('{CHECKOUT_SESSION_ID}', session.id)
+                : session.cancel_url;
+
+            res.redirect(303, redirectUrl);
+        } catch (error) {
+            console.error('Error al simular el pago:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+
+    // POST /api/payments/fake/sessions/:sessionId/simulate
+    router.post('/fake/sessions/:sessionId/simulate', authenticateUser, async (req, res) => {
+        try {
+            const { outcome = 'paid' } = req.body;
+            const session = await paymentProvider.simulateCheckout(req.params.sessionId, outcome);
+            res.json(session);
+        } catch (error) {
+            console.error('Error al simular el pago:', error);
+            res.status(error.status || 500).json({ error: error.message });
+        }
+    });
+}
+
 // Endpoint para verificar el estado de un pago
 router.get('/verify-payment/:sessionId', async (req, res) => {
     try {
@@ -266,8 +1372,8 @@ router.get('/verify-payment/:sessionId', async (req, res) => {
             });
         }
 
-        // Obtener la sesión de Stripe
-        const session = await stripe.checkout.sessions.retrieve(sessionId);
+        // Obtener la sesión del proveedor de pagos
+        const session = await paymentProvider.retrieveCheckoutSession(sessionId);
         
         // Verificar el estado del pago
         const paymentStatus = {
@@ -0,0 +1,296 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateUser } = require('../utils/auth');
+const { requireAdmin } = require('../utils/roles');
+const { notifyUser } = require('../utils/notifications');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
+const {
+  MODERATION_ACTIONS,
+  validateReply,
+  validateReport,
+  getModerationBlocker,
+  formatReview,
+  formatModeratedReview,
+  formatModerationAction,
+  moderateReview
+} = require('../utils/reviews');
+
+// Middleware para cargar la reseña de la ruta (con su habitación) en req.review
+const loadReview = async (req, res, next) => {
+  try {
+    const { data: review, error } = await req.supabase
+      .from('reviews')
+      .select(`
+        *,
+        room:rooms (
+          id,
+          title,
+          host_id
+        )
+      `)
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!review) {
+      return res.status(404).json({ error: 'Reseña no encontrada' });
+    }
+
+    req.review = review;
+    next();
+  } catch (error) {
+    console.error('Error al obtener la reseña:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Cola de moderación: reseñas con reportes pendientes (flagged) u ocultas (hidden)
+// GET /api/reviews/moderation?status=flagged|hidden&page=1&limit=20
+router.get('/moderation', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { status = 'flagged', page = 1, limit = 20 } = req.query;
+
+    if (!['flagged', 'hidden'].includes(status)) {
+      return res.status(400).json({ error: 'status debe ser flagged o hidden' });
+    }
+
+    let query = req.supabase
+      .from('reviews')
+      .select(`
+        *,
+        user:users (
+          id,
+          name,
+          profileImage
+        ),
+        reports:review_reports (*)
+      `, { count: 'exact' });
+
+    // Las reseñas reportadas se atienden en orden de llegada
+    query = status === 'flagged'
+      ? query.not('flagged_at', 'is', null).order('flagged_at', { ascending: true })
+      : query.eq('status', 'hidden').order('hidden_at', { ascending: false });
+
+    // Aplicar paginación
+    const from = (page - 1) * limit;
+    const to = from + Number(limit) - 1;
+    query = query.range(from, to);
+
+    const { data: reviews, error, count } = await query;
+
+    if (error) throw error;
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      data: reviews.map(formatModeratedReview),
+      pagination: {
+        total: count,
+        currentPage: parseInt(page),
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener la cola de moderación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Bitácora de acciones de moderación, opcionalmente de una sola reseña
+// GET /api/reviews/moderation/actions?reviewId=&page=1&limit=20
+router.get('/moderation/actions', authenticateUser, requireAdmin, async (req, res) => {
+  try {
+    const { reviewId, page = 1, limit = 20 } = req.query;
+
+    let query = req.supabase
+      .from('review_moderation_actions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false });
+
+    if (reviewId) {
+      query = query.eq('review_id', reviewId);
+    }
+
+    // Aplicar paginación
+    const from = (page - 1) * limit;
+    const to = from + Number(limit) - 1;
+    query = query.range(from, to);
+
+    const { data: actions, error, count } = await query;
+
+    if (error) throw error;
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      data: actions.map(formatModerationAction),
+      pagination: {
+        total: count,
+        currentPage: parseInt(page),
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener la bitácora de moderación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Ocultar, restaurar o eliminar una reseña, o descartar sus reportes
+// POST /api/reviews/:id/moderation
+router.post('/:id/moderation', authenticateUser, requireAdmin, loadReview, async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action debe ser una de: ${MODERATION_ACTIONS.join(', ')}` });
+    }
+
+    const blocker = getModerationBlocker(req.review, action);
+    if (blocker) {
+      return res.status(409).json({ error: blocker });
+    }
+
+    const { room, ...review } = req.review;
+    const result = await moderateReview(supabaseAdmin, review, {
+      action,
+      reason: reason ? String(reason).trim() : null,
+      moderatorId: req.user.id
+    });
+
+    res.json({
+      review: result.review ? formatModeratedReview(result.review) : null,
+      action: formatModerationAction(result.entry)
+    });
+  } catch (error) {
+    console.error('Error al moderar la reseña:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Responder públicamente a una reseña de una habitación propia (una respuesta por reseña)
+// POST /api/reviews/:id/reply
+router.post('/:id/reply', authenticateUser, loadReview, async (req, res) => {
+  try {
+    const { reply } = req.body;
+    const review = req.review;
+
+    if (!review.room || review.room.host_id !== req.user.id) {
+      return res.status(403).json({ error: 'Solo el anfitrión puede responder esta reseña' });
+    }
+
+    if (review.status === 'hidden') {
+      return res.status(409).json({ error: 'No se puede responder una reseña oculta' });
+    }
+
+    const validationError = validateReply(reply);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    // Solo se actualiza si aún no hay respuesta, para no sobrescribir la existente
+    const now = new Date().toISOString();
+    const { data: updated, error } = await supabaseAdmin
+      .from('reviews')
+      .update({ host_reply: reply.trim(), host_reply_at: now, updated_at: now })
+      .eq('id', review.id)
+      .is('host_reply', null)
+      .select(`
+        *,
+        user:users (
+          id,
+          name,
+          profileImage
+        )
+      `)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(409).json({ error: 'Ya respondiste esta reseña' });
+    }
+
+    await notifyUser(supabaseAdmin, {
+      userId: review.user_id,
+      type: 'review_reply',
+      title: 'El anfitrión respondió tu reseña',
+      message: `El anfitrión de ${review.room.title} respondió a tu reseña.`,
+      bookingId: review.booking_id,
+      data: { reviewId: review.id, roomId: review.room_id }
+    });
+
+    res.json(formatReview(updated));
+  } catch (error) {
+    console.error('Error al responder la reseña:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reportar una reseña abusiva para que la revise un moderador
+// POST /api/reviews/:id/report
+router.post('/:id/report', authenticateUser, loadReview, async (req, res) => {
+  try {
+    const { reason, details } = req.body;
+    const review = req.review;
+
+    if (review.status === 'hidden') {
+      return res.status(404).json({ error: 'Reseña no encontrada' });
+    }
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({ error: 'No puedes reportar tu propia reseña' });
+    }
+
+    const validationError = validateReport(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: report, error } = await req.supabase
+      .from('review_reports')
+      .insert([
+        {
+          review_id: review.id,
+          user_id: req.user.id,
+          reason,
+          details: details ? details.trim() : null
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'Ya reportaste esta reseña' });
+      }
+      throw error;
+    }
+
+    // Enviar la reseña a la cola de moderación si no estaba ya
+    const { error: flagError } = await supabaseAdmin
+      .from('reviews')
+      .update({ flagged_at: report.created_at })
+      .eq('id', review.id)
+      .is('flagged_at', null);
+
+    if (flagError) throw flagError;
+
+    res.status(201).json({
+      id: report.id,
+      reviewId: report.review_id,
+      reason: report.reason,
+      details: report.details,
+      status: report.status,
+      createdAt: report.created_at
+    });
+  } catch (error) {
+    console.error('Error al reportar la reseña:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,31 @@ const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
+const { processImage, uploadImageVariants, getVariantPaths, buildSrcset } = require('../utils/images');
+const {
+  MAX_CALENDAR_DAYS,
+  parseDate,
+  countNights,
+  getRoomOccupancy,
+  buildCalendar
+} = require('../utils/availability');
+const { CANCELLATION_POLICIES, validateCancellationWindows } = require('../utils/cancellation');
+const {
+  validatePricingRule,
+  formatPricingRule,
+  toPricingRuleRow,
+  getStayDates,
+  getNightlyPrice
+} = require('../utils/pricingRules');
+const {
+  MAX_CALENDAR_BYTES,
+  generateExportToken,
+  normalizeCalendarUrl,
+  syncCalendarImport,
+  formatCalendarImport
+} = require('../utils/calendarSync');
+const { formatReview, formatReviewSummary } = require('../utils/reviews');
+const { supabaseAdmin } = require('../utils/supabaseAdmin');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
@@ -61,6 +86,214 @@ const upload = multer({
   }
 });
 
+// Subida manual de calendarios .ics (cuando el calendario externo no tiene URL)
+const calendarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_CALENDAR_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (['text/calendar', 'text/plain', 'application/octet-stream'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.ics')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos de calendario (.ics)'));
+    }
+  }
+});
+
+// Bucket de Supabase Storage y límite de fotos por habitación
+const ROOM_IMAGES_BUCKET = 'room-images';
+const MAX_ROOM_IMAGES = 20;
+
+// Middleware para procesar la subida de fotos devolviendo errores de multer como 400
+const uploadRoomImages = (req, res, next) => {
+  upload.array('images', 10)(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'Cada imagen debe pesar como máximo 5MB'
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// Catálogos para la gestión de habitaciones por parte de los anfitriones
+const ROOM_TYPES = ['individual', 'doble', 'suite', 'compartida', 'departamento', 'casa'];
+const ROOM_STATUSES = ['draft', 'published', 'archived'];
+const ROOM_EDITABLE_FIELDS = [
+  'title',
+  'name',
+  'description',
+  'price',
+  'cleaning_fee',
+  'type',
+  'location',
+  'capacity',
+  'status',
+  'min_nights',
+  'max_nights',
+  'check_in_days',
+  'check_out_days',
+  'cancellation_policy',
+  'cancellation_windows'
+];
+
+// Función para validar los datos de una habitación
+// Con partial = true solo se validan los campos presentes (PATCH)
+const validateRoomData = (data, { partial = false } = {}) => {
+  const errors = [];
+  const has = (field) => data[field] !== undefined;
+
+  if (!partial || has('title')) {
+    if (typeof data.title !== 'string' || data.title.trim().length === 0) {
+      errors.push('El título es requerido');
+    } else if (data.title.trim().length > 120) {
+      errors.push('El título no puede exceder 120 caracteres');
+    }
+  }
+
+  if (!partial || has('price')) {
+    const price = Number(data.price);
+    if (data.price === null || data.price === '' || isNaN(price) || price <= 0) {
+      errors.push('El precio debe ser un número mayor a 0');
+    }
+  }
+
+  if (has('cleaning_fee') && data.cleaning_fee !== null) {
+    const cleaningFee = Number(data.cleaning_fee);
+    if (data.cleaning_fee === '' || isNaN(cleaningFee) || cleaningFee < 0) {
+      errors.push('La tarifa de limpieza debe ser un número mayor o igual a 0');
+    }
+  }
+
+  if (!partial || has('type')) {
+    if (!ROOM_TYPES.includes(data.type)) {
+      errors.push(`Tipo de habitación no válido. Use uno de: ${ROOM_TYPES.join(', ')}`);
+    }
+  }
+
+  if (!partial || has('location')) {
+    if (typeof data.location !== 'string' || data.location.trim().length === 0) {
+      errors.push('La ubicación es requerida');
+    }
+  }
+
+  if (!partial || has('capacity')) {
+    const capacity = Number(data.capacity);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > 50) {
+      errors.push('La capacidad debe ser un número entero entre 1 y 50');
+    }
+  }
+
+  if (has('status') && !ROOM_STATUSES.includes(data.status)) {
+    errors.push(`Estado no válido. Use uno de: ${ROOM_STATUSES.join(', ')}`);
+  }
+
+  // Reglas de estancia
+  const isNights = (value) => Number.isInteger(Number(value)) && Number(value) >= 1 && Number(value) <= 365;
+
+  if (has('min_nights') && !isNights(data.min_nights)) {
+    errors.push('La estancia mínima debe ser un número entero entre 1 y 365');
+  }
+
+  if (has('max_nights') && data.max_nights !== null && !isNights(data.max_nights)) {
+    errors.push('La estancia máxima debe ser un número entero entre 1 y 365');
+  }
+
+  if (data.min_nights && data.max_nights && Number(data.min_nights) > Number(data.max_nights)) {
+    errors.push('La estancia mínima no puede ser mayor que la máxima');
+  }
+
+  ['check_in_days', 'check_out_days'].forEach(field => {
+    if (has(field) && data[field] !== null) {
+      const valid = Array.isArray(data[field]) &&
+        data[field].every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+      if (!valid) {
+        errors.push(`${field} debe ser una lista de días de la semana (0 = domingo ... 6 = sábado)`);
+      }
+    }
+  });
+
+  // Política de cancelación
+  if (has('cancellation_policy') && !CANCELLATION_POLICIES[data.cancellation_policy]) {
+    errors.push(`Política de cancelación no válida. Use una de: ${Object.keys(CANCELLATION_POLICIES).join(', ')}`);
+  }
+
+  if (has('cancellation_windows') && data.cancellation_windows !== null) {
+    const windowsError = validateCancellationWindows(data.cancellation_windows);
+    if (windowsError) {
+      errors.push(windowsError);
+    }
+  }
+
+  return errors;
+};
+
+// Función para extraer solo los campos editables del body
+const pickRoomFields = (body) => {
+  const fields = {};
+  ROOM_EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (fields.title !== undefined) fields.title = String(fields.title).trim();
+  if (fields.location !== undefined) fields.location = String(fields.location).trim();
+  if (fields.price !== undefined) fields.price = Number(fields.price);
+  if (fields.cleaning_fee !== undefined) fields.cleaning_fee = Number(fields.cleaning_fee) || 0;
+  if (fields.capacity !== undefined) fields.capacity = Number(fields.capacity);
+  // min_nights no admite null en la base de datos: quitar el mínimo equivale a 1 noche
+  if (fields.min_nights === null) fields.min_nights = 1;
+  if (fields.min_nights) fields.min_nights = Number(fields.min_nights);
+  if (fields.max_nights) fields.max_nights = Number(fields.max_nights);
+
+  return fields;
+};
+
+// Middleware para verificar que el usuario es el anfitrión de la habitación
+const requireRoomOwner = async (req, res, next) => {
+  try {
+    const { data: room, error } = await req.supabase
+      .from('rooms')
+      .select('*')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!room) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    if (room.host_id !== req.user.id) {
+      return res.status(403).json({ error: 'Solo el anfitrión puede modificar esta habitación' });
+    }
+
+    req.room = room;
+    next();
+  } catch (error) {
+    console.error('Error al verificar el anfitrión de la habitación:', error);
+    res.status(500).json({ error: 'Error al verificar permisos sobre la habitación' });
+  }
+};
+
+// Función para quitar de una habitación los campos que solo conoce su anfitrión (el token
+// de la URL secreta del feed iCal)
+const omitPrivateRoomFields = ({ ical_export_token, ...room }) => room;
+
+// Función para dar formato a una imagen de habitación
+const formatRoomImage = (img) => ({
+  id: img.id,
+  srcset: buildSrcset(img.variants, img.url),
+  blurhash: img.blurhash || null,
+  isPrimary: img.is_primary,
+  position: img.position,
+  createdAt: img.created_at
+});
+
 // GET /api/rooms
 router.get('/', authenticateUser, async (req, res) => {
   try {
@@ -68,6 +301,8 @@ router.get('/', authenticateUser, async (req, res) => {
       location,
       minPrice,
       maxPrice,
+      checkIn,
+      checkOut,
       type,
       amenities,
       sort = 'created_at',
@@ -75,261 +310,1059 @@ router.get('/', authenticateUser, async (req, res) => {
       limit = 10
     } = req.query;
 
+    const [column, order] = sort.split(':');
+    const ascending = order === 'asc';
+    const sortByPrice = column === 'price';
+
+    // El precio por noche se resuelve en la base de datos con las reglas de cada habitación
+    // para la estancia pedida: sobre él se filtra y, al ordenar por precio, se ordena
+    const { checkIn: stayCheckIn, checkOut: stayCheckOut, today } = getStayDates({ startDate: checkIn, endDate: checkOut });
     let query = req.supabase
-      .from('rooms')
+      .rpc('search_rooms_by_nightly_price', {
+        p_check_in: stayCheckIn,
+        p_check_out: stayCheckOut,
+        p_today: today,
+        p_min_price: minPrice ? Number(minPrice) : null,
+        p_max_price: maxPrice ? Number(maxPrice) : null,
+        p_order: sortByPrice ? (ascending ? 'asc' : 'desc') : null
+      }, { count: 'exact' })
       .select(`
         *,
         room_images(*),
-        room_amenities(amenities(*))
-      `);
+        room_amenities(amenities(*)),
+        room_pricing_rules(*)
+      `)
+      .eq('status', 'published');
 
     // Aplicar filtros
     if (location) {
       query = query.ilike('location', `%${location}%`);
     }
-    if (minPrice) {
-      query = query.gte('price', minPrice);
-    }
-    if (maxPrice) {
-      query = query.lte('price', maxPrice);
-    }
     if (type) {
       query = query.eq('type', type);
     }
-    if (amenities) {
-      const amenityIds = amenities.split(',');
-      query = query.contains('amenities', amenityIds);
+    if (amenities) {
+      const amenityIds = amenities.split(',');
+      query = query.contains('amenities', amenityIds);
+    }
+
+    // Aplicar ordenamiento (por precio ya viene ordenado de la función)
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+
+    if (!sortByPrice) {
+      query = query.order(column, { ascending });
+    }
+    query = query.range(from, to);
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const rooms = data.map(room => ({
+      ...omitPrivateRoomFields(room),
+      nightlyPrice: getNightlyPrice(room, { startDate: checkIn, endDate: checkOut })
+    }));
+    const total = count || 0;
+
+    // Calcular paginación
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      data: rooms.map(({ room_pricing_rules, ...room }) => ({
+        ...room,
+        images: room.room_images ? room.room_images.map(img => buildSrcset(img.variants, img.url)) : [],
+        isNew: (new Date() - new Date(room.created_at)) < 7 * 24 * 60 * 60 * 1000
+      })),
+      pagination: {
+        total,
+        currentPage: page,
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener habitaciones:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/featured', authenticateUser, async (req, res) => {
+  try {
+    const { data: rooms, error } = await req.supabase
+      .from('rooms')
+      .select(`
+        *,
+        room_images(url, variants, blurhash, is_primary),
+        room_amenities(
+          amenities(
+            id,
+            name,
+            icon
+          )
+        )
+      `)
+      .eq('is_featured', true)
+      .eq('status', 'published')
+      .limit(10);
+
+    if (error) throw error;
+
+    res.json({
+      data: rooms.map(room => ({
+        ...omitPrivateRoomFields(room),
+        images: room.room_images ? room.room_images.map(img => buildSrcset(img.variants, img.url)) : [],
+        amenities: room.room_amenities ? room.room_amenities.map(ra => ({
+          id: ra.amenities.id,
+          name: ra.amenities.name,
+          icon: ra.amenities.icon
+        })) : [],
+        isNew: (new Date() - new Date(room.created_at)) < 7 * 24 * 60 * 60 * 1000
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener habitaciones destacadas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/rooms/mine
+router.get('/mine', authenticateUser, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = req.supabase
+      .from('rooms')
+      .select(`
+        *,
+        room_images(url, variants, blurhash, is_primary)
+      `)
+      .eq('host_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (status) {
+      if (!ROOM_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Estado no válido. Use uno de: ${ROOM_STATUSES.join(', ')}` });
+      }
+      query = query.eq('status', status);
+    }
+
+    const { data: rooms, error } = await query;
+
+    if (error) throw error;
+
+    res.json({
+      data: rooms.map(room => ({
+        ...room,
+        images: room.room_images ? room.room_images.map(img => buildSrcset(img.variants, img.url)) : []
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener las habitaciones del anfitrión:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/rooms/:id
+router.get('/:id', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    console.log('Buscando habitación con ID:', id);
+
+    // Primero verificamos si la habitación existe sin joins
+    const { data: roomExists, error: roomExistsError } = await req.supabase
+      .from('rooms')
+      .select('id')
+      .eq('id', id);
+
+    if (roomExistsError) {
+      console.error('Error al verificar si la habitación existe:', roomExistsError);
+      return res.status(500).json({ 
+        error: 'Error al verificar si la habitación existe',
+        details: roomExistsError.message,
+        code: roomExistsError.code 
+      });
+    }
+
+    console.log('Resultado de verificación de habitación:', roomExists);
+
+    if (!roomExists || roomExists.length === 0) {
+      console.log('Habitación no encontrada con ID:', id);
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    // Ahora obtenemos los datos completos con los joins
+    const { data: rooms, error: roomError } = await req.supabase
+      .from('rooms')
+      .select(`
+        *,
+        room_amenities(
+          amenities(
+            id,
+            name,
+            icon
+          )
+        )
+      `)
+      .eq('id', id);
+
+    if (roomError) {
+      console.error('Error al obtener la habitación con detalles:', roomError);
+      return res.status(500).json({ 
+        error: 'Error al obtener la habitación con detalles',
+        details: roomError.message,
+        code: roomError.code 
+      });
+    }
+
+    if (!rooms || rooms.length === 0) {
+      console.log('Habitación no encontrada con detalles, ID:', id);
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    // Tomamos la primera habitación encontrada
+    const room = rooms[0];
+    console.log('Habitación encontrada con detalles:', room);
+
+    // Los borradores y habitaciones archivadas solo son visibles para su anfitrión
+    if (room.status !== 'published' && room.host_id !== req.user.id) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    console.log('Room amenities raw data:', room.room_amenities);
+    
+    // Procesamos las amenities directamente desde el join, filtrando los nulls
+    const amenitiesData = room.room_amenities 
+      ? room.room_amenities
+          .filter(ra => ra && ra.amenities) // Filtrar entradas null o sin amenities
+          .map(ra => ({
+            id: ra.amenities.id,
+            name: ra.amenities.name,
+            icon: ra.amenities.icon
+          }))
+      : [];
+    
+    console.log('Processed amenities data:', amenitiesData);
+
+    // Luego obtenemos las imágenes relacionadas
+    const { data: images, error: imagesError } = await req.supabase
+      .from('room_images')
+      .select('*')
+      .eq('room_id', id);
+
+    if (imagesError) {
+      console.error('Error al obtener las imágenes:', imagesError);
+      return res.status(500).json({ 
+        error: 'Error al obtener las imágenes',
+        details: imagesError.message,
+        code: imagesError.code
+      });
+    }
+
+    console.log('Imágenes encontradas:', images?.length || 0);
+
+    // Obtenemos el host (usuario) de manera separada
+    const { data: host, error: hostError } = await req.supabase
+      .from('users')
+      .select('id, name, email, profileimage')
+      .eq('id', room.host_id)
+      .single();
+
+    if (hostError) {
+      console.error('Error al obtener el host:', hostError);
+    }
+
+    const response = {
+      ...omitPrivateRoomFields(room),
+      images: images ? images.map(formatRoomImage) : [],
+      amenities: amenitiesData,
+      host: host || null
+    };
+
+    console.log('Enviando respuesta exitosa con amenities:', response.amenities);
+    res.json(response);
+
+  } catch (error) {
+    console.error('Error inesperado al obtener detalles de la habitación:', error);
+    res.status(500).json({ 
+      error: 'Error inesperado al obtener detalles de la habitación',
+      details: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+// GET /api/rooms/:id/images
+router.get('/:id/images', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { data: room, error: roomError } = await req.supabase
+      .from('rooms')
+      .select('id, host_id, status')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (roomError) throw roomError;
+
+    // Las imágenes de borradores y habitaciones archivadas solo las ve su anfitrión
+    if (!room || (room.status !== 'published' && room.host_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    const { data: room_images, error } = await req.supabase
+      .from('room_images')
+      .select('*')
+      .eq('room_id', id)
+      .order('is_primary', { ascending: false })
+      .order('position', { ascending: true });
+
+    if (error) throw error;
+
+    if (!room_images || room_images.length === 0) {
+      return res.status(404).json({ error: 'No se encontraron imágenes para esta habitación' });
+    }
+
+    res.json({
+      data: room_images.map(formatRoomImage)
+    });
+  } catch (error) {
+    console.error('Error al obtener imágenes de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/rooms/:id/images
+router.post('/:id/images', authenticateUser, requireRoomOwner, uploadRoomImages, async (req, res) => {
+  try {
+    const roomId = req.room.id;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
+    }
+
+    const { data: existingImages, error: existingError } = await req.supabase
+      .from('room_images')
+      .select('id, is_primary, position')
+      .eq('room_id', roomId);
+
+    if (existingError) throw existingError;
+
+    if (existingImages.length + req.files.length > MAX_ROOM_IMAGES) {
+      return res.status(400).json({
+        error: `Una habitación puede tener como máximo ${MAX_ROOM_IMAGES} imágenes`
+      });
+    }
+
+    const hasPrimary = existingImages.some(img => img.is_primary);
+    let nextPosition = existingImages.reduce((max, img) => Math.max(max, img.position ?? -1), -1) + 1;
+
+    const rows = [];
+    let images;
+    try {
+      for (const file of req.files) {
+        const processed = await processImage(file.buffer);
+        const storagePath = `${roomId}/${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+
+        // Subir las variantes a Supabase Storage
+        const variants = await uploadImageVariants(req.supabase, ROOM_IMAGES_BUCKET, storagePath, processed);
+
+        rows.push({
+          room_id: roomId,
+          url: variants.full.url,
+          variants,
+          blurhash: processed.blurhash,
+          storage_path: storagePath,
+          position: nextPosition++,
+          // La primera foto de una habitación sin portada se vuelve la principal
+          is_primary: !hasPrimary && rows.length === 0
+        });
+      }
+
+      const { data, error } = await req.supabase
+        .from('room_images')
+        .insert(rows)
+        .select();
+
+      if (error) throw error;
+      images = data;
+    } catch (uploadError) {
+      // Sin registro en room_images nadie vuelve a borrar los archivos ya subidos
+      const storagePaths = rows.flatMap(row => getVariantPaths(row.variants));
+      if (storagePaths.length > 0) {
+        const { error: storageError } = await req.supabase.storage
+          .from(ROOM_IMAGES_BUCKET)
+          .remove(storagePaths);
+
+        if (storageError) {
+          console.error('Error al eliminar los archivos subidos de Storage:', storageError);
+        }
+      }
+      throw uploadError;
+    }
+
+    res.status(201).json({
+      data: images.map(formatRoomImage)
+    });
+  } catch (error) {
+    console.error('Error al subir imágenes de la habitación:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// PUT /api/rooms/:id/images/order
+router.put('/:id/images/order', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { imageIds } = req.body;
+
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+      return res.status(400).json({ error: 'Se requiere la lista ordenada de imageIds' });
+    }
+
+    const { data: images, error: imagesError } = await req.supabase
+      .from('room_images')
+      .select('id')
+      .eq('room_id', req.room.id);
+
+    if (imagesError) throw imagesError;
+
+    // El nuevo orden debe incluir exactamente las imágenes de la habitación
+    const currentIds = images.map(img => String(img.id)).sort();
+    const requestedIds = imageIds.map(String);
+    const sameSet = new Set(requestedIds).size === requestedIds.length &&
+      currentIds.length === requestedIds.length &&
+      [...requestedIds].sort().every((id, index) => id === currentIds[index]);
+
+    if (!sameSet) {
+      return res.status(400).json({ error: 'imageIds debe contener todas las imágenes de la habitación sin repetir' });
+    }
+
+    const results = await Promise.all(requestedIds.map((imageId, index) =>
+      req.supabase
+        .from('room_images')
+        .update({ position: index })
+        .eq('id', imageId)
+        .eq('room_id', req.room.id)
+    ));
+
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    res.json({ success: true, order: requestedIds });
+  } catch (error) {
+    console.error('Error al reordenar imágenes de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PUT /api/rooms/:id/images/:imageId/primary
+router.put('/:id/images/:imageId/primary', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    // La función quita la portada actual y marca la nueva en la misma transacción
+    const { data: updated, error } = await req.supabase.rpc('set_room_primary_image', {
+      p_room_id: req.room.id,
+      p_image_id: imageId
+    });
+
+    if (error) throw error;
+
+    if (!updated) {
+      return res.status(404).json({ error: 'No se encontró la imagen' });
+    }
+
+    res.json({ success: true, primaryImageId: imageId });
+  } catch (error) {
+    console.error('Error al establecer la imagen principal:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/rooms/:id/images/:imageId
+router.delete('/:id/images/:imageId', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { imageId } = req.params;
+
+    // La función elimina la imagen y, si era la portada, promueve la siguiente en la misma
+    // transacción
+    const { data: deleted, error: deleteError } = await req.supabase.rpc('delete_room_image', {
+      p_room_id: req.room.id,
+      p_image_id: imageId
+    });
+
+    if (deleteError) throw deleteError;
+
+    const image = deleted && deleted[0];
+    if (!image) {
+      return res.status(404).json({ error: 'No se encontró la imagen' });
+    }
+
+    // Las imágenes procesadas tienen varias variantes; las antiguas solo una ruta
+    const storagePaths = image.variants ? getVariantPaths(image.variants) : [image.storage_path].filter(Boolean);
+    if (storagePaths.length > 0) {
+      const { error: storageError } = await req.supabase.storage
+        .from(ROOM_IMAGES_BUCKET)
+        .remove(storagePaths);
+
+      if (storageError) {
+        console.error('Error al eliminar el archivo de Storage:', storageError);
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar imagen de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/rooms/:id/availability
+router.get('/:id/availability', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const from = parseDate(req.query.from);
+    const to = parseDate(req.query.to);
+
+    if (!from || !to) {
+      return res.status(400).json({ error: 'Los parámetros from y to son requeridos con formato YYYY-MM-DD' });
+    }
+
+    if (to <= from) {
+      return res.status(400).json({ error: 'La fecha to debe ser posterior a from' });
+    }
+
+    if (countNights(from, to) > MAX_CALENDAR_DAYS) {
+      return res.status(400).json({ error: `El rango máximo es de ${MAX_CALENDAR_DAYS} días` });
+    }
+
+    const { data: room, error: roomError } = await req.supabase
+      .from('rooms')
+      .select('id, host_id, status, min_nights, max_nights, check_in_days, check_out_days')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (roomError) throw roomError;
+
+    if (!room || (room.status !== 'published' && room.host_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    const occupancy = await getRoomOccupancy(req.supabase, room.id, from, to);
+
+    res.json({
+      roomId: room.id,
+      from: req.query.from,
+      to: req.query.to,
+      rules: {
+        minNights: room.min_nights || 1,
+        maxNights: room.max_nights || null,
+        checkInDays: room.check_in_days || null,
+        checkOutDays: room.check_out_days || null
+      },
+      days: buildCalendar(room, occupancy, from, to)
+    });
+  } catch (error) {
+    console.error('Error al obtener la disponibilidad de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Orden de las reseñas de una habitación
+const REVIEW_SORTS = {
+  recent: { column: 'created_at', ascending: false },
+  rating_desc: { column: 'rating', ascending: false },
+  rating_asc: { column: 'rating', ascending: true }
+};
+
+// Reseñas de una habitación con el resumen de calificaciones por categoría
+// GET /api/rooms/:id/reviews?page=1&limit=10&sort=recent|rating_desc|rating_asc
+router.get('/:id/reviews', authenticateUser, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { sort = 'recent' } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    if (!REVIEW_SORTS[sort]) {
+      return res.status(400).json({ error: `sort debe ser uno de: ${Object.keys(REVIEW_SORTS).join(', ')}` });
+    }
+
+    const { data: room, error: roomError } = await req.supabase
+      .from('rooms')
+      .select('id, host_id, status, rating, reviews_count, review_scores')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (roomError) throw roomError;
+
+    if (!room || (room.status !== 'published' && room.host_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Habitación no encontrada' });
+    }
+
+    // Aplicar orden y paginación
+    const order = REVIEW_SORTS[sort];
+    const from = (page - 1) * limit;
+    let query = req.supabase
+      .from('reviews')
+      .select(`
+        *,
+        user:users (
+          id,
+          name,
+          profileImage
+        )
+      `, { count: 'exact' })
+      .eq('room_id', room.id)
+      .eq('status', 'visible')
+      .order(order.column, { ascending: order.ascending });
+
+    if (order.column !== 'created_at') {
+      query = query.order('created_at', { ascending: false });
+    }
+
+    const { data: reviews, error, count } = await query.range(from, from + limit - 1);
+
+    if (error) throw error;
+
+    const totalPages = Math.ceil((count || 0) / limit);
+
+    res.json({
+      summary: formatReviewSummary(room),
+      data: reviews.map(formatReview),
+      pagination: {
+        total: count || 0,
+        currentPage: page,
+        totalPages,
+        hasMore: page < totalPages
+      }
+    });
+  } catch (error) {
+    console.error('Error al obtener las reseñas de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /api/rooms/:id/blocks
+router.get('/:id/blocks', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { data: blocks, error } = await req.supabase
+      .from('room_blocked_dates')
+      .select('*')
+      .eq('room_id', req.room.id)
+      .order('start_date', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({
+      data: blocks.map(block => ({
+        id: block.id,
+        startDate: block.start_date,
+        endDate: block.end_date,
+        reason: block.reason,
+        source: block.source,
+        calendarImportId: block.calendar_import_id || null,
+        createdAt: block.created_at
+      }))
+    });
+  } catch (error) {
+    console.error('Error al obtener los bloqueos de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// POST /api/rooms/:id/blocks
+router.post('/:id/blocks', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+    const start = parseDate(startDate);
+    const end = parseDate(endDate);
+
+    if (!start || !end) {
+      return res.status(400).json({ error: 'startDate y endDate son requeridos con formato YYYY-MM-DD' });
+    }
+
+    if (end <= start) {
+      return res.status(400).json({ error: 'endDate debe ser posterior a startDate' });
+    }
+
+    // No se pueden bloquear fechas que ya tienen reservas
+    const occupancy = await getRoomOccupancy(req.supabase, req.room.id, start, end);
+    if (occupancy.bookings.length > 0) {
+      return res.status(409).json({ error: 'Existen reservas en esas fechas' });
+    }
+
+    const { data: block, error } = await req.supabase
+      .from('room_blocked_dates')
+      .insert([
+        {
+          room_id: req.room.id,
+          start_date: startDate,
+          end_date: endDate,
+          reason: reason || null,
+          source: 'host',
+          created_by: req.user.id
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json({
+      id: block.id,
+      startDate: block.start_date,
+      endDate: block.end_date,
+      reason: block.reason,
+      source: block.source,
+      createdAt: block.created_at
+    });
+  } catch (error) {
+    console.error('Error al bloquear fechas de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/rooms/:id/blocks/:blockId
+router.delete('/:id/blocks/:blockId', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { data: deleted, error } = await req.supabase
+      .from('room_blocked_dates')
+      .delete()
+      .eq('id', req.params.blockId)
+      .eq('room_id', req.room.id)
+      .select('id');
+
+    if (error) throw error;
+
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Bloqueo no encontrado' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar el bloqueo de la habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Función para armar la URL pública del feed iCal de una habitación
+const getExportUrl = (req, token) => {
+  const apiUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}/api`;
+  return `${apiUrl}/calendars/${token}.ics`;
+};
+
+// Middleware para procesar el archivo .ics devolviendo errores de multer como 400
+const uploadCalendarFile = (req, res, next) => {
+  calendarUpload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'El calendario debe pesar como máximo 2MB'
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
+// Función para obtener un calendario importado de la habitación
+const getCalendarImport = async (supabase, roomId, importId) => {
+  const { data, error } = await supabase
+    .from('room_calendar_imports')
+    .select('*')
+    .eq('id', importId)
+    .eq('room_id', roomId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// URL secreta para exportar el calendario de la habitación a otras plataformas
+// GET /api/rooms/:id/calendar/export
+router.get('/:id/calendar/export', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    let token = req.room.ical_export_token;
+
+    if (!token) {
+      token = generateExportToken();
+      const { error } = await req.supabase
+        .from('rooms')
+        .update({ ical_export_token: token })
+        .eq('id', req.room.id);
+
+      if (error) throw error;
+    }
+
+    res.json({ url: getExportUrl(req, token) });
+  } catch (error) {
+    console.error('Error al obtener la URL de exportación del calendario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Generar una nueva URL de exportación; la anterior deja de funcionar
+// POST /api/rooms/:id/calendar/export/reset
+router.post('/:id/calendar/export/reset', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const token = generateExportToken();
+    const { error } = await req.supabase
+      .from('rooms')
+      .update({ ical_export_token: token })
+      .eq('id', req.room.id);
+
+    if (error) throw error;
+
+    res.json({ url: getExportUrl(req, token) });
+  } catch (error) {
+    console.error('Error al regenerar la URL de exportación del calendario:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calendarios externos importados y el estado de su última sincronización
+// GET /api/rooms/:id/calendar/imports
+router.get('/:id/calendar/imports', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { data: imports, error } = await req.supabase
+      .from('room_calendar_imports')
+      .select('*')
+      .eq('room_id', req.room.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    res.json({ data: imports.map(formatCalendarImport) });
+  } catch (error) {
+    console.error('Error al obtener los calendarios importados:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Registrar un calendario externo. Con url se sincroniza de inmediato y después de forma
+// periódica; sin url se actualiza subiendo el archivo .ics.
+// POST /api/rooms/:id/calendar/imports
+router.post('/:id/calendar/imports', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'El nombre del calendario es requerido' });
+    }
+
+    const url = normalizeCalendarUrl(req.body.url);
+
+    const { data: calendarImport, error } = await req.supabase
+      .from('room_calendar_imports')
+      .insert([
+        {
+          room_id: req.room.id,
+          name: name.trim(),
+          url,
+          created_by: req.user.id
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    if (!url) {
+      return res.status(201).json(formatCalendarImport(calendarImport));
+    }
+
+    // El calendario queda registrado aunque la primera descarga falle; el error se ve en su estado
+    const result = await syncCalendarImport(supabaseAdmin, calendarImport).catch(() => null);
+    const current = result ? result.calendarImport : await getCalendarImport(req.supabase, req.room.id, calendarImport.id);
+
+    res.status(201).json(formatCalendarImport(current));
+  } catch (error) {
+    console.error('Error al registrar el calendario externo:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Sincronizar ahora un calendario desde su URL
+// POST /api/rooms/:id/calendar/imports/:importId/sync
+router.post('/:id/calendar/imports/:importId/sync', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const calendarImport = await getCalendarImport(req.supabase, req.room.id, req.params.importId);
+
+    if (!calendarImport) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
+
+    const result = await syncCalendarImport(supabaseAdmin, calendarImport);
+
+    res.json({
+      ...formatCalendarImport(result.calendarImport),
+      added: result.added,
+      removed: result.removed
+    });
+  } catch (error) {
+    console.error('Error al sincronizar el calendario externo:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// Subir el archivo .ics de un calendario externo (alternativa a la descarga por URL)
+// POST /api/rooms/:id/calendar/imports/:importId/upload
+router.post('/:id/calendar/imports/:importId/upload', authenticateUser, requireRoomOwner, uploadCalendarFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó ningún archivo' });
+    }
+
+    const calendarImport = await getCalendarImport(req.supabase, req.room.id, req.params.importId);
+
+    if (!calendarImport) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
     }
 
-    // Aplicar ordenamiento
-    const [column, order] = sort.split(':');
-    query = query.order(column, { ascending: order === 'asc' });
+    const result = await syncCalendarImport(supabaseAdmin, calendarImport, {
+      text: req.file.buffer.toString('utf8')
+    });
 
-    // Aplicar paginación
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
-    query = query.range(from, to);
+    res.json({
+      ...formatCalendarImport(result.calendarImport),
+      added: result.added,
+      removed: result.removed
+    });
+  } catch (error) {
+    console.error('Error al importar el archivo de calendario:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
 
-    const { data: rooms, error, count } = await query;
+// Eliminar un calendario externo junto con los bloqueos que generó
+// DELETE /api/rooms/:id/calendar/imports/:importId
+router.delete('/:id/calendar/imports/:importId', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { data: deleted, error } = await req.supabase
+      .from('room_calendar_imports')
+      .delete()
+      .eq('id', req.params.importId)
+      .eq('room_id', req.room.id)
+      .select('id');
 
     if (error) throw error;
 
-    // Calcular paginación
-    const totalPages = Math.ceil(count / limit);
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Calendario no encontrado' });
+    }
 
-    res.json({
-      data: rooms.map(room => ({
-        ...room,
-        images: room.room_images ? room.room_images.map(img => img.url) : [],
-        isNew: (new Date() - new Date(room.created_at)) < 7 * 24 * 60 * 60 * 1000
-      })),
-      pagination: {
-        total: count,
-        currentPage: page,
-        totalPages,
-        hasMore: page < totalPages
-      }
-    });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error al obtener habitaciones:', error);
+    console.error('Error al eliminar el calendario externo:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-router.get('/featured', authenticateUser, async (req, res) => {
+// GET /api/rooms/:id/pricing-rules
+router.get('/:id/pricing-rules', authenticateUser, requireRoomOwner, async (req, res) => {
   try {
-    const { data: rooms, error } = await req.supabase
-      .from('rooms')
-      .select(`
-        *,
-        room_images(url, is_primary),
-        room_amenities(
-          amenities(
-            id,
-            name,
-            icon
-          )
-        )
-      `)
-      .eq('is_featured', true)
-      .limit(10);
+    const { data: rules, error } = await req.supabase
+      .from('room_pricing_rules')
+      .select('*')
+      .eq('room_id', req.room.id)
+      .order('created_at', { ascending: true });
 
     if (error) throw error;
 
     res.json({
-      data: rooms.map(room => ({
-        ...room,
-        images: room.room_images ? room.room_images.map(img => img.url) : [],
-        amenities: room.room_amenities ? room.room_amenities.map(ra => ({
-          id: ra.amenities.id,
-          name: ra.amenities.name,
-          icon: ra.amenities.icon
-        })) : [],
-        isNew: (new Date() - new Date(room.created_at)) < 7 * 24 * 60 * 60 * 1000
-      }))
+      basePrice: req.room.price,
+      data: rules.map(formatPricingRule)
     });
   } catch (error) {
-    console.error('Error al obtener habitaciones destacadas:', error);
+    console.error('Error al obtener las reglas de precio:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/rooms/:id
-router.get('/:id', authenticateUser, async (req, res) => {
+// POST /api/rooms/:id/pricing-rules
+router.post('/:id/pricing-rules', authenticateUser, requireRoomOwner, async (req, res) => {
   try {
-    const { id } = req.params;
-    console.log('Buscando habitación con ID:', id);
-
-    // Primero verificamos si la habitación existe sin joins
-    const { data: roomExists, error: roomExistsError } = await req.supabase
-      .from('rooms')
-      .select('id')
-      .eq('id', id);
-
-    if (roomExistsError) {
-      console.error('Error al verificar si la habitación existe:', roomExistsError);
-      return res.status(500).json({ 
-        error: 'Error al verificar si la habitación existe',
-        details: roomExistsError.message,
-        code: roomExistsError.code 
-      });
-    }
-
-    console.log('Resultado de verificación de habitación:', roomExists);
-
-    if (!roomExists || roomExists.length === 0) {
-      console.log('Habitación no encontrada con ID:', id);
-      return res.status(404).json({ error: 'Habitación no encontrada' });
-    }
-
-    // Ahora obtenemos los datos completos con los joins
-    const { data: rooms, error: roomError } = await req.supabase
-      .from('rooms')
-      .select(`
-        *,
-        room_amenities(
-          amenities(
-            id,
-            name,
-            icon
-          )
-        )
-      `)
-      .eq('id', id);
+    const values = toPricingRuleRow(req.body);
+    const errors = validatePricingRule(values);
 
-    if (roomError) {
-      console.error('Error al obtener la habitación con detalles:', roomError);
-      return res.status(500).json({ 
-        error: 'Error al obtener la habitación con detalles',
-        details: roomError.message,
-        code: roomError.code 
-      });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Regla de precio no válida', details: errors });
     }
 
-    if (!rooms || rooms.length === 0) {
-      console.log('Habitación no encontrada con detalles, ID:', id);
-      return res.status(404).json({ error: 'Habitación no encontrada' });
-    }
+    const { data: rule, error } = await req.supabase
+      .from('room_pricing_rules')
+      .insert([{ ...values, room_id: req.room.id }])
+      .select()
+      .single();
 
-    // Tomamos la primera habitación encontrada
-    const room = rooms[0];
-    console.log('Habitación encontrada con detalles:', room);
+    if (error) throw error;
 
-    console.log('Room amenities raw data:', room.room_amenities);
-    
-    // Procesamos las amenities directamente desde el join, filtrando los nulls
-    const amenitiesData = room.room_amenities 
-      ? room.room_amenities
-          .filter(ra => ra && ra.amenities) // Filtrar entradas null o sin amenities
-          .map(ra => ({
-            id: ra.amenities.id,
-            name: ra.amenities.name,
-            icon: ra.amenities.icon
-          }))
-      : [];
-    
-    console.log('Processed amenities data:', amenitiesData);
+    res.status(201).json(formatPricingRule(rule));
+  } catch (error) {
+    console.error('Error al crear la regla de precio:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Luego obtenemos las imágenes relacionadas
-    const { data: images, error: imagesError } = await req.supabase
-      .from('room_images')
+// PATCH /api/rooms/:id/pricing-rules/:ruleId
+router.patch('/:id/pricing-rules/:ruleId', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const { data: current, error: fetchError } = await req.supabase
+      .from('room_pricing_rules')
       .select('*')
-      .eq('room_id', id);
+      .eq('id', req.params.ruleId)
+      .eq('room_id', req.room.id)
+      .maybeSingle();
 
-    if (imagesError) {
-      console.error('Error al obtener las imágenes:', imagesError);
-      return res.status(500).json({ 
-        error: 'Error al obtener las imágenes',
-        details: imagesError.message,
-        code: imagesError.code
-      });
-    }
+    if (fetchError) throw fetchError;
 
-    console.log('Imágenes encontradas:', images?.length || 0);
+    if (!current) {
+      return res.status(404).json({ error: 'Regla de precio no encontrada' });
+    }
 
-    // Obtenemos el host (usuario) de manera separada
-    const { data: host, error: hostError } = await req.supabase
-      .from('users')
-      .select('id, name, email, profileimage')
-      .eq('id', room.host_id)
-      .single();
+    // Validar la regla completa tal como quedaría después del cambio
+    const changes = toPricingRuleRow(req.body);
+    const errors = validatePricingRule({ ...current, ...changes });
 
-    if (hostError) {
-      console.error('Error al obtener el host:', hostError);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Regla de precio no válida', details: errors });
     }
 
-    const response = {
-      ...room,
-      images: images ? images.map(img => ({
-        id: img.id,
-        url: img.url,
-        isPrimary: img.is_primary,
-        createdAt: img.created_at
-      })) : [],
-      amenities: amenitiesData,
-      host: host || null
-    };
+    const { data: rule, error } = await req.supabase
+      .from('room_pricing_rules')
+      .update(changes)
+      .eq('id', current.id)
+      .select()
+      .single();
 
-    console.log('Enviando respuesta exitosa con amenities:', response.amenities);
-    res.json(response);
+    if (error) throw error;
 
+    res.json(formatPricingRule(rule));
   } catch (error) {
-    console.error('Error inesperado al obtener detalles de la habitación:', error);
-    res.status(500).json({ 
-      error: 'Error inesperado al obtener detalles de la habitación',
-      details: error.message,
-      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-    });
+    console.error('Error al actualizar la regla de precio:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// GET /api/rooms/:id/images
-router.get('/:id/images', authenticateUser, async (req, res) => {
+// DELETE /api/rooms/:id/pricing-rules/:ruleId
+router.delete('/:id/pricing-rules/:ruleId', authenticateUser, requireRoomOwner, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    const { data: room_images, error } = await req.supabase
-      .from('room_images')
-      .select('*')
-      .eq('room_id', id)
-      .order('is_primary', { ascending: false });
+    const { data: deleted, error } = await req.supabase
+      .from('room_pricing_rules')
+      .delete()
+      .eq('id', req.params.ruleId)
+      .eq('room_id', req.room.id)
+      .select('id');
 
     if (error) throw error;
 
-    if (!room_images || room_images.length === 0) {
-      return res.status(404).json({ error: 'No se encontraron imágenes para esta habitación' });
+    if (!deleted || deleted.length === 0) {
+      return res.status(404).json({ error: 'Regla de precio no encontrada' });
     }
 
-    res.json({
-      data: room_images.map(img => ({
-        id: img.id,
-        url: img.url,
-        isPrimary: img.is_primary,
-        createdAt: img.created_at
-      }))
-    });
+    res.json({ success: true });
   } catch (error) {
-    console.error('Error al obtener imágenes de la habitación:', error);
+    console.error('Error al eliminar la regla de precio:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -340,21 +1373,27 @@ router.post('/search', authenticateUser, async (req, res) => {
     const { type, maxPrice } = req.body;
     console.log('Búsqueda con parámetros:', { type, maxPrice });
 
+    // El precio máximo se compara con el precio de esta noche según las reglas de la habitación
+    const { checkIn, checkOut, today } = getStayDates();
     let query = req.supabase
-      .from('rooms')
+      .rpc('search_rooms_by_nightly_price', {
+        p_check_in: checkIn,
+        p_check_out: checkOut,
+        p_today: today,
+        p_max_price: maxPrice ? Number(maxPrice) : null
+      })
       .select(`
         *,
-        room_images(url, is_primary)
-      `);
+        room_images(url, variants, blurhash, is_primary),
+        room_pricing_rules(*)
+      `)
+      .eq('status', 'published');
 
     if (type) {
       query = query.eq('type', type);
     }
-    if (maxPrice) {
-      query = query.lte('price', maxPrice);
-    }
 
-    const { data: rooms, error } = await query;
+    const { data, error } = await query;
 
     if (error) {
       console.error('Error en la consulta:', error);
@@ -365,7 +1404,9 @@ router.post('/search', authenticateUser, async (req, res) => {
       });
     }
 
-    if (!rooms || rooms.length === 0) {
+    const rooms = (data || []).map(room => ({ ...room, nightlyPrice: getNightlyPrice(room) }));
+
+    if (rooms.length === 0) {
       return res.status(200).json({
         success: true,
         data: [],
@@ -378,11 +1419,13 @@ router.post('/search', authenticateUser, async (req, res) => {
       name: room.name,
       description: room.description,
       price: room.price,
+      nightlyPrice: room.nightlyPrice,
       type: room.type,
       location: room.location,
       rating: room.rating,
       images: room.room_images ? room.room_images.map(img => ({
-        url: img.url,
+        srcset: buildSrcset(img.variants, img.url),
+        blurhash: img.blurhash || null,
         isPrimary: img.is_primary
       })) : [],
       created_at: room.created_at,
@@ -413,23 +1456,22 @@ router.get('/image/:imageId', authenticateUser, async (req, res) => {
       .from('room_images')
       .select(`
         *,
-        rooms(id, title, location)
+        rooms(id, title, location, host_id, status)
       `)
       .eq('id', imageId)
-      .single();
+      .maybeSingle();
 
     if (error) throw error;
 
-    if (!image) {
+    // Una imagen de un borrador o una habitación archivada solo la ve su anfitrión
+    const room = image && image.rooms;
+    if (!room || (room.status !== 'published' && room.host_id !== req.user.id)) {
       return res.status(404).json({ error: 'No se encontró la imagen' });
     }
 
     res.json({
       data: {
-        id: image.id,
-        url: image.url,
-        isPrimary: image.is_primary,
-        createdAt: image.created_at,
+        ...formatRoomImage(image),
         room: image.rooms ? {
           id: image.rooms.id,
           title: image.rooms.title,
@@ -460,20 +1502,25 @@ router.get('/images/all', authenticateUser, async (req, res) => {
 
     let query = req.supabase
       .from('room_images')
-      .select('*');
+      .select('*, rooms(host_id, status)');
 
     if (room_id) {
       // Asegurarse de que el room_id sea exactamente igual
       query = query.eq('room_id', room_id.trim());
     }
 
-    const { data: images, error, count } = await query;
+    const { data: allImages, error, count } = await query;
 
     if (error) {
       console.error('Error en la consulta:', error);
       throw error;
     }
 
+    // Igual que en el listado, solo imágenes de habitaciones publicadas o del propio anfitrión
+    const images = allImages.filter(image =>
+      image.rooms && (image.rooms.status === 'published' || image.rooms.host_id === req.user.id)
+    );
+
     console.log('Query ejecutada para room_id específico');
     console.log('Número de imágenes encontradas:', count);
     console.log('Datos obtenidos:', images);
@@ -493,11 +1540,8 @@ router.get('/images/all', authenticateUser, async (req, res) => {
     res.json({
       success: true,
       data: images.map(image => ({
-        id: image.id,
-        url: image.url,
-        isPrimary: image.is_primary,
-        roomId: image.room_id,
-        createdAt: image.created_at
+        ...formatRoomImage(image),
+        roomId: image.room_id
       })),
       count: images.length,
       debug: {
@@ -527,7 +1571,7 @@ router.get('/:id/amenities', authenticateUser, async (req, res) => {
     // Primero verificamos que la habitación existe
     const { data: roomExists, error: roomExistsError } = await req.supabase
       .from('rooms')
-      .select('id')
+      .select('id, host_id, status')
       .eq('id', id);
 
     if (roomExistsError) {
@@ -538,7 +1582,9 @@ router.get('/:id/amenities', authenticateUser, async (req, res) => {
       });
     }
 
-    if (!roomExists || roomExists.length === 0) {
+    // Los borradores y habitaciones archivadas solo son visibles para su anfitrión
+    const visible = roomExists && roomExists.some(room => room.status === 'published' || room.host_id === req.user.id);
+    if (!visible) {
       console.log('Habitación no encontrada con ID:', id);
       return res.status(404).json({ error: 'Habitación no encontrada' });
     }
@@ -659,13 +1705,8 @@ router.get('/:id/amenities', authenticateUser, async (req, res) => {
     }
 
     const response = {
-      ...room,
-      images: images ? images.map(img => ({
-        id: img.id,
-        url: img.url,
-        isPrimary: img.is_primary,
-        createdAt: img.created_at
-      })) : [],
+      ...omitPrivateRoomFields(room),
+      images: images ? images.map(formatRoomImage) : [],
       amenities: amenitiesData,
       host: host || null
     };
@@ -683,4 +1724,138 @@ router.get('/:id/amenities', authenticateUser, async (req, res) => {
   }
 });
 
+// POST /api/rooms
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const fields = pickRoomFields(req.body);
+    const errors = validateRoomData(fields);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Datos de habitación no válidos', details: errors });
+    }
+
+    const { data: room, error } = await req.supabase
+      .from('rooms')
+      .insert([
+        {
+          ...fields,
+          name: fields.name || fields.title,
+          status: fields.status || 'draft',
+          host_id: req.user.id
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(room);
+  } catch (error) {
+    console.error('Error al crear habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// PATCH /api/rooms/:id
+router.patch('/:id', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    const fields = pickRoomFields(req.body);
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No se proporcionaron campos para actualizar' });
+    }
+
+    const errors = validateRoomData(fields, { partial: true });
+
+    // La estancia mínima y máxima se comparan con los valores ya guardados
+    const mergedNights = {
+      min_nights: fields.min_nights !== undefined ? fields.min_nights : req.room.min_nights,
+      max_nights: fields.max_nights !== undefined ? fields.max_nights : req.room.max_nights
+    };
+    if (errors.length === 0 && mergedNights.min_nights && mergedNights.max_nights &&
+        mergedNights.min_nights > mergedNights.max_nights) {
+      errors.push('La estancia mínima no puede ser mayor que la máxima');
+    }
+
+    // Para publicar, la habitación resultante debe tener todos los campos requeridos
+    if (errors.length === 0 && fields.status === 'published') {
+      errors.push(...validateRoomData({ ...req.room, ...fields }));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Datos de habitación no válidos', details: errors });
+    }
+
+    const { data: room, error } = await req.supabase
+      .from('rooms')
+      .update({
+        ...fields,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.room.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json(room);
+  } catch (error) {
+    console.error('Error al actualizar habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// DELETE /api/rooms/:id
+router.delete('/:id', authenticateUser, requireRoomOwner, async (req, res) => {
+  try {
+    // Las habitaciones con reservas se archivan para conservar el historial
+    const { count, error: bookingsError } = await req.supabase
+      .from('bookings')
+      .select('id', { count: 'exact', head: true })
+      .eq('room_id', req.room.id);
+
+    if (bookingsError) throw bookingsError;
+
+    if (count > 0) {
+      return res.status(409).json({
+        error: 'La habitación tiene reservas asociadas. Archívela en lugar de eliminarla.'
+      });
+    }
+
+    // Las rutas de las fotos se leen antes: al borrar la habitación se borran sus filas
+    const { data: images, error: imagesError } = await req.supabase
+      .from('room_images')
+      .select('storage_path, variants')
+      .eq('room_id', req.room.id);
+
+    if (imagesError) throw imagesError;
+
+    const { error } = await req.supabase
+      .from('rooms')
+      .delete()
+      .eq('id', req.room.id);
+
+    if (error) throw error;
+
+    // Las imágenes procesadas tienen varias variantes; las antiguas solo una ruta
+    const storagePaths = images.flatMap(image =>
+      image.variants ? getVariantPaths(image.variants) : [image.storage_path].filter(Boolean)
+    );
+    if (storagePaths.length > 0) {
+      const { error: storageError } = await req.supabase.storage
+        .from(ROOM_IMAGES_BUCKET)
+        .remove(storagePaths);
+
+      if (storageError) {
+        console.error('Error al eliminar las fotos de Storage:', storageError);
+      }
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error al eliminar habitación:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
+const { requireAdmin } = require('../utils/roles');
 
 // Configuración de Supabase
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -24,6 +25,19 @@ const authenticateUser = async (req, res, next) => {
     }
     
     req.user = user;
+    // Cliente con el token del usuario para que las políticas de la base de datos lo identifiquen
+    req.supabase = createClient(supabaseUrl, supabaseKey, {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    });
     next();
   } catch (error) {
     console.error('Error en middleware de autenticación:', error);
@@ -31,67 +45,13 @@ const authenticateUser = async (req, res, next) => {
   }
 };
 
-// Middleware para verificar si el usuario es administrador
-const isAdmin = async (req, res, next) => {
-  try {
-    // Verificar si el usuario está intentando acceder a su propia configuración
-    const requestedUserId = req.params.userId;
-    if (requestedUserId === req.user.id) {
-      console.log('Usuario accediendo a su propia configuración, permitiendo acceso');
-      return next();
-    }
-
-    // Si no es su propia configuración, verificar si es administrador
-    console.log('Verificando si el usuario es administrador');
-    
-    // Verificar si la tabla user_roles existe
-    const { error: tableError } = await supabase
-      .from('user_roles')
-      .select('count')
-      .limit(1);
-    
-    if (tableError) {
-      console.error('Error al verificar tabla user_roles:', tableError);
-      
-      // Si la tabla no existe, crear un endpoint alternativo para obtener la configuración
-      if (tableError.code === '42P01') {
-        console.log('La tabla user_roles no existe, permitiendo acceso temporalmente');
-        return next();
-      }
-      
-      throw tableError;
-    }
-    
-    // Verificar si el usuario tiene rol de administrador
-    const { data: userRole, error: roleError } = await supabase
-      .from('user_roles')
-      .select('role')
-      .eq('user_id', req.user.id)
-      .single();
-    
-    if (roleError) {
-      console.error('Error al verificar rol de usuario:', roleError);
-      
-      // Si no hay registros, permitir acceso temporalmente
-      if (roleError.code === 'PGRST116') {
-        console.log('No se encontró rol para el usuario, permitiendo acceso temporalmente');
-        return next();
-      }
-      
-      throw roleError;
-    }
-    
-    if (userRole && userRole.role === 'admin') {
-      console.log('Usuario es administrador, permitiendo acceso');
-      next();
-    } else {
-      console.log('Usuario no es administrador, denegando acceso');
-      res.status(403).json({ error: 'No tienes permisos de administrador' });
-    }
-  } catch (error) {
-    console.error('Error al verificar rol de administrador:', error);
-    res.status(500).json({ error: 'Error al verificar permisos' });
+// Middleware para permitir el acceso a la configuración propia; la de otro usuario solo
+// la puede consultar o modificar un administrador
+const requireSelfOrAdmin = (req, res, next) => {
+  if (req.params.userId === req.user.id) {
+    return next();
   }
+  return requireAdmin(req, res, next);
 };
 
 // Función para obtener configuración por defecto
@@ -248,7 +208,7 @@ router.get('/', authenticateUser, async (req, res) => {
 });
 
 // Obtener configuración de un usuario específico (solo para administradores)
-router.get('/user/:userId', authenticateUser, isAdmin, async (req, res) => {
+router.get('/user/:userId', authenticateUser, requireSelfOrAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
     console.log('Intentando obtener configuración para usuario:', userId);
@@ -366,7 +326,7 @@ router.put('/', authenticateUser, async (req, res) => {
 });
 
 // Actualizar configuración de un usuario específico (solo para administradores)
-router.put('/user/:userId', authenticateUser, isAdmin, async (req, res) => {
+router.put('/user/:userId', authenticateUser, requireSelfOrAdmin, async (req, res) => {
   try {
     const { userId } = req.params;
     const { notifications, privacy, security, preferences } = req.body;
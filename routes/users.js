@@ -3,6 +3,13 @@ const router = express.Router();
 const { createClient } = require('@supabase/supabase-js');
 const multer = require('multer');
 const path = require('path');
+const { processImage, uploadImageVariants, buildSrcset } = require('../utils/images');
+const {
+  validateFiscalData,
+  toFiscalProfileRow,
+  formatFiscalProfile,
+  getFiscalCatalogs
+} = require('../utils/cfdi');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_ANON_KEY;
@@ -20,6 +27,19 @@ const authenticateUser = async (req, res, next) => {
     const { data: { user }, error } = await supabase.auth.getUser(token);
     if (error) throw error;
     req.user = user;
+    // Cliente con la sesión del usuario para las tablas protegidas por RLS (datos fiscales)
+    req.supabase = createClient(supabaseUrl, supabaseKey, {
+      auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false
+      },
+      global: {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    });
     next();
   } catch (error) {
     return res.status(401).json({ error: 'Token inválido' });
@@ -34,7 +54,7 @@ const upload = multer({
     fileSize: 5 * 1024 * 1024 // límite de 5MB
   },
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif'];
+    const allowedTypes = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
@@ -151,7 +171,11 @@ router.get('/:id', authenticateUser, async (req, res) => {
 
     if (error) throw error;
 
-    res.json(profile);
+    res.json({
+      ...profile,
+      profileImageSrcset: buildSrcset(profile.profile_image_variants, profile.profileImage),
+      profileImageBlurhash: profile.profile_image_blurhash || null
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
@@ -209,48 +233,117 @@ router.put('/:id', authenticateUser, async (req, res) => {
   }
 });
 
+// Middleware para procesar la imagen de perfil devolviendo errores de multer como 400
+const uploadProfileImage = (req, res, next) => {
+  upload.single('image')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? 'La imagen debe pesar como máximo 5MB'
+        : err.message;
+      return res.status(400).json({ error: message });
+    }
+    next();
+  });
+};
+
 // Actualizar imagen de perfil
-router.put('/:id/profile-image', authenticateUser, async (req, res) => {
+router.put('/:id/profile-image', authenticateUser, uploadProfileImage, async (req, res) => {
   try {
     // Verificar que el usuario solo pueda actualizar su propia imagen
     if (req.user.id !== req.params.id) {
       return res.status(403).json({ error: 'No autorizado para actualizar esta imagen' });
     }
 
-    if (!req.files || !req.files.image) {
+    if (!req.file) {
       return res.status(400).json({ error: 'No se proporcionó ninguna imagen' });
     }
 
-    const image = req.files.image;
-    const fileExt = image.name.split('.').pop();
-    const fileName = `${req.params.id}-${Date.now()}.${fileExt}`;
-
-    // Subir imagen a Supabase Storage
-    const { data: uploadData, error: uploadError } = await supabase.storage
-      .from('profile-images')
-      .upload(fileName, image.data);
+    // Generar variantes sin metadatos EXIF/GPS y el placeholder
+    const processed = await processImage(req.file.buffer);
+    const basePath = `${req.params.id}/${Date.now()}`;
 
-    if (uploadError) throw uploadError;
+    // Subir variantes a Supabase Storage
+    const variants = await uploadImageVariants(supabase, 'profile-images', basePath, processed);
 
-    // Obtener URL pública de la imagen
-    const { data: { publicUrl } } = supabase.storage
-      .from('profile-images')
-      .getPublicUrl(fileName);
-
-    // Actualizar URL de la imagen en el perfil
+    // Actualizar la imagen en el perfil
     const { data, error } = await supabase
       .from('profiles')
-      .update({ profileImage: publicUrl })
+      .update({
+        profileImage: variants.full.url,
+        profile_image_variants: variants,
+        profile_image_blurhash: processed.blurhash
+      })
       .eq('id', req.params.id)
       .select()
       .single();
 
     if (error) throw error;
 
-    res.json({ imageUrl: publicUrl });
+    res.json({
+      srcset: buildSrcset(variants),
+      blurhash: processed.blurhash
+    });
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// Obtener los datos fiscales del usuario para facturar sus reservas
+// GET /api/users/:id/fiscal-data
+router.get('/:id/fiscal-data', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({ error: 'No autorizado para ver estos datos fiscales' });
+    }
+
+    const { data: profile, error } = await req.supabase
+      .from('fiscal_profiles')
+      .select('*')
+      .eq('user_id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    res.json({
+      fiscalData: profile ? formatFiscalProfile(profile) : null,
+      catalogs: getFiscalCatalogs()
+    });
+  } catch (error) {
+    console.error('Error al obtener los datos fiscales:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Registrar o actualizar los datos fiscales del usuario (RFC, régimen, uso del CFDI)
+// PUT /api/users/:id/fiscal-data
+router.put('/:id/fiscal-data', authenticateUser, async (req, res) => {
+  try {
+    if (req.user.id !== req.params.id) {
+      return res.status(403).json({ error: 'No autorizado para actualizar estos datos fiscales' });
+    }
+
+    const validationError = validateFiscalData(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { data: profile, error } = await req.supabase
+      .from('fiscal_profiles')
+      .upsert({
+        ...toFiscalProfileRow(req.body),
+        user_id: req.params.id,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    res.json({ fiscalData: formatFiscalProfile(profile) });
+  } catch (error) {
+    console.error('Error al guardar los datos fiscales:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,18 @@
+-- Estados de publicación y capacidad para las habitaciones administradas por anfitriones
+alter table rooms
+  add column if not exists status text not null default 'published',
+  add column if not exists capacity integer;
+
+alter table rooms
+  drop constraint if exists rooms_status_check,
+  add constraint rooms_status_check check (status in ('draft', 'published', 'archived'));
+
+alter table rooms
+  drop constraint if exists rooms_capacity_check,
+  add constraint rooms_capacity_check check (capacity is null or capacity between 1 and 50);
+
+-- Las habitaciones existentes ya estaban visibles, las nuevas se crean como borrador desde la API
+alter table rooms alter column status set default 'draft';
+
+create index if not exists rooms_host_id_idx on rooms (host_id);
+create index if not exists rooms_status_idx on rooms (status);
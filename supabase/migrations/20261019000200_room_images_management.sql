@@ -0,0 +1,91 @@
+-- Orden y ruta en Storage para las fotos de las habitaciones
+alter table room_images
+  add column if not exists position integer not null default 0,
+  add column if not exists storage_path text;
+
+-- Solo puede existir una imagen principal por habitación
+update room_images ri
+set is_primary = false
+where is_primary
+  and exists (
+    select 1 from room_images other
+    where other.room_id = ri.room_id
+      and other.is_primary
+      and other.created_at < ri.created_at
+  );
+
+create unique index if not exists room_images_one_primary_idx
+  on room_images (room_id)
+  where is_primary;
+
+create index if not exists room_images_room_position_idx on room_images (room_id, position);
+
+-- Bucket público para las fotos subidas por los anfitriones
+insert into storage.buckets (id, name, public)
+values ('room-images', 'room-images', true)
+on conflict (id) do nothing;
+
+-- Cambio de portada en una sola transacción: se quita la portada actual y se marca la
+-- nueva, así una falla a medias no deja la habitación sin imagen principal. Las funciones
+-- bloquean la habitación para que dos cambios simultáneos no se crucen y corren con los
+-- permisos de quien llama, de modo que las políticas de room_images siguen aplicando.
+create or replace function set_room_primary_image(p_room_id uuid, p_image_id room_images.id%type)
+returns boolean
+language plpgsql
+as $$
+begin
+  perform 1 from rooms where id = p_room_id for update;
+
+  perform 1 from room_images where id = p_image_id and room_id = p_room_id;
+  if not found then
+    return false;
+  end if;
+
+  -- Primero se desmarca la portada actual para respetar room_images_one_primary_idx
+  update room_images
+  set is_primary = false
+  where room_id = p_room_id
+    and is_primary
+    and id <> p_image_id;
+
+  update room_images
+  set is_primary = true
+  where id = p_image_id;
+
+  return true;
+end;
+$$;
+
+-- Elimina una imagen y, si era la portada, marca como principal la siguiente en orden.
+-- Devuelve la fila eliminada (para borrar sus archivos de Storage) o nada si no existe.
+create or replace function delete_room_image(p_room_id uuid, p_image_id room_images.id%type)
+returns setof room_images
+language plpgsql
+as $$
+declare
+  deleted room_images%rowtype;
+begin
+  perform 1 from rooms where id = p_room_id for update;
+
+  delete from room_images
+  where id = p_image_id and room_id = p_room_id
+  returning * into deleted;
+
+  if not found then
+    return;
+  end if;
+
+  if deleted.is_primary then
+    update room_images
+    set is_primary = true
+    where id = (
+      select id from room_images
+      where room_id = p_room_id
+      order by position, created_at
+      limit 1
+    );
+  end if;
+
+  return next deleted;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- Variantes redimensionadas (JPEG + WebP) y placeholder blurhash de las imágenes procesadas
+alter table room_images
+  add column if not exists variants jsonb,
+  add column if not exists blurhash text;
+
+alter table profiles
+  add column if not exists profile_image_variants jsonb,
+  add column if not exists profile_image_blurhash text;
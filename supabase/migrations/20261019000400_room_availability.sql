@@ -0,0 +1,71 @@
+-- Reglas de estancia por habitación (días de la semana: 0 = domingo ... 6 = sábado)
+alter table rooms
+  add column if not exists min_nights integer not null default 1,
+  add column if not exists max_nights integer,
+  add column if not exists check_in_days smallint[],
+  add column if not exists check_out_days smallint[];
+
+alter table rooms
+  drop constraint if exists rooms_stay_length_check,
+  add constraint rooms_stay_length_check check (
+    min_nights >= 1 and (max_nights is null or max_nights >= min_nights)
+  );
+
+-- Rangos bloqueados por el anfitrión: [start_date, end_date), end_date es el primer día libre
+create table if not exists room_blocked_dates (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references rooms (id) on delete cascade,
+  start_date date not null,
+  end_date date not null,
+  reason text,
+  source text not null default 'host',
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  constraint room_blocked_dates_range_check check (end_date > start_date)
+);
+
+create index if not exists room_blocked_dates_room_range_idx
+  on room_blocked_dates (room_id, start_date, end_date);
+
+create index if not exists bookings_room_range_idx
+  on bookings (room_id, start_date, end_date);
+
+-- Funciones auxiliares para las políticas de las tablas de una habitación. Son security
+-- definer para que las políticas no dependan de las políticas de rooms.
+create or replace function is_room_host(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from rooms where id = p_room_id and host_id = auth.uid()
+  );
+$$;
+
+-- Habitación publicada o propia
+create or replace function is_room_visible(p_room_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from rooms
+    where id = p_room_id
+      and (status = 'published' or host_id = auth.uid())
+  );
+$$;
+
+-- Cualquiera ve los bloqueos de una habitación visible; solo su anfitrión los administra
+alter table room_blocked_dates enable row level security;
+
+drop policy if exists room_blocked_dates_select on room_blocked_dates;
+create policy room_blocked_dates_select on room_blocked_dates
+  for select using (is_room_visible(room_id));
+
+drop policy if exists room_blocked_dates_host on room_blocked_dates;
+create policy room_blocked_dates_host on room_blocked_dates
+  for all using (is_room_host(room_id)) with check (is_room_host(room_id));
@@ -0,0 +1,106 @@
+-- Retenciones temporales de fechas mientras el huésped completa el pago
+create table if not exists booking_holds (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references rooms (id) on delete cascade,
+  user_id uuid references users (id) on delete set null,
+  start_date date not null,
+  end_date date not null,
+  session_id text unique,
+  expires_at timestamptz not null,
+  created_at timestamptz not null default now(),
+  constraint booking_holds_range_check check (end_date > start_date)
+);
+
+create index if not exists booking_holds_room_range_idx
+  on booking_holds (room_id, start_date, end_date);
+
+-- Coloca una retención de forma atómica: bloquea la fila de la habitación para
+-- serializar solicitudes concurrentes y devuelve un conjunto vacío si hay cruce
+create or replace function place_booking_hold(
+  p_room_id uuid,
+  p_user_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_expires_at timestamptz
+)
+returns setof booking_holds
+language plpgsql
+as $$
+begin
+  perform 1 from rooms where id = p_room_id for update;
+
+  delete from booking_holds
+  where room_id = p_room_id
+    and expires_at <= now();
+
+  if exists (
+    select 1 from bookings
+    where room_id = p_room_id
+      and status = 'active'
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) or exists (
+    select 1 from booking_holds
+    where room_id = p_room_id
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) or exists (
+    select 1 from room_blocked_dates
+    where room_id = p_room_id
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) then
+    return;
+  end if;
+
+  return query
+    insert into booking_holds (room_id, user_id, start_date, end_date, expires_at)
+    values (p_room_id, p_user_id, p_start_date, p_end_date, p_expires_at)
+    returning *;
+end;
+$$;
+
+-- Función para detener la migración si ya hay reservas que se cruzan en los estados dados.
+-- No se cancelan automáticamente (pueden estar pagadas): se listan para resolverlas a mano
+-- antes de crear la restricción de exclusión.
+create or replace function assert_no_booking_overlaps(p_statuses text[])
+returns void
+language plpgsql
+as $$
+declare
+  conflicts text;
+begin
+  select string_agg(format('%s / %s (habitación %s)', a.id, b.id, a.room_id), E'\n')
+  into conflicts
+  from bookings a
+  join bookings b
+    on b.room_id = a.room_id
+    and b.id > a.id
+    and daterange(a.start_date, a.end_date) && daterange(b.start_date, b.end_date)
+  where a.status = any (p_statuses)
+    and b.status = any (p_statuses);
+
+  if conflicts is not null then
+    raise exception 'Hay reservas que se cruzan; resuélvelas antes de crear bookings_no_overlap:%', E'\n' || conflicts;
+  end if;
+end;
+$$;
+
+-- Ninguna pareja de reservas activas de la misma habitación puede cruzarse
+create extension if not exists btree_gist;
+
+select assert_no_booking_overlaps(array['active']);
+
+alter table bookings
+  drop constraint if exists bookings_no_overlap,
+  add constraint bookings_no_overlap
+    exclude using gist (room_id with =, daterange(start_date, end_date) with &&)
+    where (status = 'active');
+
+-- Las retenciones solo las escribe el servidor. Cualquiera puede ver qué fechas están
+-- retenidas para calcular la disponibilidad, pero no quién las retiene ni su sesión de pago
+alter table booking_holds enable row level security;
+
+drop policy if exists booking_holds_select on booking_holds;
+create policy booking_holds_select on booking_holds
+  for select using (true);
+
+revoke all on booking_holds from anon, authenticated;
+grant select (id, room_id, start_date, end_date, expires_at) on booking_holds to anon, authenticated;
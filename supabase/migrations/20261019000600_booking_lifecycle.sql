@@ -0,0 +1,124 @@
+-- Ciclo de vida de las reservas
+alter table bookings
+  add column if not exists pending_payment_at timestamptz,
+  add column if not exists confirmed_at timestamptz,
+  add column if not exists checked_in_at timestamptz,
+  add column if not exists completed_at timestamptz,
+  add column if not exists cancelled_at timestamptz,
+  add column if not exists no_show_at timestamptz,
+  add column if not exists refunded_at timestamptz;
+
+-- Las reservas 'active' existentes pasan a confirmadas
+alter table bookings drop constraint if exists bookings_no_overlap;
+
+update bookings
+set status = 'confirmed',
+    confirmed_at = coalesce(confirmed_at, created_at)
+where status = 'active';
+
+alter table bookings
+  drop constraint if exists bookings_status_check,
+  add constraint bookings_status_check check (status in (
+    'pending_payment', 'confirmed', 'checked_in', 'completed', 'cancelled', 'no_show', 'refunded'
+  ));
+
+alter table bookings alter column status set default 'pending_payment';
+
+select assert_no_booking_overlaps(array['pending_payment', 'confirmed', 'checked_in']);
+
+alter table bookings
+  add constraint bookings_no_overlap
+    exclude using gist (room_id with =, daterange(start_date, end_date) with &&)
+    where (status in ('pending_payment', 'confirmed', 'checked_in'));
+
+-- Historial de transiciones: quién movió la reserva, cuándo y por qué
+create table if not exists booking_transitions (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references bookings (id) on delete cascade,
+  from_status text,
+  to_status text not null,
+  actor_id uuid references users (id) on delete set null,
+  actor_role text not null check (actor_role in ('guest', 'host', 'admin', 'system')),
+  reason text,
+  metadata jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists booking_transitions_booking_idx
+  on booking_transitions (booking_id, created_at);
+
+-- Plazo de pago de las reservas pendientes. Una reserva creada con POST /api/bookings ocupa
+-- sus fechas como una retención: si no se paga antes de payment_expires_at, la tarea de
+-- seguimiento la cancela.
+alter table bookings
+  add column if not exists payment_expires_at timestamptz;
+
+create index if not exists bookings_payment_expires_at_idx
+  on bookings (payment_expires_at)
+  where status = 'pending_payment';
+
+-- Las retenciones deben considerar los nuevos estados activos
+create or replace function place_booking_hold(
+  p_room_id uuid,
+  p_user_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_expires_at timestamptz
+)
+returns setof booking_holds
+language plpgsql
+as $$
+begin
+  perform 1 from rooms where id = p_room_id for update;
+
+  delete from booking_holds
+  where room_id = p_room_id
+    and expires_at <= now();
+
+  if exists (
+    select 1 from bookings
+    where room_id = p_room_id
+      and status in ('pending_payment', 'confirmed', 'checked_in')
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) or exists (
+    select 1 from booking_holds
+    where room_id = p_room_id
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) or exists (
+    select 1 from room_blocked_dates
+    where room_id = p_room_id
+      and daterange(start_date, end_date) && daterange(p_start_date, p_end_date)
+  ) then
+    return;
+  end if;
+
+  return query
+    insert into booking_holds (room_id, user_id, start_date, end_date, expires_at)
+    values (p_room_id, p_user_id, p_start_date, p_end_date, p_expires_at)
+    returning *;
+end;
+$$;
+
+-- Huésped de la reserva o anfitrión de su habitación
+create or replace function is_booking_participant(p_booking_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from bookings b
+    join rooms r on r.id = b.room_id
+    where b.id = p_booking_id
+      and (b.user_id = auth.uid() or r.host_id = auth.uid())
+  );
+$$;
+
+-- Los participantes leen el historial; las transiciones solo las registra el servidor
+alter table booking_transitions enable row level security;
+
+drop policy if exists booking_transitions_select on booking_transitions;
+create policy booking_transitions_select on booking_transitions
+  for select using (is_booking_participant(booking_id));
@@ -0,0 +1,46 @@
+-- Referencia al PaymentIntent para reembolsos parciales
+alter table bookings
+  add column if not exists payment_intent_id text;
+
+-- Modificaciones de fechas y huéspedes con su repricing. La reducción de una reserva pagada
+-- se aplica primero y el reembolso queda pendiente con su monto; si Stripe falla se marca
+-- como fallido y la tarea de seguimiento lo reintenta. refund_claimed_at evita que dos
+-- procesos lo emitan a la vez.
+create table if not exists booking_amendments (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null references bookings (id) on delete cascade,
+  requested_by uuid references users (id) on delete set null,
+  previous_start_date date not null,
+  previous_end_date date not null,
+  previous_guests integer,
+  previous_price numeric(12, 2) not null,
+  new_start_date date not null,
+  new_end_date date not null,
+  new_guests integer,
+  new_price numeric(12, 2) not null,
+  price_difference numeric(12, 2) not null,
+  status text not null check (status in ('pending', 'pending_payment', 'applied', 'failed', 'cancelled')),
+  payment_session_id text,
+  refund_id text,
+  refund_amount numeric(12, 2),
+  refund_status text check (refund_status is null or refund_status in ('pending', 'processing', 'issued', 'failed')),
+  refund_attempts integer not null default 0,
+  refund_error text,
+  refund_claimed_at timestamptz,
+  created_at timestamptz not null default now(),
+  applied_at timestamptz
+);
+
+create index if not exists booking_amendments_booking_idx
+  on booking_amendments (booking_id, created_at);
+
+create index if not exists booking_amendments_refund_pending_idx
+  on booking_amendments (applied_at)
+  where refund_status in ('pending', 'processing', 'failed');
+
+-- Los participantes leen las modificaciones; solo el servidor las registra
+alter table booking_amendments enable row level security;
+
+drop policy if exists booking_amendments_select on booking_amendments;
+create policy booking_amendments_select on booking_amendments
+  for select using (is_booking_participant(booking_id));
@@ -0,0 +1,23 @@
+-- Política de cancelación por habitación; cancellation_windows sobrescribe las ventanas por defecto
+alter table rooms
+  add column if not exists cancellation_policy text not null default 'moderate',
+  add column if not exists cancellation_windows jsonb;
+
+alter table rooms
+  drop constraint if exists rooms_cancellation_policy_check,
+  add constraint rooms_cancellation_policy_check
+    check (cancellation_policy in ('flexible', 'moderate', 'strict'));
+
+-- Reembolso calculado y emitido al cancelar. El estado sigue en refund_breakdown
+-- (pending, issued, failed); refund_claimed_at evita que dos procesos emitan el mismo
+-- reembolso y refund_attempts limita los reintentos de la tarea de seguimiento.
+alter table bookings
+  add column if not exists refund_amount numeric(12, 2),
+  add column if not exists refund_id text,
+  add column if not exists refund_breakdown jsonb,
+  add column if not exists refund_attempts integer not null default 0,
+  add column if not exists refund_claimed_at timestamptz;
+
+create index if not exists bookings_refund_retry_idx
+  on bookings (cancelled_at)
+  where status = 'cancelled' and refund_breakdown->>'status' in ('pending', 'failed');
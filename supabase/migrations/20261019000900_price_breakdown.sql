@@ -0,0 +1,17 @@
+-- Tarifa de limpieza por habitación
+alter table rooms
+  add column if not exists cleaning_fee numeric(12, 2) not null default 0;
+
+alter table rooms
+  drop constraint if exists rooms_cleaning_fee_check,
+  add constraint rooms_cleaning_fee_check check (cleaning_fee >= 0);
+
+-- Desglose de la cotización (noches, cargos, IVA e ISH) guardado con cada cobro
+alter table bookings
+  add column if not exists price_breakdown jsonb;
+
+alter table booking_holds
+  add column if not exists price_breakdown jsonb;
+
+alter table booking_amendments
+  add column if not exists new_price_breakdown jsonb;
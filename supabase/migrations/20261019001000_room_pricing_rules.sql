@@ -0,0 +1,116 @@
+-- Reglas de precio por habitación: temporadas, fines de semana, estancias largas y última hora.
+-- adjustment_percentage es positivo para recargos y negativo para descuentos.
+create table if not exists room_pricing_rules (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references rooms (id) on delete cascade,
+  rule_type text not null,
+  name text,
+  start_date date,
+  end_date date,
+  nightly_price numeric(12, 2),
+  adjustment_percentage numeric(6, 2),
+  days_of_week smallint[],
+  min_nights integer,
+  max_days_before integer,
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  constraint room_pricing_rules_type_check
+    check (rule_type in ('seasonal', 'weekend', 'length_of_stay', 'last_minute')),
+  constraint room_pricing_rules_percentage_check
+    check (adjustment_percentage is null or adjustment_percentage between -90 and 300),
+  constraint room_pricing_rules_seasonal_check
+    check (rule_type <> 'seasonal' or (start_date is not null and end_date > start_date)),
+  constraint room_pricing_rules_length_check
+    check (rule_type <> 'length_of_stay' or min_nights >= 2),
+  constraint room_pricing_rules_last_minute_check
+    check (rule_type <> 'last_minute' or max_days_before >= 0)
+);
+
+create index if not exists room_pricing_rules_room_idx
+  on room_pricing_rules (room_id);
+
+-- Cualquiera ve las reglas de una habitación visible; solo su anfitrión las administra
+alter table room_pricing_rules enable row level security;
+
+drop policy if exists room_pricing_rules_select on room_pricing_rules;
+create policy room_pricing_rules_select on room_pricing_rules
+  for select using (is_room_visible(room_id));
+
+drop policy if exists room_pricing_rules_host on room_pricing_rules;
+create policy room_pricing_rules_host on room_pricing_rules
+  for all using (is_room_host(room_id)) with check (is_room_host(room_id));
+
+-- Precio promedio por noche de una estancia [p_check_in, p_check_out) con las reglas activas
+-- de la habitación. Replica getNightlyRates de utils/pricingRules.js para que el listado
+-- filtre y ordene por el mismo precio que se cotiza.
+create or replace function room_nightly_price(p_room rooms, p_check_in date, p_check_out date, p_today date)
+returns numeric
+language sql
+stable
+as $$
+  with rules as (
+    select * from room_pricing_rules where room_id = p_room.id and active
+  ),
+  stay as (
+    select
+      (select adjustment_percentage from rules
+        where rule_type = 'length_of_stay' and p_check_out - p_check_in >= min_nights
+        order by min_nights desc
+        limit 1) as length_of_stay,
+      (select adjustment_percentage from rules
+        where rule_type = 'last_minute' and p_check_in - p_today between 0 and max_days_before
+        order by adjustment_percentage asc
+        limit 1) as last_minute
+  ),
+  rates as (
+    select round(
+      coalesce(season.nightly_price, p_room.price * (1 + coalesce(season.adjustment_percentage, 0) / 100))
+        * (1 + coalesce(weekend.adjustment_percentage, 0) / 100)
+        * (1 + coalesce(stay.length_of_stay, 0) / 100)
+        * (1 + coalesce(stay.last_minute, 0) / 100),
+      2) as price
+    from generate_series(p_check_in::timestamp, (p_check_out - 1)::timestamp, interval '1 day') as night
+    cross join stay
+    -- La temporada de rango más corto es la más específica
+    left join lateral (
+      select nightly_price, adjustment_percentage from rules
+      where rule_type = 'seasonal' and start_date <= night::date and night::date < end_date
+      order by end_date - start_date, created_at
+      limit 1
+    ) season on true
+    left join lateral (
+      select adjustment_percentage from rules
+      where rule_type = 'weekend'
+        and extract(dow from night)::smallint = any (coalesce(days_of_week, array[5, 6]::smallint[]))
+      order by created_at
+      limit 1
+    ) weekend on true
+  )
+  select round(avg(price), 2) from rates;
+$$;
+
+-- Habitaciones cuyo precio por noche para la estancia está entre p_min_price y p_max_price.
+-- Con p_order ('asc' o 'desc') salen ordenadas por ese precio; la ruta encadena los demás
+-- filtros y la paginación sin volver a ordenar.
+create or replace function search_rooms_by_nightly_price(
+  p_check_in date,
+  p_check_out date,
+  p_today date,
+  p_min_price numeric default null,
+  p_max_price numeric default null,
+  p_order text default null
+)
+returns setof rooms
+language sql
+stable
+as $$
+  select rooms.*
+  from rooms
+  cross join lateral room_nightly_price(rooms, p_check_in, p_check_out, p_today) as nightly_price
+  where (p_min_price is null or nightly_price >= p_min_price)
+    and (p_max_price is null or nightly_price <= p_max_price)
+  order by
+    case when p_order = 'asc' then nightly_price end asc,
+    case when p_order = 'desc' then nightly_price end desc,
+    rooms.id;
+$$;
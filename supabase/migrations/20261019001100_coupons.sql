@@ -0,0 +1,159 @@
+-- Roles de usuario (los administradores gestionan cupones y tareas internas)
+create table if not exists user_roles (
+  user_id uuid primary key references users (id) on delete cascade,
+  role text not null default 'user',
+  created_at timestamptz not null default now()
+);
+
+-- Cupones de descuento: porcentaje (con tope opcional) o monto fijo en MXN
+create table if not exists coupons (
+  id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  description text,
+  discount_type text not null,
+  discount_value numeric(12, 2) not null,
+  max_discount_amount numeric(12, 2),
+  min_booking_amount numeric(12, 2),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  max_redemptions integer,
+  max_redemptions_per_user integer default 1,
+  room_ids uuid[],
+  locations text[],
+  active boolean not null default true,
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint coupons_discount_type_check check (discount_type in ('percentage', 'fixed')),
+  constraint coupons_discount_value_check check (
+    discount_value > 0 and (discount_type <> 'percentage' or discount_value <= 100)
+  ),
+  constraint coupons_window_check check (ends_at is null or starts_at is null or ends_at > starts_at)
+);
+
+-- Usos de cupones. Al crear la sesión de pago el uso queda apartado (reserved) hasta
+-- expires_at; el webhook de Stripe lo confirma (redeemed) y la expiración de la sesión lo
+-- libera. Una sesión de pago registra un solo uso.
+create table if not exists coupon_redemptions (
+  id uuid primary key default gen_random_uuid(),
+  coupon_id uuid not null references coupons (id) on delete restrict,
+  user_id uuid references users (id) on delete set null,
+  booking_id uuid references bookings (id) on delete set null,
+  session_id text unique,
+  discount_amount numeric(12, 2) not null,
+  status text not null default 'redeemed',
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint coupon_redemptions_status_check check (status in ('reserved', 'redeemed'))
+);
+
+create index if not exists coupon_redemptions_coupon_user_idx
+  on coupon_redemptions (coupon_id, user_id);
+
+-- Conteo de usos confirmados y apartados vigentes, en total y del usuario de la sesión
+-- (auth.uid()), sin exponer los usos de otros usuarios. Los usos apartados para p_booking_id
+-- no cuentan: una reserva pendiente que genera otra sesión vuelve a usar el mismo cupón.
+create or replace function get_coupon_usage(p_coupon_id uuid, p_booking_id uuid default null)
+returns table (total_redemptions bigint, user_redemptions bigint)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    count(*) as total_redemptions,
+    count(*) filter (where user_id = auth.uid()) as user_redemptions
+  from coupon_redemptions
+  where coupon_id = p_coupon_id
+    and (status = 'redeemed' or (expires_at > now() and booking_id is distinct from p_booking_id));
+$$;
+
+-- Aparta un uso del cupón para el usuario de la sesión mientras paga. Bloquea el cupón para
+-- que dos sesiones simultáneas no superen max_redemptions ni max_redemptions_per_user.
+-- Devuelve el id del uso apartado.
+create or replace function reserve_coupon_redemption(
+  p_coupon_id uuid,
+  p_discount_amount numeric,
+  p_expires_at timestamptz,
+  p_booking_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  coupon coupons%rowtype;
+  usage record;
+  redemption_id uuid;
+begin
+  if auth.uid() is null then
+    raise exception 'Se requiere un usuario para usar el cupón';
+  end if;
+
+  select * into coupon from coupons where id = p_coupon_id for update;
+
+  select * into usage from get_coupon_usage(p_coupon_id, p_booking_id);
+
+  if coupon.max_redemptions is not null and usage.total_redemptions >= coupon.max_redemptions then
+    raise exception 'El cupón alcanzó su límite de usos' using errcode = 'P0001', hint = 'coupon_limit';
+  end if;
+
+  if coupon.max_redemptions_per_user is not null and usage.user_redemptions >= coupon.max_redemptions_per_user then
+    raise exception 'Ya usaste este cupón el máximo de veces permitido' using errcode = 'P0001', hint = 'coupon_limit';
+  end if;
+
+  insert into coupon_redemptions (coupon_id, user_id, booking_id, discount_amount, status, expires_at)
+  values (p_coupon_id, auth.uid(), p_booking_id, p_discount_amount, 'reserved', p_expires_at)
+  returning id into redemption_id;
+
+  return redemption_id;
+end;
+$$;
+
+revoke execute on function reserve_coupon_redemption(uuid, numeric, timestamptz, uuid) from anon;
+
+-- Administradores: función security definer para que las políticas no dependan de las
+-- políticas de user_roles
+create or replace function is_admin()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from user_roles where user_id = auth.uid() and role = 'admin'
+  );
+$$;
+
+-- Roles: cada usuario ve el suyo y solo el servidor los asigna
+alter table user_roles enable row level security;
+
+drop policy if exists user_roles_select_own on user_roles;
+create policy user_roles_select_own on user_roles
+  for select using (user_id = auth.uid());
+
+revoke insert, update, delete on user_roles from anon, authenticated;
+
+-- Cupones: los administra un administrador; la validación al reservar usa el cliente de servicio
+alter table coupons enable row level security;
+
+drop policy if exists coupons_admin_all on coupons;
+create policy coupons_admin_all on coupons
+  for all using (is_admin()) with check (is_admin());
+
+alter table coupon_redemptions enable row level security;
+
+drop policy if exists coupon_redemptions_select on coupon_redemptions;
+create policy coupon_redemptions_select on coupon_redemptions
+  for select using (user_id = auth.uid() or is_admin());
+
+-- Los administradores también leen el historial y las modificaciones de las reservas
+drop policy if exists booking_transitions_select on booking_transitions;
+create policy booking_transitions_select on booking_transitions
+  for select using (is_booking_participant(booking_id) or is_admin());
+
+drop policy if exists booking_amendments_select on booking_amendments;
+create policy booking_amendments_select on booking_amendments
+  for select using (is_booking_participant(booking_id) or is_admin());
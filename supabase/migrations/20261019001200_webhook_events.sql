@@ -0,0 +1,32 @@
+-- Eventos recibidos del webhook de Stripe, guardados por ID para procesarlos una sola vez
+create table if not exists webhook_events (
+  id text primary key,
+  type text not null,
+  payload jsonb not null,
+  status text not null default 'received',
+  attempts integer not null default 0,
+  last_error text,
+  livemode boolean not null default false,
+  stripe_created_at timestamptz,
+  processing_started_at timestamptz,
+  processed_at timestamptz,
+  failed_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint webhook_events_status_check
+    check (status in ('received', 'processing', 'processed', 'failed'))
+);
+
+create index if not exists webhook_events_status_created_idx
+  on webhook_events (status, created_at desc);
+
+-- Una sesión de Checkout confirma como máximo una reserva
+create unique index if not exists bookings_payment_session_id_key
+  on bookings (payment_session_id)
+  where payment_session_id is not null;
+
+-- Los eventos solo los escribe el servidor; los administradores pueden consultarlos
+alter table webhook_events enable row level security;
+
+drop policy if exists webhook_events_admin_select on webhook_events;
+create policy webhook_events_admin_select on webhook_events
+  for select using (is_admin());
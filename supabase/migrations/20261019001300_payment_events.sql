@@ -0,0 +1,16 @@
+-- Datos de pago que actualizan los eventos del webhook de Stripe
+alter table bookings
+  add column if not exists payment_error text,
+  add column if not exists refunded_amount numeric(12, 2),
+  add column if not exists dispute_id text,
+  add column if not exists dispute_reason text,
+  add column if not exists disputed_at timestamptz;
+
+create index if not exists bookings_payment_intent_id_idx
+  on bookings (payment_intent_id);
+
+-- Las modificaciones cuya sesión de pago expira quedan como expired
+alter table booking_amendments
+  drop constraint if exists booking_amendments_status_check,
+  add constraint booking_amendments_status_check
+    check (status in ('pending', 'pending_payment', 'applied', 'failed', 'cancelled', 'expired'));
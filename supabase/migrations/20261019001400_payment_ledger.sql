@@ -0,0 +1,54 @@
+-- Libro de movimientos de pago: cobros, reembolsos, cargos, contracargos y pagos a anfitriones.
+-- amount siempre es positivo; entry_type indica la dirección del movimiento.
+-- Las reservas y usuarios con movimientos no se pueden eliminar.
+create table if not exists payment_ledger (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid references bookings (id),
+  user_id uuid references users (id),
+  entry_type text not null,
+  amount numeric(12, 2) not null,
+  currency text not null default 'MXN',
+  status text not null default 'succeeded',
+  reference text not null,
+  description text,
+  metadata jsonb,
+  occurred_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  constraint payment_ledger_entry_type_check
+    check (entry_type in ('charge', 'refund', 'fee', 'dispute', 'payout')),
+  constraint payment_ledger_amount_check check (amount >= 0),
+  constraint payment_ledger_reference_key unique (entry_type, reference)
+);
+
+create index if not exists payment_ledger_booking_idx
+  on payment_ledger (booking_id, occurred_at);
+
+create index if not exists payment_ledger_user_idx
+  on payment_ledger (user_id, occurred_at desc);
+
+-- Solo inserción: los movimientos no se modifican ni se eliminan
+create or replace function prevent_payment_ledger_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'payment_ledger es de solo inserción';
+end;
+$$;
+
+drop trigger if exists payment_ledger_append_only on payment_ledger;
+create trigger payment_ledger_append_only
+  before update or delete on payment_ledger
+  for each row execute function prevent_payment_ledger_changes();
+
+-- Cada usuario lee sus movimientos y los participantes los de la reserva; solo el servidor
+-- los registra
+alter table payment_ledger enable row level security;
+
+drop policy if exists payment_ledger_select on payment_ledger;
+create policy payment_ledger_select on payment_ledger
+  for select using (
+    user_id = auth.uid()
+    or (booking_id is not null and is_booking_participant(booking_id))
+    or is_admin()
+  );
@@ -0,0 +1,61 @@
+-- Pago con anticipo: al reservar se cobra deposit_amount y balance_amount se cobra
+-- automáticamente el día balance_due_date con el método de pago guardado
+alter table bookings
+  add column if not exists payment_schedule text not null default 'full',
+  add column if not exists deposit_amount numeric(12, 2),
+  add column if not exists balance_amount numeric(12, 2),
+  add column if not exists balance_due_date date,
+  add column if not exists balance_status text,
+  add column if not exists balance_attempts integer not null default 0,
+  add column if not exists balance_next_attempt_at timestamptz,
+  add column if not exists balance_error text,
+  add column if not exists balance_payment_intent_id text,
+  add column if not exists balance_paid_at timestamptz,
+  add column if not exists payment_customer_id text,
+  add column if not exists payment_method_id text;
+
+alter table bookings
+  drop constraint if exists bookings_payment_schedule_check,
+  add constraint bookings_payment_schedule_check
+    check (payment_schedule in ('full', 'deposit'));
+
+alter table bookings
+  drop constraint if exists bookings_balance_status_check,
+  add constraint bookings_balance_status_check
+    check (balance_status is null or balance_status in ('scheduled', 'processing', 'paid', 'failed', 'cancelled'));
+
+-- Saldos pendientes que revisa el cobro programado
+create index if not exists bookings_balance_due_idx
+  on bookings (balance_due_date)
+  where balance_status in ('scheduled', 'failed');
+
+-- Notificaciones dentro de la aplicación
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references users (id) on delete cascade,
+  type text not null,
+  title text not null,
+  message text not null,
+  booking_id uuid references bookings (id) on delete cascade,
+  data jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx
+  on notifications (user_id, created_at desc);
+
+create index if not exists notifications_unread_idx
+  on notifications (user_id)
+  where read_at is null;
+
+-- Notificaciones: el usuario las lee y las marca como leídas; solo el servidor las crea
+alter table notifications enable row level security;
+
+drop policy if exists notifications_select_own on notifications;
+create policy notifications_select_own on notifications
+  for select using (user_id = auth.uid());
+
+drop policy if exists notifications_update_own on notifications;
+create policy notifications_update_own on notifications
+  for update using (user_id = auth.uid()) with check (user_id = auth.uid());
@@ -0,0 +1,95 @@
+-- Cuenta conectada (Stripe Connect) a la que se transfieren las ganancias del anfitrión
+alter table users
+  add column if not exists payout_account_id text,
+  add column if not exists payouts_enabled boolean not null default false;
+
+-- Pagos a anfitriones: agrupan la parte del anfitrión de varias reservas completadas
+create table if not exists host_payouts (
+  id uuid primary key default gen_random_uuid(),
+  host_id uuid not null references users (id),
+  amount numeric(12, 2) not null,
+  currency text not null default 'MXN',
+  status text not null default 'scheduled',
+  period_start date not null,
+  period_end date not null,
+  scheduled_for date not null,
+  transfer_id text,
+  error text,
+  paid_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint host_payouts_status_check
+    check (status in ('scheduled', 'processing', 'paid', 'failed')),
+  constraint host_payouts_amount_check check (amount > 0)
+);
+
+create index if not exists host_payouts_host_idx
+  on host_payouts (host_id, created_at desc);
+
+create index if not exists host_payouts_pending_idx
+  on host_payouts (scheduled_for)
+  where status = 'scheduled';
+
+-- Monto de cada reserva incluido en un pago. Una reserva puede aparecer en varios pagos
+-- si un reembolso posterior ajusta lo que le corresponde al anfitrión (monto negativo).
+create table if not exists host_payout_items (
+  id uuid primary key default gen_random_uuid(),
+  payout_id uuid not null references host_payouts (id) on delete cascade,
+  booking_id uuid not null references bookings (id),
+  amount numeric(12, 2) not null,
+  created_at timestamptz not null default now(),
+  constraint host_payout_items_booking_key unique (payout_id, booking_id)
+);
+
+create index if not exists host_payout_items_booking_idx
+  on host_payout_items (booking_id);
+
+-- La cuenta conectada del anfitrión solo la escribe el servidor: un usuario no puede
+-- apuntar sus pagos a otra cuenta ni habilitarlos desde su sesión
+create or replace function protect_user_payout_columns()
+returns trigger
+language plpgsql
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.payout_account_id is not null or new.payouts_enabled then
+      raise exception 'La cuenta de pagos solo se puede configurar desde el servidor'
+        using errcode = '42501';
+    end if;
+  elsif new.payout_account_id is distinct from old.payout_account_id
+    or new.payouts_enabled is distinct from old.payouts_enabled then
+    raise exception 'La cuenta de pagos solo se puede configurar desde el servidor'
+      using errcode = '42501';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists users_protect_payout_columns on users;
+create trigger users_protect_payout_columns
+  before insert or update on users
+  for each row execute function protect_user_payout_columns();
+
+-- Cada anfitrión ve sus pagos; solo el servidor los programa y transfiere
+alter table host_payouts enable row level security;
+
+drop policy if exists host_payouts_select on host_payouts;
+create policy host_payouts_select on host_payouts
+  for select using (host_id = auth.uid() or is_admin());
+
+alter table host_payout_items enable row level security;
+
+drop policy if exists host_payout_items_select on host_payout_items;
+create policy host_payout_items_select on host_payout_items
+  for select using (
+    exists (
+      select 1 from host_payouts p
+      where p.id = payout_id
+        and (p.host_id = auth.uid() or is_admin())
+    )
+  );
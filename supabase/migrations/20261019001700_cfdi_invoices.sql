@@ -0,0 +1,65 @@
+-- Datos fiscales del huésped para emitir su factura (CFDI 4.0)
+create table if not exists fiscal_profiles (
+  user_id uuid primary key references users (id) on delete cascade,
+  rfc text not null,
+  legal_name text not null,
+  tax_regime text not null,
+  zip_code text not null,
+  cfdi_use text not null,
+  email text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint fiscal_profiles_rfc_check check (rfc ~ '^[A-ZÑ&]{3,4}[0-9]{6}[A-Z0-9]{3}$'),
+  constraint fiscal_profiles_zip_code_check check (zip_code ~ '^[0-9]{5}$')
+);
+
+-- Folio consecutivo de las facturas
+create sequence if not exists invoice_folio_seq;
+
+-- Facturas de las reservas. Una por reserva; si el timbrado falla se reintenta sobre la
+-- misma fila. Se guarda el XML timbrado y los datos con los que se generó el PDF.
+create table if not exists invoices (
+  id uuid primary key default gen_random_uuid(),
+  booking_id uuid not null unique references bookings (id),
+  user_id uuid not null references users (id),
+  series text not null,
+  folio bigint not null default nextval('invoice_folio_seq'),
+  status text not null default 'pending',
+  total numeric(12, 2),
+  currency text not null default 'MXN',
+  data jsonb,
+  xml text,
+  uuid text unique,
+  pac_provider text,
+  stamped_at timestamptz,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint invoices_status_check
+    check (status in ('pending', 'stamping', 'stamped', 'failed'))
+);
+
+create index if not exists invoices_user_idx
+  on invoices (user_id, created_at desc);
+
+-- Facturas pendientes de timbrar. Los flujos de cobro solo marcan la reserva; la tarea de
+-- seguimiento emite la factura y limpia la marca.
+alter table bookings
+  add column if not exists invoice_due_at timestamptz;
+
+create index if not exists bookings_invoice_due_at_idx
+  on bookings (invoice_due_at)
+  where invoice_due_at is not null;
+
+-- Cada huésped administra sus datos fiscales; las facturas las emite solo el servidor
+alter table fiscal_profiles enable row level security;
+
+drop policy if exists fiscal_profiles_own on fiscal_profiles;
+create policy fiscal_profiles_own on fiscal_profiles
+  for all using (user_id = auth.uid()) with check (user_id = auth.uid());
+
+alter table invoices enable row level security;
+
+drop policy if exists invoices_select on invoices;
+create policy invoices_select on invoices
+  for select using (user_id = auth.uid() or is_booking_participant(booking_id) or is_admin());
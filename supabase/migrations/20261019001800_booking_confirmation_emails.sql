@@ -0,0 +1,14 @@
+-- Correo de confirmación de la reserva (con el recibo y el .ics). La tarea de seguimiento lo
+-- envía fuera del webhook de pago. confirmation_email_sent_at solo se marca cuando el
+-- proveedor acepta el correo; mientras tanto el envío se toma con confirmation_email_claimed_at
+-- y cada intento fallido queda contado con su error.
+alter table bookings
+  add column if not exists confirmation_email_sent_at timestamptz,
+  add column if not exists confirmation_email_claimed_at timestamptz,
+  add column if not exists confirmation_email_attempts integer not null default 0,
+  add column if not exists confirmation_email_error text;
+
+-- Reservas pagadas cuyo correo de confirmación no se ha enviado
+create index if not exists bookings_confirmation_email_pending_idx
+  on bookings (confirmed_at)
+  where confirmation_email_sent_at is null;
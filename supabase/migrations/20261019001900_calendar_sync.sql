@@ -0,0 +1,45 @@
+-- Token secreto de la URL de exportación iCal de cada habitación
+alter table rooms
+  add column if not exists ical_export_token text unique;
+
+-- Calendarios externos (Airbnb, Booking, VRBO...) que se importan como fechas bloqueadas.
+-- url es opcional: sin ella el calendario solo se actualiza subiendo el archivo .ics.
+create table if not exists room_calendar_imports (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references rooms (id) on delete cascade,
+  name text not null,
+  url text,
+  last_synced_at timestamptz,
+  last_sync_status text,
+  last_error text,
+  events_count integer not null default 0,
+  conflicts jsonb not null default '[]'::jsonb,
+  created_by uuid references users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint room_calendar_imports_status_check
+    check (last_sync_status is null or last_sync_status in ('success', 'error'))
+);
+
+create index if not exists room_calendar_imports_room_idx
+  on room_calendar_imports (room_id);
+
+create index if not exists room_calendar_imports_sync_idx
+  on room_calendar_imports (last_synced_at nulls first)
+  where url is not null;
+
+-- Bloqueos que vienen de un calendario importado; se reemplazan en cada sincronización
+alter table room_blocked_dates
+  add column if not exists calendar_import_id uuid references room_calendar_imports (id) on delete cascade,
+  add column if not exists external_uid text;
+
+create index if not exists room_blocked_dates_import_idx
+  on room_blocked_dates (calendar_import_id)
+  where calendar_import_id is not null;
+
+-- Solo el anfitrión de la habitación administra sus calendarios importados
+alter table room_calendar_imports enable row level security;
+
+drop policy if exists room_calendar_imports_host on room_calendar_imports;
+create policy room_calendar_imports_host on room_calendar_imports
+  for all using (is_room_host(room_id)) with check (is_room_host(room_id));
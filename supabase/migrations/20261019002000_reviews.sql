@@ -0,0 +1,99 @@
+-- Reseñas de estancias: una por reserva completada, con calificación general y por
+-- categoría (1 a 5)
+alter table reviews
+  add column if not exists booking_id uuid references bookings (id) on delete set null,
+  add column if not exists cleanliness smallint,
+  add column if not exists accuracy smallint,
+  add column if not exists communication smallint,
+  add column if not exists location smallint,
+  add column if not exists check_in smallint,
+  add column if not exists value smallint,
+  add column if not exists updated_at timestamptz not null default now();
+
+create unique index if not exists reviews_booking_key
+  on reviews (booking_id)
+  where booking_id is not null;
+
+create index if not exists reviews_room_created_idx
+  on reviews (room_id, created_at desc);
+
+alter table reviews
+  drop constraint if exists reviews_ratings_check,
+  add constraint reviews_ratings_check check (
+    rating between 1 and 5
+    and (cleanliness is null or cleanliness between 1 and 5)
+    and (accuracy is null or accuracy between 1 and 5)
+    and (communication is null or communication between 1 and 5)
+    and (location is null or location between 1 and 5)
+    and (check_in is null or check_in between 1 and 5)
+    and (value is null or value between 1 and 5)
+  );
+
+-- Resumen de reseñas en la habitación (rating ya existía)
+alter table rooms
+  add column if not exists reviews_count integer not null default 0,
+  add column if not exists review_scores jsonb;
+
+-- Recalcula el promedio de la habitación y el contador del autor al cambiar una reseña.
+-- Se ejecuta como el dueño porque quien reseña no puede modificar la habitación.
+create or replace function refresh_review_stats(p_room_id uuid, p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_room_id is not null then
+    update rooms
+    set rating = coalesce(stats.average, 0),
+        reviews_count = stats.total,
+        review_scores = stats.scores
+    from (
+      select
+        round(avg(rating)::numeric, 2) as average,
+        count(*)::integer as total,
+        jsonb_build_object(
+          'cleanliness', round(avg(cleanliness)::numeric, 2),
+          'accuracy', round(avg(accuracy)::numeric, 2),
+          'communication', round(avg(communication)::numeric, 2),
+          'location', round(avg(location)::numeric, 2),
+          'check_in', round(avg(check_in)::numeric, 2),
+          'value', round(avg(value)::numeric, 2)
+        ) as scores
+      from reviews
+      where room_id = p_room_id
+    ) as stats
+    where rooms.id = p_room_id;
+  end if;
+
+  if p_user_id is not null then
+    update user_stats
+    set reviews = (select count(*) from reviews where user_id = p_user_id)
+    where user_id = p_user_id;
+  end if;
+end;
+$$;
+
+create or replace function reviews_refresh_stats()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform refresh_review_stats(old.room_id, old.user_id);
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform refresh_review_stats(new.room_id, new.user_id);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists reviews_refresh_stats on reviews;
+create trigger reviews_refresh_stats
+  after insert or update or delete on reviews
+  for each row execute function reviews_refresh_stats();
+
+-- Calcular el resumen de las reseñas que ya existían
+select refresh_review_stats(room_id, user_id)
+from (select distinct room_id, user_id from reviews) as existing;
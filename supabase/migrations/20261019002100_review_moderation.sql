@@ -0,0 +1,115 @@
+-- Respuesta pública del anfitrión (una por reseña) y estado de moderación
+alter table reviews
+  add column if not exists host_reply text,
+  add column if not exists host_reply_at timestamptz,
+  add column if not exists status text not null default 'visible',
+  add column if not exists flagged_at timestamptz,
+  add column if not exists hidden_at timestamptz;
+
+alter table reviews
+  drop constraint if exists reviews_status_check,
+  add constraint reviews_status_check check (status in ('visible', 'hidden'));
+
+-- Cola de moderación: reseñas con reportes pendientes, las más antiguas primero
+create index if not exists reviews_flagged_idx
+  on reviews (flagged_at)
+  where flagged_at is not null;
+
+-- Reportes de reseñas abusivas. Un usuario solo puede reportar una vez cada reseña.
+create table if not exists review_reports (
+  id uuid primary key default gen_random_uuid(),
+  review_id uuid not null references reviews (id) on delete cascade,
+  user_id uuid not null references users (id),
+  reason text not null,
+  details text,
+  status text not null default 'open',
+  resolved_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint review_reports_reason_check
+    check (reason in ('spam', 'offensive', 'false_information', 'conflict_of_interest', 'other')),
+  constraint review_reports_status_check
+    check (status in ('open', 'resolved', 'dismissed')),
+  constraint review_reports_review_user_key unique (review_id, user_id)
+);
+
+create index if not exists review_reports_open_idx
+  on review_reports (review_id)
+  where status = 'open';
+
+-- Bitácora de acciones de moderación. Guarda una copia de la reseña para que el registro
+-- sobreviva a su eliminación.
+create table if not exists review_moderation_actions (
+  id uuid primary key default gen_random_uuid(),
+  review_id uuid references reviews (id) on delete set null,
+  moderator_id uuid not null references users (id),
+  action text not null,
+  reason text,
+  review_snapshot jsonb not null,
+  created_at timestamptz not null default now(),
+  constraint review_moderation_actions_action_check
+    check (action in ('hide', 'restore', 'delete', 'dismiss'))
+);
+
+create index if not exists review_moderation_actions_created_idx
+  on review_moderation_actions (created_at desc);
+
+create index if not exists review_moderation_actions_review_idx
+  on review_moderation_actions (review_id);
+
+-- Las reseñas ocultas ya no cuentan en el promedio de la habitación ni en el contador
+-- del autor
+create or replace function refresh_review_stats(p_room_id uuid, p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if p_room_id is not null then
+    update rooms
+    set rating = coalesce(stats.average, 0),
+        reviews_count = stats.total,
+        review_scores = stats.scores
+    from (
+      select
+        round(avg(rating)::numeric, 2) as average,
+        count(*)::integer as total,
+        jsonb_build_object(
+          'cleanliness', round(avg(cleanliness)::numeric, 2),
+          'accuracy', round(avg(accuracy)::numeric, 2),
+          'communication', round(avg(communication)::numeric, 2),
+          'location', round(avg(location)::numeric, 2),
+          'check_in', round(avg(check_in)::numeric, 2),
+          'value', round(avg(value)::numeric, 2)
+        ) as scores
+      from reviews
+      where room_id = p_room_id
+        and status = 'visible'
+    ) as stats
+    where rooms.id = p_room_id;
+  end if;
+
+  if p_user_id is not null then
+    update user_stats
+    set reviews = (select count(*) from reviews where user_id = p_user_id and status = 'visible')
+    where user_id = p_user_id;
+  end if;
+end;
+$$;
+
+-- Cada usuario ve sus reportes y el administrador todos; la bitácora solo la lee el administrador
+alter table review_reports enable row level security;
+
+drop policy if exists review_reports_insert_own on review_reports;
+create policy review_reports_insert_own on review_reports
+  for insert with check (user_id = auth.uid());
+
+drop policy if exists review_reports_select on review_reports;
+create policy review_reports_select on review_reports
+  for select using (user_id = auth.uid() or is_admin());
+
+alter table review_moderation_actions enable row level security;
+
+drop policy if exists review_moderation_actions_admin_select on review_moderation_actions;
+create policy review_moderation_actions_admin_select on review_moderation_actions
+  for select using (is_admin());
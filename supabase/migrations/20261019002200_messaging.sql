@@ -0,0 +1,155 @@
+-- Conversaciones entre huésped y anfitrión. Una consulta sobre una habitación (sin
+-- reserva) o una conversación por reserva.
+create table if not exists conversations (
+  id uuid primary key default gen_random_uuid(),
+  room_id uuid not null references rooms (id) on delete cascade,
+  booking_id uuid references bookings (id) on delete set null,
+  guest_id uuid not null references users (id),
+  host_id uuid not null references users (id),
+  last_message_at timestamptz,
+  last_message_preview text,
+  guest_unread_count integer not null default 0,
+  host_unread_count integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint conversations_participants_check check (guest_id <> host_id)
+);
+
+create unique index if not exists conversations_booking_key
+  on conversations (booking_id)
+  where booking_id is not null;
+
+create unique index if not exists conversations_inquiry_key
+  on conversations (room_id, guest_id)
+  where booking_id is null;
+
+create index if not exists conversations_guest_idx
+  on conversations (guest_id, last_message_at desc);
+
+create index if not exists conversations_host_idx
+  on conversations (host_id, last_message_at desc);
+
+-- Mensajes. attachments guarda la ruta en el bucket privado message-attachments, el
+-- nombre, el tipo y el tamaño de cada archivo.
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references conversations (id) on delete cascade,
+  sender_id uuid not null references users (id),
+  body text,
+  attachments jsonb not null default '[]'::jsonb,
+  contact_filtered boolean not null default false,
+  read_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint messages_content_check
+    check (coalesce(length(body), 0) > 0 or jsonb_array_length(attachments) > 0)
+);
+
+create index if not exists messages_conversation_created_idx
+  on messages (conversation_id, created_at desc);
+
+create index if not exists messages_unread_idx
+  on messages (conversation_id)
+  where read_at is null;
+
+-- Mantiene el último mensaje y los contadores de no leídos de cada participante
+create or replace function messages_refresh_conversation()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'INSERT' then
+    update conversations
+    set last_message_at = new.created_at,
+        last_message_preview = left(coalesce(nullif(new.body, ''), '[Archivo adjunto]'), 140),
+        updated_at = now()
+    where id = new.conversation_id;
+  end if;
+
+  update conversations c
+  set guest_unread_count = (
+        select count(*) from messages m
+        where m.conversation_id = c.id and m.sender_id <> c.guest_id and m.read_at is null
+      ),
+      host_unread_count = (
+        select count(*) from messages m
+        where m.conversation_id = c.id and m.sender_id <> c.host_id and m.read_at is null
+      )
+  where c.id = new.conversation_id;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists messages_refresh_conversation on messages;
+create trigger messages_refresh_conversation
+  after insert or update of read_at on messages
+  for each row execute function messages_refresh_conversation();
+
+-- Bucket privado para los adjuntos; se leen con URLs firmadas
+insert into storage.buckets (id, name, public)
+values ('message-attachments', 'message-attachments', false)
+on conflict (id) do nothing;
+
+-- Participante de la conversación. Es security definer para que las políticas de messages
+-- no dependan de las de conversations.
+create or replace function is_conversation_participant(p_conversation_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from conversations
+    where id = p_conversation_id
+      and auth.uid() in (guest_id, host_id)
+  );
+$$;
+
+-- Los participantes leen; los mensajes se guardan desde el servidor para aplicar el filtro
+-- de datos de contacto
+alter table conversations enable row level security;
+
+drop policy if exists conversations_select on conversations;
+create policy conversations_select on conversations
+  for select using (auth.uid() in (guest_id, host_id));
+
+alter table messages enable row level security;
+
+drop policy if exists messages_select on messages;
+create policy messages_select on messages
+  for select using (is_conversation_participant(conversation_id));
+
+-- Políticas del bucket de adjuntos. Los adjuntos se guardan bajo conversationId/, así que
+-- solo los participantes de esa conversación pueden subir archivos y generar URLs firmadas;
+-- cada quien puede borrar solo lo que subió (limpieza cuando el mensaje no se pudo guardar).
+create or replace function is_attachment_participant(p_object_name text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from conversations
+    where id::text = split_part(p_object_name, '/', 1)
+      and auth.uid() in (guest_id, host_id)
+  );
+$$;
+
+drop policy if exists message_attachments_insert on storage.objects;
+create policy message_attachments_insert on storage.objects
+  for insert to authenticated
+  with check (bucket_id = 'message-attachments' and is_attachment_participant(name));
+
+drop policy if exists message_attachments_select on storage.objects;
+create policy message_attachments_select on storage.objects
+  for select to authenticated
+  using (bucket_id = 'message-attachments' and is_attachment_participant(name));
+
+drop policy if exists message_attachments_delete on storage.objects;
+create policy message_attachments_delete on storage.objects
+  for delete to authenticated
+  using (bucket_id = 'message-attachments' and owner = auth.uid() and is_attachment_participant(name));
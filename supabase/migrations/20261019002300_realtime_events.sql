@@ -0,0 +1,46 @@
+-- Eventos en tiempo real. Cada evento publicado se guarda aquí y llega a las conexiones SSE
+-- abiertas en cualquier instancia por Supabase Realtime; el id es el id del evento, así que
+-- un cliente que se reconecta con Last-Event-ID recibe los que se perdió.
+create table if not exists realtime_events (
+  id bigint generated always as identity primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  event text not null,
+  data jsonb not null default '{}',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists realtime_events_user_id_idx on realtime_events (user_id, id);
+create index if not exists realtime_events_created_at_idx on realtime_events (created_at);
+
+alter table realtime_events enable row level security;
+
+drop policy if exists realtime_events_select_own on realtime_events;
+create policy realtime_events_select_own on realtime_events
+  for select using (user_id = auth.uid());
+
+-- Tickets de un solo uso para abrir el canal SSE. EventSource no envía encabezados y el
+-- token de sesión no debe ir en la URL (queda en los registros de acceso); se guarda solo
+-- el hash del ticket. Sin políticas: solo el servidor los lee y escribe.
+create table if not exists realtime_tickets (
+  token_hash text primary key,
+  user_id uuid not null references users (id) on delete cascade,
+  session_expires_at timestamptz,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists realtime_tickets_expires_at_idx on realtime_tickets (expires_at);
+
+alter table realtime_tickets enable row level security;
+
+-- Publicar los cambios de la tabla por Supabase Realtime
+do $$
+begin
+  if not exists (
+    select 1 from pg_publication_tables
+    where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = 'realtime_events'
+  ) then
+    alter publication supabase_realtime add table realtime_events;
+  end if;
+end $$;
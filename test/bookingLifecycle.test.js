@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { BOOKING_STATUSES, TRANSITIONS, getAllowedTransitions } = require('../utils/bookingLifecycle');
+
+// Fecha 'YYYY-MM-DD' desplazada n días desde hoy (UTC)
+const daysFromToday = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('la tabla de transiciones solo usa estados conocidos', () => {
+  assert.deepEqual(Object.keys(TRANSITIONS).sort(), [...BOOKING_STATUSES].sort());
+  Object.values(TRANSITIONS).forEach(options => {
+    Object.keys(options).forEach(to => assert.ok(BOOKING_STATUSES.includes(to), to));
+  });
+});
+
+test('los estados finales no tienen salidas', () => {
+  ['completed', 'refunded'].forEach(status => {
+    assert.deepEqual(getAllowedTransitions({ status }, 'admin'), []);
+  });
+});
+
+test('solo el sistema o un administrador confirman una reserva pendiente', () => {
+  const booking = { status: 'pending_payment' };
+
+  assert.deepEqual(getAllowedTransitions(booking, 'system'), ['confirmed', 'cancelled']);
+  assert.deepEqual(getAllowedTransitions(booking, 'guest'), ['cancelled']);
+});
+
+test('la llegada y el no presentado esperan a la fecha de inicio', () => {
+  const upcoming = { status: 'confirmed', start_date: daysFromToday(3), end_date: daysFromToday(5) };
+  const started = { status: 'confirmed', start_date: daysFromToday(0), end_date: daysFromToday(2) };
+
+  assert.deepEqual(getAllowedTransitions(upcoming, 'host'), ['cancelled']);
+  assert.deepEqual(getAllowedTransitions(started, 'host'), ['checked_in', 'cancelled', 'no_show']);
+});
+
+test('el huésped no puede cancelar una estancia que ya terminó', () => {
+  const finished = { status: 'confirmed', start_date: daysFromToday(-5), end_date: daysFromToday(-1) };
+
+  assert.deepEqual(getAllowedTransitions(finished, 'guest'), []);
+  assert.ok(getAllowedTransitions(finished, 'host').includes('cancelled'));
+});
+
+test('solo se reembolsa una reserva cancelada que tiene un pago', () => {
+  assert.deepEqual(getAllowedTransitions({ status: 'cancelled', payment_status: 'paid' }, 'system'), ['refunded']);
+  assert.deepEqual(getAllowedTransitions({ status: 'cancelled', payment_status: 'unpaid' }, 'system'), []);
+  assert.deepEqual(getAllowedTransitions({ status: 'cancelled', payment_status: 'paid' }, 'guest'), []);
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeCalendarUrl } = require('../utils/calendarSync');
+
+test('acepta URLs públicas http(s) y convierte webcal a https', () => {
+  assert.equal(normalizeCalendarUrl(' https://example.com/cal.ics '), 'https://example.com/cal.ics');
+  assert.equal(normalizeCalendarUrl('webcal://example.com/cal.ics'), 'https://example.com/cal.ics');
+  assert.equal(normalizeCalendarUrl('http://93.184.216.34/cal.ics'), 'http://93.184.216.34/cal.ics');
+});
+
+test('devuelve null si no hay URL', () => {
+  assert.equal(normalizeCalendarUrl(''), null);
+  assert.equal(normalizeCalendarUrl(undefined), null);
+});
+
+test('rechaza URLs mal formadas y otros protocolos', () => {
+  assert.throws(() => normalizeCalendarUrl('no es una url'), { status: 400 });
+  assert.throws(() => normalizeCalendarUrl('ftp://example.com/cal.ics'), { status: 400 });
+  assert.throws(() => normalizeCalendarUrl('file:///etc/passwd'), { status: 400 });
+});
+
+test('rechaza direcciones locales y privadas', () => {
+  [
+    'http://localhost:3000/cal.ics',
+    'http://calendar.internal/cal.ics',
+    'http://127.0.0.1/cal.ics',
+    'http://10.0.0.5/cal.ics',
+    'http://169.254.169.254/latest/meta-data',
+    'http://[::1]/cal.ics',
+    'http://[::ffff:127.0.0.1]/cal.ics'
+  ].forEach(url => {
+    assert.throws(() => normalizeCalendarUrl(url), { status: 400, message: 'La URL del calendario debe ser una dirección pública' }, url);
+  });
+});
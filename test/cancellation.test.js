@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateCancellationWindows, getRoomPolicy, calculateRefund } = require('../utils/cancellation');
+
+const paidBooking = { start_date: '2026-11-20', price: 1000, payment_status: 'paid' };
+
+// Instante a n horas de la llegada (15:00 hora del centro de México)
+const hoursBeforeCheckIn = (hours) => new Date(Date.parse('2026-11-20T15:00:00-06:00') - hours * 60 * 60 * 1000);
+
+test('valida las ventanas personalizadas', () => {
+  assert.equal(validateCancellationWindows([{ hoursBefore: 48, refundPercentage: 100 }]), null);
+  assert.ok(validateCancellationWindows([]));
+  assert.ok(validateCancellationWindows([{ hoursBefore: -1, refundPercentage: 100 }]));
+  assert.ok(validateCancellationWindows([{ hoursBefore: 24, refundPercentage: 120 }]));
+});
+
+test('usa la política moderada si la habitación no tiene una válida', () => {
+  const policy = getRoomPolicy({ cancellation_policy: 'unknown' });
+
+  assert.equal(policy.name, 'moderate');
+  assert.deepEqual(policy.windows.map(window => window.hoursBefore), [120, 24]);
+});
+
+test('ordena las ventanas personalizadas de la más amplia a la más estrecha', () => {
+  const policy = getRoomPolicy({
+    cancellation_policy: 'flexible',
+    cancellation_windows: [
+      { hoursBefore: 24, refundPercentage: 50 },
+      { hoursBefore: 72, refundPercentage: 100 }
+    ]
+  });
+
+  assert.deepEqual(policy.windows.map(window => window.hoursBefore), [72, 24]);
+});
+
+test('aplica la ventana que corresponde a la anticipación', () => {
+  const room = { cancellation_policy: 'moderate' };
+
+  const early = calculateRefund(paidBooking, room, { actorRole: 'guest', now: hoursBeforeCheckIn(200) });
+  assert.equal(early.refundPercentage, 100);
+  assert.equal(early.refundAmount, 1000);
+
+  const late = calculateRefund(paidBooking, room, { actorRole: 'guest', now: hoursBeforeCheckIn(30) });
+  assert.equal(late.refundPercentage, 50);
+  assert.equal(late.refundAmount, 500);
+  assert.equal(late.retainedAmount, 500);
+
+  const tooLate = calculateRefund(paidBooking, room, { actorRole: 'guest', now: hoursBeforeCheckIn(2) });
+  assert.equal(tooLate.refundAmount, 0);
+  assert.equal(tooLate.appliedWindow, null);
+});
+
+test('el reembolso es total si cancela el anfitrión', () => {
+  const refund = calculateRefund(paidBooking, { cancellation_policy: 'strict' }, {
+    actorRole: 'host',
+    now: hoursBeforeCheckIn(2)
+  });
+
+  assert.equal(refund.refundPercentage, 100);
+  assert.equal(refund.refundAmount, 1000);
+});
+
+test('no reembolsa una reserva sin pago', () => {
+  const refund = calculateRefund({ ...paidBooking, payment_status: 'unpaid' }, {}, {
+    actorRole: 'guest',
+    now: hoursBeforeCheckIn(200)
+  });
+
+  assert.equal(refund.paidAmount, 0);
+  assert.equal(refund.refundAmount, 0);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCouponRow, validateCouponData, applyCouponCode } = require('../utils/coupons');
+const { calculateBookingPrice } = require('../utils/pricing');
+
+const room = { id: 'room-1', price: 1000, cleaning_fee: 200, location: 'Cancún, Quintana Roo' };
+const quote = calculateBookingPrice(room, { startDate: '2026-11-02', endDate: '2026-11-04' });
+
+const coupon = {
+  id: 'coupon-1',
+  code: 'VERANO10',
+  discount_type: 'percentage',
+  discount_value: 10,
+  active: true
+};
+
+// Cliente mínimo: devuelve el cupón buscado y los usos indicados
+const fakeSupabase = (found, usage = { total_redemptions: 0, user_redemptions: 0 }) => ({
+  from: () => {
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => ({ data: found, error: null })
+    };
+    return query;
+  },
+  rpc: async () => ({ data: [usage], error: null })
+});
+
+const apply = (found, usage) => applyCouponCode(fakeSupabase(found), quote, {
+  couponCode: ' verano10 ',
+  userSupabase: fakeSupabase(found, usage),
+  room
+});
+
+test('convierte el body en columnas y normaliza el código', () => {
+  assert.deepEqual(toCouponRow({ code: ' verano10 ', discountType: 'fixed', discountValue: '150', active: 1 }), {
+    code: 'VERANO10',
+    discount_type: 'fixed',
+    discount_value: 150,
+    active: true
+  });
+});
+
+test('valida el tipo, el valor y los límites de un cupón', () => {
+  assert.deepEqual(validateCouponData(coupon), []);
+  assert.equal(validateCouponData({ ...coupon, discount_value: 120 }).length, 1);
+  assert.equal(validateCouponData({ ...coupon, code: 'x' }).length, 1);
+  assert.equal(validateCouponData({ ...coupon, max_redemptions: 0 }).length, 1);
+  assert.equal(validateCouponData({ ...coupon, starts_at: '2026-12-01', ends_at: '2026-11-01' }).length, 1);
+  assert.equal(validateCouponData({ ...coupon, room_ids: [''] }).length, 1);
+});
+
+test('aplica un cupón válido a la cotización', async () => {
+  const discounted = await apply(coupon);
+
+  assert.equal(discounted.discount.code, 'VERANO10');
+  assert.equal(discounted.discount.amount, 242);
+  assert.ok(discounted.total < quote.total);
+});
+
+test('rechaza cupones inexistentes, inactivos o vencidos', async () => {
+  await assert.rejects(apply(null), { status: 404 });
+  await assert.rejects(apply({ ...coupon, active: false }), { status: 400 });
+  await assert.rejects(apply({ ...coupon, ends_at: '2020-01-01T00:00:00Z' }), { status: 400 });
+});
+
+test('rechaza cupones de otra habitación o ubicación', async () => {
+  await assert.rejects(apply({ ...coupon, room_ids: ['room-2'] }), { status: 400 });
+  await assert.rejects(apply({ ...coupon, locations: ['Oaxaca'] }), { status: 400 });
+  assert.ok(await apply({ ...coupon, locations: ['cancun'] }));
+});
+
+test('respeta el límite total y el límite por usuario', async () => {
+  await assert.rejects(
+    apply({ ...coupon, max_redemptions: 5 }, { total_redemptions: 5, user_redemptions: 0 }),
+    { status: 400, message: 'El cupón alcanzó su límite de usos' }
+  );
+  await assert.rejects(
+    apply({ ...coupon, max_redemptions_per_user: 1 }, { total_redemptions: 1, user_redemptions: 1 }),
+    { status: 400, message: 'Ya usaste este cupón el máximo de veces permitido' }
+  );
+});
+
+test('rechaza un descuento que deja el total por debajo del cargo mínimo', async () => {
+  await assert.rejects(apply({ ...coupon, discount_type: 'fixed', discount_value: 2420 }), { status: 400 });
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { getLodgingTax, getCouponDiscount, calculateBookingPrice, applyCoupon } = require('../utils/pricing');
+
+const room = { price: 1000, cleaning_fee: 200, location: 'Cancún, Quintana Roo' };
+const stay = { startDate: '2026-11-02', endDate: '2026-11-04', guests: 2 };
+
+test('obtiene la tasa de ISH por estado sin importar acentos ni mayúsculas', () => {
+  assert.deepEqual(getLodgingTax('Mérida, YUCATÁN'), { state: 'Yucatán', rate: 0.05 });
+  assert.deepEqual(getLodgingTax('Monterrey'), { state: 'Nuevo León', rate: 0.03 });
+  assert.deepEqual(getLodgingTax('Lugar desconocido'), { state: null, rate: 0.03 });
+});
+
+test('desglosa hospedaje, limpieza, cargo por servicio e impuestos', () => {
+  const quote = calculateBookingPrice(room, stay);
+
+  assert.equal(quote.currency, 'MXN');
+  assert.equal(quote.nights, 2);
+  assert.equal(quote.lodging, 2000);
+  assert.equal(quote.cleaningFee, 200);
+  assert.equal(quote.serviceFee, 220);
+  assert.equal(quote.taxes.iva.amount, 387.2);
+  assert.equal(quote.taxes.ish.amount, 110);
+  assert.equal(quote.total, 2917.2);
+  assert.deepEqual(quote.lineItems.map(item => item.code), ['lodging', 'cleaning_fee', 'service_fee', 'iva', 'ish']);
+});
+
+test('el total es la suma de las partidas', () => {
+  const quote = calculateBookingPrice({ ...room, price: 1234.56, cleaning_fee: 99.99 }, stay);
+  const sum = quote.lineItems.reduce((total, item) => total + item.amount, 0);
+
+  assert.equal(Math.round(sum * 100) / 100, quote.total);
+});
+
+test('omite la limpieza si la habitación no la cobra', () => {
+  const quote = calculateBookingPrice({ ...room, cleaning_fee: null }, stay);
+
+  assert.equal(quote.cleaningFee, 0);
+  assert.ok(!quote.lineItems.some(item => item.code === 'cleaning_fee'));
+});
+
+test('limita el descuento porcentual al máximo del cupón y al subtotal', () => {
+  assert.equal(getCouponDiscount({ discount_type: 'percentage', discount_value: 10 }, 2420), 242);
+  assert.equal(getCouponDiscount({ discount_type: 'percentage', discount_value: 50, max_discount_amount: 300 }, 2420), 300);
+  assert.equal(getCouponDiscount({ discount_type: 'fixed', discount_value: 5000 }, 2420), 2420);
+});
+
+test('el descuento reduce la base de los impuestos y se puede quitar', () => {
+  const quote = calculateBookingPrice(room, stay);
+  const discounted = applyCoupon(quote, { id: 'c', code: 'MITAD', discount_type: 'percentage', discount_value: 50 });
+
+  assert.equal(discounted.discount.amount, 1210);
+  assert.equal(discounted.taxes.iva.amount, 193.6);
+  assert.equal(discounted.taxes.ish.amount, 55);
+  assert.equal(discounted.total, 1458.6);
+  assert.deepEqual(applyCoupon(discounted, null), quote);
+});
@@ -0,0 +1,107 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePricingRule, getNightlyRates, getStayDates, getNightlyPrice } = require('../utils/pricingRules');
+const { parseDate } = require('../utils/availability');
+
+const now = new Date('2026-10-01T12:00:00Z');
+
+// Precios por noche de una estancia
+const prices = (room, startDate, endDate, options = { now }) =>
+  getNightlyRates(room, parseDate(startDate), parseDate(endDate), options).map(night => night.price);
+
+test('valida los campos de cada tipo de regla', () => {
+  assert.deepEqual(validatePricingRule({
+    rule_type: 'seasonal',
+    start_date: '2026-12-20',
+    end_date: '2027-01-05',
+    nightly_price: 1500
+  }), []);
+
+  assert.equal(validatePricingRule({ rule_type: 'holiday' }).length, 1);
+  assert.equal(validatePricingRule({
+    rule_type: 'seasonal',
+    start_date: '2026-12-20',
+    end_date: '2027-01-05',
+    nightly_price: 1500,
+    adjustment_percentage: 10
+  }).length, 1);
+  assert.equal(validatePricingRule({ rule_type: 'length_of_stay', adjustment_percentage: -10, min_nights: 1 }).length, 1);
+  assert.equal(validatePricingRule({ rule_type: 'weekend', adjustment_percentage: 500 }).length, 1);
+});
+
+test('sin reglas cada noche cuesta el precio base', () => {
+  assert.deepEqual(prices({ price: 1000 }, '2026-11-05', '2026-11-08'), [1000, 1000, 1000]);
+});
+
+test('aplica el recargo de fin de semana a viernes y sábado', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [{ id: 'w', rule_type: 'weekend', adjustment_percentage: 20 }]
+  };
+
+  // Jueves, viernes y sábado
+  assert.deepEqual(prices(room, '2026-11-05', '2026-11-08'), [1000, 1200, 1200]);
+});
+
+test('la temporada de rango más corto tiene prioridad', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [
+      { id: 'winter', rule_type: 'seasonal', start_date: '2026-12-01', end_date: '2027-01-31', adjustment_percentage: 10 },
+      { id: 'christmas', rule_type: 'seasonal', start_date: '2026-12-24', end_date: '2026-12-26', nightly_price: 2000 }
+    ]
+  };
+
+  assert.deepEqual(prices(room, '2026-12-23', '2026-12-27'), [1100, 2000, 2000, 1100]);
+});
+
+test('aplica solo el descuento de la mayor estancia mínima alcanzada', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [
+      { id: 'week', rule_type: 'length_of_stay', min_nights: 7, adjustment_percentage: -10 },
+      { id: 'month', rule_type: 'length_of_stay', min_nights: 28, adjustment_percentage: -25 }
+    ]
+  };
+
+  assert.deepEqual(prices(room, '2026-11-02', '2026-11-05'), [1000, 1000, 1000]);
+  assert.ok(prices(room, '2026-11-02', '2026-11-09').every(price => price === 900));
+  assert.ok(prices(room, '2026-11-02', '2026-11-30').every(price => price === 750));
+});
+
+test('aplica el descuento de última hora según la anticipación', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [{ id: 'lm', rule_type: 'last_minute', max_days_before: 3, adjustment_percentage: -15 }]
+  };
+
+  assert.deepEqual(prices(room, '2026-10-03', '2026-10-04'), [850]);
+  assert.deepEqual(prices(room, '2026-10-10', '2026-10-11'), [1000]);
+});
+
+test('ignora las reglas inactivas', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [{ id: 'w', rule_type: 'weekend', adjustment_percentage: 20, active: false }]
+  };
+
+  assert.deepEqual(prices(room, '2026-11-06', '2026-11-07'), [1000]);
+});
+
+test('sin fechas válidas la estancia es la noche de hoy', () => {
+  assert.deepEqual(getStayDates({ now }), { checkIn: '2026-10-01', checkOut: '2026-10-02', today: '2026-10-01' });
+  assert.deepEqual(getStayDates({ startDate: '2026-11-05', endDate: '2026-11-01', now }), {
+    checkIn: '2026-11-05',
+    checkOut: '2026-11-06',
+    today: '2026-10-01'
+  });
+});
+
+test('el precio por noche de una estancia es el promedio de sus noches', () => {
+  const room = {
+    price: 1000,
+    room_pricing_rules: [{ id: 'w', rule_type: 'weekend', adjustment_percentage: 20 }]
+  };
+
+  assert.equal(getNightlyPrice(room, { startDate: '2026-11-05', endDate: '2026-11-08', now }), 1133.33);
+});
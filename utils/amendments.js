@@ -0,0 +1,234 @@
+// Modificaciones de reservas (fechas y huéspedes). Cada cambio queda guardado en
+// booking_amendments con los valores anteriores, los nuevos y la diferencia cobrada o reembolsada.
+
+const { getAmendedSchedule } = require('./deposits');
+const { queueInvoiceWhenPaid } = require('./invoices');
+const { refundBookingPayments } = require('./cancellation');
+const { EXCLUSION_VIOLATION } = require('./reservations');
+const { roundMoney } = require('./money');
+const { createError } = require('./errors');
+const { claimRefund, listRetryableRefunds } = require('./refunds');
+
+// Estados del reembolso que aún no se emite; 'processing' solo se retoma si se abandonó
+const UNISSUED_REFUND_STATUSES = ['pending', 'processing', 'failed'];
+
+// Función para registrar una modificación solicitada
+const createAmendment = async (supabase, booking, changes, { requestedBy, status }) => {
+  const { data: amendment, error } = await supabase
+    .from('booking_amendments')
+    .insert([
+      {
+        booking_id: booking.id,
+        requested_by: requestedBy,
+        previous_start_date: booking.start_date,
+        previous_end_date: booking.end_date,
+        previous_guests: booking.guests,
+        previous_price: booking.price,
+        new_start_date: changes.startDate,
+        new_end_date: changes.endDate,
+        new_guests: changes.guests,
+        new_price: changes.price,
+        new_price_breakdown: changes.priceBreakdown || null,
+        price_difference: roundMoney(changes.price - Number(booking.price)),
+        status
+      }
+    ])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return amendment;
+};
+
+// Función para aplicar una modificación a la reserva. El calendario de pagos se recalcula
+// con la diferencia que no se cobró en la sesión de pago de la modificación (en reservas con
+// anticipo se ajusta el saldo pendiente).
+// Devuelve { booking, refundAmount } o { conflict: true } si las nuevas fechas ya están ocupadas.
+const applyAmendment = async (supabase, amendment, extra = {}) => {
+  const { data: current, error: currentError } = await supabase
+    .from('bookings')
+    .select('id, price, payment_status, payment_schedule, balance_amount, balance_status')
+    .eq('id', amendment.booking_id)
+    .single();
+
+  if (currentError) throw currentError;
+
+  const paidDifference = amendment.status === 'pending_payment' ? Number(amendment.price_difference) : 0;
+  const schedule = getAmendedSchedule(current, Number(amendment.new_price) - Number(current.price) - paidDifference);
+
+  let query = supabase
+    .from('bookings')
+    .update({
+      start_date: amendment.new_start_date,
+      end_date: amendment.new_end_date,
+      guests: amendment.new_guests,
+      price: amendment.new_price,
+      price_breakdown: amendment.new_price_breakdown,
+      ...schedule.changes
+    })
+    .eq('id', amendment.booking_id);
+
+  // El saldo no debe cambiar mientras el cobro programado lo está procesando
+  if (Object.keys(schedule.changes).length > 0) {
+    query = query.eq('balance_status', current.balance_status);
+  }
+
+  const { data: booking, error } = await query.select().maybeSingle();
+
+  if (error) {
+    if (error.code === EXCLUSION_VIOLATION) {
+      await updateAmendment(supabase, amendment.id, { status: 'failed', ...extra });
+      return { conflict: true };
+    }
+    throw error;
+  }
+
+  if (!booking) {
+    throw createError(409, 'El saldo de la reserva se está cobrando; intenta de nuevo en unos minutos');
+  }
+
+  // La reducción que no cubre el saldo se reembolsa después de aplicar el cambio; queda
+  // registrada como pendiente para que un fallo del proveedor se pueda reintentar
+  const refundAmount = current.payment_status === 'paid' ? schedule.refundAmount : 0;
+
+  await updateAmendment(supabase, amendment.id, {
+    status: 'applied',
+    applied_at: new Date().toISOString(),
+    ...(refundAmount > 0 ? { refund_amount: refundAmount, refund_status: 'pending' } : {}),
+    ...extra
+  });
+
+  // Si la reducción cubrió todo el saldo, la reserva ya se puede facturar
+  if (schedule.changes.balance_status === 'paid') {
+    await queueInvoiceWhenPaid(supabase, booking);
+  }
+
+  return { booking, refundAmount };
+};
+
+// Función para actualizar el estado de una modificación
+const updateAmendment = async (supabase, amendmentId, values) => {
+  const { error } = await supabase
+    .from('booking_amendments')
+    .update(values)
+    .eq('id', amendmentId);
+
+  if (error) throw error;
+};
+
+// Función para reembolsar la reducción de precio de una modificación aplicada, repartida
+// entre los cobros de la reserva. Si el proveedor falla, el error queda registrado y la
+// tarea de seguimiento lo reintenta. Devuelve la modificación actualizada (o null si otro
+// proceso ya tiene el reembolso).
+const issueAmendmentRefund = async (supabase, paymentProvider, amendmentId) => {
+  const amendment = await claimRefund(supabase, 'booking_amendments', amendmentId, {
+    match: { refund_status: UNISSUED_REFUND_STATUSES },
+    changes: { refund_status: 'processing' }
+  });
+
+  if (!amendment) return null;
+
+  const attempts = amendment.refund_attempts + 1;
+
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select('*')
+      .eq('id', amendment.booking_id)
+      .single();
+
+    if (error) throw error;
+
+    const refunds = await refundBookingPayments(supabase, paymentProvider, booking, {
+      amount: Number(amendment.refund_amount),
+      refundKey: `amendment:${amendment.id}`,
+      metadata: {
+        booking_id: booking.id,
+        amendment_id: amendment.id
+      }
+    });
+
+    return await updateRefundStatus(supabase, amendment.id, {
+      refund_status: 'issued',
+      refund_id: refunds[0].id,
+      refund_attempts: attempts,
+      refund_error: null
+    });
+  } catch (refundError) {
+    console.error('Error al reembolsar la modificación:', amendment.id, refundError);
+
+    return updateRefundStatus(supabase, amendment.id, {
+      refund_status: 'failed',
+      refund_attempts: attempts,
+      refund_error: refundError.message || String(refundError)
+    });
+  }
+};
+
+// Función para guardar el resultado de un reembolso y liberar la modificación
+const updateRefundStatus = async (supabase, amendmentId, values) => {
+  const { data, error } = await supabase
+    .from('booking_amendments')
+    .update({ ...values, refund_claimed_at: null })
+    .eq('id', amendmentId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para reintentar los reembolsos de modificaciones pendientes o fallidos. La ejecuta
+// la tarea de seguimiento de reservas; devuelve cuántos se emitieron y cuántos fallaron.
+const retryAmendmentRefunds = async (supabase, paymentProvider, { limit = 20 } = {}) => {
+  const amendments = await listRetryableRefunds(supabase, 'booking_amendments', {
+    match: { refund_status: UNISSUED_REFUND_STATUSES },
+    orderBy: 'applied_at',
+    limit
+  });
+
+  const summary = { issued: 0, failed: 0 };
+
+  for (const amendment of amendments) {
+    const result = await issueAmendmentRefund(supabase, paymentProvider, amendment.id);
+    if (result) summary[result.refund_status === 'issued' ? 'issued' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+// Función para dar formato a una modificación en las respuestas
+const formatAmendment = (amendment) => ({
+  id: amendment.id,
+  bookingId: amendment.booking_id,
+  status: amendment.status,
+  previous: {
+    startDate: amendment.previous_start_date,
+    endDate: amendment.previous_end_date,
+    guests: amendment.previous_guests,
+    price: amendment.previous_price
+  },
+  requested: {
+    startDate: amendment.new_start_date,
+    endDate: amendment.new_end_date,
+    guests: amendment.new_guests,
+    price: amendment.new_price,
+    priceBreakdown: amendment.new_price_breakdown || null
+  },
+  priceDifference: amendment.price_difference,
+  paymentSessionId: amendment.payment_session_id || null,
+  refundId: amendment.refund_id || null,
+  refundAmount: amendment.refund_amount ? Number(amendment.refund_amount) : null,
+  refundStatus: amendment.refund_status || null,
+  createdAt: amendment.created_at,
+  appliedAt: amendment.applied_at || null
+});
+
+module.exports = {
+  createAmendment,
+  applyAmendment,
+  updateAmendment,
+  issueAmendmentRefund,
+  retryAmendmentRefunds,
+  formatAmendment
+};
@@ -0,0 +1,65 @@
+// Middlewares de autenticación compartidos por las rutas. authenticateUser deja en
+// req.supabase un cliente con el token del usuario, así que las consultas pasan por las
+// políticas de RLS con su sesión.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+// Función para crear un cliente de Supabase que actúa con el token de un usuario
+const createUserClient = (token) => createClient(supabaseUrl, supabaseKey, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+    detectSessionInUrl: false
+  },
+  global: {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  }
+});
+
+// Middleware para verificar autenticación (Authorization: Bearer <token de Supabase>)
+const authenticateUser = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'No se proporcionó token de autenticación' });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const supabase = createUserClient(token);
+
+    const { data: { user }, error } = await supabase.auth.getUser();
+
+    if (error || !user) {
+      return res.status(401).json({ error: 'Token inválido o expirado' });
+    }
+
+    req.user = user;
+    req.supabase = supabase;
+    req.token = token;
+    next();
+  } catch (error) {
+    console.error('Error de autenticación:', error);
+    res.status(500).json({ error: 'Error de autenticación' });
+  }
+};
+
+// Middleware para las tareas programadas (Vercel Cron envía Authorization: Bearer CRON_SECRET)
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: 'No autorizado' });
+  }
+  next();
+};
+
+module.exports = {
+  createUserClient,
+  authenticateUser,
+  authenticateCron
+};
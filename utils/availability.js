@@ -0,0 +1,170 @@
+// Disponibilidad de habitaciones: reservas, bloqueos del anfitrión y reglas de estancia.
+// Todas las fechas son días 'YYYY-MM-DD' y los rangos son [inicio, fin): la fecha de fin
+// es el día de salida, igual que bookings.end_date.
+
+const { ACTIVE_BOOKING_STATUSES } = require('./bookingLifecycle');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CALENDAR_DAYS = 366;
+
+// Función para convertir 'YYYY-MM-DD' a Date (medianoche UTC); null si no es válida
+const parseDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return null;
+  }
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value ? null : date;
+};
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const countNights = (start, end) => Math.round((end - start) / DAY_MS);
+
+const today = () => parseDate(new Date().toISOString().slice(0, 10));
+
+// Función para obtener las reservas y bloqueos que se cruzan con [from, to)
+const getRoomOccupancy = async (supabase, roomId, from, to, { excludeBookingId } = {}) => {
+  let bookingsQuery = supabase
+    .from('bookings')
+    .select('id, start_date, end_date, status')
+    .eq('room_id', roomId)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+    .lt('start_date', formatDate(to))
+    .gt('end_date', formatDate(from));
+
+  if (excludeBookingId) {
+    bookingsQuery = bookingsQuery.neq('id', excludeBookingId);
+  }
+
+  const { data: bookings, error: bookingsError } = await bookingsQuery;
+  if (bookingsError) throw bookingsError;
+
+  const { data: blocks, error: blocksError } = await supabase
+    .from('room_blocked_dates')
+    .select('id, start_date, end_date, reason, source')
+    .eq('room_id', roomId)
+    .lt('start_date', formatDate(to))
+    .gt('end_date', formatDate(from));
+
+  if (blocksError) throw blocksError;
+
+  // Retenciones vigentes de huéspedes que están pagando
+  const { data: holds, error: holdsError } = await supabase
+    .from('booking_holds')
+    .select('id, start_date, end_date, expires_at')
+    .eq('room_id', roomId)
+    .gt('expires_at', new Date().toISOString())
+    .lt('start_date', formatDate(to))
+    .gt('end_date', formatDate(from));
+
+  if (holdsError) throw holdsError;
+
+  return { bookings: bookings || [], blocks: blocks || [], holds: holds || [] };
+};
+
+// Función para saber si un día está dentro de un rango [start_date, end_date)
+const coversDay = (range, day) => range.start_date <= day && day < range.end_date;
+
+// Un arreglo vacío o nulo significa que se permite cualquier día de la semana
+const isAllowedWeekday = (allowedDays, weekday) =>
+  !Array.isArray(allowedDays) || allowedDays.length === 0 || allowedDays.includes(weekday);
+
+// Función para construir el calendario día a día de una habitación
+const buildCalendar = (room, occupancy, from, to) => {
+  const days = [];
+  const minDate = formatDate(today());
+
+  for (let date = from; date < to; date = addDays(date, 1)) {
+    const day = formatDate(date);
+    const weekday = date.getUTCDay();
+    let status = 'available';
+
+    if (occupancy.bookings.some(booking => coversDay(booking, day))) {
+      status = 'booked';
+    } else if (occupancy.blocks.some(block => coversDay(block, day))) {
+      status = 'blocked';
+    } else if (occupancy.holds.some(hold => coversDay(hold, day))) {
+      status = 'held';
+    } else if (day < minDate) {
+      status = 'past';
+    }
+
+    days.push({
+      date: day,
+      status,
+      available: status === 'available',
+      checkInAllowed: status === 'available' && isAllowedWeekday(room.check_in_days, weekday),
+      checkOutAllowed: isAllowedWeekday(room.check_out_days, weekday)
+    });
+  }
+
+  return days;
+};
+
+// Función para validar un rango de fechas de reserva contra las reglas y la ocupación.
+// Devuelve { available, status, reason } con el código HTTP sugerido cuando no está disponible.
+const checkAvailability = async (supabase, room, startDate, endDate, options = {}) => {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+
+  if (!start || !end) {
+    return { available: false, status: 400, reason: 'Las fechas deben tener el formato YYYY-MM-DD' };
+  }
+
+  if (end <= start) {
+    return { available: false, status: 400, reason: 'La fecha de salida debe ser posterior a la de llegada' };
+  }
+
+  if (start < today()) {
+    return { available: false, status: 400, reason: 'No se pueden reservar fechas pasadas' };
+  }
+
+  const nights = countNights(start, end);
+  const minNights = room.min_nights || 1;
+
+  if (nights < minNights) {
+    return { available: false, status: 400, reason: `La estancia mínima es de ${minNights} noches` };
+  }
+
+  if (room.max_nights && nights > room.max_nights) {
+    return { available: false, status: 400, reason: `La estancia máxima es de ${room.max_nights} noches` };
+  }
+
+  if (!isAllowedWeekday(room.check_in_days, start.getUTCDay())) {
+    return { available: false, status: 400, reason: 'La habitación no admite llegadas ese día de la semana' };
+  }
+
+  if (!isAllowedWeekday(room.check_out_days, end.getUTCDay())) {
+    return { available: false, status: 400, reason: 'La habitación no admite salidas ese día de la semana' };
+  }
+
+  const occupancy = await getRoomOccupancy(supabase, room.id, start, end, options);
+
+  if (occupancy.bookings.length > 0) {
+    return { available: false, status: 409, reason: 'La habitación ya está reservada en esas fechas' };
+  }
+
+  if (occupancy.blocks.length > 0) {
+    return { available: false, status: 409, reason: 'El anfitrión bloqueó algunas de esas fechas' };
+  }
+
+  if (occupancy.holds.length > 0) {
+    return { available: false, status: 409, reason: 'Otro huésped está completando el pago de esas fechas' };
+  }
+
+  return { available: true, nights };
+};
+
+module.exports = {
+  MAX_CALENDAR_DAYS,
+  parseDate,
+  formatDate,
+  addDays,
+  countNights,
+  isAllowedWeekday,
+  getRoomOccupancy,
+  buildCalendar,
+  checkAvailability
+};
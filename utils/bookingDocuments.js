@@ -0,0 +1,186 @@
+// Documentos de una reserva para el huésped: el recibo en PDF y el evento de calendario
+// (.ics) con la llegada y la salida. Se descargan desde /api/bookings/:id/ y se adjuntan
+// al correo de confirmación.
+
+const PDFDocument = require('pdfkit');
+const { summarizeLedger } = require('./ledger');
+const { formatPaymentSchedule } = require('./deposits');
+const { formatAmount, toBuffer, writeFields, writeRow, writeTotals } = require('./pdf');
+const { CALENDAR_DOMAIN, buildCalendar, zonedTimeToUtc } = require('./icalendar');
+
+// Horarios de llegada y salida (hora local de BOOKING_TIMEZONE)
+const CHECK_IN_TIME = process.env.CHECK_IN_TIME || '15:00';
+const CHECK_OUT_TIME = process.env.CHECK_OUT_TIME || '11:00';
+const BOOKING_TIMEZONE = process.env.BOOKING_TIMEZONE || 'America/Mexico_City';
+
+const STATUS_LABELS = {
+  pending_payment: 'Pendiente de pago',
+  confirmed: 'Confirmada',
+  checked_in: 'En curso',
+  completed: 'Completada',
+  cancelled: 'Cancelada',
+  no_show: 'No se presentó',
+  refunded: 'Reembolsada'
+};
+
+const PAYMENT_STATUS_LABELS = {
+  unpaid: 'Sin pagar',
+  processing: 'Pago en proceso',
+  paid: 'Pagado',
+  failed: 'Pago rechazado',
+  expired: 'Pago expirado',
+  refunded: 'Reembolsado',
+  disputed: 'En disputa'
+};
+
+const CANCELLED_STATUSES = ['cancelled', 'no_show', 'refunded'];
+
+// Función para obtener todo lo necesario para los documentos de una reserva
+const loadBookingDocumentData = async (supabase, bookingId) => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .select(`
+      *,
+      guest:users (
+        id,
+        name,
+        email
+      ),
+      room:rooms (
+        id,
+        title,
+        location,
+        host:users (
+          id,
+          name
+        )
+      )
+    `)
+    .eq('id', bookingId)
+    .single();
+
+  if (error) throw error;
+
+  const { data: entries, error: ledgerError } = await supabase
+    .from('payment_ledger')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .order('occurred_at', { ascending: true });
+
+  if (ledgerError) throw ledgerError;
+
+  return { booking, ledger: entries };
+};
+
+// Función para generar el recibo de una reserva en PDF
+const renderReceiptPdf = ({ booking, ledger }) => {
+  const quote = booking.price_breakdown;
+  const currency = quote ? quote.currency : 'MXN';
+  const summary = summarizeLedger(ledger);
+  const schedule = formatPaymentSchedule(booking);
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Recibo de reserva ${booking.id}` } });
+  const left = doc.page.margins.left;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Recibo de reserva', { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Referencia: ${booking.id}`, { align: 'right' })
+    .text(`Emitido: ${new Date().toISOString().slice(0, 10)}`, { align: 'right' });
+
+  writeFields(doc, 'Alojamiento', [
+    ['Habitación', booking.room.title],
+    ['Ubicación', booking.room.location],
+    ['Anfitrión', booking.room.host ? booking.room.host.name : null]
+  ]);
+
+  writeFields(doc, 'Estancia', [
+    ['Huésped', booking.guest ? booking.guest.name : null],
+    ['Llegada', `${booking.start_date} a partir de las ${CHECK_IN_TIME}`],
+    ['Salida', `${booking.end_date} antes de las ${CHECK_OUT_TIME}`],
+    ['Noches', quote ? quote.nights : null],
+    ['Huéspedes', quote ? quote.guests : null],
+    ['Estado', STATUS_LABELS[booking.status] || booking.status]
+  ]);
+
+  // Desglose del precio
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(10).text('Desglose');
+  doc.moveDown(0.3);
+  const columns = [
+    { x: left, width: 380 },
+    { x: left + 385, width: 125, align: 'right' }
+  ];
+  const lineItems = quote
+    ? quote.lineItems
+    : [{ description: 'Hospedaje', amount: Number(booking.price) }];
+
+  lineItems.forEach(item => {
+    writeRow(doc, columns, [item.description, `${formatAmount(item.amount)} ${currency}`]);
+  });
+
+  doc.moveDown(0.3);
+  writeTotals(doc, [['Total', Number(booking.price), true]], { currency, labelX: left + 285, valueX: left + 430 });
+
+  // Estado del pago y movimientos
+  writeFields(doc, 'Pago', [
+    ['Estado', PAYMENT_STATUS_LABELS[booking.payment_status] || booking.payment_status],
+    schedule.type === 'deposit' && ['Anticipo', `${formatAmount(schedule.depositAmount)} ${currency}`],
+    schedule.type === 'deposit' && ['Saldo', `${formatAmount(schedule.balanceAmount)} ${currency} ` +
+      (schedule.balanceStatus === 'paid' ? '(pagado)' : `(se cobra el ${schedule.balanceDueDate})`)],
+    ['Pagado', `${formatAmount(summary.charged)} ${currency}`],
+    summary.refunded > 0 && ['Reembolsado', `${formatAmount(summary.refunded)} ${currency}`]
+  ].filter(Boolean));
+
+  const movements = ledger.filter(entry => entry.status === 'succeeded' && entry.entry_type !== 'payout' && entry.entry_type !== 'fee');
+  if (movements.length > 0) {
+    doc.moveDown(0.5);
+    movements.forEach(entry => {
+      writeRow(doc, [
+        { x: left, width: 90 },
+        { x: left + 95, width: 285 },
+        { x: left + 385, width: 125, align: 'right' }
+      ], [
+        String(entry.occurred_at).slice(0, 10),
+        entry.description || entry.entry_type,
+        `${entry.entry_type === 'charge' ? '' : '-'}${formatAmount(entry.amount)} ${entry.currency || currency}`
+      ]);
+    });
+  }
+
+  doc.moveDown(1).font('Helvetica').fontSize(8)
+    .text('Este recibo no es un comprobante fiscal. Puedes solicitar tu factura desde la reserva.', left, doc.y, { align: 'center' });
+
+  return toBuffer(doc);
+};
+
+// Función para generar el evento de calendario con la llegada y la salida
+const buildBookingCalendar = ({ booking }) => {
+  const cancelled = CANCELLED_STATUSES.includes(booking.status);
+  const host = booking.room.host ? booking.room.host.name : null;
+
+  return buildCalendar({
+    name: booking.room.title,
+    events: [
+      {
+        uid: `booking-${booking.id}@${CALENDAR_DOMAIN}`,
+        start: zonedTimeToUtc(booking.start_date, CHECK_IN_TIME, BOOKING_TIMEZONE),
+        end: zonedTimeToUtc(booking.end_date, CHECK_OUT_TIME, BOOKING_TIMEZONE),
+        summary: `Estancia en ${booking.room.title}`,
+        description: [
+          `Llegada: ${booking.start_date} a partir de las ${CHECK_IN_TIME}`,
+          `Salida: ${booking.end_date} antes de las ${CHECK_OUT_TIME}`,
+          host && `Anfitrión: ${host}`,
+          `Referencia: ${booking.id}`
+        ].filter(Boolean).join('\n'),
+        location: booking.room.location,
+        url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/bookings/${booking.id}` : null,
+        status: cancelled ? 'CANCELLED' : (booking.status === 'pending_payment' ? 'TENTATIVE' : 'CONFIRMED'),
+        alarm: cancelled ? null : { trigger: '-P1D', description: `Mañana llegas a ${booking.room.title}` }
+      }
+    ]
+  });
+};
+
+module.exports = {
+  loadBookingDocumentData,
+  renderReceiptPdf,
+  buildBookingCalendar
+};
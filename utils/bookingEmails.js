@@ -0,0 +1,131 @@
+// Correos transaccionales de las reservas. No se envían dentro del webhook de pago: la
+// tarea de seguimiento busca las reservas pagadas sin confirmación enviada, así que un error
+// al enviarlos solo se registra y no interrumpe el flujo de pago.
+
+const { getMailProvider } = require('./mailProviders');
+const { loadBookingDocumentData, renderReceiptPdf, buildBookingCalendar } = require('./bookingDocuments');
+const { formatMoney } = require('./money');
+
+// Días después de la confirmación en los que se sigue intentando enviar el correo
+const CONFIRMATION_EMAIL_WINDOW_DAYS = 2;
+const CONFIRMATION_EMAIL_MAX_ATTEMPTS = 5;
+// Un envío tomado hace más de este tiempo sin resultado se considera abandonado
+const CONFIRMATION_CLAIM_TIMEOUT_MINUTES = 10;
+
+// Función para enviar al huésped la confirmación de su reserva con el recibo en PDF y el
+// evento de calendario adjuntos. Solo se envía una vez por reserva; si falla, el intento y
+// el error quedan registrados y la tarea de seguimiento lo reintenta.
+const sendBookingConfirmation = async (supabase, booking, { mailProvider = getMailProvider() } = {}) => {
+  let claimed = null;
+
+  try {
+    // Tomar el envío; si otra ejecución lo tiene en curso o ya lo envió, no hacer nada
+    const claimCutoff = new Date(Date.now() - CONFIRMATION_CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+    const { data, error: claimError } = await supabase
+      .from('bookings')
+      .update({ confirmation_email_claimed_at: new Date().toISOString() })
+      .eq('id', booking.id)
+      .is('confirmation_email_sent_at', null)
+      .or(`confirmation_email_claimed_at.is.null,confirmation_email_claimed_at.lt.${claimCutoff}`)
+      .select('id, confirmation_email_attempts')
+      .maybeSingle();
+
+    if (claimError) throw claimError;
+    if (!data) return null;
+    claimed = data;
+
+    const documentData = await loadBookingDocumentData(supabase, booking.id);
+    const { booking: details } = documentData;
+
+    if (!details.guest || !details.guest.email) {
+      throw new Error('La reserva no tiene un correo de huésped');
+    }
+
+    const receipt = await renderReceiptPdf(documentData);
+    const calendar = buildBookingCalendar(documentData);
+
+    const lines = [
+      details.guest.name ? `Hola ${details.guest.name},` : 'Hola,',
+      '',
+      `Tu reserva en ${details.room.title} está confirmada.`,
+      `Llegada: ${details.start_date}`,
+      `Salida: ${details.end_date}`,
+      `Total: ${formatMoney(details.price)}`,
+      '',
+      'Adjuntamos tu recibo y un evento para agregar la estancia a tu calendario.',
+      `Referencia: ${details.id}`
+    ];
+
+    const sent = await mailProvider.send({
+      to: details.guest.email,
+      subject: `Reserva confirmada: ${details.room.title}`,
+      text: lines.join('\n'),
+      attachments: [
+        { filename: `recibo-${details.id}.pdf`, content: receipt, contentType: 'application/pdf' },
+        { filename: `reserva-${details.id}.ics`, content: calendar, contentType: 'text/calendar; charset=utf-8; method=PUBLISH' }
+      ]
+    });
+
+    const { error: sentError } = await supabase
+      .from('bookings')
+      .update({
+        confirmation_email_sent_at: new Date().toISOString(),
+        confirmation_email_claimed_at: null,
+        confirmation_email_attempts: claimed.confirmation_email_attempts + 1,
+        confirmation_email_error: null
+      })
+      .eq('id', booking.id);
+
+    if (sentError) throw sentError;
+    return sent;
+  } catch (error) {
+    console.error(`Error al enviar la confirmación de la reserva ${booking.id}:`, error);
+
+    // Liberar el envío y contar el intento para que la tarea de seguimiento lo reintente
+    if (claimed) {
+      await supabase
+        .from('bookings')
+        .update({
+          confirmation_email_claimed_at: null,
+          confirmation_email_attempts: claimed.confirmation_email_attempts + 1,
+          confirmation_email_error: error.message || String(error)
+        })
+        .eq('id', booking.id)
+        .is('confirmation_email_sent_at', null);
+    }
+    return null;
+  }
+};
+
+// Función para enviar las confirmaciones pendientes de las reservas pagadas recientemente.
+// La ejecuta la tarea de seguimiento de reservas; devuelve cuántas se enviaron.
+const sendPendingConfirmations = async (supabase, { now = new Date(), limit = 20, mailProvider = getMailProvider() } = {}) => {
+  const since = new Date(now.getTime() - CONFIRMATION_EMAIL_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('id')
+    .in('status', ['confirmed', 'checked_in'])
+    .eq('payment_status', 'paid')
+    .is('confirmation_email_sent_at', null)
+    .lt('confirmation_email_attempts', CONFIRMATION_EMAIL_MAX_ATTEMPTS)
+    .gte('confirmed_at', since)
+    .order('confirmed_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const summary = { sent: 0, failed: 0 };
+
+  for (const booking of bookings) {
+    const result = await sendBookingConfirmation(supabase, booking, { mailProvider });
+    summary[result ? 'sent' : 'failed'] += 1;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  sendBookingConfirmation,
+  sendPendingConfirmations
+};
@@ -0,0 +1,171 @@
+// Ciclo de vida de las reservas:
+// pending_payment → confirmed → checked_in → completed, con salidas a
+// cancelled, no_show y refunded. Cada transición queda registrada en booking_transitions.
+
+const { publishBookingStatus } = require('./realtime');
+const { createError } = require('./errors');
+
+const BOOKING_STATUSES = [
+  'pending_payment',
+  'confirmed',
+  'checked_in',
+  'completed',
+  'cancelled',
+  'no_show',
+  'refunded'
+];
+
+// Estados que ocupan la habitación en el calendario
+const ACTIVE_BOOKING_STATUSES = ['pending_payment', 'confirmed', 'checked_in'];
+
+// Fecha de hoy en formato 'YYYY-MM-DD' (UTC), comparable con start_date/end_date
+const todayString = () => new Date().toISOString().slice(0, 10);
+
+// Transiciones permitidas: estado origen → estado destino → { roles, guard }.
+// guard devuelve un mensaje de error si la transición no procede.
+const TRANSITIONS = {
+  pending_payment: {
+    confirmed: {
+      roles: ['system', 'admin']
+    },
+    cancelled: {
+      roles: ['guest', 'host', 'admin', 'system']
+    }
+  },
+  confirmed: {
+    checked_in: {
+      roles: ['host', 'admin'],
+      guard: (booking) => todayString() < booking.start_date
+        ? 'No se puede registrar la llegada antes de la fecha de inicio'
+        : null
+    },
+    cancelled: {
+      roles: ['guest', 'host', 'admin', 'system'],
+      guard: (booking, { actorRole }) => actorRole === 'guest' && todayString() >= booking.end_date
+        ? 'No se puede cancelar una estancia que ya terminó'
+        : null
+    },
+    no_show: {
+      roles: ['host', 'admin', 'system'],
+      guard: (booking) => todayString() < booking.start_date
+        ? 'Solo se puede marcar como no presentado a partir de la fecha de llegada'
+        : null
+    }
+  },
+  checked_in: {
+    completed: {
+      roles: ['host', 'admin', 'system']
+    }
+  },
+  cancelled: {
+    refunded: {
+      roles: ['admin', 'system'],
+      guard: (booking) => booking.payment_status !== 'paid' && booking.payment_status !== 'refunded'
+        ? 'La reserva no tiene un pago que reembolsar'
+        : null
+    }
+  },
+  no_show: {
+    refunded: {
+      roles: ['admin', 'system']
+    }
+  },
+  completed: {},
+  refunded: {}
+};
+
+// Función para obtener los estados a los que puede pasar una reserva según el actor
+const getAllowedTransitions = (booking, actorRole) => {
+  const options = TRANSITIONS[booking.status] || {};
+  return Object.keys(options).filter(to => {
+    const transition = options[to];
+    return transition.roles.includes(actorRole) &&
+      !(transition.guard && transition.guard(booking, { actorRole }));
+  });
+};
+
+// Función para registrar una transición en el historial
+const recordTransition = async (supabase, { bookingId, from, to, actorId = null, actorRole, reason = null, metadata = null }) => {
+  const { error } = await supabase
+    .from('booking_transitions')
+    .insert([
+      {
+        booking_id: bookingId,
+        from_status: from,
+        to_status: to,
+        actor_id: actorId,
+        actor_role: actorRole,
+        reason,
+        metadata
+      }
+    ]);
+
+  if (error) throw error;
+
+  // Los registros sin cambio de estado (contracargos) no se notifican
+  if (from !== to) {
+    await publishBookingStatus(supabase, { bookingId, from, to, reason });
+  }
+};
+
+// Función para mover una reserva a otro estado validando la transición.
+// changes permite actualizar otras columnas en la misma escritura.
+const transitionBooking = async (supabase, booking, to, { actorId = null, actorRole, reason = null, metadata = null, changes = {} } = {}) => {
+  if (!BOOKING_STATUSES.includes(to)) {
+    throw createError(400, `Estado no válido. Use uno de: ${BOOKING_STATUSES.join(', ')}`);
+  }
+
+  const transition = (TRANSITIONS[booking.status] || {})[to];
+  if (!transition) {
+    throw createError(409, `No se puede pasar de ${booking.status} a ${to}`);
+  }
+
+  if (!transition.roles.includes(actorRole)) {
+    throw createError(403, 'No tienes permisos para realizar este cambio de estado');
+  }
+
+  const guardError = transition.guard && transition.guard(booking, { actorRole });
+  if (guardError) {
+    throw createError(409, guardError);
+  }
+
+  // El filtro por estado actual evita aplicar dos transiciones concurrentes
+  const { data: updated, error } = await supabase
+    .from('bookings')
+    .update({
+      ...changes,
+      status: to,
+      [`${to}_at`]: new Date().toISOString()
+    })
+    .eq('id', booking.id)
+    .eq('status', booking.status)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!updated) {
+    throw createError(409, 'La reserva cambió de estado mientras se procesaba la solicitud');
+  }
+
+  await recordTransition(supabase, {
+    bookingId: booking.id,
+    from: booking.status,
+    to,
+    actorId,
+    actorRole,
+    reason,
+    metadata
+  });
+
+  return updated;
+};
+
+module.exports = {
+  BOOKING_STATUSES,
+  ACTIVE_BOOKING_STATUSES,
+  TRANSITIONS,
+  getAllowedTransitions,
+  recordTransition,
+  transitionBooking
+};
@@ -0,0 +1,492 @@
+// Sincronización de calendarios con otras plataformas (Airbnb, Booking, VRBO...).
+// Cada habitación publica un feed iCal secreto con sus reservas y bloqueos, e importa los
+// calendarios externos que registre el anfitrión: sus eventos se guardan como bloqueos
+// (room_blocked_dates con source 'ical') y se reemplazan en cada sincronización.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { ACTIVE_BOOKING_STATUSES } = require('./bookingLifecycle');
+const { parseDate, formatDate, addDays } = require('./availability');
+const { CALENDAR_DOMAIN, buildCalendar, parseCalendar } = require('./icalendar');
+const { notifyUser } = require('./notifications');
+const { createError } = require('./errors');
+
+// Cada cuánto se vuelve a descargar un calendario y límites de la descarga
+const CALENDAR_SYNC_INTERVAL_MINUTES = Number(process.env.CALENDAR_SYNC_INTERVAL_MINUTES || 60);
+const CALENDAR_FETCH_TIMEOUT_MS = Number(process.env.CALENDAR_FETCH_TIMEOUT_MS || 15000);
+const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+const MAX_CALENDAR_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const MAX_IMPORTED_EVENTS = 1000;
+// Las zonas horarias de los eventos con hora se interpretan en esta zona
+const BOOKING_TIMEZONE = process.env.BOOKING_TIMEZONE || 'America/Mexico_City';
+// Días hacia atrás que se incluyen en el feed exportado
+const EXPORT_PAST_DAYS = 30;
+
+// Función para generar el token secreto de la URL de exportación
+const generateExportToken = () => crypto.randomBytes(24).toString('hex');
+
+// Rangos de direcciones que no se pueden consultar: red local, loopback, enlace local,
+// CGNAT, multicast y reservadas. Las IPv6 con una IPv4 embebida se revisan contra los rangos IPv4.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Función para saber si una IP es pública
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return !BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const privateAddressError = () => createError(400, 'La URL del calendario debe ser una dirección pública');
+
+// Función de resolución de DNS para las descargas: rechaza el nombre si alguna de sus IPs
+// no es pública. Se usa al abrir la conexión, así que la IP revisada es la que se conecta
+// (un cambio de DNS después de validar la URL no permite llegar a la red interna).
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    if (addresses.length === 0 || addresses.some(entry => !isPublicAddress(entry.address))) {
+      return callback(privateAddressError());
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Función para validar la URL de un calendario externo. Solo se aceptan direcciones
+// públicas http(s); webcal:// se trata como https://. Las IPs de los nombres de dominio se
+// revisan al descargar.
+const normalizeCalendarUrl = (value) => {
+  if (typeof value !== 'string' || value.trim().length === 0) return null;
+
+  let url;
+  try {
+    url = new URL(value.trim().replace(/^webcals?:\/\//i, 'https://'));
+  } catch (error) {
+    throw createError(400, 'La URL del calendario no es válida');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw createError(400, 'La URL del calendario debe ser http(s) o webcal');
+  }
+
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const isPrivate = host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.local') ||
+    host.endsWith('.internal') ||
+    (net.isIP(host) !== 0 && !isPublicAddress(host));
+
+  if (isPrivate) {
+    throw privateAddressError();
+  }
+
+  return url.toString();
+};
+
+// Función para hacer una petición GET sin seguir redirecciones. Devuelve el estado, el
+// destino de la redirección o el contenido (con el límite de tamaño).
+const requestCalendar = (url) => new Promise((resolve, reject) => {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const fail = (error) => reject(error.status
+    ? error
+    : createError(502, `No se pudo descargar el calendario: ${error.message}`));
+
+  const request = client.get(url, {
+    headers: { Accept: 'text/calendar, text/plain;q=0.9, */*;q=0.8' },
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(CALENDAR_FETCH_TIMEOUT_MS)
+  }, (response) => {
+    const status = response.statusCode;
+
+    if (status < 200 || status >= 300) {
+      response.resume();
+      return resolve({ status, location: response.headers.location || null });
+    }
+
+    if (Number(response.headers['content-length'] || 0) > MAX_CALENDAR_BYTES) {
+      return request.destroy(createError(422, 'El calendario es demasiado grande'));
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    response.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_CALENDAR_BYTES) {
+        request.destroy(createError(422, 'El calendario es demasiado grande'));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    response.on('end', () => resolve({ status, text: Buffer.concat(chunks).toString('utf8') }));
+    response.on('error', fail);
+  });
+
+  request.on('error', fail);
+});
+
+// Función para descargar un calendario externo. Las redirecciones se siguen a mano para
+// validar cada destino igual que la URL original.
+const fetchCalendar = async (calendarUrl) => {
+  let url = normalizeCalendarUrl(calendarUrl);
+
+  for (let redirects = 0; ; redirects++) {
+    const response = await requestCalendar(url);
+
+    if (REDIRECT_STATUSES.includes(response.status)) {
+      if (!response.location) {
+        throw createError(502, `El calendario respondió con estado ${response.status}`);
+      }
+      if (redirects >= MAX_CALENDAR_REDIRECTS) {
+        throw createError(502, 'El calendario tiene demasiadas redirecciones');
+      }
+      url = normalizeCalendarUrl(new URL(response.location, url).toString());
+      continue;
+    }
+
+    if (response.status < 200 || response.status >= 300) {
+      throw createError(502, `El calendario respondió con estado ${response.status}`);
+    }
+
+    return response.text;
+  }
+};
+
+// Función para obtener el día local de una fecha con hora (en UTC o flotante)
+const toLocalDay = (value) => {
+  if (!value.time || !value.utc) return value.date;
+
+  const instant = new Date(`${value.date}T${value.time}Z`);
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: BOOKING_TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(instant);
+};
+
+// Función para convertir los eventos de un calendario en rangos [inicio, fin) de días.
+// Se ignoran los eventos cancelados y los que ya terminaron.
+const toBlockedRanges = (events, { now = new Date() } = {}) => {
+  const todayKey = formatDate(parseDate(now.toISOString().slice(0, 10)));
+
+  return events
+    .filter(event => event.start && event.status !== 'CANCELLED')
+    .map((event, index) => {
+      const startDate = toLocalDay(event.start);
+      const start = parseDate(startDate);
+      let endDate = event.end ? toLocalDay(event.end) : null;
+
+      if (!endDate && event.durationDays) {
+        endDate = formatDate(addDays(start, event.durationDays));
+      }
+      // Eventos sin fin o dentro de un mismo día bloquean ese día
+      if (!endDate || endDate <= startDate) {
+        endDate = formatDate(addDays(start, 1));
+      }
+
+      return {
+        uid: event.uid || `sin-uid-${index}-${startDate}`,
+        summary: event.summary || null,
+        startDate,
+        endDate
+      };
+    })
+    .filter(range => range.endDate > todayKey)
+    .slice(0, MAX_IMPORTED_EVENTS);
+};
+
+const rangeKey = (range) => `${range.uid}|${range.startDate}|${range.endDate}`;
+
+// Función para actualizar el estado de sincronización de un calendario importado
+const updateImportStatus = async (supabase, importId, changes) => {
+  const { data, error } = await supabase
+    .from('room_calendar_imports')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', importId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para guardar los rangos de un calendario como bloqueos de la habitación.
+// Solo se borran y crean los bloqueos que cambiaron desde la última sincronización.
+const replaceImportedBlocks = async (supabase, calendarImport, ranges) => {
+  const { data: existing, error } = await supabase
+    .from('room_blocked_dates')
+    .select('id, external_uid, start_date, end_date')
+    .eq('calendar_import_id', calendarImport.id);
+
+  if (error) throw error;
+
+  const wanted = new Map(ranges.map(range => [rangeKey(range), range]));
+  const current = new Map((existing || []).map(block => [
+    rangeKey({ uid: block.external_uid, startDate: block.start_date, endDate: block.end_date }),
+    block
+  ]));
+
+  const staleIds = [...current.entries()]
+    .filter(([key]) => !wanted.has(key))
+    .map(([, block]) => block.id);
+  const newRanges = [...wanted.entries()]
+    .filter(([key]) => !current.has(key))
+    .map(([, range]) => range);
+
+  if (staleIds.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('room_blocked_dates')
+      .delete()
+      .in('id', staleIds);
+
+    if (deleteError) throw deleteError;
+  }
+
+  if (newRanges.length > 0) {
+    const { error: insertError } = await supabase
+      .from('room_blocked_dates')
+      .insert(newRanges.map(range => ({
+        room_id: calendarImport.room_id,
+        start_date: range.startDate,
+        end_date: range.endDate,
+        reason: range.summary ? `${calendarImport.name}: ${range.summary}` : calendarImport.name,
+        source: 'ical',
+        calendar_import_id: calendarImport.id,
+        external_uid: range.uid
+      })));
+
+    if (insertError) throw insertError;
+  }
+
+  return { added: newRanges.length, removed: staleIds.length };
+};
+
+// Función para encontrar las reservas propias que se cruzan con los eventos importados
+// (la habitación ya se reservó en las dos plataformas)
+const findConflicts = async (supabase, roomId, ranges) => {
+  if (ranges.length === 0) return [];
+
+  const from = ranges.reduce((min, range) => (range.startDate < min ? range.startDate : min), ranges[0].startDate);
+  const to = ranges.reduce((max, range) => (range.endDate > max ? range.endDate : max), ranges[0].endDate);
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('id, start_date, end_date')
+    .eq('room_id', roomId)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+    .lt('start_date', to)
+    .gt('end_date', from);
+
+  if (error) throw error;
+
+  return ranges.flatMap(range => (bookings || [])
+    .filter(booking => booking.start_date < range.endDate && range.startDate < booking.end_date)
+    .map(booking => ({
+      uid: range.uid,
+      startDate: range.startDate,
+      endDate: range.endDate,
+      bookingId: booking.id
+    })));
+};
+
+// Función para avisar al anfitrión de las reservas dobles que no se habían detectado
+const notifyNewConflicts = async (supabase, calendarImport, conflicts) => {
+  const knownKeys = new Set((calendarImport.conflicts || []).map(conflict => `${conflict.uid}|${conflict.bookingId}`));
+  const newConflicts = conflicts.filter(conflict => !knownKeys.has(`${conflict.uid}|${conflict.bookingId}`));
+  if (newConflicts.length === 0) return;
+
+  const { data: room } = await supabase
+    .from('rooms')
+    .select('id, title, host_id')
+    .eq('id', calendarImport.room_id)
+    .maybeSingle();
+
+  if (!room || !room.host_id) return;
+
+  await notifyUser(supabase, {
+    userId: room.host_id,
+    type: 'calendar_conflict',
+    title: 'Posible reserva doble',
+    message: `El calendario ${calendarImport.name} de ${room.title} tiene fechas que se cruzan con ` +
+      `${newConflicts.length === 1 ? 'una reserva' : `${newConflicts.length} reservas`} de esta plataforma.`,
+    bookingId: newConflicts[0].bookingId,
+    data: { calendarImportId: calendarImport.id, conflicts: newConflicts }
+  });
+};
+
+// Función para sincronizar un calendario importado. Si no se pasa el contenido (archivo
+// subido a mano) se descarga de su URL. El resultado o el error quedan en el calendario.
+const syncCalendarImport = async (supabase, calendarImport, { text = null, now = new Date() } = {}) => {
+  if (text === null && !calendarImport.url) {
+    throw createError(400, 'El calendario no tiene URL; sube el archivo .ics');
+  }
+
+  try {
+    const content = text !== null ? text : await fetchCalendar(calendarImport.url);
+
+    let events;
+    try {
+      events = parseCalendar(content);
+    } catch (parseError) {
+      throw createError(422, parseError.message);
+    }
+
+    const ranges = toBlockedRanges(events, { now });
+    const changes = await replaceImportedBlocks(supabase, calendarImport, ranges);
+    const conflicts = await findConflicts(supabase, calendarImport.room_id, ranges);
+
+    await notifyNewConflicts(supabase, calendarImport, conflicts);
+
+    const updated = await updateImportStatus(supabase, calendarImport.id, {
+      last_synced_at: now.toISOString(),
+      last_sync_status: 'success',
+      last_error: null,
+      events_count: ranges.length,
+      conflicts
+    });
+
+    return { calendarImport: updated, ...changes, conflicts };
+  } catch (error) {
+    console.error(`Error al sincronizar el calendario ${calendarImport.id}:`, error);
+
+    await updateImportStatus(supabase, calendarImport.id, {
+      last_synced_at: now.toISOString(),
+      last_sync_status: 'error',
+      last_error: error.message
+    }).catch(statusError => {
+      console.error('Error al guardar el estado de la sincronización:', statusError);
+    });
+
+    if (!error.status) error.status = 500;
+    throw error;
+  }
+};
+
+// Función para sincronizar los calendarios con URL que no se han actualizado en el
+// intervalo configurado (la ejecuta el cron)
+const runCalendarSync = async (supabase, { now = new Date(), limit = 50 } = {}) => {
+  const cutoff = new Date(now.getTime() - CALENDAR_SYNC_INTERVAL_MINUTES * 60 * 1000).toISOString();
+
+  const { data: imports, error } = await supabase
+    .from('room_calendar_imports')
+    .select('*')
+    .not('url', 'is', null)
+    .or(`last_synced_at.is.null,last_synced_at.lt.${cutoff}`)
+    .order('last_synced_at', { ascending: true, nullsFirst: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const results = { processed: 0, succeeded: 0, failed: 0, conflicts: 0 };
+
+  for (const calendarImport of imports || []) {
+    results.processed++;
+    try {
+      const { conflicts } = await syncCalendarImport(supabase, calendarImport, { now });
+      results.succeeded++;
+      results.conflicts += conflicts.length;
+    } catch (syncError) {
+      results.failed++;
+    }
+  }
+
+  return results;
+};
+
+// Función para generar el feed iCal de una habitación con sus reservas y bloqueos.
+// Los eventos son de día completo y no incluyen datos del huésped. Los bloqueos importados
+// de otros calendarios no se exportan: la otra plataforma ya los tiene y volver a
+// publicarlos haría que se importaran de regreso aunque se liberen en el origen.
+const buildRoomExportCalendar = async (supabase, room, { now = new Date() } = {}) => {
+  const from = formatDate(addDays(parseDate(now.toISOString().slice(0, 10)), -EXPORT_PAST_DAYS));
+
+  const { data: bookings, error: bookingsError } = await supabase
+    .from('bookings')
+    .select('id, start_date, end_date')
+    .eq('room_id', room.id)
+    .in('status', ACTIVE_BOOKING_STATUSES)
+    .gt('end_date', from);
+
+  if (bookingsError) throw bookingsError;
+
+  const { data: blocks, error: blocksError } = await supabase
+    .from('room_blocked_dates')
+    .select('id, start_date, end_date')
+    .eq('room_id', room.id)
+    .neq('source', 'ical')
+    .gt('end_date', from);
+
+  if (blocksError) throw blocksError;
+
+  return buildCalendar({
+    name: room.title,
+    events: [
+      ...(bookings || []).map(booking => ({
+        uid: `booking-${booking.id}@${CALENDAR_DOMAIN}`,
+        start: booking.start_date,
+        end: booking.end_date,
+        summary: 'Reservado',
+        stamp: now
+      })),
+      ...(blocks || []).map(block => ({
+        uid: `block-${block.id}@${CALENDAR_DOMAIN}`,
+        start: block.start_date,
+        end: block.end_date,
+        summary: 'No disponible',
+        stamp: now
+      }))
+    ]
+  });
+};
+
+// Función para dar formato a un calendario importado en las respuestas
+const formatCalendarImport = (calendarImport) => ({
+  id: calendarImport.id,
+  roomId: calendarImport.room_id,
+  name: calendarImport.name,
+  url: calendarImport.url,
+  lastSyncedAt: calendarImport.last_synced_at,
+  lastSyncStatus: calendarImport.last_sync_status,
+  lastError: calendarImport.last_error,
+  eventsCount: calendarImport.events_count,
+  conflicts: calendarImport.conflicts || [],
+  createdAt: calendarImport.created_at,
+  updatedAt: calendarImport.updated_at
+});
+
+module.exports = {
+  MAX_CALENDAR_BYTES,
+  generateExportToken,
+  normalizeCalendarUrl,
+  toBlockedRanges,
+  syncCalendarImport,
+  runCalendarSync,
+  buildRoomExportCalendar,
+  formatCalendarImport
+};
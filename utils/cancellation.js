@@ -0,0 +1,269 @@
+// Políticas de cancelación y cálculo del monto reembolsable.
+// Cada ventana indica cuántas horas antes de la llegada debe cancelarse para
+// recibir el porcentaje de reembolso; se evalúan de la más amplia a la más estrecha.
+
+const { transitionBooking } = require('./bookingLifecycle');
+const { roundMoney } = require('./money');
+const { claimRefund, listRetryableRefunds } = require('./refunds');
+
+const CANCELLATION_POLICIES = {
+  flexible: [
+    { hoursBefore: 24, refundPercentage: 100 }
+  ],
+  moderate: [
+    { hoursBefore: 5 * 24, refundPercentage: 100 },
+    { hoursBefore: 24, refundPercentage: 50 }
+  ],
+  strict: [
+    { hoursBefore: 14 * 24, refundPercentage: 100 },
+    { hoursBefore: 7 * 24, refundPercentage: 50 }
+  ]
+};
+
+const DEFAULT_POLICY = 'moderate';
+
+// Hora de llegada usada para medir las ventanas (hora del centro de México)
+const CHECK_IN_TIME = '15:00:00-06:00';
+
+// Función para validar ventanas personalizadas de una habitación
+const validateCancellationWindows = (windows) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return 'Las ventanas de cancelación deben ser una lista no vacía';
+  }
+
+  const valid = windows.every(window =>
+    Number.isFinite(window.hoursBefore) && window.hoursBefore >= 0 &&
+    Number.isFinite(window.refundPercentage) &&
+    window.refundPercentage >= 0 && window.refundPercentage <= 100
+  );
+
+  return valid
+    ? null
+    : 'Cada ventana requiere hoursBefore >= 0 y refundPercentage entre 0 y 100';
+};
+
+// Función para obtener la política efectiva de una habitación
+const getRoomPolicy = (room) => {
+  const name = CANCELLATION_POLICIES[room.cancellation_policy] ? room.cancellation_policy : DEFAULT_POLICY;
+  const windows = Array.isArray(room.cancellation_windows) && room.cancellation_windows.length > 0
+    ? room.cancellation_windows
+    : CANCELLATION_POLICIES[name];
+
+  return {
+    name,
+    windows: [...windows].sort((a, b) => b.hoursBefore - a.hoursBefore)
+  };
+};
+
+// Función para obtener el monto cobrado de una reserva. En las reservas con anticipo
+// el saldo no se ha cobrado hasta que balance_status es 'paid'.
+const getPaidAmount = (booking) => {
+  if (booking.payment_status !== 'paid') {
+    return 0;
+  }
+
+  const price = Number(booking.price);
+  if (booking.payment_schedule === 'deposit' && booking.balance_status !== 'paid') {
+    return roundMoney(price - Number(booking.balance_amount));
+  }
+  return price;
+};
+
+// Función para calcular el desglose del reembolso al cancelar una reserva.
+// Si cancela el anfitrión o un administrador el reembolso es total.
+const calculateRefund = (booking, room, { actorRole, now = new Date() } = {}) => {
+  const policy = getRoomPolicy(room);
+  const checkIn = new Date(`${booking.start_date}T${CHECK_IN_TIME}`);
+  const hoursBeforeCheckIn = Math.max(0, Math.floor((checkIn - now) / (60 * 60 * 1000)));
+  const paidAmount = getPaidAmount(booking);
+
+  let refundPercentage = 0;
+  let appliedWindow = null;
+
+  if (actorRole === 'host' || actorRole === 'admin') {
+    refundPercentage = 100;
+  } else {
+    appliedWindow = policy.windows.find(window => hoursBeforeCheckIn >= window.hoursBefore) || null;
+    refundPercentage = appliedWindow ? appliedWindow.refundPercentage : 0;
+  }
+
+  const refundAmount = Math.round(paidAmount * refundPercentage) / 100;
+
+  return {
+    policy: policy.name,
+    windows: policy.windows,
+    appliedWindow,
+    cancelledBy: actorRole,
+    hoursBeforeCheckIn,
+    paidAmount,
+    refundPercentage,
+    refundAmount,
+    retainedAmount: roundMoney(paidAmount - refundAmount),
+    calculatedAt: now.toISOString()
+  };
+};
+
+// Función para obtener los cobros de una reserva registrados en el libro (pago inicial,
+// saldo y diferencias de modificaciones), del más reciente al más antiguo, con los
+// reembolsos que ya tiene cada uno
+const getRefundableCharges = async (supabase, paymentProvider, booking) => {
+  const { data: entries, error } = await supabase
+    .from('payment_ledger')
+    .select('reference, amount')
+    .eq('booking_id', booking.id)
+    .eq('entry_type', 'charge')
+    .eq('status', 'succeeded')
+    .order('occurred_at', { ascending: false });
+
+  if (error) throw error;
+
+  // Reservas cobradas antes del libro de movimientos: solo existe el pago inicial
+  if (entries.length === 0) {
+    const paymentIntentId = booking.payment_intent_id ||
+      (await paymentProvider.retrieveCheckoutSession(booking.payment_session_id)).payment_intent;
+    entries.push({ reference: paymentIntentId, amount: getPaidAmount(booking) });
+  }
+
+  const charges = [];
+  for (const entry of entries) {
+    const refunds = await paymentProvider.listRefunds(entry.reference);
+    charges.push({
+      paymentIntent: entry.reference,
+      amount: Number(entry.amount),
+      refunds: refunds.filter(refund => !['failed', 'canceled'].includes(refund.status))
+    });
+  }
+
+  return charges;
+};
+
+// Función para reembolsar un monto repartiéndolo entre los cobros de la reserva, empezando
+// por el más reciente. refundKey identifica el reembolso: en un reintento, lo que ya se
+// reembolsó con la misma clave no se vuelve a reembolsar. Devuelve todos los reembolsos
+// de la clave.
+const refundBookingPayments = async (supabase, paymentProvider, booking, { amount, refundKey, reason, metadata }) => {
+  const charges = await getRefundableCharges(supabase, paymentProvider, booking);
+
+  const previous = charges
+    .flatMap(charge => charge.refunds)
+    .filter(refund => refund.metadata && refund.metadata.refund_key === refundKey);
+  const refunds = [...previous];
+  let remaining = roundMoney(amount - previous.reduce((sum, refund) => sum + refund.amount / 100, 0));
+
+  charges.forEach(charge => {
+    const refunded = charge.refunds.reduce((sum, refund) => sum + refund.amount / 100, 0);
+    charge.available = roundMoney(charge.amount - refunded);
+  });
+
+  const available = roundMoney(charges.reduce((sum, charge) => sum + Math.max(charge.available, 0), 0));
+  if (remaining > available) {
+    throw new Error(`Los cobros de la reserva no alcanzan para reembolsar ${remaining.toFixed(2)}`);
+  }
+
+  for (const charge of charges) {
+    if (remaining <= 0) break;
+    if (charge.available <= 0) continue;
+
+    const refundAmount = Math.min(remaining, charge.available);
+    refunds.push(await paymentProvider.createRefund({
+      paymentIntent: charge.paymentIntent,
+      amount: refundAmount,
+      reason,
+      metadata: { ...metadata, refund_key: refundKey }
+    }));
+    remaining = roundMoney(remaining - refundAmount);
+  }
+
+  return refunds;
+};
+
+// Función para emitir el reembolso de una reserva ya cancelada y pasarla a refunded.
+// Si el proveedor falla, la reserva queda cancelada y el reembolso marcado como fallido;
+// la tarea de seguimiento lo reintenta. refund_claimed_at evita que dos procesos lo emitan
+// a la vez. Completa refund con el resultado y devuelve la reserva actualizada.
+const issueCancellationRefund = async (supabase, paymentProvider, booking, refund) => {
+  if (refund.refundAmount <= 0) {
+    refund.status = 'not_applicable';
+    return booking;
+  }
+
+  const claimed = await claimRefund(supabase, 'bookings', booking.id, { match: { status: 'cancelled' } });
+  if (!claimed) return booking;
+
+  const attempts = (claimed.refund_attempts || 0) + 1;
+
+  try {
+    const refunds = await refundBookingPayments(supabase, paymentProvider, claimed, {
+      amount: refund.refundAmount,
+      refundKey: `cancellation:${booking.id}`,
+      reason: 'requested_by_customer',
+      metadata: { booking_id: booking.id }
+    });
+
+    refund.status = 'issued';
+    refund.refundId = refunds[0].id;
+    if (refunds.length > 1) refund.refundIds = refunds.map(item => item.id);
+    delete refund.error;
+
+    return await transitionBooking(supabase, claimed, 'refunded', {
+      actorRole: 'system',
+      reason: 'Reembolso por cancelación',
+      metadata: { refund_id: refund.refundId },
+      changes: {
+        refund_id: refund.refundId,
+        refund_breakdown: refund,
+        refund_attempts: attempts,
+        refund_claimed_at: null,
+        payment_status: refund.refundAmount < refund.paidAmount ? 'partially_refunded' : 'refunded'
+      }
+    });
+  } catch (refundError) {
+    console.error('Error al emitir el reembolso:', refundError);
+    refund.status = 'failed';
+    refund.error = refundError.message;
+
+    const { data: failed, error } = await supabase
+      .from('bookings')
+      .update({ refund_breakdown: refund, refund_attempts: attempts, refund_claimed_at: null })
+      .eq('id', booking.id)
+      .eq('status', 'cancelled')
+      .select()
+      .maybeSingle();
+
+    if (error) console.error('Error al registrar el reembolso fallido:', error);
+    return failed || booking;
+  }
+};
+
+// Función para reintentar los reembolsos de cancelaciones pendientes o fallidos. La ejecuta
+// la tarea de seguimiento de reservas; devuelve cuántos se emitieron y cuántos fallaron.
+const retryCancellationRefunds = async (supabase, paymentProvider, { limit = 20 } = {}) => {
+  const bookings = await listRetryableRefunds(supabase, 'bookings', {
+    match: { status: 'cancelled', 'refund_breakdown->>status': ['pending', 'failed'] },
+    orderBy: 'cancelled_at',
+    limit
+  });
+
+  const summary = { issued: 0, failed: 0 };
+
+  for (const booking of bookings) {
+    const refund = { ...booking.refund_breakdown };
+    const updated = await issueCancellationRefund(supabase, paymentProvider, booking, refund);
+    if (updated.status === 'refunded') summary.issued += 1;
+    else if (refund.status === 'failed') summary.failed += 1;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  CANCELLATION_POLICIES,
+  DEFAULT_POLICY,
+  validateCancellationWindows,
+  getRoomPolicy,
+  getPaidAmount,
+  calculateRefund,
+  refundBookingPayments,
+  issueCancellationRefund,
+  retryCancellationRefunds
+};
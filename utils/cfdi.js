@@ -0,0 +1,378 @@
+// Facturación electrónica (CFDI 4.0). Aquí viven los catálogos del SAT que usamos, la
+// validación de los datos fiscales del huésped y la construcción del comprobante de
+// ingreso a partir del desglose de la reserva. El XML se genera sin sellar: el PAC
+// (ver pacProviders) lo sella con el CSD del emisor y le agrega el timbre fiscal.
+
+const { CURRENCY, IVA_RATE } = require('./pricing');
+const { roundMoney } = require('./money');
+
+// c_RegimenFiscal: regímenes y si aplican a personas físicas y/o morales
+const TAX_REGIMES = {
+  601: { name: 'General de Ley Personas Morales', fisica: false, moral: true },
+  603: { name: 'Personas Morales con Fines no Lucrativos', fisica: false, moral: true },
+  605: { name: 'Sueldos y Salarios e Ingresos Asimilados a Salarios', fisica: true, moral: false },
+  606: { name: 'Arrendamiento', fisica: true, moral: false },
+  607: { name: 'Régimen de Enajenación o Adquisición de Bienes', fisica: true, moral: false },
+  608: { name: 'Demás ingresos', fisica: true, moral: false },
+  610: { name: 'Residentes en el Extranjero sin Establecimiento Permanente en México', fisica: true, moral: true },
+  611: { name: 'Ingresos por Dividendos (socios y accionistas)', fisica: true, moral: false },
+  612: { name: 'Personas Físicas con Actividades Empresariales y Profesionales', fisica: true, moral: false },
+  614: { name: 'Ingresos por intereses', fisica: true, moral: false },
+  615: { name: 'Régimen de los ingresos por obtención de premios', fisica: true, moral: false },
+  616: { name: 'Sin obligaciones fiscales', fisica: true, moral: false },
+  620: { name: 'Sociedades Cooperativas de Producción que optan por diferir sus ingresos', fisica: false, moral: true },
+  621: { name: 'Incorporación Fiscal', fisica: true, moral: false },
+  622: { name: 'Actividades Agrícolas, Ganaderas, Silvícolas y Pesqueras', fisica: false, moral: true },
+  623: { name: 'Opcional para Grupos de Sociedades', fisica: false, moral: true },
+  624: { name: 'Coordinados', fisica: false, moral: true },
+  625: { name: 'Régimen de las Actividades Empresariales con ingresos a través de Plataformas Tecnológicas', fisica: true, moral: false },
+  626: { name: 'Régimen Simplificado de Confianza', fisica: true, moral: true }
+};
+
+// c_UsoCFDI: usos que aplican a un gasto de hospedaje y los regímenes que los admiten
+const BUSINESS_REGIMES = ['601', '603', '606', '612', '620', '621', '622', '623', '624', '625', '626'];
+const CFDI_USES = {
+  G01: { name: 'Adquisición de mercancías', regimes: BUSINESS_REGIMES },
+  G03: { name: 'Gastos en general', regimes: BUSINESS_REGIMES },
+  S01: { name: 'Sin efectos fiscales', regimes: Object.keys(TAX_REGIMES) }
+};
+
+// Claves de producto o servicio (c_ClaveProdServ) de cada partida del desglose
+const CONCEPT_CODES = {
+  lodging: { productCode: '90111800', description: 'Servicio de hospedaje' },
+  cleaning_fee: { productCode: '76111500', description: 'Servicio de limpieza' },
+  service_fee: { productCode: '90121500', description: 'Cargo por servicio de intermediación' }
+};
+
+// Datos del emisor (la plataforma). Los valores por omisión son los de pruebas del SAT.
+const getIssuer = () => ({
+  rfc: process.env.CFDI_ISSUER_RFC || 'EKU9003173C9',
+  name: process.env.CFDI_ISSUER_NAME || 'ESCUELA KEMPER URGATE',
+  regime: process.env.CFDI_ISSUER_REGIME || '601',
+  zipCode: process.env.CFDI_ISSUER_ZIP || '42501'
+});
+
+const CFDI_SERIES = process.env.CFDI_SERIES || 'R';
+// Forma de pago 04 (tarjeta de crédito); los cobros se hacen con tarjeta en Checkout
+const PAYMENT_FORM = '04';
+
+const RFC_PATTERNS = {
+  moral: /^[A-ZÑ&]{3}\d{6}[A-Z\d]{3}$/,
+  fisica: /^[A-ZÑ&]{4}\d{6}[A-Z\d]{3}$/
+};
+const GENERIC_RFCS = ['XAXX010101000', 'XEXX010101000'];
+
+// Función para saber si un RFC es de persona física o moral (null si no es válido)
+const getRfcType = (rfc) => {
+  if (RFC_PATTERNS.moral.test(rfc)) return 'moral';
+  if (RFC_PATTERNS.fisica.test(rfc)) return 'fisica';
+  return null;
+};
+
+// Función para validar los datos fiscales del huésped. Devuelve un mensaje de error o null.
+const validateFiscalData = ({ rfc, legalName, taxRegime, zipCode, cfdiUse }) => {
+  if (!rfc || !legalName || !taxRegime || !zipCode || !cfdiUse) {
+    return 'Se requieren rfc, legalName, taxRegime, zipCode y cfdiUse';
+  }
+
+  const normalizedRfc = String(rfc).trim().toUpperCase();
+  const rfcType = getRfcType(normalizedRfc);
+  if (!rfcType || GENERIC_RFCS.includes(normalizedRfc)) {
+    return 'El RFC no es válido';
+  }
+
+  const regime = TAX_REGIMES[taxRegime];
+  if (!regime) {
+    return `Régimen fiscal no válido. Use uno de: ${Object.keys(TAX_REGIMES).join(', ')}`;
+  }
+  if (!regime[rfcType]) {
+    return `El régimen ${taxRegime} no aplica a personas ${rfcType === 'moral' ? 'morales' : 'físicas'}`;
+  }
+
+  if (!/^\d{5}$/.test(String(zipCode))) {
+    return 'El código postal del domicilio fiscal debe tener 5 dígitos';
+  }
+
+  const use = CFDI_USES[cfdiUse];
+  if (!use) {
+    return `Uso de CFDI no válido. Use uno de: ${Object.keys(CFDI_USES).join(', ')}`;
+  }
+  if (!use.regimes.includes(String(taxRegime))) {
+    return `El uso de CFDI ${cfdiUse} no aplica al régimen ${taxRegime}`;
+  }
+
+  return null;
+};
+
+// Función para convertir los datos fiscales del cuerpo de la solicitud en una fila.
+// El nombre se guarda en mayúsculas, como aparece en la constancia de situación fiscal.
+const toFiscalProfileRow = ({ rfc, legalName, taxRegime, zipCode, cfdiUse, email }) => ({
+  rfc: String(rfc).trim().toUpperCase(),
+  legal_name: String(legalName).trim().toUpperCase(),
+  tax_regime: String(taxRegime),
+  zip_code: String(zipCode),
+  cfdi_use: cfdiUse,
+  email: email || null
+});
+
+// Función para dar formato a los datos fiscales en las respuestas
+const formatFiscalProfile = (profile) => ({
+  rfc: profile.rfc,
+  legalName: profile.legal_name,
+  taxRegime: profile.tax_regime,
+  taxRegimeName: TAX_REGIMES[profile.tax_regime] ? TAX_REGIMES[profile.tax_regime].name : null,
+  zipCode: profile.zip_code,
+  cfdiUse: profile.cfdi_use,
+  cfdiUseName: CFDI_USES[profile.cfdi_use] ? CFDI_USES[profile.cfdi_use].name : null,
+  email: profile.email,
+  updatedAt: profile.updated_at
+});
+
+// Catálogos para los formularios de datos fiscales
+const getFiscalCatalogs = () => ({
+  taxRegimes: Object.entries(TAX_REGIMES).map(([code, regime]) => ({ code, ...regime })),
+  cfdiUses: Object.entries(CFDI_USES).map(([code, use]) => ({ code, ...use }))
+});
+
+// Función para obtener la fecha de emisión en hora del centro de México (sin zona horaria)
+const getIssueDate = (now = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/Mexico_City',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}:${parts.second}`;
+};
+
+// Función para repartir un monto entre partidas en proporción a su importe.
+// La última partida absorbe la diferencia de redondeo.
+const distribute = (total, amounts) => {
+  const base = amounts.reduce((sum, amount) => sum + amount, 0);
+  let remaining = roundMoney(total);
+
+  return amounts.map((amount, index) => {
+    if (index === amounts.length - 1) return remaining;
+    const share = base > 0 ? roundMoney(total * amount / base) : 0;
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+// Función para armar los datos del comprobante de ingreso de una reserva pagada.
+// Los importes cuadran con lo cobrado: el IVA por partida se ajusta al IVA del desglose.
+const buildInvoiceData = (booking, fiscalProfile, { series = CFDI_SERIES, folio, now = new Date() }) => {
+  const quote = booking.price_breakdown;
+  const issuer = getIssuer();
+
+  // Reservas sin desglose: el precio se toma como total con IVA incluido
+  const items = quote
+    ? quote.lineItems.filter(item => CONCEPT_CODES[item.code] && item.amount > 0)
+    : [{ code: 'lodging', description: 'Hospedaje', amount: roundMoney(Number(booking.price) / (1 + IVA_RATE)) }];
+  const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+  const discount = quote && quote.discount ? quote.discount.amount : 0;
+  const iva = quote ? quote.taxes.iva.amount : roundMoney(Number(booking.price) - subtotal);
+  const ish = quote ? quote.taxes.ish : null;
+
+  const discounts = distribute(discount, items.map(item => item.amount));
+  const bases = items.map((item, index) => roundMoney(item.amount - discounts[index]));
+  const taxes = distribute(iva, bases);
+
+  const concepts = items.map((item, index) => ({
+    productCode: CONCEPT_CODES[item.code].productCode,
+    unitCode: 'E48',
+    unit: 'Unidad de servicio',
+    quantity: 1,
+    description: `${CONCEPT_CODES[item.code].description}: ${item.description}`,
+    unitValue: item.amount,
+    amount: item.amount,
+    discount: discounts[index],
+    taxObject: '02',
+    tax: { base: bases[index], rate: IVA_RATE, amount: taxes[index] }
+  }));
+
+  const localTax = ish && ish.amount > 0
+    ? { name: 'ISH', rate: ish.rate, state: ish.state, amount: ish.amount }
+    : null;
+
+  return {
+    version: '4.0',
+    series,
+    folio: String(folio),
+    date: getIssueDate(now),
+    paymentForm: PAYMENT_FORM,
+    paymentMethod: 'PUE',
+    currency: CURRENCY,
+    exportation: '01',
+    expeditionPlace: issuer.zipCode,
+    issuer,
+    receiver: {
+      rfc: fiscalProfile.rfc,
+      name: fiscalProfile.legal_name,
+      zipCode: fiscalProfile.zip_code,
+      regime: fiscalProfile.tax_regime,
+      cfdiUse: fiscalProfile.cfdi_use
+    },
+    concepts,
+    subtotal,
+    discount: roundMoney(discount),
+    transferredTaxes: roundMoney(iva),
+    localTax,
+    total: roundMoney(subtotal - discount + iva + (localTax ? localTax.amount : 0)),
+    booking: {
+      id: booking.id,
+      roomTitle: booking.room ? booking.room.title : null,
+      startDate: booking.start_date,
+      endDate: booking.end_date
+    }
+  };
+};
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const money = (amount) => Number(amount).toFixed(2);
+const rate = (value) => Number(value).toFixed(6);
+
+// Función para escribir los atributos de un nodo omitiendo los vacíos
+const attributes = (values) => Object.entries(values)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([name, value]) => `${name}="${escapeXml(value)}"`)
+  .join(' ');
+
+// Función para generar el XML del CFDI 4.0 sin sellar (Sello, NoCertificado y Certificado
+// vacíos); el PAC los completa al timbrar
+const buildInvoiceXml = (data) => {
+  const schemaLocations = ['http://www.sat.gob.mx/cfd/4 http://www.sat.gob.mx/sitio_internet/cfd/4/cfdv40.xsd'];
+  const namespaces = {
+    'xmlns:cfdi': 'http://www.sat.gob.mx/cfd/4',
+    'xmlns:xsi': 'http://www.w3.org/2001/XMLSchema-instance'
+  };
+
+  if (data.localTax) {
+    namespaces['xmlns:implocal'] = 'http://www.sat.gob.mx/implocal';
+    schemaLocations.push('http://www.sat.gob.mx/implocal http://www.sat.gob.mx/sitio_internet/cfd/implocal/implocal.xsd');
+  }
+
+  const comprobante = attributes({
+    ...namespaces,
+    'xsi:schemaLocation': schemaLocations.join(' '),
+    Version: data.version,
+    Serie: data.series,
+    Folio: data.folio,
+    Fecha: data.date,
+    Sello: '',
+    FormaPago: data.paymentForm,
+    NoCertificado: '',
+    Certificado: '',
+    SubTotal: money(data.subtotal),
+    Descuento: data.discount > 0 ? money(data.discount) : undefined,
+    Moneda: data.currency,
+    Total: money(data.total),
+    TipoDeComprobante: 'I',
+    Exportacion: data.exportation,
+    MetodoPago: data.paymentMethod,
+    LugarExpedicion: data.expeditionPlace
+  });
+
+  const concepts = data.concepts.map(concept => [
+    `    <cfdi:Concepto ${attributes({
+      ClaveProdServ: concept.productCode,
+      Cantidad: concept.quantity,
+      ClaveUnidad: concept.unitCode,
+      Unidad: concept.unit,
+      Descripcion: concept.description,
+      ValorUnitario: money(concept.unitValue),
+      Importe: money(concept.amount),
+      Descuento: concept.discount > 0 ? money(concept.discount) : undefined,
+      ObjetoImp: concept.taxObject
+    })}>`,
+    '      <cfdi:Impuestos>',
+    '        <cfdi:Traslados>',
+    `          <cfdi:Traslado ${attributes({
+      Base: money(concept.tax.base),
+      Impuesto: '002',
+      TipoFactor: 'Tasa',
+      TasaOCuota: rate(concept.tax.rate),
+      Importe: money(concept.tax.amount)
+    })}/>`,
+    '        </cfdi:Traslados>',
+    '      </cfdi:Impuestos>',
+    '    </cfdi:Concepto>'
+  ].join('\n'));
+
+  const taxBase = data.concepts.reduce((sum, concept) => sum + concept.tax.base, 0);
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<cfdi:Comprobante ${comprobante}>`,
+    `  <cfdi:Emisor ${attributes({ Rfc: data.issuer.rfc, Nombre: data.issuer.name, RegimenFiscal: data.issuer.regime })}/>`,
+    `  <cfdi:Receptor ${attributes({
+      Rfc: data.receiver.rfc,
+      Nombre: data.receiver.name,
+      DomicilioFiscalReceptor: data.receiver.zipCode,
+      RegimenFiscalReceptor: data.receiver.regime,
+      UsoCFDI: data.receiver.cfdiUse
+    })}/>`,
+    '  <cfdi:Conceptos>',
+    ...concepts,
+    '  </cfdi:Conceptos>',
+    `  <cfdi:Impuestos TotalImpuestosTrasladados="${money(data.transferredTaxes)}">`,
+    '    <cfdi:Traslados>',
+    `      <cfdi:Traslado ${attributes({
+      Base: money(taxBase),
+      Impuesto: '002',
+      TipoFactor: 'Tasa',
+      TasaOCuota: rate(IVA_RATE),
+      Importe: money(data.transferredTaxes)
+    })}/>`,
+    '    </cfdi:Traslados>',
+    '  </cfdi:Impuestos>'
+  ];
+
+  // El ISH es un impuesto local: va en el complemento de impuestos locales
+  if (data.localTax) {
+    lines.push(
+      '  <cfdi:Complemento>',
+      `    <implocal:ImpuestosLocales ${attributes({
+        version: '1.0',
+        TotaldeRetenciones: money(0),
+        TotaldeTraslados: money(data.localTax.amount)
+      })}>`,
+      `      <implocal:TrasladosLocales ${attributes({
+        ImpLocTrasladado: data.localTax.name,
+        TasadeTraslado: money(data.localTax.rate * 100),
+        Importe: money(data.localTax.amount)
+      })}/>`,
+      '    </implocal:ImpuestosLocales>',
+      '  </cfdi:Complemento>'
+    );
+  }
+
+  lines.push('</cfdi:Comprobante>');
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  TAX_REGIMES,
+  CFDI_USES,
+  CFDI_SERIES,
+  getIssuer,
+  validateFiscalData,
+  toFiscalProfileRow,
+  formatFiscalProfile,
+  getFiscalCatalogs,
+  getIssueDate,
+  buildInvoiceData,
+  buildInvoiceXml,
+  escapeXml
+};
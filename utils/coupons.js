@@ -0,0 +1,290 @@
+const { applyCoupon, normalize, MIN_CHARGE_AMOUNT } = require('./pricing');
+const { createError } = require('./errors');
+
+// Cupones de descuento administrados por el equipo. Se validan al cotizar y al crear la
+// sesión de pago; el uso se registra en coupon_redemptions cuando Stripe confirma el pago.
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+
+// Campos del body (camelCase) y su columna en coupons
+const COUPON_FIELDS = {
+  code: 'code',
+  description: 'description',
+  discountType: 'discount_type',
+  discountValue: 'discount_value',
+  maxDiscountAmount: 'max_discount_amount',
+  minBookingAmount: 'min_booking_amount',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  maxRedemptions: 'max_redemptions',
+  maxRedemptionsPerUser: 'max_redemptions_per_user',
+  roomIds: 'room_ids',
+  locations: 'locations',
+  active: 'active'
+};
+
+const NUMERIC_FIELDS = [
+  'discount_value',
+  'max_discount_amount',
+  'min_booking_amount',
+  'max_redemptions',
+  'max_redemptions_per_user'
+];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Función para convertir el body en columnas; solo incluye los campos presentes
+const toCouponRow = (body) => {
+  const row = {};
+  Object.entries(COUPON_FIELDS).forEach(([field, column]) => {
+    if (body[field] === undefined) return;
+    row[column] = NUMERIC_FIELDS.includes(column) && body[field] !== null && body[field] !== ''
+      ? Number(body[field])
+      : body[field];
+  });
+
+  if (row.code !== undefined) row.code = normalizeCode(row.code);
+  if (row.active !== undefined) row.active = Boolean(row.active);
+  return row;
+};
+
+// Función para validar un cupón completo; devuelve la lista de errores
+const validateCouponData = (coupon) => {
+  const errors = [];
+  const isPositiveInteger = (value) => value === null || value === undefined ||
+    (Number.isInteger(value) && value >= 1);
+
+  if (!/^[A-Z0-9_-]{3,32}$/.test(coupon.code || '')) {
+    errors.push('El código debe tener entre 3 y 32 letras, números, guiones o guiones bajos');
+  }
+
+  if (!DISCOUNT_TYPES.includes(coupon.discount_type)) {
+    errors.push(`Tipo de descuento no válido. Use uno de: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+
+  const value = coupon.discount_value;
+  if (!Number.isFinite(value) || value <= 0 || (coupon.discount_type === 'percentage' && value > 100)) {
+    errors.push('discountValue debe ser mayor a 0 (y como máximo 100 para porcentajes)');
+  }
+
+  ['max_discount_amount', 'min_booking_amount'].forEach(column => {
+    const amount = coupon[column];
+    if (amount !== null && amount !== undefined && (!Number.isFinite(amount) || amount < 0)) {
+      errors.push(`${column} debe ser un número mayor o igual a 0`);
+    }
+  });
+
+  if (!isPositiveInteger(coupon.max_redemptions) || !isPositiveInteger(coupon.max_redemptions_per_user)) {
+    errors.push('Los límites de uso deben ser números enteros mayores a 0');
+  }
+
+  const startsAt = coupon.starts_at ? new Date(coupon.starts_at) : null;
+  const endsAt = coupon.ends_at ? new Date(coupon.ends_at) : null;
+  if ((startsAt && isNaN(startsAt)) || (endsAt && isNaN(endsAt))) {
+    errors.push('startsAt y endsAt deben ser fechas válidas');
+  } else if (startsAt && endsAt && endsAt <= startsAt) {
+    errors.push('endsAt debe ser posterior a startsAt');
+  }
+
+  ['room_ids', 'locations'].forEach(column => {
+    const list = coupon[column];
+    if (list !== null && list !== undefined &&
+      !(Array.isArray(list) && list.every(item => typeof item === 'string' && item.trim().length > 0))) {
+      errors.push(`${column} debe ser una lista de textos`);
+    }
+  });
+
+  return errors;
+};
+
+// Función para obtener cuántas veces se ha usado un cupón (usos confirmados y apartados),
+// en total y por el usuario del cliente. bookingId excluye los usos apartados para esa reserva.
+const getCouponUsage = async (supabase, couponId, { bookingId = null } = {}) => {
+  const { data, error } = await supabase.rpc('get_coupon_usage', {
+    p_coupon_id: couponId,
+    p_booking_id: bookingId
+  });
+
+  if (error) throw error;
+
+  const usage = Array.isArray(data) ? data[0] : data;
+  return {
+    total: usage ? Number(usage.total_redemptions) : 0,
+    byUser: usage ? Number(usage.user_redemptions) : 0
+  };
+};
+
+// Función para buscar un cupón por código y verificar que se puede usar en esta estancia.
+// userSupabase es el cliente con la sesión del huésped: los usos por usuario se cuentan para
+// él. Lanza errores con .status (404 si no existe, 400 si no aplica).
+const resolveCoupon = async (supabase, code, { userSupabase, bookingId = null, room, quote, now = new Date() }) => {
+  const { data: coupon, error } = await supabase
+    .from('coupons')
+    .select('*')
+    .eq('code', normalizeCode(code))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!coupon) {
+    throw createError(404, 'Cupón no encontrado');
+  }
+
+  if (!coupon.active) {
+    throw createError(400, 'El cupón no está activo');
+  }
+
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    throw createError(400, 'El cupón todavía no es válido');
+  }
+
+  if (coupon.ends_at && now >= new Date(coupon.ends_at)) {
+    throw createError(400, 'El cupón ha expirado');
+  }
+
+  if (Array.isArray(coupon.room_ids) && coupon.room_ids.length > 0 && !coupon.room_ids.includes(room.id)) {
+    throw createError(400, 'El cupón no aplica para esta habitación');
+  }
+
+  if (Array.isArray(coupon.locations) && coupon.locations.length > 0 &&
+    !coupon.locations.some(location => normalize(room.location).includes(normalize(location)))) {
+    throw createError(400, 'El cupón no aplica para esta ubicación');
+  }
+
+  const subtotal = quote.lodging + quote.cleaningFee + quote.serviceFee;
+  if (coupon.min_booking_amount && subtotal < Number(coupon.min_booking_amount)) {
+    throw createError(400, `El cupón requiere un monto mínimo de ${coupon.min_booking_amount} ${quote.currency}`);
+  }
+
+  const usage = await getCouponUsage(userSupabase, coupon.id, { bookingId });
+
+  if (coupon.max_redemptions && usage.total >= coupon.max_redemptions) {
+    throw createError(400, 'El cupón alcanzó su límite de usos');
+  }
+
+  if (coupon.max_redemptions_per_user && usage.byUser >= coupon.max_redemptions_per_user) {
+    throw createError(400, 'Ya usaste este cupón el máximo de veces permitido');
+  }
+
+  return coupon;
+};
+
+// Función para aplicar a una cotización el cupón indicado por el huésped, si hay uno
+const applyCouponCode = async (supabase, quote, { couponCode, userSupabase, bookingId = null, room }) => {
+  if (!couponCode) return quote;
+
+  const coupon = await resolveCoupon(supabase, couponCode, { userSupabase, bookingId, room, quote });
+  const discounted = applyCoupon(quote, coupon);
+
+  // Toda reserva se confirma con un pago; un descuento que deja el total por debajo del
+  // cargo mínimo dejaría la sesión de pago sin partidas
+  if (discounted.total < MIN_CHARGE_AMOUNT) {
+    throw createError(400, `El cupón no se puede usar en esta estancia: el total a pagar debe ser de al menos ${MIN_CHARGE_AMOUNT} ${quote.currency}`);
+  }
+
+  return discounted;
+};
+
+// Función para apartar el uso del cupón de una cotización mientras el huésped paga.
+// La base de datos vuelve a verificar los límites con el cupón bloqueado, así que dos
+// sesiones simultáneas no pueden superarlos. Devuelve el id del uso apartado.
+const reserveRedemption = async (userSupabase, { quote, bookingId = null, expiresAt }) => {
+  if (!quote || !quote.discount) return null;
+
+  const { data, error } = await userSupabase.rpc('reserve_coupon_redemption', {
+    p_coupon_id: quote.discount.couponId,
+    p_discount_amount: quote.discount.amount,
+    p_expires_at: new Date(expiresAt).toISOString(),
+    p_booking_id: bookingId
+  });
+
+  if (error) {
+    throw error.hint === 'coupon_limit' ? createError(400, error.message) : error;
+  }
+  return data;
+};
+
+// Función para asociar el uso apartado a la sesión de pago creada
+const attachRedemptionSession = async (supabase, redemptionId, sessionId) => {
+  const { error } = await supabase
+    .from('coupon_redemptions')
+    .update({ session_id: sessionId })
+    .eq('id', redemptionId);
+
+  if (error) throw error;
+};
+
+// Función para liberar el uso apartado de una sesión que no se pagó (por id o por sesión)
+const releaseRedemption = async (supabase, { redemptionId, sessionId }) => {
+  let query = supabase
+    .from('coupon_redemptions')
+    .delete()
+    .eq('status', 'reserved');
+
+  if (redemptionId) {
+    query = query.eq('id', redemptionId);
+  } else if (sessionId) {
+    query = query.eq('session_id', sessionId);
+  } else {
+    return;
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+// Función para confirmar el uso de un cupón cuando Stripe confirma el pago. La sesión de
+// pago es única, así que un webhook repetido no registra el mismo uso dos veces.
+const recordRedemption = async (supabase, { quote, userId, bookingId, sessionId }) => {
+  if (!quote || !quote.discount) return;
+
+  const { error } = await supabase
+    .from('coupon_redemptions')
+    .upsert([
+      {
+        coupon_id: quote.discount.couponId,
+        user_id: userId,
+        booking_id: bookingId,
+        session_id: sessionId,
+        discount_amount: quote.discount.amount,
+        status: 'redeemed',
+        expires_at: null
+      }
+    ], { onConflict: 'session_id' });
+
+  if (error) throw error;
+};
+
+// Función para dar formato a un cupón en las respuestas
+const formatCoupon = (coupon) => ({
+  id: coupon.id,
+  code: coupon.code,
+  description: coupon.description,
+  discountType: coupon.discount_type,
+  discountValue: Number(coupon.discount_value),
+  maxDiscountAmount: coupon.max_discount_amount === null ? null : Number(coupon.max_discount_amount),
+  minBookingAmount: coupon.min_booking_amount === null ? null : Number(coupon.min_booking_amount),
+  startsAt: coupon.starts_at,
+  endsAt: coupon.ends_at,
+  maxRedemptions: coupon.max_redemptions,
+  maxRedemptionsPerUser: coupon.max_redemptions_per_user,
+  roomIds: coupon.room_ids || [],
+  locations: coupon.locations || [],
+  active: coupon.active,
+  createdAt: coupon.created_at,
+  updatedAt: coupon.updated_at
+});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  toCouponRow,
+  validateCouponData,
+  getCouponUsage,
+  resolveCoupon,
+  applyCouponCode,
+  reserveRedemption,
+  attachRedemptionSession,
+  releaseRedemption,
+  recordRedemption,
+  formatCoupon
+};
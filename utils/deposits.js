@@ -0,0 +1,395 @@
+// Pago con anticipo para estancias largas o costosas. Al reservar se cobra un porcentaje
+// del total y la tarjeta queda guardada; el saldo se cobra automáticamente
+// BALANCE_DUE_DAYS días antes de la llegada. Si el cobro falla se reintenta cada
+// BALANCE_RETRY_HOURS horas y, agotados los intentos (o llegada la fecha de entrada),
+// la reserva se cancela aplicando su política de cancelación al anticipo.
+
+const { CURRENCY } = require('./pricing');
+const { roundMoney, formatMoney } = require('./money');
+const { transitionBooking } = require('./bookingLifecycle');
+const { calculateRefund, issueCancellationRefund } = require('./cancellation');
+const { recordBookingCharge } = require('./ledger');
+const { notifyUser } = require('./notifications');
+const { queueInvoiceWhenPaid } = require('./invoices');
+
+// Una reserva paga con anticipo si alcanza cualquiera de los dos umbrales
+const DEPOSIT_MIN_NIGHTS = Number(process.env.DEPOSIT_MIN_NIGHTS || 14);
+const DEPOSIT_MIN_TOTAL = Number(process.env.DEPOSIT_MIN_TOTAL || 20000);
+const DEPOSIT_PERCENTAGE = Number(process.env.DEPOSIT_PERCENTAGE || 30);
+const BALANCE_DUE_DAYS = Number(process.env.BALANCE_DUE_DAYS || 14);
+const BALANCE_MAX_ATTEMPTS = Number(process.env.BALANCE_MAX_ATTEMPTS || 3);
+const BALANCE_RETRY_HOURS = Number(process.env.BALANCE_RETRY_HOURS || 24);
+
+// Función para sumar días a una fecha 'YYYY-MM-DD' (UTC)
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Función para decidir cómo se paga una cotización. Si la fecha de cobro del saldo ya
+// llegó (reservas de último momento) o el huésped lo pide, se cobra el total al reservar.
+const getPaymentSchedule = (quote, { startDate, now = new Date(), payInFull = false } = {}) => {
+  const balanceDueDate = addDays(startDate, -BALANCE_DUE_DAYS);
+  const today = now.toISOString().slice(0, 10);
+  const eligible = quote.nights >= DEPOSIT_MIN_NIGHTS || quote.total >= DEPOSIT_MIN_TOTAL;
+
+  if (payInFull || !eligible || balanceDueDate <= today) {
+    return {
+      type: 'full',
+      dueNow: quote.total,
+      depositAvailable: eligible && balanceDueDate > today
+    };
+  }
+
+  const depositAmount = roundMoney(quote.total * DEPOSIT_PERCENTAGE / 100);
+
+  return {
+    type: 'deposit',
+    dueNow: depositAmount,
+    depositPercentage: DEPOSIT_PERCENTAGE,
+    depositAmount,
+    balanceAmount: roundMoney(quote.total - depositAmount),
+    balanceDueDate,
+    depositAvailable: true
+  };
+};
+
+// Función para guardar el calendario de pagos en los metadatos de la sesión de pago
+const toScheduleMetadata = (schedule) => (schedule.type === 'deposit'
+  ? {
+    payment_schedule: 'deposit',
+    deposit_amount: schedule.depositAmount,
+    balance_amount: schedule.balanceAmount,
+    balance_due_date: schedule.balanceDueDate
+  }
+  : { payment_schedule: 'full' });
+
+// Función para obtener las columnas de la reserva a partir de los metadatos de la sesión
+const getScheduleColumns = (metadata = {}) => (metadata.payment_schedule === 'deposit'
+  ? {
+    payment_schedule: 'deposit',
+    deposit_amount: Number(metadata.deposit_amount),
+    balance_amount: Number(metadata.balance_amount),
+    balance_due_date: metadata.balance_due_date,
+    balance_status: 'scheduled'
+  }
+  : {
+    payment_schedule: 'full',
+    deposit_amount: null,
+    balance_amount: null,
+    balance_due_date: null,
+    balance_status: null
+  });
+
+// Función para crear el concepto de Checkout del anticipo
+const toDepositLineItems = (quote, schedule, { name, description, images = [] }) => [
+  {
+    price_data: {
+      currency: quote.currency.toLowerCase(),
+      product_data: {
+        name,
+        description: `Anticipo del ${schedule.depositPercentage}% de ${formatMoney(quote.total)}. ` +
+          `Saldo de ${formatMoney(schedule.balanceAmount)} el ${schedule.balanceDueDate}. ${description}`,
+        images
+      },
+      unit_amount: Math.round(schedule.depositAmount * 100)
+    },
+    quantity: 1
+  }
+];
+
+// Función para dar formato al calendario de pagos de una reserva
+const formatPaymentSchedule = (booking) => {
+  if (booking.payment_schedule !== 'deposit') {
+    return { type: 'full' };
+  }
+
+  return {
+    type: 'deposit',
+    depositAmount: Number(booking.deposit_amount),
+    balanceAmount: Number(booking.balance_amount),
+    balanceDueDate: booking.balance_due_date,
+    balanceStatus: booking.balance_status,
+    balanceAttempts: booking.balance_attempts,
+    balanceNextAttemptAt: booking.balance_next_attempt_at,
+    balanceError: booking.balance_error,
+    balancePaidAt: booking.balance_paid_at
+  };
+};
+
+// Función para repartir la diferencia de precio de una modificación en el calendario de
+// pagos. Mientras el saldo no se cobre, un aumento se suma al saldo y una reducción se
+// descuenta primero del saldo; solo lo que lo exceda se cobra o reembolsa de inmediato.
+// Devuelve las columnas de la reserva a actualizar y los importes a cobrar y reembolsar.
+const getAmendedSchedule = (booking, difference, { now = new Date() } = {}) => {
+  const hasUnpaidBalance = booking.payment_schedule === 'deposit' &&
+    ['scheduled', 'failed'].includes(booking.balance_status);
+
+  if (!hasUnpaidBalance) {
+    return {
+      changes: {},
+      chargeAmount: Math.max(roundMoney(difference), 0),
+      refundAmount: Math.max(roundMoney(-difference), 0)
+    };
+  }
+
+  const balanceAmount = roundMoney(Number(booking.balance_amount) + difference);
+
+  if (balanceAmount > 0) {
+    return { changes: { balance_amount: balanceAmount }, chargeAmount: 0, refundAmount: 0 };
+  }
+
+  // La reducción cubre todo el saldo: ya no queda nada por cobrar
+  return {
+    changes: {
+      balance_amount: 0,
+      balance_status: 'paid',
+      balance_paid_at: now.toISOString(),
+      balance_next_attempt_at: null,
+      balance_error: null
+    },
+    chargeAmount: 0,
+    refundAmount: roundMoney(-balanceAmount)
+  };
+};
+
+// Función para registrar el cobro del saldo (automático o pagado por el huésped)
+const recordBalancePayment = async (supabase, booking, { paymentIntentId, amount, attempts }) => {
+  const changes = {
+    balance_status: 'paid',
+    balance_payment_intent_id: paymentIntentId,
+    balance_paid_at: new Date().toISOString(),
+    balance_next_attempt_at: null,
+    balance_error: null
+  };
+  if (attempts !== undefined) changes.balance_attempts = attempts;
+
+  const { data: updated, error } = await supabase
+    .from('bookings')
+    .update(changes)
+    .eq('id', booking.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await recordBookingCharge(supabase, booking, {
+    amount,
+    reference: paymentIntentId,
+    description: 'Saldo de la reserva'
+  });
+
+  await notifyUser(supabase, {
+    userId: booking.user_id,
+    type: 'balance_paid',
+    title: 'Saldo cobrado',
+    message: `Cobramos el saldo de ${formatMoney(amount)} de tu reserva del ${booking.start_date}.`,
+    bookingId: booking.id
+  });
+
+  // Con el saldo cubierto la reserva ya se puede facturar
+  await queueInvoiceWhenPaid(supabase, updated);
+
+  return updated;
+};
+
+// Función para cancelar una reserva cuyo saldo no se pudo cobrar. Se aplica la
+// política de la habitación como si el huésped hubiera cancelado.
+const cancelForUnpaidBalance = async (supabase, paymentProvider, booking, room) => {
+  const refund = { ...calculateRefund(booking, room, { actorRole: 'guest' }), cancelledBy: 'system' };
+
+  const cancelled = await transitionBooking(supabase, booking, 'cancelled', {
+    actorRole: 'system',
+    reason: 'No se pudo cobrar el saldo de la reserva',
+    metadata: { refund_amount: refund.refundAmount, balance_attempts: booking.balance_attempts },
+    changes: {
+      balance_status: 'cancelled',
+      balance_next_attempt_at: null,
+      refund_amount: refund.refundAmount,
+      refund_breakdown: { ...refund, status: refund.refundAmount > 0 ? 'pending' : 'not_applicable' }
+    }
+  });
+
+  const updated = await issueCancellationRefund(supabase, paymentProvider, cancelled, refund);
+
+  await notifyUser(supabase, {
+    userId: booking.user_id,
+    type: 'booking_cancelled',
+    title: 'Reserva cancelada',
+    message: `Cancelamos tu reserva en ${room.title} porque no pudimos cobrar el saldo. ` +
+      (refund.refundAmount > 0
+        ? `Te reembolsaremos ${formatMoney(refund.refundAmount)} según la política de cancelación.`
+        : 'Según la política de cancelación, el anticipo no es reembolsable.'),
+    bookingId: booking.id,
+    data: { refundAmount: refund.refundAmount }
+  });
+
+  if (room.host_id) {
+    await notifyUser(supabase, {
+      userId: room.host_id,
+      type: 'booking_cancelled',
+      title: 'Reserva cancelada',
+      message: `La reserva del ${booking.start_date} al ${booking.end_date} en ${room.title} se canceló porque no se pudo cobrar el saldo.`,
+      bookingId: booking.id
+    });
+  }
+
+  return updated;
+};
+
+// Función para intentar el cobro del saldo de una reserva. Devuelve 'paid', 'failed',
+// 'cancelled' o 'skipped' (si otro proceso ya la está cobrando).
+const chargeBookingBalance = async (supabase, paymentProvider, booking, { now = new Date() } = {}) => {
+  // Tomar la reserva: el filtro por balance_status evita cobrar dos veces en paralelo
+  const { data: claimed, error: claimError } = await supabase
+    .from('bookings')
+    .update({ balance_status: 'processing' })
+    .eq('id', booking.id)
+    .eq('status', 'confirmed')
+    .eq('balance_status', booking.balance_status)
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return 'skipped';
+
+  const attempts = (claimed.balance_attempts || 0) + 1;
+  const amount = Number(claimed.balance_amount);
+
+  try {
+    if (!claimed.payment_customer_id || !claimed.payment_method_id) {
+      throw new Error('La reserva no tiene un método de pago guardado');
+    }
+
+    const paymentIntent = await paymentProvider.chargeSavedPaymentMethod({
+      customerId: claimed.payment_customer_id,
+      paymentMethodId: claimed.payment_method_id,
+      amount,
+      currency: CURRENCY.toLowerCase(),
+      description: `Saldo de la reserva ${claimed.id}`,
+      metadata: { booking_id: claimed.id, payment_type: 'booking_balance', attempt: attempts },
+      // Un reintento del mismo intento no genera un segundo cobro
+      idempotencyKey: `booking-balance-${claimed.id}-${attempts}`
+    });
+
+    if (paymentIntent.status !== 'succeeded') {
+      throw new Error(`El cobro quedó en estado ${paymentIntent.status}`);
+    }
+
+    await recordBalancePayment(supabase, claimed, { paymentIntentId: paymentIntent.id, amount, attempts });
+    return 'paid';
+  } catch (chargeError) {
+    console.error('Error al cobrar el saldo de la reserva:', claimed.id, chargeError.message);
+
+    const today = now.toISOString().slice(0, 10);
+    const exhausted = attempts >= BALANCE_MAX_ATTEMPTS || today >= claimed.start_date;
+    const nextAttemptAt = new Date(now.getTime() + BALANCE_RETRY_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: failed, error } = await supabase
+      .from('bookings')
+      .update({
+        balance_status: 'failed',
+        balance_attempts: attempts,
+        balance_error: chargeError.message,
+        balance_next_attempt_at: exhausted ? null : nextAttemptAt
+      })
+      .eq('id', claimed.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { data: room, error: roomError } = await supabase
+      .from('rooms')
+      .select('id, title, host_id, cancellation_policy, cancellation_windows')
+      .eq('id', claimed.room_id)
+      .single();
+
+    if (roomError) throw roomError;
+
+    if (exhausted) {
+      await cancelForUnpaidBalance(supabase, paymentProvider, failed, room);
+      return 'cancelled';
+    }
+
+    await notifyUser(supabase, {
+      userId: claimed.user_id,
+      type: 'balance_failed',
+      title: 'No pudimos cobrar el saldo',
+      message: `No pudimos cobrar el saldo de ${formatMoney(amount)} de tu reserva en ${room.title}. ` +
+        `Lo intentaremos de nuevo; también puedes pagarlo ahora. Intento ${attempts} de ${BALANCE_MAX_ATTEMPTS}.`,
+      bookingId: claimed.id,
+      data: { attempts, maxAttempts: BALANCE_MAX_ATTEMPTS, nextAttemptAt, error: chargeError.message }
+    });
+
+    if (room.host_id) {
+      await notifyUser(supabase, {
+        userId: room.host_id,
+        type: 'balance_failed',
+        title: 'Saldo pendiente de un huésped',
+        message: `No se pudo cobrar el saldo de la reserva del ${claimed.start_date} en ${room.title}. Se volverá a intentar.`,
+        bookingId: claimed.id
+      });
+    }
+
+    return 'failed';
+  }
+};
+
+// Función para cobrar los saldos que vencen hoy o antes y los reintentos pendientes.
+// La ejecuta el cobro programado; devuelve cuántas reservas terminaron en cada resultado.
+const processDueBalances = async (supabase, paymentProvider, { now = new Date(), limit = 50 } = {}) => {
+  const today = now.toISOString().slice(0, 10);
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('status', 'confirmed')
+    .eq('payment_schedule', 'deposit')
+    .in('balance_status', ['scheduled', 'failed'])
+    .lte('balance_due_date', today)
+    .or(`balance_next_attempt_at.is.null,balance_next_attempt_at.lte."${now.toISOString()}"`)
+    .order('balance_due_date', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const summary = { processed: 0, paid: 0, failed: 0, cancelled: 0, skipped: 0, errors: 0 };
+
+  for (const booking of bookings) {
+    // Un saldo fallido sin próximo intento ya agotó sus intentos (la cancelación falló antes)
+    if (booking.balance_status === 'failed' && booking.balance_attempts >= BALANCE_MAX_ATTEMPTS) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const result = await chargeBookingBalance(supabase, paymentProvider, booking, { now });
+      summary[result] += 1;
+      if (result !== 'skipped') summary.processed += 1;
+    } catch (chargeError) {
+      console.error('Error al procesar el saldo de la reserva:', booking.id, chargeError);
+      summary.errors += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  DEPOSIT_MIN_NIGHTS,
+  DEPOSIT_MIN_TOTAL,
+  DEPOSIT_PERCENTAGE,
+  BALANCE_DUE_DAYS,
+  BALANCE_MAX_ATTEMPTS,
+  getPaymentSchedule,
+  toScheduleMetadata,
+  getScheduleColumns,
+  toDepositLineItems,
+  formatPaymentSchedule,
+  getAmendedSchedule,
+  recordBalancePayment,
+  chargeBookingBalance,
+  processDueBalances
+};
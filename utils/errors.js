@@ -0,0 +1,12 @@
+// Errores con el código HTTP que debe devolver la ruta (las rutas responden con error.status).
+
+// Función para crear un error con su código HTTP
+const createError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  createError
+};
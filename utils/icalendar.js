@@ -0,0 +1,238 @@
+// Generación y lectura de archivos iCalendar (RFC 5545). Los eventos se escriben en UTC
+// para que cualquier calendario los muestre a la hora correcta sin depender de VTIMEZONE.
+
+const PRODUCT_ID = '-//api-rooms//Reservas//ES';
+const CALENDAR_DOMAIN = process.env.CALENDAR_DOMAIN || 'api-rooms';
+
+// Función para escapar texto según la sección 3.3.11 del RFC
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Función para partir las líneas de más de 75 octetos (continuación con un espacio)
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char, 'utf8') > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// Función para dar formato a una fecha y hora en UTC (20261201T210000Z)
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Función para dar formato a una fecha de día completo (20261201)
+const formatDate = (date) => String(date).replace(/-/g, '');
+
+// Función para convertir una fecha 'YYYY-MM-DD' y una hora 'HH:mm' locales de una zona
+// horaria al instante UTC correspondiente
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const asUtc = new Date(`${date}T00:00:00Z`);
+  asUtc.setUTCHours(hours, minutes, 0, 0);
+
+  // Diferencia entre la hora local en la zona y UTC para ese instante
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).formatToParts(asUtc).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+
+  return new Date(asUtc.getTime() - (local - asUtc.getTime()));
+};
+
+// Función para escribir un VEVENT. start y end son Date (hora exacta) o 'YYYY-MM-DD'
+// (día completo, end exclusivo).
+const buildEvent = ({ uid, start, end, summary, description, location, status, url, alarm, stamp = new Date() }) => {
+  const dateLine = (name, value) => (value instanceof Date
+    ? `${name}:${formatDateTime(value)}`
+    : `${name};VALUE=DATE:${formatDate(value)}`);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatDateTime(stamp)}`,
+    dateLine('DTSTART', start),
+    dateLine('DTEND', end),
+    `SUMMARY:${escapeText(summary)}`
+  ];
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (status) lines.push(`STATUS:${status}`);
+
+  if (alarm) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(alarm.description || summary)}`,
+      `TRIGGER:${alarm.trigger}`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// Función para armar el calendario completo con sus eventos (líneas terminadas en CRLF)
+const buildCalendar = ({ name, method = 'PUBLISH', events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${method}`
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  events.forEach(event => lines.push(...buildEvent(event)));
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+// Función para revertir el escape de un texto
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Función para separar una línea en nombre, parámetros y valor (NAME;PARAM=X:valor)
+const parseProperty = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+  for (let index = 0; index < line.length; index++) {
+    if (line[index] === '"') inQuotes = !inQuotes;
+    if (line[index] === ':' && !inQuotes) {
+      separator = index;
+      break;
+    }
+  }
+  if (separator === -1) return null;
+
+  const [name, ...params] = line.slice(0, separator).split(';');
+  return {
+    name: name.toUpperCase(),
+    params: params.reduce((acc, param) => {
+      const [key, ...value] = param.split('=');
+      return { ...acc, [key.toUpperCase()]: value.join('=').replace(/^"|"$/g, '') };
+    }, {}),
+    value: line.slice(separator + 1)
+  };
+};
+
+// Función para interpretar una fecha (20261201) o fecha y hora (20261201T150000[Z])
+const parseDateValue = ({ value, params }) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, seconds, utc] = match;
+  return {
+    date: `${year}-${month}-${day}`,
+    time: hours !== undefined && params.VALUE !== 'DATE' ? `${hours}:${minutes}:${seconds}` : null,
+    utc: Boolean(utc),
+    timeZone: params.TZID || null
+  };
+};
+
+// Función para interpretar una duración de días o semanas (P3D, P1W, P1DT12H)
+const parseDurationDays = (value) => {
+  const match = /^\+?P(?:(\d+)W)?(?:(\d+)D)?(?:T.*)?$/.exec(value.trim());
+  if (!match) return null;
+  return Number(match[1] || 0) * 7 + Number(match[2] || 0);
+};
+
+// Función para leer los eventos (VEVENT) de un calendario
+const parseCalendar = (text) => {
+  const lines = String(text)
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n');
+
+  if (!lines.some(line => line.trim().toUpperCase() === 'BEGIN:VCALENDAR')) {
+    throw new Error('El archivo no es un calendario iCalendar válido');
+  }
+
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  lines.forEach(line => {
+    const property = parseProperty(line.trim());
+    if (!property) return;
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = {};
+      } else if (current) {
+        nested++;
+      }
+      return;
+    }
+
+    if (property.name === 'END' && current) {
+      if (nested > 0) {
+        nested--;
+      } else if (property.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      return;
+    }
+
+    // Las propiedades de componentes anidados (VALARM) no son del evento
+    if (!current || nested > 0) return;
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value.trim();
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'STATUS':
+        current.status = property.value.trim().toUpperCase();
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property);
+        break;
+      case 'DURATION':
+        current.durationDays = parseDurationDays(property.value);
+        break;
+      default:
+        break;
+    }
+  });
+
+  return events;
+};
+
+module.exports = {
+  CALENDAR_DOMAIN,
+  escapeText,
+  formatDateTime,
+  zonedTimeToUtc,
+  buildEvent,
+  buildCalendar,
+  parseCalendar
+};
@@ -0,0 +1,155 @@
+const sharp = require('sharp');
+const { encode } = require('blurhash');
+const { createError } = require('./errors');
+
+// Variantes generadas para cada imagen subida (ancho máximo en píxeles)
+const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  card: 768,
+  full: 1600
+};
+
+const JPEG_QUALITY = 82;
+const WEBP_QUALITY = 80;
+
+// Función para generar las variantes y el blurhash de una imagen.
+// sharp no copia los metadatos (EXIF, GPS, ICC) a la salida salvo que se pida con
+// withMetadata(), por lo que las variantes ya salen limpias.
+const renderImage = async (buffer) => {
+  const base = sharp(buffer, { failOn: 'error' }).rotate();
+
+  const variants = {};
+  for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+    const resized = base.clone().resize({ width, withoutEnlargement: true });
+
+    const { data: jpeg, info } = await resized
+      .clone()
+      .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    const webp = await resized
+      .clone()
+      .webp({ quality: WEBP_QUALITY })
+      .toBuffer();
+
+    variants[name] = {
+      width: info.width,
+      height: info.height,
+      jpeg,
+      webp
+    };
+  }
+
+  // Miniatura en RGBA para calcular el placeholder
+  const { data: pixels, info: pixelsInfo } = await base
+    .clone()
+    .resize(32, 32, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const blurhash = encode(
+    new Uint8ClampedArray(pixels),
+    pixelsInfo.width,
+    pixelsInfo.height,
+    4,
+    3
+  );
+
+  return { variants, blurhash };
+};
+
+// Función para procesar una imagen subida: orienta, redimensiona y genera el blurhash.
+// Un archivo con cabecera válida pero datos dañados falla al decodificarse, así que todo el
+// proceso responde 400.
+const processImage = async (buffer) => {
+  try {
+    return await renderImage(buffer);
+  } catch (error) {
+    throw createError(400, 'El archivo no es una imagen válida');
+  }
+};
+
+// Función para subir las variantes procesadas a un bucket de Supabase Storage.
+// Devuelve la descripción que se guarda en la columna variants (jsonb). Si una subida falla
+// se borran las variantes que ya se habían subido.
+const uploadImageVariants = async (supabase, bucket, basePath, processed) => {
+  const storage = supabase.storage.from(bucket);
+  const uploaded = {};
+  const uploadedPaths = [];
+
+  try {
+    for (const [name, variant] of Object.entries(processed.variants)) {
+      const jpegPath = `${basePath}/${name}.jpg`;
+      const webpPath = `${basePath}/${name}.webp`;
+
+      const { error: jpegError } = await storage.upload(jpegPath, variant.jpeg, {
+        contentType: 'image/jpeg',
+        upsert: true
+      });
+      if (jpegError) throw jpegError;
+      uploadedPaths.push(jpegPath);
+
+      const { error: webpError } = await storage.upload(webpPath, variant.webp, {
+        contentType: 'image/webp',
+        upsert: true
+      });
+      if (webpError) throw webpError;
+      uploadedPaths.push(webpPath);
+
+      uploaded[name] = {
+        width: variant.width,
+        height: variant.height,
+        url: storage.getPublicUrl(jpegPath).data.publicUrl,
+        webp: storage.getPublicUrl(webpPath).data.publicUrl,
+        path: jpegPath,
+        webpPath
+      };
+    }
+  } catch (error) {
+    if (uploadedPaths.length > 0) {
+      const { error: removeError } = await storage.remove(uploadedPaths);
+      if (removeError) {
+        console.error('Error al eliminar las variantes subidas:', removeError);
+      }
+    }
+    throw error;
+  }
+
+  return uploaded;
+};
+
+// Función para obtener las rutas en Storage de todas las variantes de una imagen
+const getVariantPaths = (variants) => {
+  if (!variants) return [];
+  return Object.values(variants).flatMap(variant => [variant.path, variant.webpPath].filter(Boolean));
+};
+
+// Función para construir el objeto srcset que devuelve la API.
+// Las imágenes anteriores al procesamiento solo tienen la URL original.
+const buildSrcset = (variants, fallbackUrl = null) => {
+  if (!variants) {
+    return fallbackUrl ? { full: { url: fallbackUrl, webp: null, width: null, height: null } } : null;
+  }
+
+  const srcset = {};
+  Object.keys(IMAGE_VARIANTS).forEach(name => {
+    if (variants[name]) {
+      srcset[name] = {
+        url: variants[name].url,
+        webp: variants[name].webp,
+        width: variants[name].width,
+        height: variants[name].height
+      };
+    }
+  });
+  return srcset;
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  processImage,
+  uploadImageVariants,
+  getVariantPaths,
+  buildSrcset
+};
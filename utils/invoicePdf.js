@@ -0,0 +1,105 @@
+// Representación impresa (PDF) de una factura timbrada. Se genera a partir de los datos
+// guardados al emitirla, así que el PDF siempre coincide con el XML.
+
+const PDFDocument = require('pdfkit');
+const { TAX_REGIMES, CFDI_USES } = require('./cfdi');
+const { formatAmount, toBuffer, writeFields, writeRow, writeTotals } = require('./pdf');
+
+const PAYMENT_FORMS = { '04': 'Tarjeta de crédito' };
+const PAYMENT_METHODS = { PUE: 'Pago en una sola exhibición' };
+
+const describe = (catalog, code) => (catalog[code] ? `${code} - ${catalog[code].name || catalog[code]}` : code);
+
+// Función para generar el PDF de una factura timbrada
+const renderInvoicePdf = (invoice) => {
+  const data = invoice.data;
+  const stamp = data.stamp || {};
+  const doc = new PDFDocument({ size: 'LETTER', margin: 50, info: { Title: `Factura ${invoice.series}-${invoice.folio}` } });
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Factura (CFDI de ingreso)', { align: 'right' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`Serie y folio: ${invoice.series}-${invoice.folio}`, { align: 'right' })
+    .text(`Folio fiscal (UUID): ${invoice.uuid}`, { align: 'right' })
+    .text(`Fecha de emisión: ${data.date}`, { align: 'right' })
+    .text(`Lugar de expedición: ${data.expeditionPlace}`, { align: 'right' });
+
+  writeFields(doc, 'Emisor', [
+    ['RFC', data.issuer.rfc],
+    ['Nombre', data.issuer.name],
+    ['Régimen fiscal', describe(TAX_REGIMES, data.issuer.regime)]
+  ]);
+
+  writeFields(doc, 'Receptor', [
+    ['RFC', data.receiver.rfc],
+    ['Nombre', data.receiver.name],
+    ['Domicilio fiscal', data.receiver.zipCode],
+    ['Régimen fiscal', describe(TAX_REGIMES, data.receiver.regime)],
+    ['Uso del CFDI', describe(CFDI_USES, data.receiver.cfdiUse)]
+  ]);
+
+  if (data.booking) {
+    writeFields(doc, 'Reserva', [
+      ['Alojamiento', data.booking.roomTitle],
+      ['Estancia', `${data.booking.startDate} al ${data.booking.endDate}`],
+      ['Referencia', data.booking.id]
+    ]);
+  }
+
+  // Tabla de conceptos
+  const left = doc.page.margins.left;
+  const columns = [
+    { label: 'Clave', x: left, width: 55 },
+    { label: 'Descripción', x: left + 60, width: 220 },
+    { label: 'Importe', x: left + 285, width: 70, align: 'right' },
+    { label: 'Descuento', x: left + 360, width: 65, align: 'right' },
+    { label: 'IVA', x: left + 430, width: 80, align: 'right' }
+  ];
+
+  doc.moveDown(1);
+  writeRow(doc, columns, columns.map(column => column.label), 'Helvetica-Bold');
+  data.concepts.forEach(concept => {
+    writeRow(doc, columns, [
+      concept.productCode,
+      `${concept.description} (${concept.unitCode} ${concept.unit})`,
+      formatAmount(concept.amount),
+      formatAmount(concept.discount),
+      `${formatAmount(concept.tax.amount)} (${concept.tax.rate * 100}%)`
+    ]);
+  });
+
+  // Totales
+  const totals = [
+    ['Subtotal', data.subtotal],
+    data.discount > 0 && ['Descuento', -data.discount],
+    ['IVA trasladado', data.transferredTaxes],
+    data.localTax && [`${data.localTax.name} ${data.localTax.state || ''} (${data.localTax.rate * 100}%)`, data.localTax.amount],
+    ['Total', data.total, true]
+  ].filter(Boolean);
+
+  doc.moveDown(0.5);
+  writeTotals(doc, totals, { currency: data.currency, labelX: left + 285, valueX: left + 430 });
+
+  writeFields(doc, 'Pago', [
+    ['Forma de pago', describe(PAYMENT_FORMS, data.paymentForm)],
+    ['Método de pago', describe(PAYMENT_METHODS, data.paymentMethod)],
+    ['Moneda', data.currency]
+  ]);
+
+  writeFields(doc, 'Timbre fiscal digital', [
+    ['Fecha de certificación', stamp.stampedAt],
+    ['No. de certificado del emisor', stamp.certificateNumber],
+    ['No. de certificado del SAT', stamp.satCertificateNumber]
+  ]);
+
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(8).text('Sello digital del CFDI');
+  doc.font('Courier').fontSize(6).text(stamp.cfdiSeal || '');
+  doc.moveDown(0.3).font('Helvetica-Bold').fontSize(8).text('Sello digital del SAT');
+  doc.font('Courier').fontSize(6).text(stamp.satSeal || '');
+
+  doc.moveDown(1).font('Helvetica').fontSize(8)
+    .text('Este documento es una representación impresa de un CFDI.', { align: 'center' });
+
+  return toBuffer(doc);
+};
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,265 @@
+// Facturas de las reservas. Al quedar pagada una reserva (o su saldo, si se pagó con
+// anticipo) se programa el CFDI con los datos fiscales del huésped y la tarea de seguimiento
+// lo timbra con el PAC configurado. Si el huésped aún no registra sus datos, la factura se
+// emite cuando la solicite. Cada reserva tiene una sola factura; si el timbrado falla se reintenta.
+
+const { CFDI_SERIES, buildInvoiceData, buildInvoiceXml } = require('./cfdi');
+const { getPacProvider } = require('./pacProviders');
+const { notifyUser } = require('./notifications');
+const { createError } = require('./errors');
+
+const INVOICEABLE_STATUSES = ['confirmed', 'checked_in', 'completed'];
+// Una factura que lleva más de este tiempo timbrándose se considera abandonada
+const STAMPING_TIMEOUT_MINUTES = 10;
+
+// Función para saber si una reserva está pagada por completo
+const isFullyPaid = (booking) => booking.payment_status === 'paid' &&
+  (booking.payment_schedule !== 'deposit' || booking.balance_status === 'paid');
+
+// Función para obtener el motivo por el que una reserva no se puede facturar (o null)
+const getInvoiceBlocker = (booking) => {
+  if (!INVOICEABLE_STATUSES.includes(booking.status)) {
+    return `No se puede facturar una reserva con estado ${booking.status}`;
+  }
+  if (!isFullyPaid(booking)) {
+    return 'La reserva se podrá facturar cuando esté pagada por completo';
+  }
+  return null;
+};
+
+// Función para obtener la factura de una reserva
+const getBookingInvoice = async (supabase, bookingId) => {
+  const { data, error } = await supabase
+    .from('invoices')
+    .select('*')
+    .eq('booking_id', bookingId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para crear la fila de la factura (con su folio) o devolver la existente
+const getOrCreateInvoice = async (supabase, booking, series) => {
+  const existing = await getBookingInvoice(supabase, booking.id);
+  if (existing) return existing;
+
+  const { data, error } = await supabase
+    .from('invoices')
+    .insert([{ booking_id: booking.id, user_id: booking.user_id, series }])
+    .select()
+    .single();
+
+  // Otra solicitud creó la factura al mismo tiempo
+  if (error && error.code === '23505') {
+    return getBookingInvoice(supabase, booking.id);
+  }
+  if (error) throw error;
+  return data;
+};
+
+// Función para emitir y timbrar la factura de una reserva pagada. Si ya estaba timbrada
+// se devuelve tal cual. Lanza un error con status si la reserva no se puede facturar.
+const issueBookingInvoice = async (supabase, bookingId, { pacProvider = getPacProvider(), now = new Date() } = {}) => {
+  const { data: booking, error: bookingError } = await supabase
+    .from('bookings')
+    .select('*, room:rooms(id, title, location)')
+    .eq('id', bookingId)
+    .single();
+
+  if (bookingError || !booking) {
+    throw createError(404, 'Reserva no encontrada');
+  }
+
+  const blocker = getInvoiceBlocker(booking);
+  if (blocker) {
+    throw createError(409, blocker);
+  }
+
+  const { data: fiscalProfile, error: profileError } = await supabase
+    .from('fiscal_profiles')
+    .select('*')
+    .eq('user_id', booking.user_id)
+    .maybeSingle();
+
+  if (profileError) throw profileError;
+  if (!fiscalProfile) {
+    throw createError(409, 'Registra tus datos fiscales para poder emitir la factura');
+  }
+
+  const invoice = await getOrCreateInvoice(supabase, booking, CFDI_SERIES);
+
+  if (invoice.status === 'stamped') {
+    return invoice;
+  }
+
+  // Tomar la factura para timbrarla; si otra solicitud ya la tomó, devolverla en proceso
+  const stampingCutoff = new Date(Date.now() - STAMPING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('invoices')
+    .update({ status: 'stamping', error: null, updated_at: new Date().toISOString() })
+    .eq('id', invoice.id)
+    .or(`status.in.(pending,failed),and(status.eq.stamping,updated_at.lt.${stampingCutoff})`)
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) {
+    return getBookingInvoice(supabase, booking.id);
+  }
+
+  const data = buildInvoiceData(booking, fiscalProfile, { series: claimed.series, folio: claimed.folio, now });
+  const xml = buildInvoiceXml(data);
+
+  let stamp;
+  try {
+    stamp = await pacProvider.stamp({ xml, invoiceId: claimed.id });
+  } catch (stampError) {
+    console.error('Error al timbrar la factura:', stampError);
+
+    await supabase
+      .from('invoices')
+      .update({
+        status: 'failed',
+        data,
+        total: data.total,
+        pac_provider: pacProvider.name,
+        error: stampError.message,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id);
+
+    throw createError(502, `No se pudo timbrar la factura: ${stampError.message}`);
+  }
+
+  const { data: stamped, error: updateError } = await supabase
+    .from('invoices')
+    .update({
+      status: 'stamped',
+      data: {
+        ...data,
+        stamp: {
+          uuid: stamp.uuid,
+          stampedAt: stamp.stampedAt,
+          certificateNumber: stamp.certificateNumber,
+          satCertificateNumber: stamp.satCertificateNumber,
+          cfdiSeal: stamp.cfdiSeal,
+          satSeal: stamp.satSeal
+        }
+      },
+      xml: stamp.xml,
+      uuid: stamp.uuid,
+      total: data.total,
+      currency: data.currency,
+      pac_provider: pacProvider.name,
+      stamped_at: stamp.stampedAt,
+      error: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', claimed.id)
+    .select()
+    .single();
+
+  if (updateError) throw updateError;
+
+  await notifyUser(supabase, {
+    userId: booking.user_id,
+    type: 'invoice_issued',
+    title: 'Factura emitida',
+    message: `Tu factura ${stamped.series}-${stamped.folio} de la reserva en ${booking.room ? booking.room.title : 'tu alojamiento'} está lista.`,
+    bookingId: booking.id,
+    data: { invoiceId: stamped.id, uuid: stamped.uuid }
+  });
+
+  return stamped;
+};
+
+// Función para emitir la factura de una reserva pagada si el huésped tiene datos fiscales.
+// Es automática, así que un error solo se registra: el huésped puede solicitarla después.
+const issueInvoiceWhenPaid = async (supabase, booking) => {
+  if (getInvoiceBlocker(booking)) return null;
+
+  const { data: fiscalProfile, error } = await supabase
+    .from('fiscal_profiles')
+    .select('user_id')
+    .eq('user_id', booking.user_id)
+    .maybeSingle();
+
+  if (error || !fiscalProfile) return null;
+
+  return issueBookingInvoice(supabase, booking.id).catch(invoiceError => {
+    console.error(`Error al emitir la factura de la reserva ${booking.id}:`, invoiceError);
+    return null;
+  });
+};
+
+// Función para programar la factura de una reserva que quedó pagada. Los flujos de cobro
+// (webhook incluido) solo la marcan; issueDueInvoices la timbra fuera del flujo de pago.
+const queueInvoiceWhenPaid = async (supabase, booking) => {
+  if (getInvoiceBlocker(booking)) return;
+
+  const { error } = await supabase
+    .from('bookings')
+    .update({ invoice_due_at: new Date().toISOString() })
+    .eq('id', booking.id)
+    .is('invoice_due_at', null);
+
+  if (error) throw error;
+};
+
+// Función para emitir las facturas programadas. La ejecuta la tarea de seguimiento de
+// reservas; devuelve cuántas se emitieron y cuántas no aplicaban o fallaron.
+const issueDueInvoices = async (supabase, { limit = 20 } = {}) => {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .not('invoice_due_at', 'is', null)
+    .order('invoice_due_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const summary = { issued: 0, skipped: 0 };
+
+  for (const booking of bookings) {
+    const invoice = await issueInvoiceWhenPaid(supabase, booking);
+    summary[invoice ? 'issued' : 'skipped'] += 1;
+
+    // Un timbrado fallido queda registrado en la factura y el huésped puede solicitarla de nuevo
+    const { error: updateError } = await supabase
+      .from('bookings')
+      .update({ invoice_due_at: null })
+      .eq('id', booking.id);
+
+    if (updateError) throw updateError;
+  }
+
+  return summary;
+};
+
+// Función para dar formato a una factura en las respuestas
+const formatInvoice = (invoice) => ({
+  id: invoice.id,
+  bookingId: invoice.booking_id,
+  series: invoice.series,
+  folio: invoice.folio,
+  status: invoice.status,
+  uuid: invoice.uuid,
+  total: invoice.total !== null ? Number(invoice.total) : null,
+  currency: invoice.currency,
+  pacProvider: invoice.pac_provider,
+  stampedAt: invoice.stamped_at,
+  error: invoice.error,
+  createdAt: invoice.created_at
+});
+
+module.exports = {
+  isFullyPaid,
+  getInvoiceBlocker,
+  getBookingInvoice,
+  issueBookingInvoice,
+  issueInvoiceWhenPaid,
+  queueInvoiceWhenPaid,
+  issueDueInvoices,
+  formatInvoice
+};
@@ -0,0 +1,208 @@
+// Libro de movimientos de pago (payment_ledger). Es de solo inserción: cada cobro, reembolso,
+// cargo, contracargo o pago al anfitrión es un renglón nuevo y la base de datos rechaza
+// modificaciones. (entry_type, reference) es único, así que registrar dos veces el mismo
+// movimiento de Stripe no lo duplica. Un reembolso que cambia de estado (pending → succeeded
+// o failed) recibe un renglón nuevo con ese estado y el resumen usa el último de cada uno.
+
+const { roundMoney } = require('./money');
+
+const LEDGER_ENTRY_TYPES = ['charge', 'refund', 'fee', 'dispute', 'payout'];
+
+// Movimientos que salen del huésped hacia la plataforma (+) o regresan al huésped (-)
+const GUEST_DIRECTION = {
+  charge: 1,
+  refund: -1,
+  dispute: -1
+};
+
+// Descripción del renglón que registra el nuevo estado de un reembolso
+const REFUND_STATUS_DESCRIPTIONS = {
+  pending: 'Reembolso pendiente',
+  succeeded: 'Reembolso completado',
+  failed: 'Reembolso fallido',
+  canceled: 'Reembolso cancelado'
+};
+
+// Función para registrar un movimiento
+const recordLedgerEntry = async (supabase, {
+  bookingId = null,
+  userId = null,
+  type,
+  amount,
+  currency = 'MXN',
+  reference,
+  status = 'succeeded',
+  description = null,
+  metadata = null,
+  occurredAt = new Date()
+}) => {
+  const { error } = await supabase
+    .from('payment_ledger')
+    .upsert([
+      {
+        booking_id: bookingId,
+        user_id: userId,
+        entry_type: type,
+        amount: roundMoney(amount),
+        currency: currency.toUpperCase(),
+        reference,
+        status,
+        description,
+        metadata,
+        occurred_at: new Date(occurredAt).toISOString()
+      }
+    ], { onConflict: 'entry_type,reference', ignoreDuplicates: true });
+
+  if (error) throw error;
+};
+
+// Función para registrar el cobro de una reserva y la parte del cargo por servicio que le
+// corresponde: con anticipo, el anticipo y el saldo llevan cada uno su proporción del total
+const recordBookingCharge = async (supabase, booking, { amount, reference, description, metadata = null }) => {
+  await recordLedgerEntry(supabase, {
+    bookingId: booking.id,
+    userId: booking.user_id,
+    type: 'charge',
+    amount,
+    reference,
+    description,
+    metadata
+  });
+
+  const quote = booking.price_breakdown;
+  const serviceFee = quote ? Number(quote.serviceFee) || 0 : 0;
+  const total = quote ? Number(quote.total) || Number(booking.price) : Number(booking.price);
+
+  if (serviceFee > 0 && total > 0 && !(metadata && metadata.amendment_id)) {
+    await recordLedgerEntry(supabase, {
+      bookingId: booking.id,
+      userId: booking.user_id,
+      type: 'fee',
+      amount: Math.min(serviceFee, roundMoney(serviceFee * amount / total)),
+      reference: `${reference}:service_fee`,
+      description: 'Cargo por servicio de la plataforma'
+    });
+  }
+};
+
+// Función para obtener el id del reembolso de un renglón (los cambios de estado lo guardan
+// en metadata.refund_id)
+const getRefundId = (entry) => (entry.metadata && entry.metadata.refund_id) || entry.reference;
+
+// Función para registrar un reembolso de Stripe y, si cambió de estado desde el último
+// registro, un renglón con el nuevo estado
+const recordRefundEntry = async (supabase, { bookingId, userId, refund, metadata = null }) => {
+  const status = refund.status;
+
+  await recordLedgerEntry(supabase, {
+    bookingId,
+    userId,
+    type: 'refund',
+    amount: refund.amount / 100,
+    currency: refund.currency,
+    reference: refund.id,
+    status,
+    description: 'Reembolso',
+    metadata,
+    occurredAt: refund.created * 1000
+  });
+
+  const { data: latest, error } = await supabase
+    .from('payment_ledger')
+    .select('status')
+    .eq('entry_type', 'refund')
+    .or(`reference.eq.${refund.id},metadata->>refund_id.eq.${refund.id}`)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (latest && latest.status === status) return;
+
+  await recordLedgerEntry(supabase, {
+    bookingId,
+    userId,
+    type: 'refund',
+    amount: refund.amount / 100,
+    currency: refund.currency,
+    reference: `${refund.id}:${status}`,
+    status,
+    description: REFUND_STATUS_DESCRIPTIONS[status] || 'Reembolso',
+    metadata: { ...metadata, refund_id: refund.id, failure_reason: refund.failure_reason || null }
+  });
+};
+
+// Función para obtener la reserva y el usuario de un cobro registrado
+const getChargeEntry = async (supabase, reference) => {
+  const { data, error } = await supabase
+    .from('payment_ledger')
+    .select('booking_id, user_id')
+    .eq('entry_type', 'charge')
+    .eq('reference', reference)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para resumir los movimientos: cobrado, reembolsado, en disputa y neto
+const summarizeLedger = (entries) => {
+  const totals = { charged: 0, refunded: 0, disputed: 0, fees: 0, paidOut: 0 };
+
+  // De cada reembolso solo cuenta su último estado
+  const latestRefunds = new Map();
+  entries.filter(entry => entry.entry_type === 'refund').forEach(entry => {
+    const current = latestRefunds.get(getRefundId(entry));
+    if (!current || new Date(entry.created_at) > new Date(current.created_at)) {
+      latestRefunds.set(getRefundId(entry), entry);
+    }
+  });
+
+  entries
+    .filter(entry => entry.entry_type !== 'refund')
+    .concat([...latestRefunds.values()])
+    .filter(entry => entry.status === 'succeeded')
+    .forEach(entry => {
+      const amount = Number(entry.amount);
+      if (entry.entry_type === 'charge') totals.charged += amount;
+      if (entry.entry_type === 'refund') totals.refunded += amount;
+      if (entry.entry_type === 'dispute') totals.disputed += amount;
+      if (entry.entry_type === 'fee') totals.fees += amount;
+      if (entry.entry_type === 'payout') totals.paidOut += amount;
+    });
+
+  Object.keys(totals).forEach(key => {
+    totals[key] = roundMoney(totals[key]);
+  });
+
+  return {
+    ...totals,
+    net: roundMoney(totals.charged - totals.refunded - totals.disputed)
+  };
+};
+
+// Función para dar formato a un movimiento en las respuestas
+const formatLedgerEntry = (entry) => ({
+  id: entry.id,
+  bookingId: entry.booking_id,
+  type: entry.entry_type,
+  amount: Number(entry.amount),
+  // Monto con signo desde el punto de vista del huésped
+  signedAmount: roundMoney(Number(entry.amount) * (GUEST_DIRECTION[entry.entry_type] || 0)),
+  currency: entry.currency,
+  status: entry.status,
+  reference: entry.reference,
+  description: entry.description,
+  occurredAt: entry.occurred_at,
+  createdAt: entry.created_at
+});
+
+module.exports = {
+  LEDGER_ENTRY_TYPES,
+  recordLedgerEntry,
+  recordBookingCharge,
+  recordRefundEntry,
+  getChargeEntry,
+  summarizeLedger,
+  formatLedgerEntry
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Proveedor de correo para desarrollo local: no envía nada, solo registra el mensaje en
+// la consola y lo guarda en memoria (sent) para poder revisarlo en pruebas.
+
+const createConsoleProvider = () => {
+  const sent = [];
+
+  return {
+    name: 'console',
+    sent,
+
+    send: async ({ to, subject, text, html, attachments = [] }) => {
+      const message = {
+        id: `msg_${crypto.randomBytes(8).toString('hex')}`,
+        to,
+        subject,
+        text,
+        html,
+        attachments
+      };
+      sent.push(message);
+
+      console.log(`Correo para ${to}: ${subject}` +
+        (attachments.length > 0 ? ` (adjuntos: ${attachments.map(attachment => attachment.filename).join(', ')})` : ''));
+
+      return { id: message.id };
+    }
+  };
+};
+
+module.exports = { createConsoleProvider };
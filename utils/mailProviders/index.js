@@ -0,0 +1,32 @@
+const { createSmtpProvider } = require('./smtp');
+const { createConsoleProvider } = require('./console');
+
+// Proveedores de correo. MAIL_PROVIDER elige cuál usar (console por defecto, que solo
+// registra los mensajes). Cada proveedor implementa send({ to, subject, text, html,
+// attachments }).
+const PROVIDERS = {
+  smtp: createSmtpProvider,
+  console: createConsoleProvider
+};
+
+let provider = null;
+
+// Función para obtener el proveedor configurado; todas las rutas comparten la misma instancia
+const getMailProvider = () => {
+  if (!provider) {
+    const name = process.env.MAIL_PROVIDER || 'console';
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Proveedor de correo no válido: ${name}. Use uno de: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getMailProvider
+};
@@ -0,0 +1,36 @@
+const nodemailer = require('nodemailer');
+
+// Envío de correos por SMTP. Funciona con cualquier servicio que ofrezca SMTP
+// (SES, SendGrid, Mailgun, Postmark...) configurando SMTP_HOST, SMTP_PORT, SMTP_USER
+// y SMTP_PASSWORD.
+
+const createSmtpProvider = ({
+  host = process.env.SMTP_HOST,
+  port = Number(process.env.SMTP_PORT || 587),
+  user = process.env.SMTP_USER,
+  password = process.env.SMTP_PASSWORD,
+  from = process.env.MAIL_FROM
+} = {}) => {
+  if (!host || !from) {
+    throw new Error('Faltan las variables de entorno SMTP_HOST o MAIL_FROM');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass: password } : undefined
+  });
+
+  return {
+    name: 'smtp',
+
+    // Función para enviar un correo; attachments es [{ filename, content, contentType }]
+    send: async ({ to, subject, text, html, attachments = [] }) => {
+      const info = await transporter.sendMail({ from, to, subject, text, html, attachments });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = { createSmtpProvider };
@@ -0,0 +1,184 @@
+// Mensajería entre huésped y anfitrión. Cada conversación tiene exactamente dos
+// participantes: el huésped (guest_id) y el anfitrión de la habitación (host_id). Mientras
+// no haya una reserva confirmada se ocultan los datos de contacto de los mensajes para
+// que el pago y la comunicación no salgan de la plataforma.
+
+const crypto = require('crypto');
+
+// Bucket privado de Supabase Storage para los adjuntos
+const MESSAGE_ATTACHMENTS_BUCKET = 'message-attachments';
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'application/pdf'];
+const ATTACHMENT_URL_TTL = 60 * 60;
+const MAX_MESSAGE_LENGTH = 4000;
+
+// Estados de la reserva en los que ya se pueden compartir datos de contacto
+const CONTACT_SHARING_STATUSES = ['confirmed', 'checked_in', 'completed'];
+
+const CONTACT_PLACEHOLDER = '[dato de contacto oculto]';
+
+// Correos, enlaces y números de teléfono (10 dígitos o más, con o sin separadores)
+const CONTACT_PATTERNS = [
+  /[A-Z0-9._%+-]+\s*(?:@|\(at\)|\[at\]|\barroba\b)\s*[A-Z0-9-]+(?:\s*(?:\.|\bpunto\b)\s*[A-Z0-9-]+)*\s*(?:\.|\bpunto\b)\s*[A-Z]{2,}/gi,
+  /\b(?:https?:\/\/|www\.)\S+/gi,
+  /\b(?:wa\.me|t\.me)\/\S+/gi,
+  /\+?\d(?:[\s().-]{0,2}\d){9,}/g
+];
+
+// Función para saber si la conversación permite compartir datos de contacto
+const canShareContact = (conversation) => Boolean(
+  conversation.booking && CONTACT_SHARING_STATUSES.includes(conversation.booking.status)
+);
+
+// Función para ocultar los datos de contacto de un texto
+const filterContactDetails = (text) => {
+  const filtered = CONTACT_PATTERNS.reduce((acc, pattern) => acc.replace(pattern, CONTACT_PLACEHOLDER), text);
+  return { text: filtered, filtered: filtered !== text };
+};
+
+// Función para obtener el rol del usuario en la conversación (guest, host o null)
+const getParticipantRole = (conversation, userId) => {
+  if (conversation.guest_id === userId) return 'guest';
+  if (conversation.host_id === userId) return 'host';
+  return null;
+};
+
+// Función para validar el texto y los adjuntos de un mensaje. Devuelve un mensaje de error o null.
+const validateMessage = (body, files = []) => {
+  if (body !== undefined && body !== null && typeof body !== 'string') {
+    return 'message debe ser texto';
+  }
+  if ((!body || !body.trim()) && files.length === 0) {
+    return 'El mensaje no puede estar vacío';
+  }
+  if (body && body.trim().length > MAX_MESSAGE_LENGTH) {
+    return `El mensaje no puede exceder ${MAX_MESSAGE_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+// Función para subir los adjuntos de un mensaje. Devuelve la lista que se guarda en
+// messages.attachments.
+const uploadAttachments = async (supabase, conversationId, files) => {
+  const storage = supabase.storage.from(MESSAGE_ATTACHMENTS_BUCKET);
+  const attachments = [];
+
+  try {
+    for (const file of files) {
+      const name = file.originalname.replace(/[^\w.-]+/g, '_').slice(-100) || 'archivo';
+      const path = `${conversationId}/${crypto.randomUUID()}/${name}`;
+
+      const { error } = await storage.upload(path, file.buffer, {
+        contentType: file.mimetype,
+        upsert: false
+      });
+
+      if (error) throw error;
+
+      attachments.push({ path, name: file.originalname, contentType: file.mimetype, size: file.size });
+    }
+  } catch (error) {
+    await removeAttachments(supabase, attachments);
+    throw error;
+  }
+
+  return attachments;
+};
+
+// Función para borrar adjuntos ya subidos (si no se pudo guardar el mensaje)
+const removeAttachments = async (supabase, attachments) => {
+  if (attachments.length === 0) return;
+
+  const { error } = await supabase.storage
+    .from(MESSAGE_ATTACHMENTS_BUCKET)
+    .remove(attachments.map(attachment => attachment.path));
+
+  if (error) {
+    console.error('Error al borrar los adjuntos del mensaje:', error);
+  }
+};
+
+// Función para generar URLs firmadas de los adjuntos de varios mensajes. Devuelve un
+// mapa ruta -> URL.
+const signAttachmentUrls = async (supabase, messages) => {
+  const paths = messages.flatMap(message => (message.attachments || []).map(attachment => attachment.path));
+  if (paths.length === 0) return {};
+
+  const { data, error } = await supabase.storage
+    .from(MESSAGE_ATTACHMENTS_BUCKET)
+    .createSignedUrls(paths, ATTACHMENT_URL_TTL);
+
+  if (error) throw error;
+
+  return data.reduce((acc, item) => (item.signedUrl ? { ...acc, [item.path]: item.signedUrl } : acc), {});
+};
+
+// Función para dar formato a un participante
+const formatParticipant = (user, id) => (user
+  ? { id: user.id, name: user.name, image: user.profileImage }
+  : { id });
+
+// Función para dar formato a una conversación desde el punto de vista de un participante
+const formatConversation = (conversation, userId) => {
+  const role = getParticipantRole(conversation, userId);
+
+  return {
+    id: conversation.id,
+    type: conversation.booking_id ? 'booking' : 'inquiry',
+    role,
+    room: conversation.room
+      ? { id: conversation.room.id, title: conversation.room.title }
+      : { id: conversation.room_id },
+    booking: conversation.booking
+      ? {
+          id: conversation.booking.id,
+          status: conversation.booking.status,
+          startDate: conversation.booking.start_date,
+          endDate: conversation.booking.end_date
+        }
+      : null,
+    participant: role === 'guest'
+      ? formatParticipant(conversation.host, conversation.host_id)
+      : formatParticipant(conversation.guest, conversation.guest_id),
+    contactSharing: canShareContact(conversation),
+    lastMessageAt: conversation.last_message_at,
+    lastMessagePreview: conversation.last_message_preview,
+    unreadCount: role === 'guest' ? conversation.guest_unread_count : conversation.host_unread_count,
+    createdAt: conversation.created_at
+  };
+};
+
+// Función para dar formato a un mensaje (attachmentUrls viene de signAttachmentUrls)
+const formatMessage = (message, userId, attachmentUrls = {}) => ({
+  id: message.id,
+  conversationId: message.conversation_id,
+  senderId: message.sender_id,
+  mine: message.sender_id === userId,
+  body: message.body,
+  attachments: (message.attachments || []).map(attachment => ({
+    name: attachment.name,
+    contentType: attachment.contentType,
+    size: attachment.size,
+    url: attachmentUrls[attachment.path] || null
+  })),
+  contactFiltered: message.contact_filtered,
+  read: Boolean(message.read_at),
+  readAt: message.read_at,
+  createdAt: message.created_at
+});
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_BYTES,
+  ATTACHMENT_TYPES,
+  canShareContact,
+  filterContactDetails,
+  getParticipantRole,
+  validateMessage,
+  uploadAttachments,
+  removeAttachments,
+  signAttachmentUrls,
+  formatConversation,
+  formatMessage
+};
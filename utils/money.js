@@ -0,0 +1,12 @@
+// Montos en pesos: redondeo a centavos y formato para textos (correos, notificaciones).
+
+// Función para redondear un monto a centavos
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Función para dar formato a un monto con su moneda
+const formatMoney = (amount, currency = 'MXN') => `$${Number(amount).toFixed(2)} ${currency}`;
+
+module.exports = {
+  roundMoney,
+  formatMoney
+};
@@ -0,0 +1,54 @@
+// Notificaciones dentro de la aplicación. Se generan como efecto secundario de otras
+// operaciones (cobros, cancelaciones), así que un error al guardarlas solo se registra.
+// Además de guardarse se publican en el canal en tiempo real.
+
+const crypto = require('crypto');
+const { publish } = require('./realtime');
+
+// Función para crear una notificación para un usuario
+const notifyUser = async (supabase, { userId, type, title, message, bookingId = null, data = null }) => {
+  // El registro se arma aquí para no tener que leerlo de vuelta: quien genera la
+  // notificación (por ejemplo el huésped que reseña) no puede leer las de otro usuario
+  const notification = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    type,
+    title,
+    message,
+    booking_id: bookingId,
+    data
+  };
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert([notification]);
+
+  if (error) {
+    console.error(`Error al crear la notificación ${type}:`, error);
+    return;
+  }
+
+  await publish(userId, 'notification.created', formatNotification({
+    ...notification,
+    read_at: null,
+    created_at: new Date().toISOString()
+  }));
+};
+
+// Función para dar formato a una notificación en las respuestas
+const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  bookingId: notification.booking_id,
+  data: notification.data,
+  read: Boolean(notification.read_at),
+  readAt: notification.read_at,
+  createdAt: notification.created_at
+});
+
+module.exports = {
+  notifyUser,
+  formatNotification
+};
@@ -0,0 +1,54 @@
+// PAC genérico por HTTP. Envía el CFDI sin sellar a PAC_URL y espera de vuelta el XML
+// sellado y timbrado. Los PAC comerciales se integran con un pequeño servicio que
+// traduzca su API a este contrato:
+//   POST PAC_URL  { "xml": "<base64>", "reference": "<id de la factura>" }
+//   200 { "uuid", "xml": "<base64>", "stampedAt", "certificateNumber",
+//         "satCertificateNumber", "cfdiSeal", "satSeal" }
+//   4xx/5xx { "error": "<mensaje>" }
+
+const createHttpPacProvider = ({
+  url = process.env.PAC_URL,
+  token = process.env.PAC_TOKEN,
+  timeoutMs = Number(process.env.PAC_TIMEOUT_MS || 30000)
+} = {}) => {
+  if (!url) {
+    throw new Error('Falta la variable de entorno PAC_URL');
+  }
+
+  return {
+    name: 'http',
+
+    // Función para timbrar un CFDI sin sellar
+    stamp: async ({ xml, invoiceId }) => {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        body: JSON.stringify({ xml: Buffer.from(xml, 'utf8').toString('base64'), reference: invoiceId }),
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        const error = new Error(body.error || `El PAC respondió con estado ${response.status}`);
+        error.status = 502;
+        throw error;
+      }
+
+      return {
+        uuid: body.uuid,
+        xml: Buffer.from(body.xml, 'base64').toString('utf8'),
+        stampedAt: body.stampedAt,
+        certificateNumber: body.certificateNumber,
+        satCertificateNumber: body.satCertificateNumber,
+        cfdiSeal: body.cfdiSeal,
+        satSeal: body.satSeal
+      };
+    }
+  };
+};
+
+module.exports = { createHttpPacProvider };
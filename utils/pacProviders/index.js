@@ -0,0 +1,32 @@
+const { createMockPacProvider } = require('./mock');
+const { createHttpPacProvider } = require('./http');
+
+// Proveedores de certificación (PAC) que sellan y timbran las facturas. PAC_PROVIDER elige
+// cuál usar (mock por defecto, que no tiene validez fiscal). Cada proveedor implementa
+// stamp({ xml, invoiceId }) y devuelve el XML timbrado con su UUID y sellos.
+const PROVIDERS = {
+  mock: createMockPacProvider,
+  http: createHttpPacProvider
+};
+
+let provider = null;
+
+// Función para obtener el proveedor configurado; todas las rutas comparten la misma instancia
+const getPacProvider = () => {
+  if (!provider) {
+    const name = process.env.PAC_PROVIDER || 'mock';
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Proveedor de timbrado no válido: ${name}. Use uno de: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getPacProvider
+};
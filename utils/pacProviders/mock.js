@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { getIssueDate } = require('../cfdi');
+
+// PAC simulado para desarrollo local y pruebas. No se conecta al SAT: llena el sello,
+// el certificado y agrega un TimbreFiscalDigital con un UUID aleatorio, de modo que el
+// XML tiene la misma forma que uno timbrado pero no tiene validez fiscal.
+
+const MOCK_CERTIFICATE_NUMBER = '30001000000500003416';
+const MOCK_SAT_CERTIFICATE_NUMBER = '30001000000500003456';
+const MOCK_PAC_RFC = 'SPR190613I52';
+
+const createMockPacProvider = () => {
+  const seal = (value) => crypto.createHash('sha256').update(value).digest('base64');
+
+  return {
+    name: 'mock',
+
+    // Función para timbrar un CFDI sin sellar
+    stamp: async ({ xml }) => {
+      const uuid = crypto.randomUUID().toUpperCase();
+      const stampedAt = new Date();
+      const fechaTimbrado = getIssueDate(stampedAt);
+      const cfdiSeal = seal(xml);
+      const satSeal = seal(`${uuid}|${fechaTimbrado}|${cfdiSeal}`);
+
+      const sealed = xml
+        .replace('Sello=""', `Sello="${cfdiSeal}"`)
+        .replace('NoCertificado=""', `NoCertificado="${MOCK_CERTIFICATE_NUMBER}"`)
+        .replace('Certificado=""', `Certificado="${seal(MOCK_CERTIFICATE_NUMBER)}"`);
+
+      const timbre = [
+        '    <tfd:TimbreFiscalDigital',
+        'xmlns:tfd="http://www.sat.gob.mx/TimbreFiscalDigital"',
+        'xsi:schemaLocation="http://www.sat.gob.mx/TimbreFiscalDigital http://www.sat.gob.mx/sitio_internet/cfd/TimbreFiscalDigital/TimbreFiscalDigitalv11.xsd"',
+        'Version="1.1"',
+        `UUID="${uuid}"`,
+        `FechaTimbrado="${fechaTimbrado}"`,
+        `RfcProvCertif="${MOCK_PAC_RFC}"`,
+        `SelloCFD="${cfdiSeal}"`,
+        `NoCertificadoSAT="${MOCK_SAT_CERTIFICATE_NUMBER}"`,
+        `SelloSAT="${satSeal}"/>`
+      ].join(' ');
+
+      // El timbre va dentro del complemento; si el CFDI aún no tiene uno, se crea
+      const stamped = sealed.includes('</cfdi:Complemento>')
+        ? sealed.replace('  </cfdi:Complemento>', `${timbre}\n  </cfdi:Complemento>`)
+        : sealed.replace('</cfdi:Comprobante>', `  <cfdi:Complemento>\n${timbre}\n  </cfdi:Complemento>\n</cfdi:Comprobante>`);
+
+      return {
+        uuid,
+        xml: stamped,
+        stampedAt: stampedAt.toISOString(),
+        certificateNumber: MOCK_CERTIFICATE_NUMBER,
+        satCertificateNumber: MOCK_SAT_CERTIFICATE_NUMBER,
+        cfdiSeal,
+        satSeal
+      };
+    }
+  };
+};
+
+module.exports = { createMockPacProvider };
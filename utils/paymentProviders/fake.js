@@ -0,0 +1,312 @@
+const crypto = require('crypto');
+
+// Proveedor de pagos en memoria para desarrollo local y pruebas, sin acceso a la red.
+// Imita la forma de los objetos de Stripe y genera los mismos eventos del webhook:
+// simulateCheckout() completa, rechaza o expira una sesión y los reembolsos emiten
+// charge.refunded. Los eventos firmados se entregan al manejador registrado con onEvent().
+// declinePaymentMethod() hace que los cobros con una tarjeta guardada sean rechazados.
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const createFakeProvider = ({
+  webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || 'whsec_fake',
+  checkoutBaseUrl = process.env.FAKE_CHECKOUT_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/fake/checkout`
+} = {}) => {
+  const sessions = new Map();
+  const refunds = new Map();
+  // Cobros exitosos por PaymentIntent, tarjetas guardadas y resultados por clave de idempotencia
+  const payments = new Map();
+  const paymentMethods = new Map();
+  const idempotentCharges = new Map();
+  let eventHandler = null;
+
+  const newId = (prefix) => `${prefix}_fake_${crypto.randomBytes(12).toString('hex')}`;
+  const now = () => Math.floor(Date.now() / 1000);
+
+  const sign = (payload) => crypto.createHmac('sha256', webhookSecret).update(payload).digest('hex');
+
+  // Función para crear un evento con la forma de Stripe y entregarlo al manejador.
+  // La entrega es asíncrona, como en Stripe; la promesa se resuelve al terminar.
+  const emit = (type, object) => {
+    const event = {
+      id: newId('evt'),
+      object: 'event',
+      type,
+      created: now(),
+      livemode: false,
+      data: { object: JSON.parse(JSON.stringify(object)) }
+    };
+
+    if (!eventHandler) {
+      return Promise.resolve(event);
+    }
+
+    const payload = JSON.stringify(event);
+    return new Promise(resolve => setImmediate(resolve))
+      .then(() => eventHandler(payload, { [SIGNATURE_HEADER]: sign(payload) }))
+      .catch(error => {
+        console.error(`Error al entregar el evento simulado ${type}:`, error);
+      })
+      .then(() => event);
+  };
+
+  const getSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (!session) {
+      const error = new Error(`No such checkout.session: ${sessionId}`);
+      error.status = 404;
+      throw error;
+    }
+    return session;
+  };
+
+  return {
+    name: 'fake',
+    signatureHeader: SIGNATURE_HEADER,
+
+    createCheckoutSession: async ({
+      lineItems,
+      successUrl,
+      cancelUrl,
+      customerEmail,
+      metadata = {},
+      paymentIntentMetadata,
+      savePaymentMethod = false,
+      expiresAt
+    }) => {
+      const id = newId('cs');
+      const session = {
+        id,
+        object: 'checkout.session',
+        url: `${checkoutBaseUrl}/${id}`,
+        status: 'open',
+        payment_status: 'unpaid',
+        amount_total: lineItems.reduce((sum, item) => sum + item.price_data.unit_amount * item.quantity, 0),
+        currency: lineItems[0] ? lineItems[0].price_data.currency : 'mxn',
+        customer: null,
+        customer_email: customerEmail,
+        metadata: { ...metadata },
+        payment_intent: null,
+        payment_intent_metadata: { ...(paymentIntentMetadata || {}) },
+        setup_future_usage: savePaymentMethod ? 'off_session' : null,
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        created: now(),
+        expires_at: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : now() + 24 * 60 * 60
+      };
+
+      sessions.set(id, session);
+      return { ...session };
+    },
+
+    retrieveCheckoutSession: async (sessionId) => ({ ...getSession(sessionId) }),
+
+    createRefund: async ({ paymentIntent, amount, reason = null, metadata = {} }) => {
+      const payment = payments.get(paymentIntent);
+      if (!payment) {
+        const error = new Error(`No such payment_intent: ${paymentIntent}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const alreadyRefunded = [...refunds.values()]
+        .filter(refund => refund.payment_intent === paymentIntent)
+        .reduce((sum, refund) => sum + refund.amount, 0);
+      const refundAmount = amount === undefined ? payment.amount - alreadyRefunded : Math.round(amount * 100);
+
+      if (refundAmount <= 0 || alreadyRefunded + refundAmount > payment.amount) {
+        const error = new Error('El monto del reembolso excede el cobro');
+        error.status = 400;
+        throw error;
+      }
+
+      const refund = {
+        id: newId('re'),
+        object: 'refund',
+        amount: refundAmount,
+        currency: payment.currency,
+        payment_intent: paymentIntent,
+        reason,
+        metadata,
+        status: 'succeeded',
+        created: now()
+      };
+      refunds.set(refund.id, refund);
+
+      emit('charge.refunded', {
+        id: `ch_${paymentIntent}`,
+        object: 'charge',
+        payment_intent: paymentIntent,
+        amount: payment.amount,
+        amount_refunded: alreadyRefunded + refundAmount,
+        currency: payment.currency,
+        refunded: alreadyRefunded + refundAmount >= payment.amount
+      });
+
+      return { ...refund };
+    },
+
+    listRefunds: async (paymentIntent) => [...refunds.values()]
+      .filter(refund => refund.payment_intent === paymentIntent)
+      .map(refund => ({ ...refund })),
+
+    getSavedPaymentMethod: async (paymentIntentId) => {
+      const payment = payments.get(paymentIntentId);
+      return {
+        customerId: payment ? payment.customer : null,
+        paymentMethodId: payment ? payment.payment_method : null
+      };
+    },
+
+    chargeSavedPaymentMethod: async ({
+      customerId,
+      paymentMethodId,
+      amount,
+      currency = 'mxn',
+      description = null,
+      metadata = {},
+      idempotencyKey
+    }) => {
+      if (idempotencyKey && idempotentCharges.has(idempotencyKey)) {
+        return { ...idempotentCharges.get(idempotencyKey) };
+      }
+
+      const paymentMethod = paymentMethods.get(paymentMethodId);
+      if (!paymentMethod || paymentMethod.customer !== customerId) {
+        const error = new Error(`No such PaymentMethod: ${paymentMethodId}`);
+        error.status = 404;
+        throw error;
+      }
+
+      const paymentIntent = {
+        id: newId('pi'),
+        object: 'payment_intent',
+        amount: Math.round(amount * 100),
+        currency,
+        customer: customerId,
+        payment_method: paymentMethodId,
+        description,
+        metadata,
+        status: paymentMethod.declined ? 'requires_payment_method' : 'succeeded',
+        created: now()
+      };
+
+      if (paymentMethod.declined) {
+        emit('payment_intent.payment_failed', {
+          ...paymentIntent,
+          last_payment_error: { code: 'card_declined', message: 'Tu tarjeta fue rechazada.' }
+        });
+
+        const error = new Error('Tu tarjeta fue rechazada.');
+        error.code = 'card_declined';
+        error.declined = true;
+        error.paymentIntentId = paymentIntent.id;
+        throw error;
+      }
+
+      payments.set(paymentIntent.id, paymentIntent);
+      if (idempotencyKey) idempotentCharges.set(idempotencyKey, paymentIntent);
+      emit('payment_intent.succeeded', paymentIntent);
+
+      return { ...paymentIntent };
+    },
+
+    constructWebhookEvent: (rawBody, headers) => {
+      const payload = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody);
+      const signature = headers[SIGNATURE_HEADER];
+      const expected = sign(payload);
+
+      if (!signature || signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        throw new Error('Firma del webhook no válida');
+      }
+
+      return JSON.parse(payload);
+    },
+
+    // Función para registrar quién recibe los eventos generados (normalmente el webhook)
+    onEvent: (handler) => {
+      eventHandler = handler;
+    },
+
+    // Función para simular una tarjeta guardada que rechaza (o vuelve a aceptar) los cobros
+    declinePaymentMethod: (paymentMethodId, declined = true) => {
+      const paymentMethod = paymentMethods.get(paymentMethodId);
+      if (paymentMethod) paymentMethod.declined = declined;
+    },
+
+    // Función para simular lo que haría el huésped en la página de pago:
+    // 'paid' (pago con tarjeta), 'processing' (pago asíncrono pendiente),
+    // 'async_succeeded', 'async_failed', 'declined' o 'expired'
+    simulateCheckout: async (sessionId, outcome = 'paid') => {
+      const session = getSession(sessionId);
+      let delivery;
+
+      const ensurePaymentIntent = () => {
+        if (session.payment_intent) return;
+
+        session.payment_intent = newId('pi');
+
+        // Guardar la tarjeta en un cliente si la sesión lo pidió
+        let paymentMethodId = null;
+        if (session.setup_future_usage) {
+          session.customer = newId('cus');
+          paymentMethodId = newId('pm');
+          paymentMethods.set(paymentMethodId, { customer: session.customer, declined: false });
+        }
+
+        payments.set(session.payment_intent, {
+          id: session.payment_intent,
+          amount: session.amount_total,
+          currency: session.currency,
+          customer: session.customer,
+          payment_method: paymentMethodId
+        });
+      };
+
+      switch (outcome) {
+        case 'paid':
+          ensurePaymentIntent();
+          Object.assign(session, { status: 'complete', payment_status: 'paid' });
+          delivery = emit('checkout.session.completed', session);
+          break;
+        case 'processing':
+          ensurePaymentIntent();
+          Object.assign(session, { status: 'complete', payment_status: 'unpaid' });
+          delivery = emit('checkout.session.completed', session);
+          break;
+        case 'async_succeeded':
+          Object.assign(session, { payment_status: 'paid' });
+          delivery = emit('checkout.session.async_payment_succeeded', session);
+          break;
+        case 'async_failed':
+          delivery = emit('checkout.session.async_payment_failed', session);
+          break;
+        case 'declined':
+          ensurePaymentIntent();
+          delivery = emit('payment_intent.payment_failed', {
+            id: session.payment_intent,
+            object: 'payment_intent',
+            metadata: session.payment_intent_metadata,
+            last_payment_error: { message: 'Tu tarjeta fue rechazada.' }
+          });
+          break;
+        case 'expired':
+          Object.assign(session, { status: 'expired' });
+          delivery = emit('checkout.session.expired', session);
+          break;
+        default: {
+          const error = new Error(`Resultado de pago no válido: ${outcome}`);
+          error.status = 400;
+          throw error;
+        }
+      }
+
+      // Esperar a que el webhook procese el evento para que el resultado ya sea visible
+      await delivery;
+      return { ...session };
+    }
+  };
+};
+
+module.exports = { createFakeProvider };
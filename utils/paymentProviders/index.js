@@ -0,0 +1,33 @@
+const { createStripeProvider } = require('./stripe');
+const { createFakeProvider } = require('./fake');
+
+// Proveedores de pago disponibles. PAYMENT_PROVIDER elige cuál usar (stripe por defecto);
+// 'fake' funciona en memoria y permite probar el flujo de pago a reserva sin red.
+// Cada proveedor implementa createCheckoutSession, retrieveCheckoutSession, createRefund,
+// listRefunds, getSavedPaymentMethod, chargeSavedPaymentMethod y constructWebhookEvent.
+const PROVIDERS = {
+  stripe: createStripeProvider,
+  fake: createFakeProvider
+};
+
+let provider = null;
+
+// Función para obtener el proveedor configurado; todas las rutas comparten la misma instancia
+const getPaymentProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYMENT_PROVIDER || 'stripe';
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Proveedor de pagos no válido: ${name}. Use uno de: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getPaymentProvider
+};
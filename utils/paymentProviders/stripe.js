@@ -0,0 +1,127 @@
+// Proveedor de pagos con Stripe. Los objetos que devuelve (sesiones, reembolsos y
+// eventos) tienen la forma de la API de Stripe, que es la que usan las rutas y el webhook.
+
+// Función para crear el cliente de Stripe. STRIPE_API_BASE permite apuntar a otro
+// servidor compatible, por ejemplo stripe-mock en local (http://localhost:12111).
+const createStripeClient = (secretKey = process.env.STRIPE_SECRET_KEY, apiBase = process.env.STRIPE_API_BASE) => {
+  if (!apiBase) {
+    return require('stripe')(secretKey);
+  }
+
+  const url = new URL(apiBase);
+  return require('stripe')(secretKey, {
+    host: url.hostname,
+    port: url.port || (url.protocol === 'http:' ? 80 : 443),
+    protocol: url.protocol.replace(':', '')
+  });
+};
+
+const createStripeProvider = ({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  webhookSecret = process.env.STRIPE_WEBHOOK_SECRET
+} = {}) => {
+  const stripe = createStripeClient(secretKey);
+
+  return {
+    name: 'stripe',
+
+    // Función para crear una sesión de Checkout. Con savePaymentMethod la tarjeta queda
+    // guardada en un cliente de Stripe para cobros posteriores sin el huésped presente.
+    createCheckoutSession: ({
+      lineItems,
+      successUrl,
+      cancelUrl,
+      customerEmail,
+      metadata,
+      paymentIntentMetadata,
+      savePaymentMethod = false,
+      expiresAt,
+      locale = 'es'
+    }) => {
+      const paymentIntentData = {};
+      if (paymentIntentMetadata) paymentIntentData.metadata = paymentIntentMetadata;
+      if (savePaymentMethod) paymentIntentData.setup_future_usage = 'off_session';
+
+      return stripe.checkout.sessions.create({
+        payment_method_types: ['card'],
+        line_items: lineItems,
+        mode: 'payment',
+        success_url: successUrl,
+        cancel_url: cancelUrl,
+        locale,
+        customer_email: customerEmail,
+        customer_creation: savePaymentMethod ? 'always' : undefined,
+        metadata,
+        payment_intent_data: Object.keys(paymentIntentData).length > 0 ? paymentIntentData : undefined,
+        expires_at: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : undefined
+      });
+    },
+
+    retrieveCheckoutSession: (sessionId) => stripe.checkout.sessions.retrieve(sessionId),
+
+    // Función para reembolsar un cobro completo o parcial (amount en la unidad monetaria)
+    createRefund: ({ paymentIntent, amount, reason, metadata }) => stripe.refunds.create({
+      payment_intent: paymentIntent,
+      amount: amount === undefined ? undefined : Math.round(amount * 100),
+      reason,
+      metadata
+    }),
+
+    listRefunds: async (paymentIntent) => {
+      const refunds = await stripe.refunds.list({ payment_intent: paymentIntent, limit: 100 });
+      return refunds.data;
+    },
+
+    // Función para obtener el cliente y el método de pago guardados con un cobro
+    getSavedPaymentMethod: async (paymentIntentId) => {
+      const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+      return {
+        customerId: paymentIntent.customer,
+        paymentMethodId: paymentIntent.payment_method
+      };
+    },
+
+    // Función para cobrar con un método de pago guardado sin el huésped presente.
+    // Un rechazo lanza un error con declined = true y el PaymentIntent fallido.
+    chargeSavedPaymentMethod: async ({
+      customerId,
+      paymentMethodId,
+      amount,
+      currency = 'mxn',
+      description,
+      metadata,
+      idempotencyKey
+    }) => {
+      try {
+        return await stripe.paymentIntents.create({
+          amount: Math.round(amount * 100),
+          currency,
+          customer: customerId,
+          payment_method: paymentMethodId,
+          off_session: true,
+          confirm: true,
+          description,
+          metadata
+        }, idempotencyKey ? { idempotencyKey } : undefined);
+      } catch (error) {
+        if (error.type === 'StripeCardError') {
+          error.declined = true;
+          error.paymentIntentId = error.raw && error.raw.payment_intent ? error.raw.payment_intent.id : null;
+        }
+        throw error;
+      }
+    },
+
+    // Función para verificar la firma del webhook y devolver el evento
+    constructWebhookEvent: (rawBody, headers) => stripe.webhooks.constructEvent(
+      rawBody,
+      headers['stripe-signature'],
+      webhookSecret
+    )
+  };
+};
+
+module.exports = {
+  createStripeClient,
+  createStripeProvider
+};
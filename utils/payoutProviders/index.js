@@ -0,0 +1,30 @@
+const { createStripeConnectProvider } = require('./stripeConnect');
+
+// Proveedores para transferir las ganancias a los anfitriones. PAYOUT_PROVIDER elige
+// cuál usar (stripe_connect por defecto). Cada proveedor implementa createAccount,
+// retrieveAccount, createOnboardingLink y createTransfer.
+const PROVIDERS = {
+  stripe_connect: createStripeConnectProvider
+};
+
+let provider = null;
+
+// Función para obtener el proveedor configurado; todas las rutas comparten la misma instancia
+const getPayoutProvider = () => {
+  if (!provider) {
+    const name = process.env.PAYOUT_PROVIDER || 'stripe_connect';
+    const factory = PROVIDERS[name];
+
+    if (!factory) {
+      throw new Error(`Proveedor de pagos a anfitriones no válido: ${name}. Use uno de: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    provider = factory();
+  }
+  return provider;
+};
+
+module.exports = {
+  PROVIDERS,
+  getPayoutProvider
+};
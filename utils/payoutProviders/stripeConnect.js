@@ -0,0 +1,67 @@
+const { createStripeClient } = require('../paymentProviders/stripe');
+
+// Pagos a anfitriones con Stripe Connect: cada anfitrión tiene una cuenta Express y
+// sus ganancias se transfieren desde el saldo de la plataforma. Para probarlo en local
+// sin red se puede levantar stripe-mock (npm run stripe-mock) y definir
+// STRIPE_API_BASE=http://localhost:12111 con cualquier clave sk_test_.
+
+const createStripeConnectProvider = ({
+  secretKey = process.env.STRIPE_SECRET_KEY,
+  country = process.env.PAYOUT_ACCOUNT_COUNTRY || 'MX'
+} = {}) => {
+  const stripe = createStripeClient(secretKey);
+
+  // Función para normalizar una cuenta conectada
+  const formatAccount = (account) => ({
+    id: account.id,
+    payoutsEnabled: Boolean(account.payouts_enabled),
+    detailsSubmitted: Boolean(account.details_submitted),
+    requirements: account.requirements ? account.requirements.currently_due || [] : []
+  });
+
+  return {
+    name: 'stripe_connect',
+
+    // Función para crear la cuenta conectada de un anfitrión
+    createAccount: async ({ email, hostId }) => {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        country,
+        email,
+        capabilities: { transfers: { requested: true } },
+        metadata: { host_id: hostId }
+      }, { idempotencyKey: `payout-account-${hostId}` });
+
+      return formatAccount(account);
+    },
+
+    retrieveAccount: async (accountId) => formatAccount(await stripe.accounts.retrieve(accountId)),
+
+    // Función para obtener el enlace de alta donde el anfitrión captura sus datos bancarios
+    createOnboardingLink: async ({ accountId, refreshUrl, returnUrl }) => {
+      const link = await stripe.accountLinks.create({
+        account: accountId,
+        refresh_url: refreshUrl,
+        return_url: returnUrl,
+        type: 'account_onboarding'
+      });
+
+      return { url: link.url, expiresAt: new Date(link.expires_at * 1000).toISOString() };
+    },
+
+    // Función para transferir un pago (amount en la unidad monetaria) a la cuenta del anfitrión
+    createTransfer: async ({ accountId, amount, currency = 'mxn', description, metadata, idempotencyKey }) => {
+      const transfer = await stripe.transfers.create({
+        amount: Math.round(amount * 100),
+        currency,
+        destination: accountId,
+        description,
+        metadata
+      }, idempotencyKey ? { idempotencyKey } : undefined);
+
+      return { id: transfer.id, amount: transfer.amount / 100, currency: transfer.currency };
+    }
+  };
+};
+
+module.exports = { createStripeConnectProvider };
@@ -0,0 +1,390 @@
+// Ganancias y pagos a anfitriones. La parte del anfitrión de una reserva completada es el
+// hospedaje más la limpieza (el cargo por servicio y los impuestos los retiene la plataforma),
+// menos la parte proporcional de reembolsos y contracargos y menos la comisión de la
+// plataforma. Las ganancias se pagan PAYOUT_DELAY_DAYS días después de la salida del huésped.
+
+const { CURRENCY } = require('./pricing');
+const { roundMoney } = require('./money');
+const { recordLedgerEntry, summarizeLedger } = require('./ledger');
+const { notifyUser } = require('./notifications');
+
+const HOST_COMMISSION_RATE = process.env.HOST_COMMISSION_RATE ? Number(process.env.HOST_COMMISSION_RATE) : 0.03;
+const PAYOUT_DELAY_DAYS = Number(process.env.PAYOUT_DELAY_DAYS || 1);
+// Reservas completadas que se revisan en cada ejecución (para ajustes por reembolsos tardíos)
+const PAYOUT_LOOKBACK_DAYS = Number(process.env.PAYOUT_LOOKBACK_DAYS || 90);
+// Un pago que lleva más de este tiempo procesándose se considera abandonado (la función
+// terminó antes de guardar el resultado) y se vuelve a tomar; la llave de idempotencia
+// evita que la transferencia se repita
+const PROCESSING_TIMEOUT_MINUTES = 30;
+
+const EARNINGS_GROUPS = ['day', 'week', 'month', 'year'];
+
+// Columnas de la reserva para calcular lo que le corresponde al anfitrión
+const EARNINGS_BOOKING_FIELDS = `
+  id,
+  room_id,
+  start_date,
+  end_date,
+  price,
+  price_breakdown,
+  completed_at,
+  payment_ledger (
+    entry_type,
+    amount,
+    status,
+    reference,
+    metadata,
+    created_at
+  ),
+  host_payout_items (
+    amount,
+    payout:host_payouts (
+      status
+    )
+  )
+`;
+
+const sum = (values) => roundMoney(values.reduce((total, value) => total + Number(value), 0));
+
+// Función para sumar días a una fecha 'YYYY-MM-DD' (UTC)
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+// Función para obtener el inicio del periodo (día, semana desde el lunes, mes o año) de una fecha
+const getPeriodStart = (dateString, groupBy) => {
+  switch (groupBy) {
+    case 'day':
+      return dateString;
+    case 'week': {
+      const weekday = new Date(`${dateString}T00:00:00Z`).getUTCDay();
+      return addDays(dateString, -((weekday + 6) % 7));
+    }
+    case 'year':
+      return `${dateString.slice(0, 4)}-01-01`;
+    default:
+      return `${dateString.slice(0, 7)}-01`;
+  }
+};
+
+// Función para obtener el inicio del periodo siguiente
+const getNextPeriodStart = (periodStart, groupBy) => {
+  const date = new Date(`${periodStart}T00:00:00Z`);
+  if (groupBy === 'day') date.setUTCDate(date.getUTCDate() + 1);
+  if (groupBy === 'week') date.setUTCDate(date.getUTCDate() + 7);
+  if (groupBy === 'month') date.setUTCMonth(date.getUTCMonth() + 1);
+  if (groupBy === 'year') date.setUTCFullYear(date.getUTCFullYear() + 1);
+  return date.toISOString().slice(0, 10);
+};
+
+// Función para calcular lo que le corresponde al anfitrión de una reserva completada
+const calculateBookingEarnings = (booking) => {
+  const breakdown = booking.price_breakdown;
+  const gross = breakdown
+    ? roundMoney(breakdown.lodging + (breakdown.cleaningFee || 0))
+    : Number(booking.price);
+
+  // Cada reembolso cuenta con su último estado registrado
+  const ledger = summarizeLedger(booking.payment_ledger || []);
+  const charged = ledger.charged || Number(booking.price);
+  const returned = roundMoney(ledger.refunded + ledger.disputed);
+
+  // Los reembolsos se reparten entre el anfitrión y la plataforma en proporción a lo cobrado
+  const refunds = charged > 0 ? roundMoney(Math.min(returned, charged) * gross / charged) : 0;
+  const adjustedGross = Math.max(0, roundMoney(gross - refunds));
+  const commission = roundMoney(adjustedGross * HOST_COMMISSION_RATE);
+  const net = roundMoney(adjustedGross - commission);
+
+  // Lo ya incluido en pagos; los pagos fallidos vuelven a quedar pendientes
+  const items = booking.host_payout_items || [];
+  const paidOut = sum(items.filter(item => item.payout && item.payout.status === 'paid').map(item => item.amount));
+  const scheduled = sum(items
+    .filter(item => item.payout && ['scheduled', 'processing'].includes(item.payout.status))
+    .map(item => item.amount));
+
+  return {
+    bookingId: booking.id,
+    roomId: booking.room_id,
+    startDate: booking.start_date,
+    endDate: booking.end_date,
+    gross,
+    refunds,
+    commission,
+    net,
+    paidOut,
+    scheduled,
+    pending: roundMoney(net - paidOut - scheduled)
+  };
+};
+
+// Función para agrupar las ganancias por periodo según la fecha de salida
+const summarizeEarnings = (earnings, { groupBy = 'month' } = {}) => {
+  const emptyTotals = () => ({ bookings: 0, gross: 0, refunds: 0, commission: 0, net: 0, paidOut: 0, scheduled: 0, pending: 0 });
+  const addTo = (totals, item) => {
+    totals.bookings += 1;
+    ['gross', 'refunds', 'commission', 'net', 'paidOut', 'scheduled', 'pending'].forEach(key => {
+      totals[key] = roundMoney(totals[key] + item[key]);
+    });
+  };
+
+  const totals = emptyTotals();
+  const periods = new Map();
+
+  earnings.forEach(item => {
+    const start = getPeriodStart(item.endDate, groupBy);
+    if (!periods.has(start)) {
+      periods.set(start, { start, end: getNextPeriodStart(start, groupBy), ...emptyTotals() });
+    }
+    addTo(periods.get(start), item);
+    addTo(totals, item);
+  });
+
+  return {
+    totals,
+    periods: [...periods.values()].sort((a, b) => a.start.localeCompare(b.start))
+  };
+};
+
+// Función para obtener las ganancias de las reservas completadas de un anfitrión
+// con salida entre from y to (inclusive)
+const getHostEarnings = async (supabase, hostId, { from, to }) => {
+  const { data: rooms, error: roomsError } = await supabase
+    .from('rooms')
+    .select('id, title')
+    .eq('host_id', hostId);
+
+  if (roomsError) throw roomsError;
+  if (rooms.length === 0) return [];
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(EARNINGS_BOOKING_FIELDS)
+    .in('room_id', rooms.map(room => room.id))
+    .eq('status', 'completed')
+    .gte('end_date', from)
+    .lte('end_date', to)
+    .order('end_date', { ascending: true });
+
+  if (error) throw error;
+
+  const titles = new Map(rooms.map(room => [room.id, room.title]));
+  return bookings.map(booking => ({
+    ...calculateBookingEarnings(booking),
+    roomTitle: titles.get(booking.room_id) || null
+  }));
+};
+
+// Función para programar un pago por anfitrión con lo pendiente de sus reservas completadas.
+// Si los ajustes dejan un saldo negativo, se descuenta de pagos futuros.
+const schedulePayouts = async (supabase, { now = new Date() } = {}) => {
+  const today = now.toISOString().slice(0, 10);
+
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select(`${EARNINGS_BOOKING_FIELDS}, room:rooms (host_id)`)
+    .eq('status', 'completed')
+    .lte('end_date', addDays(today, -PAYOUT_DELAY_DAYS))
+    .gte('end_date', addDays(today, -PAYOUT_LOOKBACK_DAYS));
+
+  if (error) throw error;
+
+  const byHost = new Map();
+  bookings.forEach(booking => {
+    const earnings = calculateBookingEarnings(booking);
+    if (!booking.room || !booking.room.host_id || earnings.pending === 0) return;
+
+    if (!byHost.has(booking.room.host_id)) byHost.set(booking.room.host_id, []);
+    byHost.get(booking.room.host_id).push(earnings);
+  });
+
+  const scheduled = [];
+
+  for (const [hostId, items] of byHost) {
+    const amount = sum(items.map(item => item.pending));
+    if (amount <= 0) continue;
+
+    const { data: payout, error: payoutError } = await supabase
+      .from('host_payouts')
+      .insert([
+        {
+          host_id: hostId,
+          amount,
+          currency: CURRENCY,
+          status: 'scheduled',
+          period_start: items.reduce((min, item) => (item.endDate < min ? item.endDate : min), items[0].endDate),
+          period_end: items.reduce((max, item) => (item.endDate > max ? item.endDate : max), items[0].endDate),
+          scheduled_for: today
+        }
+      ])
+      .select()
+      .single();
+
+    if (payoutError) throw payoutError;
+
+    const { error: itemsError } = await supabase
+      .from('host_payout_items')
+      .insert(items.map(item => ({
+        payout_id: payout.id,
+        booking_id: item.bookingId,
+        amount: item.pending
+      })));
+
+    if (itemsError) {
+      // Sin sus renglones el pago no debe transferirse
+      await supabase.from('host_payouts').delete().eq('id', payout.id);
+      throw itemsError;
+    }
+
+    scheduled.push(payout);
+  }
+
+  return scheduled;
+};
+
+// Función para obtener la fecha antes de la cual un pago en proceso se considera abandonado
+const getProcessingCutoff = () => new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+// Función para transferir un pago programado a la cuenta conectada del anfitrión.
+// Devuelve 'paid', 'failed', 'waiting' (sin cuenta habilitada) o 'skipped'.
+const processPayout = async (supabase, payoutProvider, payout) => {
+  const host = payout.host;
+  if (!host || !host.payout_account_id || !host.payouts_enabled) {
+    return 'waiting';
+  }
+
+  // Tomar el pago: el filtro por estado evita transferirlo dos veces en paralelo
+  const processingCutoff = getProcessingCutoff();
+  const { data: claimed, error: claimError } = await supabase
+    .from('host_payouts')
+    .update({ status: 'processing', updated_at: new Date().toISOString() })
+    .eq('id', payout.id)
+    .or(`status.eq.scheduled,and(status.eq.processing,updated_at.lt.${processingCutoff})`)
+    .select()
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) return 'skipped';
+
+  try {
+    const transfer = await payoutProvider.createTransfer({
+      accountId: host.payout_account_id,
+      amount: Number(claimed.amount),
+      currency: claimed.currency.toLowerCase(),
+      description: `Pago de reservas del ${claimed.period_start} al ${claimed.period_end}`,
+      metadata: { payout_id: claimed.id, host_id: claimed.host_id },
+      idempotencyKey: `host-payout-${claimed.id}`
+    });
+
+    const { error } = await supabase
+      .from('host_payouts')
+      .update({
+        status: 'paid',
+        transfer_id: transfer.id,
+        paid_at: new Date().toISOString(),
+        error: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', claimed.id);
+
+    if (error) throw error;
+
+    await recordLedgerEntry(supabase, {
+      userId: claimed.host_id,
+      type: 'payout',
+      amount: Number(claimed.amount),
+      currency: claimed.currency,
+      reference: transfer.id,
+      description: 'Pago al anfitrión',
+      metadata: { payout_id: claimed.id }
+    });
+
+    await notifyUser(supabase, {
+      userId: claimed.host_id,
+      type: 'payout_paid',
+      title: 'Pago enviado',
+      message: `Enviamos $${Number(claimed.amount).toFixed(2)} ${claimed.currency} por tus reservas del ` +
+        `${claimed.period_start} al ${claimed.period_end}.`,
+      data: { payoutId: claimed.id, amount: Number(claimed.amount) }
+    });
+
+    return 'paid';
+  } catch (transferError) {
+    console.error('Error al transferir el pago al anfitrión:', claimed.id, transferError.message);
+
+    // Las reservas del pago fallido vuelven a quedar pendientes para el siguiente pago
+    const { error } = await supabase
+      .from('host_payouts')
+      .update({ status: 'failed', error: transferError.message, updated_at: new Date().toISOString() })
+      .eq('id', claimed.id);
+
+    if (error) throw error;
+    return 'failed';
+  }
+};
+
+// Función para programar y transferir los pagos pendientes (y reintentar los abandonados
+// en proceso). La ejecuta el cobro programado; devuelve cuántos pagos terminaron en cada resultado.
+const runHostPayouts = async (supabase, payoutProvider, { now = new Date() } = {}) => {
+  const scheduledPayouts = await schedulePayouts(supabase, { now });
+
+  const { data: payouts, error } = await supabase
+    .from('host_payouts')
+    .select(`
+      *,
+      host:users (
+        id,
+        payout_account_id,
+        payouts_enabled
+      )
+    `)
+    .or(`status.eq.scheduled,and(status.eq.processing,updated_at.lt.${getProcessingCutoff()})`)
+    .lte('scheduled_for', now.toISOString().slice(0, 10))
+    .order('scheduled_for', { ascending: true });
+
+  if (error) throw error;
+
+  const summary = { scheduled: scheduledPayouts.length, paid: 0, failed: 0, waiting: 0, skipped: 0, errors: 0 };
+
+  for (const payout of payouts) {
+    try {
+      summary[await processPayout(supabase, payoutProvider, payout)] += 1;
+    } catch (payoutError) {
+      console.error('Error al procesar el pago al anfitrión:', payout.id, payoutError);
+      summary.errors += 1;
+    }
+  }
+
+  return summary;
+};
+
+// Función para dar formato a un pago en las respuestas
+const formatPayout = (payout) => ({
+  id: payout.id,
+  amount: Number(payout.amount),
+  currency: payout.currency,
+  status: payout.status,
+  periodStart: payout.period_start,
+  periodEnd: payout.period_end,
+  scheduledFor: payout.scheduled_for,
+  transferId: payout.transfer_id,
+  error: payout.error,
+  paidAt: payout.paid_at,
+  bookings: payout.host_payout_items
+    ? payout.host_payout_items.map(item => ({ bookingId: item.booking_id, amount: Number(item.amount) }))
+    : undefined,
+  createdAt: payout.created_at
+});
+
+module.exports = {
+  HOST_COMMISSION_RATE,
+  PAYOUT_DELAY_DAYS,
+  EARNINGS_GROUPS,
+  calculateBookingEarnings,
+  summarizeEarnings,
+  getHostEarnings,
+  schedulePayouts,
+  runHostPayouts,
+  formatPayout
+};
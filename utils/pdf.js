@@ -0,0 +1,57 @@
+// Utilidades comunes para los documentos PDF (facturas y recibos)
+
+const formatAmount = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(Number(amount)).toLocaleString('es-MX', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+// Función para convertir un documento de pdfkit en un Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+// Función para escribir una sección de pares etiqueta: valor
+const writeFields = (doc, title, fields) => {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(10).text(title);
+  doc.font('Helvetica').fontSize(9);
+  fields
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .forEach(([label, value]) => {
+      doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+    });
+};
+
+// Función para escribir una fila de tabla; columns define x, width y align de cada celda
+const writeRow = (doc, columns, values, font = 'Helvetica') => {
+  const y = doc.y;
+  doc.font(font).fontSize(8);
+  const heights = columns.map((column, index) => doc.heightOfString(values[index], { width: column.width }));
+  columns.forEach((column, index) => {
+    doc.text(values[index], column.x, y, { width: column.width, align: column.align || 'left' });
+  });
+  doc.x = doc.page.margins.left;
+  doc.y = y + Math.max(...heights) + 4;
+};
+
+// Función para escribir los totales alineados a la derecha
+const writeTotals = (doc, totals, { currency, labelX, valueX }) => {
+  totals.forEach(([label, amount, bold]) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    doc.text(label, labelX, y, { width: valueX - labelX - 5, align: 'right' });
+    doc.text(`${formatAmount(amount)} ${currency}`, valueX, y, { width: 80, align: 'right' });
+  });
+  doc.x = doc.page.margins.left;
+};
+
+module.exports = {
+  formatAmount,
+  toBuffer,
+  writeFields,
+  writeRow,
+  writeTotals
+};
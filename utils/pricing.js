@@ -0,0 +1,202 @@
+const { parseDate, countNights } = require('./availability');
+const { getNightlyRates } = require('./pricingRules');
+const { roundMoney } = require('./money');
+
+// Cotización de estancias en MXN con cargos y los impuestos que pagan los huéspedes:
+// IVA (16%) sobre el total de servicios e ISH (impuesto sobre hospedaje) según el estado.
+
+const CURRENCY = 'MXN';
+const IVA_RATE = 0.16;
+const SERVICE_FEE_RATE = process.env.SERVICE_FEE_RATE ? Number(process.env.SERVICE_FEE_RATE) : 0.10;
+// Cargo mínimo que acepta Stripe en MXN
+const MIN_CHARGE_AMOUNT = 10;
+
+// Tasas de ISH por estado (tasas de referencia; revisar contra la ley estatal vigente)
+const ISH_RATES = [
+  { state: 'Ciudad de México', aliases: ['ciudad de mexico', 'cdmx', 'mexico city'], rate: 0.05 },
+  { state: 'Quintana Roo', aliases: ['quintana roo', 'cancun', 'tulum', 'playa del carmen'], rate: 0.05 },
+  { state: 'Jalisco', aliases: ['jalisco', 'guadalajara', 'puerto vallarta'], rate: 0.04 },
+  { state: 'Nuevo León', aliases: ['nuevo leon', 'monterrey'], rate: 0.03 },
+  { state: 'Baja California Sur', aliases: ['baja california sur', 'los cabos', 'la paz'], rate: 0.04 },
+  { state: 'Yucatán', aliases: ['yucatan', 'merida'], rate: 0.05 },
+  { state: 'Oaxaca', aliases: ['oaxaca'], rate: 0.03 },
+  { state: 'Guerrero', aliases: ['guerrero', 'acapulco'], rate: 0.03 }
+];
+const DEFAULT_ISH_RATE = 0.03;
+
+// Función para normalizar texto (minúsculas y sin acentos) al comparar ubicaciones
+const normalize = (text) => String(text || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '');
+
+// Función para obtener la tasa de ISH según la ubicación de la habitación
+const getLodgingTax = (location) => {
+  const normalized = normalize(location);
+  const match = ISH_RATES.find(entry => entry.aliases.some(alias => normalized.includes(alias)));
+
+  return match
+    ? { state: match.state, rate: match.rate }
+    : { state: null, rate: DEFAULT_ISH_RATE };
+};
+
+// Función para calcular el descuento de un cupón sobre el subtotal antes de impuestos
+const getCouponDiscount = (coupon, subtotal) => {
+  const value = Number(coupon.discount_value);
+  let amount = coupon.discount_type === 'percentage' ? subtotal * value / 100 : value;
+
+  if (coupon.discount_type === 'percentage' && coupon.max_discount_amount) {
+    amount = Math.min(amount, Number(coupon.max_discount_amount));
+  }
+
+  return roundMoney(Math.min(Math.max(amount, 0), subtotal));
+};
+
+// Función para armar la cotización a partir de sus partes. El descuento reduce la base
+// gravable, así que el IVA y el ISH se calculan sobre los montos ya descontados.
+const summarize = ({ nights, guests, nightlyRates, lodging, cleaningFee, serviceFee, lodgingTax, coupon }) => {
+  const subtotal = roundMoney(lodging + cleaningFee + serviceFee);
+  const discountAmount = coupon ? getCouponDiscount(coupon, subtotal) : 0;
+  const taxableRatio = subtotal > 0 ? (subtotal - discountAmount) / subtotal : 0;
+
+  // El ISH grava el hospedaje y la limpieza; el IVA grava además el cargo por servicio
+  const ish = roundMoney((lodging + cleaningFee) * taxableRatio * lodgingTax.rate);
+  const iva = roundMoney(subtotal * taxableRatio * IVA_RATE);
+
+  const total = roundMoney(subtotal - discountAmount + ish + iva);
+
+  const lineItems = [
+    {
+      code: 'lodging',
+      description: `${nights} ${nights === 1 ? 'noche' : 'noches'} de hospedaje`,
+      amount: lodging
+    },
+    { code: 'cleaning_fee', description: 'Tarifa de limpieza', amount: cleaningFee },
+    { code: 'service_fee', description: 'Cargo por servicio', amount: serviceFee },
+    coupon && {
+      code: 'discount',
+      description: `Descuento ${coupon.code}`,
+      amount: -discountAmount
+    },
+    { code: 'iva', description: `IVA (${IVA_RATE * 100}%)`, amount: iva },
+    {
+      code: 'ish',
+      description: `Impuesto sobre hospedaje${lodgingTax.state ? ` ${lodgingTax.state}` : ''} (${roundMoney(lodgingTax.rate * 100)}%)`,
+      amount: ish
+    }
+  ].filter(item => item && item.amount !== 0);
+
+  return {
+    currency: CURRENCY,
+    nights,
+    guests,
+    nightlyRates,
+    lodging,
+    cleaningFee,
+    serviceFee,
+    discount: coupon
+      ? {
+        couponId: coupon.id,
+        code: coupon.code,
+        type: coupon.discount_type,
+        value: Number(coupon.discount_value),
+        maxDiscountAmount: coupon.max_discount_amount ? Number(coupon.max_discount_amount) : null,
+        amount: discountAmount
+      }
+      : null,
+    taxes: {
+      iva: { rate: IVA_RATE, amount: iva },
+      ish: { rate: lodgingTax.rate, state: lodgingTax.state, amount: ish }
+    },
+    lineItems,
+    total
+  };
+};
+
+// Función para calcular la cotización de una estancia.
+// Es la única fuente del cálculo para cotizar, crear, modificar y cobrar reservas.
+// El precio de cada noche sale de las reglas de la habitación (ver pricingRules.js).
+const calculateBookingPrice = (room, { startDate, endDate, guests = 1, now = new Date(), coupon = null }) => {
+  const start = parseDate(startDate);
+  const end = parseDate(endDate);
+  const nightlyRates = getNightlyRates(room, start, end, { now });
+  const lodging = roundMoney(nightlyRates.reduce((sum, night) => sum + night.price, 0));
+  const cleaningFee = roundMoney(Number(room.cleaning_fee) || 0);
+
+  return summarize({
+    nights: countNights(start, end),
+    guests,
+    nightlyRates,
+    lodging,
+    cleaningFee,
+    serviceFee: roundMoney((lodging + cleaningFee) * SERVICE_FEE_RATE),
+    lodgingTax: getLodgingTax(room.location),
+    coupon
+  });
+};
+
+// Función para aplicar (o quitar, con coupon = null) un cupón a una cotización ya calculada
+const applyCoupon = (quote, coupon) => summarize({
+  ...quote,
+  lodgingTax: { rate: quote.taxes.ish.rate, state: quote.taxes.ish.state },
+  coupon
+});
+
+// Función para reconstruir el cupón guardado en el desglose de una reserva
+const getQuoteCoupon = (quote) => quote && quote.discount
+  ? {
+    id: quote.discount.couponId,
+    code: quote.discount.code,
+    discount_type: quote.discount.type,
+    discount_value: quote.discount.value,
+    max_discount_amount: quote.discount.maxDiscountAmount
+  }
+  : null;
+
+// Función para convertir el desglose en line_items de Stripe Checkout.
+// La primera partida (hospedaje) lleva el nombre e imagen de la habitación. Stripe no
+// admite partidas negativas, así que el descuento se resta de los cargos antes de impuestos.
+const toStripeLineItems = (quote, { name, description, images = [] }) => {
+  let remainingDiscount = quote.discount ? quote.discount.amount : 0;
+
+  return quote.lineItems
+    .filter(item => item.code !== 'discount')
+    .map(item => {
+      if (remainingDiscount > 0 && ['lodging', 'cleaning_fee', 'service_fee'].includes(item.code)) {
+        const applied = Math.min(item.amount, remainingDiscount);
+        remainingDiscount = roundMoney(remainingDiscount - applied);
+        return { ...item, amount: roundMoney(item.amount - applied) };
+      }
+      return item;
+    })
+    .filter(item => item.amount > 0)
+    .map((item, index) => {
+      const discountNote = index === 0 && quote.discount ? ` (${quote.discount.code} aplicado)` : '';
+      const productData = index === 0
+        ? { name, description: `${item.description}${discountNote}. ${description}`, images }
+        : { name: item.description };
+
+      return {
+        price_data: {
+          currency: quote.currency.toLowerCase(),
+          product_data: productData,
+          unit_amount: Math.round(item.amount * 100)
+        },
+        quantity: 1
+      };
+    });
+};
+
+module.exports = {
+  CURRENCY,
+  IVA_RATE,
+  SERVICE_FEE_RATE,
+  MIN_CHARGE_AMOUNT,
+  normalize,
+  getLodgingTax,
+  getCouponDiscount,
+  calculateBookingPrice,
+  applyCoupon,
+  getQuoteCoupon,
+  toStripeLineItems
+};
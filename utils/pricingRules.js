@@ -0,0 +1,227 @@
+const { parseDate, formatDate, addDays, countNights } = require('./availability');
+const { roundMoney } = require('./money');
+
+// Reglas de precio por habitación (tabla room_pricing_rules):
+// - seasonal: precio fijo o ajuste porcentual para las noches dentro de [start_date, end_date)
+// - weekend: ajuste porcentual para las noches de ciertos días de la semana
+// - length_of_stay: descuento para estancias de al menos min_nights (semanal, mensual)
+// - last_minute: descuento si la llegada es dentro de max_days_before días
+// adjustment_percentage es positivo para recargos y negativo para descuentos.
+
+const PRICING_RULE_TYPES = ['seasonal', 'weekend', 'length_of_stay', 'last_minute'];
+
+// Noches de viernes y sábado (0 = domingo ... 6 = sábado)
+const DEFAULT_WEEKEND_DAYS = [5, 6];
+
+const isPercentage = (value) => Number.isFinite(value) && value >= -90 && value <= 300;
+
+// Función para validar una regla de precio; devuelve la lista de errores
+const validatePricingRule = (rule) => {
+  const errors = [];
+
+  if (!PRICING_RULE_TYPES.includes(rule.rule_type)) {
+    errors.push(`Tipo de regla no válido. Use uno de: ${PRICING_RULE_TYPES.join(', ')}`);
+    return errors;
+  }
+
+  const hasPercentage = rule.adjustment_percentage !== undefined && rule.adjustment_percentage !== null;
+  if (hasPercentage && !isPercentage(rule.adjustment_percentage)) {
+    errors.push('adjustment_percentage debe ser un número entre -90 y 300');
+  }
+
+  if (rule.rule_type === 'seasonal') {
+    const start = parseDate(rule.start_date);
+    const end = parseDate(rule.end_date);
+    if (!start || !end || end <= start) {
+      errors.push('Las temporadas requieren startDate y endDate (YYYY-MM-DD) con endDate posterior');
+    }
+
+    const hasPrice = rule.nightly_price !== undefined && rule.nightly_price !== null;
+    if (hasPrice && (!Number.isFinite(rule.nightly_price) || rule.nightly_price <= 0)) {
+      errors.push('nightlyPrice debe ser un número mayor a 0');
+    }
+    if (hasPrice === hasPercentage) {
+      errors.push('Las temporadas requieren nightlyPrice o adjustmentPercentage, pero no ambos');
+    }
+    return errors;
+  }
+
+  if (!hasPercentage) {
+    errors.push('adjustmentPercentage es requerido');
+  }
+
+  if (rule.rule_type === 'weekend' && rule.days_of_week !== undefined && rule.days_of_week !== null) {
+    const valid = Array.isArray(rule.days_of_week) && rule.days_of_week.length > 0 &&
+      rule.days_of_week.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!valid) {
+      errors.push('daysOfWeek debe ser una lista de días de la semana (0 = domingo ... 6 = sábado)');
+    }
+  }
+
+  if (rule.rule_type === 'length_of_stay' &&
+    !(Number.isInteger(rule.min_nights) && rule.min_nights >= 2 && rule.min_nights <= 365)) {
+    errors.push('minNights debe ser un número entero entre 2 y 365');
+  }
+
+  if (rule.rule_type === 'last_minute' &&
+    !(Number.isInteger(rule.max_days_before) && rule.max_days_before >= 0 && rule.max_days_before <= 90)) {
+    errors.push('maxDaysBefore debe ser un número entero entre 0 y 90');
+  }
+
+  return errors;
+};
+
+// Campos del body (camelCase) y su columna en room_pricing_rules
+const RULE_FIELDS = {
+  type: 'rule_type',
+  name: 'name',
+  startDate: 'start_date',
+  endDate: 'end_date',
+  nightlyPrice: 'nightly_price',
+  adjustmentPercentage: 'adjustment_percentage',
+  daysOfWeek: 'days_of_week',
+  minNights: 'min_nights',
+  maxDaysBefore: 'max_days_before',
+  active: 'active'
+};
+
+const NUMERIC_FIELDS = ['nightly_price', 'adjustment_percentage', 'min_nights', 'max_days_before'];
+
+// Función para convertir el body en columnas; solo incluye los campos presentes
+const toPricingRuleRow = (body) => {
+  const row = {};
+  Object.entries(RULE_FIELDS).forEach(([field, column]) => {
+    if (body[field] === undefined) return;
+    row[column] = NUMERIC_FIELDS.includes(column) && body[field] !== null && body[field] !== ''
+      ? Number(body[field])
+      : body[field];
+  });
+
+  if (row.active !== undefined) row.active = Boolean(row.active);
+  return row;
+};
+
+// Función para dar formato a una regla en las respuestas
+const formatPricingRule = (rule) => ({
+  id: rule.id,
+  type: rule.rule_type,
+  name: rule.name,
+  startDate: rule.start_date || null,
+  endDate: rule.end_date || null,
+  nightlyPrice: rule.nightly_price === null || rule.nightly_price === undefined ? null : Number(rule.nightly_price),
+  adjustmentPercentage: rule.adjustment_percentage === null || rule.adjustment_percentage === undefined
+    ? null
+    : Number(rule.adjustment_percentage),
+  daysOfWeek: rule.days_of_week || null,
+  minNights: rule.min_nights || null,
+  maxDaysBefore: rule.max_days_before === null || rule.max_days_before === undefined ? null : rule.max_days_before,
+  active: rule.active,
+  createdAt: rule.created_at
+});
+
+const describeRule = (rule) => ({
+  ruleId: rule.id,
+  type: rule.rule_type,
+  name: rule.name,
+  percentage: rule.adjustment_percentage === null ? null : Number(rule.adjustment_percentage),
+  nightlyPrice: rule.nightly_price === null || rule.nightly_price === undefined ? null : Number(rule.nightly_price)
+});
+
+// Entre reglas equivalentes gana la más antigua (mismo criterio que room_nightly_price)
+const byCreatedAt = (a, b) => String(a.created_at || '').localeCompare(String(b.created_at || ''));
+
+// Función para elegir la temporada de una noche: la de rango más corto es la más específica
+const findSeason = (rules, dateString) => rules
+  .filter(rule => rule.rule_type === 'seasonal' && rule.start_date <= dateString && dateString < rule.end_date)
+  .sort((a, b) => countNights(parseDate(a.start_date), parseDate(a.end_date)) -
+    countNights(parseDate(b.start_date), parseDate(b.end_date)) || byCreatedAt(a, b))[0] || null;
+
+// Función para elegir los descuentos que aplican a toda la estancia: el de mayor
+// estancia mínima alcanzada y el de última hora más alto que corresponda
+const findStayRules = (rules, nights, daysBefore) => {
+  const lengthOfStay = rules
+    .filter(rule => rule.rule_type === 'length_of_stay' && nights >= rule.min_nights)
+    .sort((a, b) => b.min_nights - a.min_nights)[0];
+
+  const lastMinute = rules
+    .filter(rule => rule.rule_type === 'last_minute' && daysBefore >= 0 && daysBefore <= rule.max_days_before)
+    .sort((a, b) => Number(a.adjustment_percentage) - Number(b.adjustment_percentage))[0];
+
+  return [lengthOfStay, lastMinute].filter(Boolean);
+};
+
+// Función para resolver el precio de cada noche de [start, end) aplicando las reglas
+// activas de la habitación (room.room_pricing_rules) sobre room.price
+const getNightlyRates = (room, start, end, { now = new Date() } = {}) => {
+  const rules = (room.room_pricing_rules || []).filter(rule => rule.active !== false);
+  const nights = countNights(start, end);
+  const today = parseDate(now.toISOString().slice(0, 10));
+  const stayRules = findStayRules(rules, nights, countNights(today, start));
+
+  const rates = [];
+  for (let date = start; date < end; date = addDays(date, 1)) {
+    const dateString = formatDate(date);
+    const basePrice = Number(room.price);
+    const adjustments = [];
+    let price = basePrice;
+
+    const season = findSeason(rules, dateString);
+    if (season) {
+      price = season.nightly_price !== null && season.nightly_price !== undefined
+        ? Number(season.nightly_price)
+        : price * (1 + Number(season.adjustment_percentage) / 100);
+      adjustments.push(describeRule(season));
+    }
+
+    const weekend = rules
+      .filter(rule => rule.rule_type === 'weekend' &&
+        (rule.days_of_week || DEFAULT_WEEKEND_DAYS).includes(date.getUTCDay()))
+      .sort(byCreatedAt)[0];
+    if (weekend) {
+      price = price * (1 + Number(weekend.adjustment_percentage) / 100);
+      adjustments.push(describeRule(weekend));
+    }
+
+    stayRules.forEach(rule => {
+      price = price * (1 + Number(rule.adjustment_percentage) / 100);
+      adjustments.push(describeRule(rule));
+    });
+
+    rates.push({
+      date: dateString,
+      basePrice: roundMoney(basePrice),
+      price: roundMoney(price),
+      adjustments
+    });
+  }
+  return rates;
+};
+
+// Función para obtener las fechas de la estancia que se cotiza: sin fechas válidas se usa
+// la noche de hoy. Devuelve check-in, check-out y hoy como YYYY-MM-DD.
+const getStayDates = ({ startDate, endDate, now = new Date() } = {}) => {
+  const today = parseDate(now.toISOString().slice(0, 10));
+  const start = parseDate(startDate) || today;
+  const end = parseDate(endDate) && parseDate(endDate) > start ? parseDate(endDate) : addDays(start, 1);
+
+  return { checkIn: formatDate(start), checkOut: formatDate(end), today: formatDate(today) };
+};
+
+// Función para obtener el precio promedio por noche de una estancia (o de esta noche)
+const getNightlyPrice = (room, { startDate, endDate, now = new Date() } = {}) => {
+  const { checkIn, checkOut } = getStayDates({ startDate, endDate, now });
+  const rates = getNightlyRates(room, parseDate(checkIn), parseDate(checkOut), { now });
+
+  return roundMoney(rates.reduce((sum, night) => sum + night.price, 0) / rates.length);
+};
+
+module.exports = {
+  PRICING_RULE_TYPES,
+  DEFAULT_WEEKEND_DAYS,
+  validatePricingRule,
+  toPricingRuleRow,
+  formatPricingRule,
+  getNightlyRates,
+  getStayDates,
+  getNightlyPrice
+};
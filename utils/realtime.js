@@ -0,0 +1,223 @@
+// Canal de eventos en tiempo real (Server-Sent Events) por usuario. Cada evento se guarda
+// en realtime_events y llega a las conexiones abiertas por Supabase Realtime (cambios de la
+// tabla), así que no importa qué instancia lo publique ni a cuál esté conectado el cliente.
+// El id de la fila es el id del evento: al reconectarse con Last-Event-ID se reenvían los
+// eventos que el cliente no alcanzó a recibir.
+
+const crypto = require('crypto');
+const { supabaseAdmin } = require('./supabaseAdmin');
+
+// Tipos de evento a los que se puede suscribir un cliente (prefijo del nombre del evento)
+const EVENT_TYPES = ['payment', 'booking', 'message', 'notification'];
+
+// Eventos que se reenvían como máximo al reconectarse, y cuánto tiempo se conservan
+const MAX_REPLAY_EVENTS = 100;
+const EVENT_RETENTION_HOURS = 24;
+
+// Vigencia de un ticket para abrir el canal (se usa una sola vez)
+const TICKET_TTL_SECONDS = 60;
+
+// Función para obtener el hash con el que se guarda un ticket
+const hashTicket = (ticket) => crypto.createHash('sha256').update(ticket).digest('hex');
+
+// Función para escribir un evento en una respuesta abierta con el formato de SSE
+const writeEvent = (res, { id, event, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Función para registrar una conexión. Si el cliente envía el id del último evento que
+// recibió, primero se le reenvían los posteriores. Devuelve la función para darla de baja.
+const subscribe = (userId, res, types = EVENT_TYPES, { lastEventId = null } = {}) => {
+  let lastDeliveredId = Number(lastEventId) || 0;
+  let replaying = lastDeliveredId > 0;
+  const pending = [];
+
+  const deliver = (row) => {
+    if (row.id <= lastDeliveredId) return;
+    lastDeliveredId = row.id;
+
+    if (!types.includes(row.event.split('.')[0])) return;
+    try {
+      writeEvent(res, { id: row.id, event: row.event, data: row.data });
+    } catch (error) {
+      console.error('Error al enviar el evento en tiempo real:', error);
+    }
+  };
+
+  const channel = supabaseAdmin
+    .channel(`realtime-events:${userId}:${crypto.randomUUID()}`)
+    .on('postgres_changes', {
+      event: 'INSERT',
+      schema: 'public',
+      table: 'realtime_events',
+      filter: `user_id=eq.${userId}`
+    }, (payload) => {
+      // Los eventos nuevos esperan a que termine el reenvío para conservar el orden
+      if (replaying) {
+        pending.push(payload.new);
+      } else {
+        deliver(payload.new);
+      }
+    })
+    .subscribe((status, error) => {
+      if (status === 'SUBSCRIBED' && replaying) {
+        replayEvents(userId, lastDeliveredId)
+          .then(rows => rows.forEach(deliver))
+          .catch(replayError => {
+            console.error('Error al reenviar los eventos en tiempo real:', replayError);
+          })
+          .finally(() => {
+            replaying = false;
+            pending.sort((a, b) => a.id - b.id).forEach(deliver);
+            pending.length = 0;
+          });
+      }
+      // Sin canal no llegan eventos: se descarta lo pendiente y se cierra la respuesta para
+      // que el cliente se reconecte (con Last-Event-ID recupera lo que falte)
+      if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error('Error en el canal de eventos en tiempo real:', status, error);
+        replaying = false;
+        pending.length = 0;
+        res.end();
+      }
+    });
+
+  return () => {
+    supabaseAdmin.removeChannel(channel).catch(error => {
+      console.error('Error al cerrar el canal de eventos en tiempo real:', error);
+    });
+  };
+};
+
+// Función para obtener los eventos de un usuario posteriores a un id
+const replayEvents = async (userId, afterId) => {
+  const { data, error } = await supabaseAdmin
+    .from('realtime_events')
+    .select('id, event, data')
+    .eq('user_id', userId)
+    .gt('id', afterId)
+    .order('id', { ascending: true })
+    .limit(MAX_REPLAY_EVENTS);
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para publicar un evento para un usuario. event tiene la forma tipo.accion
+// (payment.confirmed, message.created...). Un error solo se registra: los clientes
+// recuperan el estado consultando la API.
+const publish = async (userId, event, data) => {
+  const { error } = await supabaseAdmin
+    .from('realtime_events')
+    .insert([{ user_id: userId, event, data }]);
+
+  if (error) {
+    console.error('Error al publicar el evento en tiempo real:', error);
+  }
+};
+
+// Función para avisar al huésped y al anfitrión de un cambio de estado de la reserva
+const publishBookingStatus = async (supabase, { bookingId, from, to, reason = null }) => {
+  try {
+    const { data: booking, error } = await supabase
+      .from('bookings')
+      .select(`
+        id,
+        user_id,
+        payment_status,
+        room:rooms (
+          id,
+          host_id
+        )
+      `)
+      .eq('id', bookingId)
+      .single();
+
+    if (error) throw error;
+
+    const data = {
+      bookingId: booking.id,
+      roomId: booking.room ? booking.room.id : null,
+      from,
+      to,
+      paymentStatus: booking.payment_status,
+      reason
+    };
+
+    await publish(booking.user_id, 'booking.status_changed', data);
+    if (booking.room && booking.room.host_id !== booking.user_id) {
+      await publish(booking.room.host_id, 'booking.status_changed', data);
+    }
+  } catch (error) {
+    console.error('Error al publicar el cambio de estado de la reserva:', error);
+  }
+};
+
+// Función para emitir un ticket de un solo uso con el que el usuario abre el canal.
+// sessionExpiresAt es la expiración de su sesión: la conexión se cierra entonces.
+const createTicket = async (userId, { sessionExpiresAt = null, now = new Date() } = {}) => {
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + TICKET_TTL_SECONDS * 1000);
+
+  const { error } = await supabaseAdmin
+    .from('realtime_tickets')
+    .insert([{
+      token_hash: hashTicket(ticket),
+      user_id: userId,
+      session_expires_at: sessionExpiresAt ? new Date(sessionExpiresAt).toISOString() : null,
+      expires_at: expiresAt.toISOString()
+    }]);
+
+  if (error) throw error;
+  return { ticket, expiresAt: expiresAt.toISOString() };
+};
+
+// Función para canjear un ticket. Lo marca como usado en la misma escritura, así que no se
+// puede usar dos veces. Devuelve { userId, sessionExpiresAt } o null si no es válido.
+const redeemTicket = async (ticket, { now = new Date() } = {}) => {
+  const { data, error } = await supabaseAdmin
+    .from('realtime_tickets')
+    .update({ used_at: now.toISOString() })
+    .eq('token_hash', hashTicket(ticket))
+    .is('used_at', null)
+    .gt('expires_at', now.toISOString())
+    .select('user_id, session_expires_at')
+    .maybeSingle();
+
+  if (error) throw error;
+  return data ? { userId: data.user_id, sessionExpiresAt: data.session_expires_at } : null;
+};
+
+// Función para borrar los eventos más antiguos que el periodo de retención y los tickets
+// vencidos (la ejecuta el cron)
+const pruneEvents = async ({ now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - EVENT_RETENTION_HOURS * 60 * 60 * 1000).toISOString();
+
+  const { count, error } = await supabaseAdmin
+    .from('realtime_events')
+    .delete({ count: 'exact' })
+    .lt('created_at', cutoff);
+
+  if (error) throw error;
+
+  const { count: tickets, error: ticketsError } = await supabaseAdmin
+    .from('realtime_tickets')
+    .delete({ count: 'exact' })
+    .lt('expires_at', now.toISOString());
+
+  if (ticketsError) throw ticketsError;
+  return { deleted: count || 0, tickets: tickets || 0 };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  writeEvent,
+  subscribe,
+  publish,
+  publishBookingStatus,
+  createTicket,
+  redeemTicket,
+  pruneEvents
+};
@@ -0,0 +1,60 @@
+// Reintentos de reembolsos emitidos fuera de la petición (cancelaciones en bookings y
+// modificaciones en booking_amendments). Cada fila lleva refund_attempts y
+// refund_claimed_at: un proceso toma el reembolso antes de emitirlo para que otro no lo
+// emita a la vez, y la tarea de seguimiento reintenta los pendientes o fallidos.
+
+const REFUND_MAX_ATTEMPTS = 5;
+// Un reembolso tomado hace más de este tiempo sin resultado se considera abandonado
+const REFUND_CLAIM_TIMEOUT_MINUTES = 10;
+
+// Función para filtrar las filas cuyo reembolso no está tomado (o cuya toma se abandonó).
+// match agrega condiciones por columna; un arreglo se compara con in.
+const filterUnclaimed = (query, match) => {
+  const cutoff = new Date(Date.now() - REFUND_CLAIM_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  let filtered = query.or(`refund_claimed_at.is.null,refund_claimed_at.lt.${cutoff}`);
+
+  Object.entries(match).forEach(([column, value]) => {
+    filtered = Array.isArray(value) ? filtered.in(column, value) : filtered.eq(column, value);
+  });
+  return filtered;
+};
+
+// Función para tomar el reembolso de una fila. Devuelve la fila actualizada o null si
+// otro proceso ya lo tiene o la fila no cumple match.
+const claimRefund = async (supabase, table, id, { match = {}, changes = {} } = {}) => {
+  const { data, error } = await filterUnclaimed(
+    supabase
+      .from(table)
+      .update({ ...changes, refund_claimed_at: new Date().toISOString() })
+      .eq('id', id),
+    match
+  )
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para obtener los reembolsos que la tarea de seguimiento debe reintentar
+const listRetryableRefunds = async (supabase, table, { match = {}, orderBy, limit = 20 }) => {
+  const { data, error } = await filterUnclaimed(
+    supabase
+      .from(table)
+      .select('*')
+      .lt('refund_attempts', REFUND_MAX_ATTEMPTS),
+    match
+  )
+    .order(orderBy, { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+};
+
+module.exports = {
+  REFUND_MAX_ATTEMPTS,
+  REFUND_CLAIM_TIMEOUT_MINUTES,
+  claimRefund,
+  listRetryableRefunds
+};
@@ -0,0 +1,140 @@
+// Retenciones temporales y confirmación atómica de reservas.
+// La exclusión de solapamientos vive en la base de datos (ver supabase/migrations):
+// place_booking_hold bloquea la habitación mientras valida y la restricción
+// bookings_no_overlap impide guardar dos reservas activas que se crucen. Las reservas
+// pendientes de pago ocupan sus fechas hasta que la tarea de seguimiento (cada 5 minutos)
+// las cancela con expirePendingBookings después de payment_expires_at; hasta entonces la
+// restricción y el calendario las siguen contando.
+
+const { transitionBooking } = require('./bookingLifecycle');
+
+// Stripe exige que una sesión de Checkout expire al menos 30 minutos después de crearse
+const HOLD_DURATION_MINUTES = 35;
+
+// Código de Postgres para violaciones de restricciones de exclusión
+const EXCLUSION_VIOLATION = '23P01';
+
+// Función para calcular hasta cuándo se retienen unas fechas a partir de ahora
+const getHoldExpiration = (now = new Date()) => new Date(now.getTime() + HOLD_DURATION_MINUTES * 60 * 1000);
+
+// Función para retener unas fechas mientras el huésped paga.
+// Devuelve la retención creada o null si las fechas ya no están libres.
+const placeHold = async (supabase, { roomId, userId = null, startDate, endDate }) => {
+  const expiresAt = getHoldExpiration();
+
+  const { data, error } = await supabase.rpc('place_booking_hold', {
+    p_room_id: roomId,
+    p_user_id: userId,
+    p_start_date: startDate,
+    p_end_date: endDate,
+    p_expires_at: expiresAt.toISOString()
+  });
+
+  if (error) throw error;
+
+  return data && data.length > 0 ? data[0] : null;
+};
+
+// Función para asociar la sesión de pago (y el desglose cobrado) a una retención
+const attachHoldSession = async (supabase, holdId, sessionId, { priceBreakdown = null } = {}) => {
+  const { error } = await supabase
+    .from('booking_holds')
+    .update({ session_id: sessionId, price_breakdown: priceBreakdown })
+    .eq('id', holdId);
+
+  if (error) throw error;
+};
+
+// Función para obtener la retención asociada a una sesión de pago
+const getHoldBySession = async (supabase, sessionId) => {
+  const { data, error } = await supabase
+    .from('booking_holds')
+    .select('*')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para liberar una retención por id o por sesión de pago
+const releaseHold = async (supabase, { holdId, sessionId }) => {
+  let query = supabase.from('booking_holds').delete();
+
+  if (holdId) {
+    query = query.eq('id', holdId);
+  } else if (sessionId) {
+    query = query.eq('session_id', sessionId);
+  } else {
+    return;
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+// Función para insertar una reserva respetando la restricción de solapamiento.
+// Devuelve { booking } o { conflict: true } si otra reserva ocupa esas fechas.
+const insertBooking = async (supabase, values, select = '*') => {
+  const { data: booking, error } = await supabase
+    .from('bookings')
+    .insert([values])
+    .select(select)
+    .single();
+
+  if (error) {
+    if (error.code === EXCLUSION_VIOLATION) {
+      return { conflict: true };
+    }
+    throw error;
+  }
+
+  return { booking };
+};
+
+// Función para cancelar las reservas pendientes cuyo plazo de pago venció y liberar sus
+// fechas. Las que tienen un pago asíncrono en proceso no tienen plazo (se resuelven con el
+// webhook). La ejecuta la tarea de seguimiento; devuelve cuántas se cancelaron.
+const expirePendingBookings = async (supabase, { now = new Date(), limit = 50 } = {}) => {
+  const { data: bookings, error } = await supabase
+    .from('bookings')
+    .select('*')
+    .eq('status', 'pending_payment')
+    .lt('payment_expires_at', now.toISOString())
+    .order('payment_expires_at', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+
+  const summary = { expired: 0, errors: 0 };
+
+  for (const booking of bookings) {
+    try {
+      await transitionBooking(supabase, booking, 'cancelled', {
+        actorRole: 'system',
+        reason: 'El plazo para pagar la reserva venció',
+        metadata: { payment_expires_at: booking.payment_expires_at },
+        changes: { payment_status: 'expired', payment_expires_at: null }
+      });
+      summary.expired += 1;
+    } catch (expireError) {
+      // La reserva pudo confirmarse mientras tanto
+      console.error('Error al cancelar la reserva pendiente:', booking.id, expireError.message);
+      summary.errors += 1;
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  HOLD_DURATION_MINUTES,
+  EXCLUSION_VIOLATION,
+  getHoldExpiration,
+  placeHold,
+  attachHoldSession,
+  getHoldBySession,
+  releaseHold,
+  insertBooking,
+  expirePendingBookings
+};
@@ -0,0 +1,262 @@
+// Reseñas de estancias. Solo el huésped de una reserva completada puede reseñarla, una
+// vez por reserva. El promedio de la habitación (rooms.rating, review_scores) y el
+// contador user_stats.reviews los mantiene un trigger de la base de datos, que ignora
+// las reseñas ocultas por moderación.
+
+const { notifyUser } = require('./notifications');
+
+// Categorías que se califican además de la calificación general
+const REVIEW_CATEGORIES = ['cleanliness', 'accuracy', 'communication', 'location', 'check_in', 'value'];
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+const MAX_REPORT_DETAILS_LENGTH = 1000;
+
+// Motivos para reportar una reseña
+const REPORT_REASONS = ['spam', 'offensive', 'false_information', 'conflict_of_interest', 'other'];
+
+// Acciones de moderación: ocultar, restaurar, eliminar o descartar los reportes
+const MODERATION_ACTIONS = ['hide', 'restore', 'delete', 'dismiss'];
+
+const isScore = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// Función para saber si una reserva se puede reseñar. Devuelve el motivo o null.
+const getReviewBlocker = (booking, userId) => {
+  if (booking.user_id !== userId) {
+    return 'Solo el huésped puede reseñar su estancia';
+  }
+  if (booking.status !== 'completed') {
+    return 'Solo se pueden reseñar estancias completadas';
+  }
+  return null;
+};
+
+// Función para validar una reseña. Devuelve un mensaje de error o null.
+const validateReview = ({ rating, categories, comment }) => {
+  if (!isScore(rating)) {
+    return 'rating debe ser un entero entre 1 y 5';
+  }
+
+  if (!categories || typeof categories !== 'object') {
+    return `categories es requerido con: ${REVIEW_CATEGORIES.join(', ')}`;
+  }
+
+  const invalid = REVIEW_CATEGORIES.filter(category => !isScore(categories[category]));
+  if (invalid.length > 0) {
+    return `Califica de 1 a 5: ${invalid.join(', ')}`;
+  }
+
+  const unknown = Object.keys(categories).filter(category => !REVIEW_CATEGORIES.includes(category));
+  if (unknown.length > 0) {
+    return `Categorías no válidas: ${unknown.join(', ')}`;
+  }
+
+  if (comment !== undefined && comment !== null) {
+    if (typeof comment !== 'string') {
+      return 'comment debe ser texto';
+    }
+    if (comment.trim().length > MAX_COMMENT_LENGTH) {
+      return `El comentario no puede exceder ${MAX_COMMENT_LENGTH} caracteres`;
+    }
+  }
+
+  return null;
+};
+
+// Función para validar la respuesta del anfitrión. Devuelve un mensaje de error o null.
+const validateReply = (reply) => {
+  if (typeof reply !== 'string' || !reply.trim()) {
+    return 'La respuesta es requerida';
+  }
+  if (reply.trim().length > MAX_REPLY_LENGTH) {
+    return `La respuesta no puede exceder ${MAX_REPLY_LENGTH} caracteres`;
+  }
+  return null;
+};
+
+// Función para validar un reporte. Devuelve un mensaje de error o null.
+const validateReport = ({ reason, details }) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    return `reason debe ser uno de: ${REPORT_REASONS.join(', ')}`;
+  }
+  if (details !== undefined && details !== null) {
+    if (typeof details !== 'string') {
+      return 'details debe ser texto';
+    }
+    if (details.trim().length > MAX_REPORT_DETAILS_LENGTH) {
+      return `Los detalles no pueden exceder ${MAX_REPORT_DETAILS_LENGTH} caracteres`;
+    }
+  }
+  if (reason === 'other' && (!details || !details.trim())) {
+    return 'Describe el motivo del reporte en details';
+  }
+  return null;
+};
+
+// Función para saber si una acción de moderación aplica a la reseña. Devuelve el motivo o null.
+const getModerationBlocker = (review, action) => {
+  if (action === 'hide' && review.status === 'hidden') {
+    return 'La reseña ya está oculta';
+  }
+  if (action === 'restore' && review.status !== 'hidden') {
+    return 'Solo se pueden restaurar reseñas ocultas';
+  }
+  if (action === 'dismiss' && !review.flagged_at) {
+    return 'La reseña no tiene reportes pendientes';
+  }
+  return null;
+};
+
+// Función para convertir una reseña del cuerpo de la solicitud en una fila
+const toReviewRow = ({ rating, categories, comment }) => ({
+  rating,
+  ...REVIEW_CATEGORIES.reduce((acc, category) => ({ ...acc, [category]: categories[category] }), {}),
+  comment: comment ? comment.trim() : null
+});
+
+// Función para dar formato a una reseña en las respuestas
+const formatReview = (review) => ({
+  id: review.id,
+  roomId: review.room_id,
+  bookingId: review.booking_id,
+  user: review.user
+    ? { id: review.user.id, name: review.user.name, image: review.user.profileImage }
+    : { id: review.user_id },
+  rating: review.rating,
+  categories: REVIEW_CATEGORIES.reduce((acc, category) => ({ ...acc, [category]: review[category] ?? null }), {}),
+  comment: review.comment,
+  hostReply: review.host_reply
+    ? { comment: review.host_reply, date: review.host_reply_at }
+    : null,
+  date: review.created_at
+});
+
+// Función para dar formato a una reseña en la cola de moderación (incluye sus reportes)
+const formatModeratedReview = (review) => ({
+  ...formatReview(review),
+  status: review.status,
+  flaggedAt: review.flagged_at,
+  hiddenAt: review.hidden_at,
+  reports: (review.reports || []).map(report => ({
+    id: report.id,
+    userId: report.user_id,
+    reason: report.reason,
+    details: report.details,
+    status: report.status,
+    createdAt: report.created_at
+  }))
+});
+
+// Función para dar formato a una acción de la bitácora de moderación
+const formatModerationAction = (entry) => ({
+  id: entry.id,
+  reviewId: entry.review_id,
+  moderatorId: entry.moderator_id,
+  action: entry.action,
+  reason: entry.reason,
+  review: entry.review_snapshot,
+  createdAt: entry.created_at
+});
+
+// Función para dar formato al resumen de reseñas de una habitación
+const formatReviewSummary = (room) => ({
+  average: Number(room.rating) || 0,
+  count: room.reviews_count || 0,
+  categories: REVIEW_CATEGORIES.reduce((acc, category) => ({
+    ...acc,
+    [category]: room.review_scores && room.review_scores[category] !== null && room.review_scores[category] !== undefined
+      ? Number(room.review_scores[category])
+      : null
+  }), {})
+});
+
+// Función para aplicar una acción de moderación y registrarla en la bitácora. Al ocultar
+// la reseña se resuelven sus reportes; al restaurarla o descartarlos se desestiman.
+const moderateReview = async (supabase, review, { action, reason = null, moderatorId, now = new Date() }) => {
+  const { reports, ...snapshot } = review;
+
+  const logAction = async () => {
+    const { data: entry, error } = await supabase
+      .from('review_moderation_actions')
+      .insert([
+        {
+          review_id: review.id,
+          moderator_id: moderatorId,
+          action,
+          reason,
+          review_snapshot: snapshot
+        }
+      ])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return entry;
+  };
+
+  // La bitácora se escribe antes de eliminar para conservar la copia de la reseña
+  if (action === 'delete') {
+    const entry = await logAction();
+    const { error } = await supabase
+      .from('reviews')
+      .delete()
+      .eq('id', review.id);
+
+    if (error) throw error;
+    return { review: null, entry };
+  }
+
+  const changes = {
+    hide: { status: 'hidden', hidden_at: now.toISOString(), flagged_at: null },
+    restore: { status: 'visible', hidden_at: null, flagged_at: null },
+    dismiss: { flagged_at: null }
+  }[action];
+
+  const { data: updated, error } = await supabase
+    .from('reviews')
+    .update({ ...changes, updated_at: now.toISOString() })
+    .eq('id', review.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const { error: reportsError } = await supabase
+    .from('review_reports')
+    .update({ status: action === 'hide' ? 'resolved' : 'dismissed', resolved_at: now.toISOString() })
+    .eq('review_id', review.id)
+    .eq('status', 'open');
+
+  if (reportsError) throw reportsError;
+
+  const entry = await logAction();
+
+  if (action === 'hide') {
+    await notifyUser(supabase, {
+      userId: review.user_id,
+      type: 'review_hidden',
+      title: 'Tu reseña fue ocultada',
+      message: 'Una de tus reseñas fue ocultada por no cumplir con las normas de la comunidad.',
+      bookingId: review.booking_id,
+      data: { reviewId: review.id, roomId: review.room_id }
+    });
+  }
+
+  return { review: updated, entry };
+};
+
+module.exports = {
+  REVIEW_CATEGORIES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  getReviewBlocker,
+  validateReview,
+  validateReply,
+  validateReport,
+  getModerationBlocker,
+  toReviewRow,
+  formatReview,
+  formatModeratedReview,
+  formatModerationAction,
+  formatReviewSummary,
+  moderateReview
+};
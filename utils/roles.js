@@ -0,0 +1,33 @@
+// Roles de usuario guardados en user_roles. Se niega el acceso si no existe el rol de
+// administrador.
+
+// Función para saber si un usuario es administrador
+const isAdminUser = async (supabase, userId) => {
+  const { data, error } = await supabase
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', userId)
+    .eq('role', 'admin')
+    .maybeSingle();
+
+  if (error) throw error;
+  return Boolean(data);
+};
+
+// Middleware para restringir una ruta a administradores (requiere req.user y req.supabase)
+const requireAdmin = async (req, res, next) => {
+  try {
+    if (!(await isAdminUser(req.supabase, req.user.id))) {
+      return res.status(403).json({ error: 'No tienes permisos de administrador' });
+    }
+    next();
+  } catch (error) {
+    console.error('Error al verificar rol de administrador:', error);
+    res.status(500).json({ error: 'Error al verificar permisos' });
+  }
+};
+
+module.exports = {
+  isAdminUser,
+  requireAdmin
+};
@@ -0,0 +1,23 @@
+// Cliente de Supabase con la llave de servicio. Ignora RLS, así que solo se usa del lado
+// del servidor: webhooks, tareas programadas y escrituras en tablas que los usuarios no
+// pueden modificar directamente (movimientos, facturas, notificaciones...). Las rutas
+// deben verificar antes que el usuario tiene permiso sobre el recurso.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const serviceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+if (!serviceRoleKey) {
+  console.error('Error: SUPABASE_SERVICE_ROLE_KEY no configurada; las escrituras del servidor fallarán por RLS');
+}
+
+const supabaseAdmin = createClient(supabaseUrl, serviceRoleKey || process.env.SUPABASE_ANON_KEY, {
+  auth: {
+    persistSession: false,
+    autoRefreshToken: false,
+    detectSessionInUrl: false
+  }
+});
+
+module.exports = { supabaseAdmin };
@@ -0,0 +1,132 @@
+// Registro de eventos del webhook de Stripe en webhook_events (la clave es el ID del evento).
+// Un evento pasa de received/failed a processing al reclamarlo, y de ahí a processed o failed;
+// el cambio condicionado de estado garantiza que solo un proceso lo ejecute.
+
+const UNIQUE_VIOLATION = '23505';
+// Un evento que lleva más de este tiempo en processing se considera abandonado (la función
+// terminó antes de registrar el resultado) y el siguiente reenvío de Stripe lo vuelve a tomar
+const PROCESSING_TIMEOUT_MINUTES = 5;
+
+// Función para guardar un evento recibido; si Stripe lo reenvía se conserva el registro original
+const recordWebhookEvent = async (supabase, event) => {
+  const { error } = await supabase
+    .from('webhook_events')
+    .insert([
+      {
+        id: event.id,
+        type: event.type,
+        payload: event,
+        status: 'received',
+        livemode: Boolean(event.livemode),
+        stripe_created_at: new Date(event.created * 1000).toISOString()
+      }
+    ]);
+
+  if (error && error.code !== UNIQUE_VIOLATION) throw error;
+};
+
+// Función para reclamar un evento pendiente, fallido o abandonado; devuelve null si ya se
+// procesó o si otro proceso lo está procesando
+const claimWebhookEvent = async (supabase, eventId) => {
+  const processingCutoff = new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+  const { data: claimed, error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processing',
+      processing_started_at: new Date().toISOString()
+    })
+    .eq('id', eventId)
+    .or(`status.in.(received,failed),and(status.eq.processing,processing_started_at.lt.${processingCutoff})`)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return claimed;
+};
+
+// Función para marcar un evento como procesado
+const markWebhookEventProcessed = async (supabase, eventId) => {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'processed',
+      processed_at: new Date().toISOString(),
+      last_error: null
+    })
+    .eq('id', eventId);
+
+  if (error) throw error;
+};
+
+// Función para registrar la falla de un evento y contar el intento
+const markWebhookEventFailed = async (supabase, eventId, failure) => {
+  const current = await getWebhookEvent(supabase, eventId);
+
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({
+      status: 'failed',
+      attempts: (current ? current.attempts : 0) + 1,
+      last_error: failure.message || String(failure),
+      failed_at: new Date().toISOString()
+    })
+    .eq('id', eventId);
+
+  if (error) throw error;
+};
+
+// Función para obtener un evento guardado
+const getWebhookEvent = async (supabase, eventId) => {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Función para listar eventos por estado y tipo, del más reciente al más antiguo
+const listWebhookEvents = async (supabase, { status, type, page = 1, limit = 20 }) => {
+  let query = supabase
+    .from('webhook_events')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range((page - 1) * limit, page * limit - 1);
+
+  if (status && status !== 'all') {
+    query = query.eq('status', status);
+  }
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return { events: data, total: count || 0 };
+};
+
+// Función para dar formato a un evento en las respuestas (sin el payload completo)
+const formatWebhookEvent = (event) => ({
+  id: event.id,
+  type: event.type,
+  status: event.status,
+  attempts: event.attempts,
+  lastError: event.last_error,
+  objectId: event.payload && event.payload.data ? event.payload.data.object.id : null,
+  receivedAt: event.created_at,
+  processedAt: event.processed_at,
+  failedAt: event.failed_at
+});
+
+module.exports = {
+  recordWebhookEvent,
+  claimWebhookEvent,
+  markWebhookEventProcessed,
+  markWebhookEventFailed,
+  getWebhookEvent,
+  listWebhookEvents,
+  formatWebhookEvent
+};